@@ -33,6 +33,7 @@ function addAriaLabels() {
     const elements = {
         'analyzeBtn': { label: 'Analyze code for memory leaks', role: 'button' },
         'languageSelect': { label: 'Select programming language', role: 'combobox' },
+        'dataModelSelect': { label: 'Select target data model', role: 'combobox' },
         'codeEditor': { label: 'Code editor for entering source code', role: 'textbox' }
     };
 
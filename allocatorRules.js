@@ -0,0 +1,217 @@
+/**
+ * Custom Allocator Rules Module
+ * Lets the user declare project-specific acquire/release pairs (xmalloc/xfree, g_malloc/g_free, ...)
+ * and keeps them in localStorage; the analysis reads them from CONFIG.ANALYSIS.CUSTOM_ALLOCATORS
+ */
+
+const ALLOCATOR_RULES_KEY = 'mlda_allocator_rules';
+const DEFAULT_ALLOCATOR_RULES = CONFIG.ANALYSIS.CUSTOM_ALLOCATORS.map(rule => Object.assign({}, rule));
+const IDENTIFIER_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Check a rule and bring it into the shape the analysis expects
+ * @param {Object} rule - Rule as typed by the user or read from storage
+ * @returns {Object|null} Normalized rule, or null if it is not usable
+ */
+function normalizeAllocatorRule(rule) {
+    if (!rule || typeof rule !== 'object') return null;
+    const allocator = String(rule.allocator || '').trim();
+    // Several deallocators are typed as "xfree, free"
+    const deallocators = (Array.isArray(rule.deallocator) ? rule.deallocator : String(rule.deallocator || '').split(','))
+        .map(name => String(name).trim()).filter(Boolean);
+    if (!IDENTIFIER_PATTERN.test(allocator) || deallocators.length === 0 ||
+        !deallocators.every(name => IDENTIFIER_PATTERN.test(name))) return null;
+
+    const index = value => {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+        const number = Number(value);
+        return Number.isInteger(number) && number >= 0 ? number : NaN;
+    };
+    const sizeArg = index(rule.sizeArg);
+    const pointerArg = index(rule.pointerArg);
+    if (Number.isNaN(sizeArg) || Number.isNaN(pointerArg)) return null;
+
+    return {
+        allocator: allocator,
+        deallocator: deallocators.length === 1 ? deallocators[0] : deallocators,
+        sizeArg: sizeArg,
+        pointerArg: pointerArg === null ? 0 : pointerArg,
+        nonnull: !!rule.nonnull
+    };
+}
+
+/**
+ * Replace the rules used by the analysis
+ * @param {Array<Object>} rules - Normalized rules
+ */
+function applyAllocatorRules(rules) {
+    CONFIG.ANALYSIS.CUSTOM_ALLOCATORS = rules;
+}
+
+/**
+ * Load saved rules into CONFIG, keeping the defaults when nothing valid is stored
+ */
+function loadAllocatorRules() {
+    try {
+        const saved = localStorage.getItem(ALLOCATOR_RULES_KEY);
+        if (!saved) return;
+        const rules = JSON.parse(saved);
+        if (Array.isArray(rules)) {
+            applyAllocatorRules(rules.map(normalizeAllocatorRule).filter(Boolean));
+        }
+    } catch (error) {
+        debugError('Error loading allocator rules:', error);
+    }
+}
+
+/**
+ * Read the rules from the editor table, then save and apply them
+ * @returns {boolean} True if the rules were saved
+ */
+function saveAllocatorRules() {
+    try {
+        const rows = document.querySelectorAll('#allocatorRulesBody tr');
+        const rules = [];
+        for (const row of rows) {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            const raw = {
+                allocator: field('allocator').value,
+                deallocator: field('deallocator').value,
+                sizeArg: field('sizeArg').value,
+                pointerArg: field('pointerArg').value,
+                nonnull: field('nonnull').checked
+            };
+            // Rows left completely empty are ignored
+            if (!raw.allocator.trim() && !raw.deallocator.trim()) continue;
+            const rule = normalizeAllocatorRule(raw);
+            if (!rule) {
+                notifications.error(`Invalid allocator rule "${raw.allocator || '?'} / ${raw.deallocator || '?'}": ` +
+                    'names must be C identifiers (several deallocators separated by commas) and argument positions whole numbers from 0');
+                return false;
+            }
+            rules.push(rule);
+        }
+
+        applyAllocatorRules(rules);
+        localStorage.setItem(ALLOCATOR_RULES_KEY, JSON.stringify(rules));
+        notifications.success(`Saved ${rules.length} allocator rule${rules.length === 1 ? '' : 's'}`);
+        debugLog('Allocator rules saved', rules);
+        closeAllocatorRules();
+        return true;
+    } catch (error) {
+        debugError('Error saving allocator rules:', error);
+        notifications.error('Failed to save allocator rules');
+        return false;
+    }
+}
+
+/**
+ * Restore the rules shipped in config.js
+ */
+function resetAllocatorRules() {
+    try {
+        localStorage.removeItem(ALLOCATOR_RULES_KEY);
+        applyAllocatorRules(DEFAULT_ALLOCATOR_RULES.map(rule => Object.assign({}, rule)));
+        renderAllocatorRules();
+        notifications.info('Allocator rules reset to defaults');
+    } catch (error) {
+        debugError('Error resetting allocator rules:', error);
+    }
+}
+
+/**
+ * Build one editable table row
+ * @param {Object} rule - Rule to show (empty for a new row)
+ * @returns {HTMLTableRowElement} Row element
+ */
+function createAllocatorRuleRow(rule) {
+    const row = document.createElement('tr');
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded font-mono text-sm';
+    const cell = (field, type, value, placeholder) => {
+        const td = document.createElement('td');
+        td.className = 'px-2 py-1';
+        const input = document.createElement('input');
+        input.type = type;
+        input.dataset.field = field;
+        input.setAttribute('aria-label', placeholder);
+        if (type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.className = inputClass;
+            input.placeholder = placeholder;
+            input.value = value === null || value === undefined ? '' : [].concat(value).join(', ');
+            if (type === 'number') input.min = '0';
+        }
+        td.appendChild(input);
+        row.appendChild(td);
+    };
+
+    cell('allocator', 'text', rule.allocator, 'Allocator');
+    cell('deallocator', 'text', rule.deallocator, 'Deallocator');
+    cell('sizeArg', 'number', rule.sizeArg, 'Size argument');
+    cell('pointerArg', 'number', rule.pointerArg, 'Pointer argument');
+    cell('nonnull', 'checkbox', rule.nonnull, 'Never returns NULL');
+
+    const actions = document.createElement('td');
+    actions.className = 'px-2 py-1 text-right';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'text-rose-600 hover:text-rose-800 text-sm';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove rule ${rule.allocator || ''}`.trim());
+    remove.onclick = () => row.remove();
+    actions.appendChild(remove);
+    row.appendChild(actions);
+    return row;
+}
+
+/**
+ * Fill the editor table with the current rules
+ */
+function renderAllocatorRules() {
+    const body = document.getElementById('allocatorRulesBody');
+    if (!body) return;
+    body.innerHTML = '';
+    CONFIG.ANALYSIS.CUSTOM_ALLOCATORS.forEach(rule => body.appendChild(createAllocatorRuleRow(rule)));
+}
+
+/**
+ * Append an empty rule to the editor table
+ */
+function addAllocatorRule() {
+    const body = document.getElementById('allocatorRulesBody');
+    if (!body) return;
+    const row = createAllocatorRuleRow({ allocator: '', deallocator: '', sizeArg: 0, pointerArg: 0, nonnull: false });
+    body.appendChild(row);
+    row.querySelector('input').focus();
+}
+
+function openAllocatorRules() {
+    const dialog = document.getElementById('allocatorRulesDialog');
+    if (!dialog) return;
+    renderAllocatorRules();
+    dialog.classList.remove('hidden');
+    dialog.setAttribute('aria-hidden', 'false');
+    const first = dialog.querySelector('input, button');
+    if (first) first.focus();
+}
+
+function closeAllocatorRules() {
+    const dialog = document.getElementById('allocatorRulesDialog');
+    if (!dialog) return;
+    dialog.classList.add('hidden');
+    dialog.setAttribute('aria-hidden', 'true');
+}
+
+/**
+ * Initialize allocator rules: apply saved rules and let Escape close the editor
+ */
+function initAllocatorRules() {
+    loadAllocatorRules();
+    document.addEventListener('keydown', event => {
+        const dialog = document.getElementById('allocatorRulesDialog');
+        if (event.key === 'Escape' && dialog && !dialog.classList.contains('hidden')) {
+            closeAllocatorRules();
+        }
+    });
+}
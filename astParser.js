@@ -9,6 +9,7 @@ class ASTParser {
      */
     constructor(language = 'c') {
         this.language = language;
+        this.definedFunctions = new Set(); // functions defined in the C/C++ code being parsed
     }
 
     /**
@@ -22,8 +23,8 @@ class ASTParser {
                 throw new Error('Invalid code input: code must be a non-empty string');
             }
 
-            // Remove comments first
-            const cleanedCode = this.removeComments(code);
+            // Remove comments first (the C/C++ lexer handles comments itself and keeps line numbers intact)
+            const cleanedCode = (this.language === 'c' || this.language === 'cpp') ? code : this.removeComments(code);
             
             let result;
             try {
@@ -317,14 +318,466 @@ class ASTParser {
         };
     }
 
-    // Parse C/C++ code into AST-like structure
+    /**
+     * Parse C/C++ code with the tokenizer, preprocessor and recursive-descent parser
+     * @param {string} code - C/C++ source code
+     * @returns {Object} AST object whose body lists allocation/deallocation nodes and whose
+     *                   translationUnit holds the full syntax tree
+     */
     parseC(code) {
+        const lexer = new CLexer(this.language);
+        const preprocessor = new Preprocessor(this.language);
+        const parser = new CParser(preprocessor.process(lexer.tokenize(code)), this.language);
+        const translationUnit = parser.parseTranslationUnit();
+        this.definedFunctions = new Set(CParser.collectFunctions(translationUnit).map(fn => fn.name));
+
+        if (translationUnit.errors.length > 0) {
+            debugWarn('C/C++ parser recovered from syntax errors:', translationUnit.errors);
+        }
+
+        return {
+            type: 'Program',
+            body: this.collectCMemoryNodes(translationUnit, code),
+            translationUnit: translationUnit,
+            source: code
+        };
+    }
+
+    /**
+     * Collect allocation and deallocation nodes from a C/C++ syntax tree in source order
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {string} code - Original source code (for line text)
+     * @returns {Array<Object>} Allocation and Deallocation nodes
+     */
+    collectCMemoryNodes(translationUnit, code) {
+        const nodes = [];
+        const lines = code.split('\n');
+        const ancestors = [];
+
+        const visit = (node, functionName, loopDepth) => {
+            let currentFunction = functionName;
+            let currentLoopDepth = loopDepth;
+
+            if (node.type === 'FunctionDefinition') {
+                currentFunction = node.name;
+                currentLoopDepth = 0;
+            } else if (ASTParser.LOOP_TYPES.includes(node.type)) {
+                currentLoopDepth++;
+            }
+
+            const allocation = this.parseCAllocation(node, ancestors, lines, currentFunction, currentLoopDepth > 0);
+            if (allocation) {
+                nodes.push(allocation);
+            }
+
+            const deallocation = this.parseCDeallocation(node, lines);
+            if (deallocation) {
+                nodes.push(deallocation);
+            }
+
+            ancestors.push(node);
+            CParser.forEachChild(node, child => visit(child, currentFunction, currentLoopDepth));
+            ancestors.pop();
+        };
+
+        try {
+            visit(translationUnit, null, 0);
+        } catch (error) {
+            debugError('Error collecting memory nodes:', error);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Build an Allocation node for malloc/calloc/realloc calls, custom allocators, new expressions,
+     * smart pointer factories such as std::make_shared() and calls acquiring a resource such as fopen()
+     * @param {Object} node - Expression node
+     * @param {Array<Object>} ancestors - Enclosing nodes, innermost last
+     * @param {Array<string>} lines - Source lines
+     * @param {string|null} functionName - Enclosing function name
+     * @param {boolean} inLoop - Whether the node is inside a loop body
+     * @returns {Object|null} Allocation node (var is null when the result is not stored),
+     *                      or null if node is not an allocation
+     */
+    parseCAllocation(node, ancestors, lines, functionName, inLoop) {
+        let func = null;
+        let argNodes = [];
+
+        let nonnull = false;
+        let resource = null;
+        let handle = null;
+
+        if (ASTParser.resourceAcquiredBy(this.libraryCallee(node))) {
+            func = node.callee.name;
+            argNodes = node.arguments;
+            resource = ASTParser.resourceAcquiredBy(func);
+            // Locks name their resource by argument (pthread_mutex_lock(&m)) instead of returning it
+            if (resource.handleArg !== undefined) {
+                const target = node.arguments[resource.handleArg];
+                if (!target) return null;
+                handle = CParser.print(ASTParser.stripCasts(target));
+            }
+            nonnull = resource.failure === undefined;
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+            (ASTParser.C_ALLOCATORS.includes(node.callee.name) || ASTParser.isAllocator(this.libraryCallee(node)))) {
+            func = node.callee.name;
+            argNodes = node.arguments;
+            // Custom allocators are sized by their declared size argument alone
+            const rule = ASTParser.allocatorRule(func);
+            if (rule) {
+                const sizeNode = rule.sizeArg === null ? null : node.arguments[rule.sizeArg];
+                argNodes = sizeNode ? [sizeNode] : [];
+                nonnull = !!rule.nonnull;
+            }
+        } else if (node.type === 'NewExpression') {
+            func = node.isArray ? 'new[]' : 'new';
+            argNodes = node.isArray ? [node.arraySize] : (node.arguments || []);
+        } else if (SmartPointers.factoryKind(this.libraryCallee(node)) && SmartPointers.elementType(node)) {
+            // std::make_unique<T>(...) allocates a T that the returned smart pointer owns
+            func = SmartPointers.baseName(node.callee.name);
+            argNodes = node.arguments;
+            nonnull = true; // throws std::bad_alloc rather than returning NULL
+        } else {
+            return null;
+        }
+
+        const line = node.loc.start.line;
+        return {
+            type: 'Allocation',
+            var: handle !== null ? handle.replace(/^&/, '') : this.findAssignmentTarget(node, ancestors),
+            line: line,
+            function: func,
+            args: argNodes.map(arg => CParser.print(arg)).join(', '),
+            argNodes: argNodes,
+            typeName: node.type === 'NewExpression' ? node.typeName.text
+                : (SmartPointers.factoryKind(func) ? SmartPointers.elementType(node).text : null),
+            managed: SmartPointers.factoryKind(func), // smart pointer kind that owns the memory from the start
+            nonnull: nonnull,
+            resource: resource ? resource.kind : null,
+            handle: handle,
+            functionName: functionName,
+            inFunction: !!functionName,
+            inLoop: inLoop,
+            loops: ancestors.filter(ancestor => ASTParser.LOOP_TYPES.includes(ancestor.type))
+                .map(loop => ASTParser.tripCount(loop, ancestors)),
+            nodeType: node.type,
+            originalLine: (lines[line - 1] || '').trim(),
+            node: node
+        };
+    }
+
+    /**
+     * Estimate how many times a loop body runs from its header, e.g. `for (i = 0; i < n; i++)`, or from
+     * the condition of a while or do loop that counts, e.g. `while (i < n) { ...; i++; }` or `while (n--)`
+     * @param {Object} loop - Loop statement node
+     * @param {Array<Object>} [ancestors] - Enclosing nodes, outermost first, to find the counter's start
+     * @returns {Object} { line, end, count, bound }: count is set when the counting is constant,
+     *                   bound is the trip count as text (null when it cannot be read off the loop)
+     */
+    static tripCount(loop, ancestors = []) {
+        const unknown = { line: loop.loc.start.line, end: loop.loc.end.line, count: null, bound: null };
+        const counter = ASTParser.loopCounter(loop, ancestors);
+        if (!counter) return unknown;
+        const { start, step, test } = counter;
+
+        // Condition, with the loop variable on the left
+        if (test.type !== 'BinaryExpression') return unknown;
+        const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '!=': '!=' };
+        let operator = test.operator;
+        let end = test.right;
+        if (test.right.type === 'Identifier' && test.right.name === counter.variable) {
+            operator = flipped[operator];
+            end = test.left;
+        } else if (test.left.type !== 'Identifier' || test.left.name !== counter.variable) {
+            return unknown;
+        }
+        const counting = step > 0 ? ['<', '<=', '!='] : ['>', '>=', '!='];
+        if (!counting.includes(operator)) return unknown;
+
+        const inclusive = operator === '<=' || operator === '>=';
+        const numeric = value => value.type === 'Literal' && value.kind === 'number' ? value.value : null;
+        const from = step > 0 ? start : end;
+        const to = step > 0 ? end : start;
+
+        if (numeric(from) !== null && numeric(to) !== null) {
+            const span = numeric(to) - numeric(from) + (inclusive ? 1 : 0);
+            // A do loop runs its body before testing
+            const count = Math.max(loop.type === 'DoWhileStatement' ? 1 : 0, Math.ceil(span / Math.abs(step)));
+            return { line: unknown.line, end: unknown.end, count: count, bound: null };
+        }
+
+        let bound = numeric(from) === 0 ? CParser.print(to) : `${CParser.print(to)} - ${CParser.print(from)}`;
+        if (inclusive) bound += ' + 1';
+        if (Math.abs(step) > 1) bound = `${bound.includes(' ') ? `(${bound})` : bound} / ${Math.abs(step)}`;
+        return { line: unknown.line, end: unknown.end, count: null, bound: bound };
+    }
+
+    /**
+     * The variable a loop counts with. A for loop names it in its header; a while or do loop either
+     * counts it down in the condition (`while (n--)`, `while (n-- > 0)`) or steps it once per iteration
+     * in a statement of the body. The start is the initializer or assignment just before the loop, or
+     * the variable's value on entry when there is none.
+     * @param {Object} loop - Loop statement node
+     * @param {Array<Object>} ancestors - Enclosing nodes, outermost first
+     * @returns {Object|null} { variable, start, step, test }, or null if the loop does not count
+     */
+    static loopCounter(loop, ancestors) {
+        if (!loop.test) return null;
+        if (loop.type === 'ForStatement') {
+            let variable = null;
+            let start = null;
+            const init = loop.init;
+            if (init && init.type === 'Declaration' && init.declarators.length === 1) {
+                variable = init.declarators[0].name;
+                start = init.declarators[0].init;
+            } else if (init && init.type === 'ExpressionStatement' && init.expression &&
+                       init.expression.type === 'AssignmentExpression' && init.expression.operator === '=' &&
+                       init.expression.left.type === 'Identifier') {
+                variable = init.expression.left.name;
+                start = init.expression.right;
+            }
+            const step = variable && start && loop.update ? ASTParser.counterStep(loop.update, variable) : 0;
+            return step === 0 ? null : { variable: variable, start: start, step: step, test: loop.test };
+        }
+        if (loop.type !== 'WhileStatement' && loop.type !== 'DoWhileStatement') return null;
+
+        const test = loop.test;
+        const decrement = test.type === 'BinaryExpression' ? test.left : test;
+        let variable = null;
+        let step = 0;
+        let condition = test;
+        if (decrement.type === 'UpdateExpression' && !decrement.prefix && decrement.operator === '--' &&
+            decrement.argument.type === 'Identifier') {
+            // The value is tested before it is decremented, as in for (; n != 0; n--)
+            variable = decrement.argument.name;
+            if (ASTParser.counterUpdates(loop.body, variable).length > 0) return null;
+            step = -1;
+            condition = test === decrement
+                ? { type: 'BinaryExpression', operator: '!=', left: decrement.argument, right: { type: 'Literal', kind: 'number', value: 0 } }
+                : Object.assign({}, test, { left: decrement.argument });
+        } else if (test.type === 'BinaryExpression') {
+            const statements = loop.body && loop.body.type === 'CompoundStatement' ? loop.body.body : [loop.body];
+            [test.left, test.right].forEach(side => {
+                if (step !== 0 || side.type !== 'Identifier') return;
+                const updates = ASTParser.counterUpdates(loop.body, side.name);
+                if (updates.length !== 1) return;
+                const statement = statements.find(candidate => candidate && candidate.type === 'ExpressionStatement' &&
+                    candidate.expression === updates[0]);
+                if (!statement) return;
+                variable = side.name;
+                step = ASTParser.counterStep(updates[0], variable);
+            });
+        }
+        if (step === 0) return null;
+        return { variable: variable, start: ASTParser.startValue(loop, ancestors, variable), step: step, test: condition };
+    }
+
+    /**
+     * Step of `i++`, `++i`, `i--`, `i += k` or `i -= k` for a constant k
+     * @returns {number} Step, or 0 if the expression does not step the variable
+     */
+    static counterStep(update, variable) {
+        if (update.type === 'UpdateExpression' && update.argument.type === 'Identifier' && update.argument.name === variable) {
+            return update.operator === '++' ? 1 : -1;
+        }
+        if (update.type === 'AssignmentExpression' && update.left.type === 'Identifier' &&
+            update.left.name === variable && (update.operator === '+=' || update.operator === '-=') &&
+            update.right.type === 'Literal' && update.right.kind === 'number' && update.right.value > 0) {
+            return update.operator === '+=' ? update.right.value : -update.right.value;
+        }
+        return 0;
+    }
+
+    /**
+     * Expressions in a loop body that change a variable or take its address
+     */
+    static counterUpdates(body, variable) {
+        const updates = [];
+        const names = node => node && node.type === 'Identifier' && node.name === variable;
+        CParser.walk(body, node => {
+            if ((node.type === 'UpdateExpression' && names(node.argument)) ||
+                (node.type === 'AssignmentExpression' && names(node.left)) ||
+                (node.type === 'UnaryExpression' && node.operator === '&' && names(node.argument))) {
+                updates.push(node);
+            }
+            return true;
+        });
+        return updates;
+    }
+
+    /**
+     * Value a while or do loop's counter starts from: the initializer or assignment of the statement just
+     * before the loop, or else the variable itself (its value on entry)
+     */
+    static startValue(loop, ancestors, variable) {
+        const entry = { type: 'Identifier', name: variable };
+        const index = ancestors.indexOf(loop);
+        const parent = index > 0 ? ancestors[index - 1] : null;
+        if (!parent || parent.type !== 'CompoundStatement') return entry;
+        const previous = parent.body[parent.body.indexOf(loop) - 1];
+        if (!previous) return entry;
+        if (previous.type === 'Declaration') {
+            const declarator = previous.declarators.find(candidate => candidate.name === variable);
+            return declarator && declarator.init && declarator.init.type !== 'InitializerList' ? declarator.init : entry;
+        }
+        const expression = previous.type === 'ExpressionStatement' ? previous.expression : null;
+        if (expression && expression.type === 'AssignmentExpression' && expression.operator === '=' &&
+            expression.left.type === 'Identifier' && expression.left.name === variable) {
+            return expression.right;
+        }
+        return entry;
+    }
+
+    /**
+     * Combine the trip counts of nested loops
+     * @param {Array<Object>} loops - Results of tripCount, outermost first
+     * @returns {Object} { count, bound }: count when every loop is constant, otherwise a bound such as
+     *                   "10 × n", or neither when some loop's trip count is unknown
+     */
+    static loopScale(loops) {
+        if (loops.every(loop => loop.count !== null)) {
+            return { count: loops.reduce((product, loop) => product * loop.count, 1), bound: null };
+        }
+        if (loops.some(loop => loop.count === null && loop.bound === null)) return { count: null, bound: null };
+        return {
+            count: null,
+            bound: loops.map(loop => {
+                if (loop.count !== null) return String(loop.count);
+                return loops.length > 1 && loop.bound.includes(' ') ? `(${loop.bound})` : loop.bound;
+            }).join(' × ')
+        };
+    }
+
+    /**
+     * Build a Deallocation node for free() calls, custom deallocators, delete expressions
+     * and calls releasing a resource such as fclose()
+     * @param {Object} node - Expression node
+     * @param {Array<string>} lines - Source lines
+     * @returns {Object|null} Deallocation node, or null if node is not a deallocation
+     */
+    parseCDeallocation(node, lines) {
+        let func = null;
+        let target = null;
+
+        let resource = null;
+
+        if (ASTParser.resourceReleasedBy(this.libraryCallee(node))) {
+            func = node.callee.name;
+            resource = ASTParser.resourceReleasedBy(func);
+            target = node.arguments[resource.handleArg || 0];
+            if (!target) return null;
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+            (ASTParser.C_DEALLOCATORS.includes(node.callee.name) || ASTParser.isDeallocator(this.libraryCallee(node)))) {
+            func = node.callee.name;
+            target = node.arguments[ASTParser.pointerArgument(func)];
+            if (!target) return null;
+        } else if (node.type === 'DeleteExpression') {
+            func = node.isArray ? 'delete[]' : 'delete';
+            target = node.argument;
+        } else {
+            return null;
+        }
+
+        const line = node.loc.start.line;
+        return {
+            type: 'Deallocation',
+            var: CParser.print(ASTParser.stripCasts(target)).replace(/^&/, ''),
+            line: line,
+            function: func,
+            resource: resource ? resource.kind : null,
+            nodeType: node.type,
+            originalLine: (lines[line - 1] || '').trim(),
+            node: node
+        };
+    }
+
+    /**
+     * Name of the function a call invokes, if the code does not define it. Functions defined in the
+     * code are analyzed from their bodies even when a rule lists their name (e.g. a local dup()).
+     * @param {Object} node - Expression node
+     * @returns {string|null} Callee name, or null for other calls and expressions
+     */
+    libraryCallee(node) {
+        return node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+            !this.definedFunctions.has(node.callee.name) ? node.callee.name : null;
+    }
+
+    /**
+     * Find the variable or lvalue an allocation result is stored into
+     * @param {Object} node - Allocation expression node
+     * @param {Array<Object>} ancestors - Enclosing nodes, innermost last
+     * @returns {string|null} Printed target, or null if the result is not stored
+     */
+    findAssignmentTarget(node, ancestors) {
+        let child = node;
+        for (let i = ancestors.length - 1; i >= 0; i--) {
+            const parent = ancestors[i];
+            if (parent.type === 'CastExpression') {
+                child = parent;
+                continue;
+            }
+            if (parent.type === 'VariableDeclarator' && parent.init === child) {
+                return parent.name;
+            }
+            if (parent.type === 'ConstructorInitializer') {
+                child = parent;
+                continue;
+            }
+            if (parent.type === 'MemberInitializer') {
+                // Buffer(int n) : data(new int[n]) stores into the member
+                return parent.arguments.length === 1 ? parent.name : null;
+            }
+            if (parent.type === 'AssignmentExpression' && parent.operator === '=' && parent.right === child) {
+                return CParser.print(ASTParser.stripCasts(parent.left));
+            }
+            return null;
+        }
+        return null;
+    }
+
+    /**
+     * Remove casts and parentheses around an expression
+     * @param {Object} node - Expression node
+     * @returns {Object} Innermost expression
+     */
+    static stripCasts(node) {
+        let current = node;
+        while (current && current.type === 'CastExpression') {
+            current = current.argument;
+        }
+        if (current && current.parenthesized) {
+            return Object.assign({}, current, { parenthesized: false });
+        }
+        return current;
+    }
+
+    /**
+     * Line-based scanner used for languages without a dedicated parser
+     * @param {string} code - Source code (comments already removed)
+     * @returns {Object} AST object with allocation/deallocation nodes
+     */
+    parseLines(code) {
         const lines = code.split('\n');
         const nodes = [];
         let currentFunction = null;
         let braceDepth = 0;
         let inLoop = false;
         let loopDepth = 0;
+        let blocks = []; // open braces, innermost last: { id, names }
+        let blockCount = 0;
+        
+        // Give each node the variable it refers to: a name declared in an enclosing block hides the same name
+        // further out, and a name declared nowhere in the function is a global shared by every function
+        const bind = (statement, found) => {
+            const declared = ASTParser.declaredName(statement);
+            if (declared && blocks.length > 0) blocks[blocks.length - 1].names.add(declared);
+            found.forEach(node => {
+                const block = blocks.slice().reverse().find(candidate => candidate.names.has(node.var));
+                node.binding = block ? `${block.id}:${node.var}` : node.var;
+                nodes.push(node);
+            });
+        };
         
         // Track multi-line statements
         let currentStatement = '';
@@ -358,6 +811,10 @@ class ASTParser {
             const openBraces = (trimmed.match(/\{/g) || []).length;
             const closeBraces = (trimmed.match(/\}/g) || []).length;
             braceDepth += openBraces - closeBraces;
+            for (const ch of trimmed) {
+                if (ch === '{') blocks.push({ id: `${currentFunction || 'file'}#${++blockCount}`, names: new Set() });
+                else if (ch === '}') blocks.pop();
+            }
             
             // Check if statement continues on next line
             if (trimmed.endsWith('\\') || (!trimmed.endsWith(';') && !trimmed.endsWith('{') && !trimmed.endsWith('}'))) {
@@ -377,33 +834,19 @@ class ASTParser {
                 const completeStatement = currentStatement;
                 inStatement = false;
                 
-                // Parse allocations from complete statement
-                const alloc = this.parseCAllocation(completeStatement, statementStartLine || lineNum, line, currentFunction, inLoop);
-                if (alloc) {
-                    nodes.push(alloc);
-                }
-                
-                // Parse deallocations from complete statement
-                const dealloc = this.parseCDeallocation(completeStatement, statementStartLine || lineNum, line);
-                if (dealloc) {
-                    nodes.push(dealloc);
-                }
+                // Parse allocations and deallocations from complete statement
+                const alloc = this.parseLineAllocation(completeStatement, statementStartLine || lineNum, line, currentFunction, inLoop);
+                const dealloc = this.parseLineDeallocation(completeStatement, statementStartLine || lineNum, line);
+                bind(completeStatement, [alloc, dealloc].filter(Boolean));
                 
                 // Reset statement tracking
                 currentStatement = '';
                 statementStartLine = 0;
             } else {
-                // Parse allocations (only if not in multi-line statement)
-                const alloc = this.parseCAllocation(trimmed, lineNum, line, currentFunction, inLoop);
-                if (alloc) {
-                    nodes.push(alloc);
-                }
-                
-                // Parse deallocations
-                const dealloc = this.parseCDeallocation(trimmed, lineNum, line);
-                if (dealloc) {
-                    nodes.push(dealloc);
-                }
+                // Parse allocations and deallocations (only if not in multi-line statement)
+                const alloc = this.parseLineAllocation(trimmed, lineNum, line, currentFunction, inLoop);
+                const dealloc = this.parseLineDeallocation(trimmed, lineNum, line);
+                bind(trimmed, [alloc, dealloc].filter(Boolean));
             }
             
             // Detect scope end
@@ -415,6 +858,7 @@ class ASTParser {
                 if (currentFunction) {
                     currentFunction = null;
                 }
+                blocks = [];
             }
         });
         
@@ -425,7 +869,18 @@ class ASTParser {
         };
     }
 
-    parseCAllocation(line, lineNum, originalLine, functionName, inLoop) {
+    /**
+     * Variable a statement declares, e.g. buf in `char *buf = malloc(n);` or `Node n = new Node();`
+     * @param {string} statement - Statement text
+     * @returns {string|null} Declared name
+     */
+    static declaredName(statement) {
+        const match = statement.match(/^((?:[A-Za-z_][\w<>:.,]*[\s*&]+)+)([A-Za-z_]\w*)\s*(?:=(?!=)|;|,|\[|$)/);
+        if (!match || ASTParser.STATEMENT_KEYWORDS.includes(match[1].match(/^\w+/)[0])) return null;
+        return match[2];
+    }
+
+    parseLineAllocation(line, lineNum, originalLine, functionName, inLoop) {
         // Improved patterns that handle multi-line and complex expressions
         const patterns = [
             // type *var = malloc(...)
@@ -496,7 +951,7 @@ class ASTParser {
         return null;
     }
 
-    parseCDeallocation(line, lineNum, originalLine) {
+    parseLineDeallocation(line, lineNum, originalLine) {
         // free() pattern
         const freeMatch = line.match(/free\s*\(\s*(\w+)\s*\)/);
         if (freeMatch) {
@@ -538,9 +993,94 @@ class ASTParser {
         return null;
     }
 
+    /**
+     * Custom allocator rule declared for an allocation function
+     * @param {string} name - Function name
+     * @returns {Object|null} Entry of CONFIG.ANALYSIS.CUSTOM_ALLOCATORS, or null for built-ins and other functions
+     */
+    static allocatorRule(name) {
+        if (ASTParser.C_ALLOCATORS.includes(name)) return null;
+        return (CONFIG.ANALYSIS.CUSTOM_ALLOCATORS || []).find(rule => rule.allocator === name) || null;
+    }
+
+    /**
+     * Custom allocator rule declared for a release function
+     * @param {string} name - Function name
+     * @returns {Object|null} Entry of CONFIG.ANALYSIS.CUSTOM_ALLOCATORS, or null for built-ins and other functions
+     */
+    static deallocatorRule(name) {
+        if (ASTParser.C_DEALLOCATORS.includes(name)) return null;
+        return (CONFIG.ANALYSIS.CUSTOM_ALLOCATORS || []).find(rule => ASTParser.deallocatorsOf(rule).includes(name)) || null;
+    }
+
+    /**
+     * Release functions a custom allocator rule accepts, e.g. ['xfree', 'free']
+     * @param {Object} rule - Entry of CONFIG.ANALYSIS.CUSTOM_ALLOCATORS
+     * @returns {Array<string>} Deallocator names, the preferred one first
+     */
+    static deallocatorsOf(rule) {
+        return Array.isArray(rule.deallocator) ? rule.deallocator : [rule.deallocator];
+    }
+
+    static isAllocator(name) {
+        return ASTParser.C_ALLOCATORS.includes(name) || ASTParser.allocatorRule(name) !== null;
+    }
+
+    static isDeallocator(name) {
+        return ASTParser.C_DEALLOCATORS.includes(name) || ASTParser.deallocatorRule(name) !== null;
+    }
+
+    /**
+     * Index of the argument a release function frees
+     * @param {string} name - Deallocator name
+     * @returns {number} Argument index (0 for free())
+     */
+    static pointerArgument(name) {
+        const rule = ASTParser.deallocatorRule(name);
+        return rule ? rule.pointerArg || 0 : 0;
+    }
+
+    /**
+     * Allocator families: the built-in ones, one family per custom acquire/release pair, then one per resource kind
+     * @returns {Array<Object>} { name, allocators, deallocators }
+     */
+    static allocatorFamilies() {
+        return CONFIG.ANALYSIS.ALLOCATOR_FAMILIES.concat((CONFIG.ANALYSIS.CUSTOM_ALLOCATORS || []).map(rule => ({
+            name: rule.allocator,
+            allocators: [rule.allocator],
+            deallocators: ASTParser.deallocatorsOf(rule)
+        })), CONFIG.ANALYSIS.RESOURCES.map(resource => ({
+            name: resource.kind,
+            allocators: resource.acquire,
+            deallocators: resource.release
+        })));
+    }
+
+    /**
+     * Resource a function acquires
+     * @param {string} name - Function name
+     * @returns {Object|null} Entry of CONFIG.ANALYSIS.RESOURCES, or null
+     */
+    static resourceAcquiredBy(name) {
+        return CONFIG.ANALYSIS.RESOURCES.find(resource => resource.acquire.includes(name)) || null;
+    }
+
+    /**
+     * Resource a function releases (the first kind listing it, e.g. close() for descriptors)
+     * @param {string} name - Function name
+     * @returns {Object|null} Entry of CONFIG.ANALYSIS.RESOURCES, or null
+     */
+    static resourceReleasedBy(name) {
+        return CONFIG.ANALYSIS.RESOURCES.find(resource => resource.release.includes(name)) || null;
+    }
+
+    static resourceKind(kind) {
+        return CONFIG.ANALYSIS.RESOURCES.find(resource => resource.kind === kind) || null;
+    }
+
     // Generic parser for other languages
     parseGeneric(code) {
-        return this.parseC(code); // Use C parser as fallback
+        return this.parseLines(code); // Use line-based scanner as fallback
     }
 
     parsePython(code) {
@@ -560,3 +1100,8 @@ class ASTParser {
     }
 }
 
+ASTParser.C_ALLOCATORS = ['malloc', 'calloc', 'realloc'];
+ASTParser.C_DEALLOCATORS = ['free'];
+ASTParser.LOOP_TYPES = ['ForStatement', 'ForRangeStatement', 'WhileStatement', 'DoWhileStatement'];
+// Words that start a statement rather than a declaration in the line-based scanner
+ASTParser.STATEMENT_KEYWORDS = ['return', 'delete', 'else', 'case', 'goto', 'throw', 'new', 'sizeof', 'do', 'yield', 'await'];
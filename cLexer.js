@@ -0,0 +1,275 @@
+/**
+ * C/C++ Lexer
+ * Converts C/C++ source code into a flat token stream with source positions
+ */
+class CLexer {
+    /**
+     * Create a new CLexer instance
+     * @param {string} language - Programming language ('c' or 'cpp')
+     */
+    constructor(language = 'c') {
+        this.language = language;
+        this.keywords = new Set(CLexer.C_KEYWORDS);
+        if (language === 'cpp') {
+            CLexer.CPP_KEYWORDS.forEach(keyword => this.keywords.add(keyword));
+        }
+        this.punctuators = CLexer.PUNCTUATORS.filter(p =>
+            language === 'cpp' || !CLexer.CPP_ONLY_PUNCTUATORS.includes(p));
+    }
+
+    /**
+     * Tokenize source code
+     * @param {string} code - Source code to tokenize
+     * @returns {Array<Object>} Tokens, always terminated by an 'eof' token
+     */
+    tokenize(code) {
+        const source = typeof code === 'string' ? code : '';
+        const tokens = [];
+        let pos = 0;
+        let line = 1;
+        let column = 1;
+        let atLineStart = true;
+        let spaceBefore = false;
+
+        const advance = (count) => {
+            for (let i = 0; i < count && pos < source.length; i++) {
+                if (source[pos] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+                pos++;
+            }
+        };
+
+        const push = (type, value, start, startLine, startColumn) => {
+            tokens.push({
+                type: type,
+                value: value,
+                line: startLine,
+                column: startColumn,
+                start: start,
+                end: pos,
+                endLine: line,
+                endColumn: column,
+                spaceBefore: spaceBefore
+            });
+            spaceBefore = false;
+            atLineStart = false;
+        };
+
+        while (pos < source.length) {
+            const ch = source[pos];
+            const next = source[pos + 1];
+
+            // Line continuations outside directives are plain whitespace
+            if (ch === '\\' && (next === '\n' || (next === '\r' && source[pos + 2] === '\n'))) {
+                advance(next === '\r' ? 3 : 2);
+                spaceBefore = true;
+                continue;
+            }
+
+            if (ch === '\n') {
+                advance(1);
+                atLineStart = true;
+                spaceBefore = true;
+                continue;
+            }
+
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v') {
+                advance(1);
+                spaceBefore = true;
+                continue;
+            }
+
+            // Comments
+            if (ch === '/' && next === '/') {
+                while (pos < source.length && source[pos] !== '\n') {
+                    if (source[pos] === '\\' && source[pos + 1] === '\n') {
+                        advance(2);
+                    } else {
+                        advance(1);
+                    }
+                }
+                spaceBefore = true;
+                continue;
+            }
+            if (ch === '/' && next === '*') {
+                const closeIndex = source.indexOf('*/', pos + 2);
+                advance(closeIndex === -1 ? source.length - pos : closeIndex + 2 - pos);
+                spaceBefore = true;
+                continue;
+            }
+
+            const start = pos;
+            const startLine = line;
+            const startColumn = column;
+
+            // Preprocessor directives occupy the rest of the (continued) line
+            if (ch === '#' && atLineStart) {
+                let text = '';
+                while (pos < source.length && source[pos] !== '\n') {
+                    if (source[pos] === '\\' && source[pos + 1] === '\n') {
+                        text += ' ';
+                        advance(2);
+                        continue;
+                    }
+                    if (source[pos] === '/' && source[pos + 1] === '*') {
+                        const closeIndex = source.indexOf('*/', pos + 2);
+                        text += ' ';
+                        advance(closeIndex === -1 ? source.length - pos : closeIndex + 2 - pos);
+                        continue;
+                    }
+                    if (source[pos] === '/' && source[pos + 1] === '/') {
+                        while (pos < source.length && source[pos] !== '\n') {
+                            advance(1);
+                        }
+                        break;
+                    }
+                    text += source[pos];
+                    advance(1);
+                }
+                push('directive', text.trim(), start, startLine, startColumn);
+                atLineStart = true;
+                continue;
+            }
+
+            // Identifiers and keywords (with string/char literal prefixes)
+            if (/[A-Za-z_$]/.test(ch)) {
+                let end = pos;
+                while (end < source.length && /[A-Za-z0-9_$]/.test(source[end])) {
+                    end++;
+                }
+                const word = source.slice(pos, end);
+                const quote = source[end];
+
+                if ((quote === '"' || quote === '\'') && /^(L|u|U|u8)$/.test(word)) {
+                    advance(end - pos);
+                    const value = this.readQuoted(source, pos, quote);
+                    advance(value.length);
+                    push(quote === '"' ? 'string' : 'char', word + value, start, startLine, startColumn);
+                    continue;
+                }
+
+                if (quote === '"' && /^(R|LR|uR|UR|u8R)$/.test(word) && this.language === 'cpp') {
+                    const delimiterEnd = source.indexOf('(', end);
+                    const delimiter = delimiterEnd === -1 ? '' : source.slice(end + 1, delimiterEnd);
+                    const closeIndex = source.indexOf(')' + delimiter + '"', delimiterEnd);
+                    const stop = closeIndex === -1 ? source.length : closeIndex + delimiter.length + 2;
+                    const value = source.slice(pos, stop);
+                    advance(stop - pos);
+                    push('string', value, start, startLine, startColumn);
+                    continue;
+                }
+
+                advance(end - pos);
+                push(this.keywords.has(word) ? 'keyword' : 'identifier', word, start, startLine, startColumn);
+                continue;
+            }
+
+            // Numbers
+            if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+                CLexer.NUMBER_PATTERN.lastIndex = pos;
+                const match = CLexer.NUMBER_PATTERN.exec(source);
+                const text = match ? match[0] : ch;
+                advance(text.length);
+                push('number', text, start, startLine, startColumn);
+                continue;
+            }
+
+            // String and character literals
+            if (ch === '"' || ch === '\'') {
+                const value = this.readQuoted(source, pos, ch);
+                advance(value.length);
+                push(ch === '"' ? 'string' : 'char', value, start, startLine, startColumn);
+                continue;
+            }
+
+            // Punctuators (longest match first)
+            const punctuator = this.punctuators.find(p => source.startsWith(p, pos));
+            if (punctuator) {
+                advance(punctuator.length);
+                push('punctuator', punctuator, start, startLine, startColumn);
+                continue;
+            }
+
+            // Unknown character: emit it so the parser can report and recover
+            advance(1);
+            push('punctuator', ch, start, startLine, startColumn);
+        }
+
+        tokens.push({
+            type: 'eof',
+            value: '',
+            line: line,
+            column: column,
+            start: pos,
+            end: pos,
+            endLine: line,
+            endColumn: column,
+            spaceBefore: true
+        });
+
+        return tokens;
+    }
+
+    /**
+     * Read a quoted literal starting at the opening quote
+     * @param {string} source - Source code
+     * @param {number} start - Offset of the opening quote
+     * @param {string} quote - Quote character (' or ")
+     * @returns {string} Literal text including both quotes
+     */
+    readQuoted(source, start, quote) {
+        let end = start + 1;
+        while (end < source.length) {
+            const ch = source[end];
+            if (ch === '\\') {
+                end += 2;
+                continue;
+            }
+            if (ch === quote) {
+                end++;
+                break;
+            }
+            if (ch === '\n') {
+                // Unterminated literal: stop at the end of the line
+                break;
+            }
+            end++;
+        }
+        return source.slice(start, Math.min(end, source.length));
+    }
+}
+
+CLexer.C_KEYWORDS = [
+    'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double',
+    'else', 'enum', 'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long',
+    'register', 'restrict', 'return', 'short', 'signed', 'sizeof', 'static', 'struct',
+    'switch', 'typedef', 'union', 'unsigned', 'void', 'volatile', 'while', '_Bool',
+    '_Complex', '_Alignas', '_Alignof', '_Atomic', '_Noreturn', '_Static_assert',
+    '_Thread_local', '__inline', '__inline__', '__restrict', '__restrict__',
+    '__attribute__', '__extension__', '__asm__', '__declspec'
+];
+
+CLexer.CPP_KEYWORDS = [
+    'alignas', 'alignof', 'asm', 'bool', 'catch', 'class', 'constexpr', 'const_cast',
+    'decltype', 'delete', 'dynamic_cast', 'explicit', 'export', 'false', 'friend',
+    'mutable', 'namespace', 'new', 'noexcept', 'nullptr', 'operator', 'private',
+    'protected', 'public', 'reinterpret_cast', 'static_assert', 'static_cast',
+    'template', 'this', 'thread_local', 'throw', 'true', 'try', 'typeid', 'typename',
+    'using', 'virtual', 'wchar_t'
+];
+
+CLexer.PUNCTUATORS = [
+    '<<=', '>>=', '...', '->*', '<=>',
+    '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||', '+=', '-=',
+    '*=', '/=', '%=', '&=', '^=', '|=', '::', '.*', '##',
+    '{', '}', '[', ']', '(', ')', ';', ':', ',', '.', '?', '~', '!', '+', '-', '*',
+    '/', '%', '<', '>', '=', '&', '^', '|', '#'
+];
+
+CLexer.NUMBER_PATTERN = /(?:0[xX][0-9a-fA-F']*(?:\.[0-9a-fA-F']*)?(?:[pP][+-]?[0-9]+)?|0[bB][01']+|[0-9][0-9']*\.?[0-9']*(?:[eE][+-]?[0-9]+)?|\.[0-9']+(?:[eE][+-]?[0-9]+)?)[A-Za-z_0-9]*/y;
+
+CLexer.CPP_ONLY_PUNCTUATORS = ['::', '->*', '.*', '<=>'];
@@ -0,0 +1,2060 @@
+/**
+ * C/C++ Recursive-Descent Parser
+ * Builds a syntax tree (functions, blocks, statements and expressions with
+ * source ranges) from the token stream produced by CLexer
+ */
+class CParser {
+    /**
+     * Create a new CParser instance
+     * @param {Array<Object>} tokens - Tokens produced by CLexer (directives are skipped)
+     * @param {string} language - Programming language ('c' or 'cpp')
+     */
+    constructor(tokens, language = 'c') {
+        const allTokens = Array.isArray(tokens) ? tokens : [];
+        this.directives = allTokens.filter(token => token.type === 'directive');
+        this.tokens = allTokens.filter(token => token.type !== 'directive');
+        if (this.tokens.length === 0 || this.tokens[this.tokens.length - 1].type !== 'eof') {
+            this.tokens.push({ type: 'eof', value: '', line: 1, column: 1, start: 0, end: 0, endLine: 1, endColumn: 1 });
+        }
+        this.language = language;
+        this.cpp = language === 'cpp';
+        this.pos = 0;
+        this.errors = [];
+        this.typeNames = new Set(CParser.BUILTIN_TYPE_NAMES);
+        this.classStack = [];
+    }
+
+    /**
+     * Parse the whole token stream
+     * @returns {Object} TranslationUnit node with body and collected syntax errors
+     */
+    parseTranslationUnit() {
+        const start = this.peek();
+        const body = this.parseExternalDeclarations();
+        const unit = this.finish({
+            type: 'TranslationUnit',
+            body: body
+        }, start);
+        unit.errors = this.errors;
+        return unit;
+    }
+
+    // ---------------------------------------------------------------------
+    // Token helpers
+    // ---------------------------------------------------------------------
+
+    peek(offset = 0) {
+        const index = Math.min(this.pos + offset, this.tokens.length - 1);
+        return this.tokens[index];
+    }
+
+    next() {
+        const token = this.peek();
+        if (this.pos < this.tokens.length - 1) {
+            this.pos++;
+        }
+        return token;
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.value === value && (token.type === 'punctuator' || token.type === 'keyword');
+    }
+
+    isIdentifier(offset = 0) {
+        return this.peek(offset).type === 'identifier';
+    }
+
+    isEOF() {
+        return this.peek().type === 'eof';
+    }
+
+    accept(value) {
+        if (this.is(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.is(value)) {
+            throw this.error(`Expected '${value}' but found '${this.peek().value || 'end of input'}'`);
+        }
+        return this.next();
+    }
+
+    expectIdentifier() {
+        if (!this.isIdentifier()) {
+            throw this.error(`Expected identifier but found '${this.peek().value || 'end of input'}'`);
+        }
+        return this.next();
+    }
+
+    error(message, token = this.peek()) {
+        const error = new Error(`${message} (line ${token.line})`);
+        error.line = token.line;
+        error.column = token.column;
+        return error;
+    }
+
+    recordError(error) {
+        this.errors.push({
+            message: error.message,
+            line: error.line || 0,
+            column: error.column || 0
+        });
+    }
+
+    /**
+     * Attach loc/range information spanning from startToken to the last consumed token
+     */
+    finish(node, startToken) {
+        const endToken = this.pos > 0 ? this.tokens[this.pos - 1] : startToken;
+        const last = endToken.end >= startToken.start ? endToken : startToken;
+        node.loc = {
+            start: { line: startToken.line, column: startToken.column },
+            end: { line: last.endLine, column: last.endColumn }
+        };
+        node.range = [startToken.start, last.end];
+        return node;
+    }
+
+    /**
+     * Run a parse function speculatively, restoring the position if it fails
+     * @returns {*} Parse result, or null if the attempt threw
+     */
+    tryParse(fn) {
+        const saved = this.pos;
+        const savedErrors = this.errors.length;
+        try {
+            return fn();
+        } catch (error) {
+            this.pos = saved;
+            this.errors.length = savedErrors;
+            return null;
+        }
+    }
+
+    /**
+     * Skip a balanced group starting at the current open token
+     */
+    skipBalanced(open, close) {
+        let depth = 0;
+        do {
+            if (this.isEOF()) return;
+            if (this.is(open)) depth++;
+            else if (this.is(close)) depth--;
+            this.next();
+        } while (depth > 0);
+    }
+
+    /**
+     * Skip tokens until the end of the current statement or declaration
+     */
+    synchronize() {
+        while (!this.isEOF()) {
+            if (this.is(';')) {
+                this.next();
+                return;
+            }
+            if (this.is('}')) {
+                return;
+            }
+            if (this.is('{')) {
+                this.skipBalanced('{', '}');
+                if (this.is(';')) this.next();
+                return;
+            }
+            if (this.is('(')) {
+                this.skipBalanced('(', ')');
+                continue;
+            }
+            this.next();
+        }
+    }
+
+    skipAttributes() {
+        let skipped = false;
+        for (;;) {
+            if (this.is('__attribute__') || this.is('__declspec') || this.is('__asm__') ||
+                this.is('alignas') || this.is('_Alignas')) {
+                this.next();
+                if (this.is('(')) this.skipBalanced('(', ')');
+                skipped = true;
+            } else if (this.cpp && this.is('[') && this.is('[', 1)) {
+                this.skipBalanced('[', ']');
+                skipped = true;
+            } else if (this.is('__extension__')) {
+                this.next();
+                skipped = true;
+            } else {
+                return skipped;
+            }
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Type classification
+    // ---------------------------------------------------------------------
+
+    isTypeKeyword(token) {
+        return token.type === 'keyword' && (
+            CParser.BASE_TYPE_KEYWORDS.includes(token.value) ||
+            CParser.QUALIFIER_KEYWORDS.includes(token.value) ||
+            CParser.STORAGE_KEYWORDS.includes(token.value) ||
+            CParser.RECORD_KEYWORDS.includes(token.value) ||
+            token.value === 'typename' || token.value === 'decltype' ||
+            token.value === '__attribute__' || token.value === '__extension__' ||
+            token.value === '_Alignas' || token.value === 'alignas' ||
+            (token.value === 'auto')
+        );
+    }
+
+    isTypeName(token) {
+        return token.type === 'identifier' && this.typeNames.has(token.value);
+    }
+
+    /**
+     * Skip a (possibly qualified, possibly templated) name used as a type,
+     * without building nodes. Used for lookahead only.
+     * @returns {boolean} True if a name was consumed
+     */
+    skipTypeNameTokens() {
+        let consumed = false;
+        if (this.cpp && this.is('::')) this.next();
+        for (;;) {
+            if (!this.isIdentifier()) return consumed;
+            this.next();
+            consumed = true;
+            if (this.cpp && this.is('<')) {
+                if (!this.skipTemplateAngles()) return false;
+            }
+            if (this.cpp && this.is('::') && (this.isIdentifier(1) || this.is('template', 1))) {
+                this.next();
+                this.accept('template');
+                continue;
+            }
+            return consumed;
+        }
+    }
+
+    /**
+     * Skip a balanced <...> template argument list during lookahead
+     * @returns {boolean} True if the angles were balanced
+     */
+    skipTemplateAngles() {
+        let depth = 0;
+        for (;;) {
+            const token = this.peek();
+            if (token.type === 'eof' || this.is(';') || this.is('{') || this.is('}')) return false;
+            if (this.is('<')) depth++;
+            else if (this.is('>')) depth--;
+            else if (this.is('>>')) {
+                if (depth < 2) return false;
+                depth -= 2;
+            } else if (this.is('(')) {
+                this.skipBalanced('(', ')');
+                continue;
+            } else if (token.type === 'punctuator' && !CParser.TEMPLATE_ARGUMENT_PUNCTUATORS.includes(token.value)) {
+                return false;
+            }
+            this.next();
+            if (depth === 0) return true;
+        }
+    }
+
+    /**
+     * Decide whether the tokens at the current position start a declaration
+     * @returns {boolean}
+     */
+    isDeclarationStart() {
+        const token = this.peek();
+        if (token.type === 'keyword') {
+            if (token.value === 'typedef' || token.value === 'using' || token.value === 'static_assert' ||
+                token.value === '_Static_assert' || token.value === 'template') {
+                return true;
+            }
+            if (this.isTypeKeyword(token)) {
+                // C++ functional casts such as int(x) are expressions
+                return !(this.cpp && CParser.BASE_TYPE_KEYWORDS.includes(token.value) && this.is('(', 1));
+            }
+            return false;
+        }
+        if (token.type !== 'identifier' && !(this.cpp && this.is('::'))) {
+            return false;
+        }
+        if (token.type === 'identifier' && (this.is(':', 1) || this.is('(', 1) && !this.typeNames.has(token.value))) {
+            return false;
+        }
+
+        const saved = this.pos;
+        try {
+            if (!this.skipTypeNameTokens()) return false;
+            while (this.is('const') || this.is('volatile')) this.next();
+            if (this.isIdentifier()) {
+                return true;
+            }
+            if (this.is('(')) {
+                // Function pointer declarator: T (*name)(...)
+                return this.isTypeName(token) && (this.is('*', 1) || this.is('&', 1));
+            }
+            let sawPointer = false;
+            while (this.is('*') || this.is('&') || this.is('&&') ||
+                   this.is('const') || this.is('volatile') || this.is('restrict')) {
+                sawPointer = true;
+                this.next();
+            }
+            if (sawPointer && this.isIdentifier()) {
+                const follower = this.peek(1);
+                return ['=', ';', ',', '[', ')', '(', ':'].includes(follower.value) || this.isTypeName(token);
+            }
+            return false;
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    /**
+     * Decide whether the tokens after an opening parenthesis form a type name
+     * @param {number} offset - Offset of the first token after '('
+     * @returns {boolean}
+     */
+    isTypeNameAt(offset) {
+        const token = this.peek(offset);
+        if (token.type === 'keyword') {
+            return this.isTypeKeyword(token) && token.value !== 'auto';
+        }
+        if (token.type !== 'identifier') {
+            return false;
+        }
+        const saved = this.pos;
+        try {
+            this.pos = Math.min(this.pos + offset, this.tokens.length - 1);
+            const known = this.typeNames.has(token.value) || /_t$/.test(token.value);
+            if (!this.skipTypeNameTokens()) return false;
+            const qualified = this.pos - (saved + offset) > 1;
+            while (this.is('const') || this.is('volatile')) this.next();
+            let pointers = 0;
+            while (this.is('*') || this.is('&') || this.is('const')) {
+                pointers++;
+                this.next();
+            }
+            // sizeof(size_t[4]): an array type is only recognised for names known to be types
+            if (known && pointers === 0 && this.is('[')) return true;
+            if (!this.is(')')) return false;
+            return known || pointers > 0 || (this.cpp && qualified);
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // External declarations
+    // ---------------------------------------------------------------------
+
+    /**
+     * Parse top-level declarations until end of input
+     * @returns {Array<Object>} Declaration, FunctionDefinition and namespace nodes
+     */
+    parseExternalDeclarations() {
+        const body = [];
+        while (!this.isEOF()) {
+            if (this.is('}')) {
+                this.recordError(this.error('Unexpected \'}\''));
+                this.next();
+                continue;
+            }
+            this.parseExternalDeclarationRecovering(body);
+        }
+        return body;
+    }
+
+    /**
+     * Parse one external declaration into body, skipping it on syntax errors
+     */
+    parseExternalDeclarationRecovering(body) {
+        const saved = this.pos;
+        try {
+            const node = this.parseExternalDeclaration();
+            if (node) body.push(node);
+        } catch (error) {
+            this.recordError(error);
+            this.pos = saved;
+            this.synchronize();
+            if (this.pos === saved) this.next();
+        }
+    }
+
+    parseExternalDeclaration() {
+        const start = this.peek();
+
+        if (this.accept(';')) {
+            return null;
+        }
+
+        if (this.cpp && this.is('namespace')) {
+            this.next();
+            let name = null;
+            while (this.isIdentifier() || this.is('::')) {
+                name = (name || '') + this.next().value;
+            }
+            if (this.accept('=')) {
+                this.synchronize();
+                return null;
+            }
+            return this.parseBracedDeclarations({ type: 'NamespaceDefinition', name: name }, start);
+        }
+
+        if (this.is('extern') && this.peek(1).type === 'string') {
+            this.next();
+            this.next();
+            if (this.is('{')) {
+                return this.parseBracedDeclarations({ type: 'LinkageSpecification' }, start);
+            }
+            return this.parseExternalDeclaration();
+        }
+
+        if (this.cpp && this.is('using')) {
+            this.synchronize();
+            return null;
+        }
+
+        if (this.is('static_assert') || this.is('_Static_assert') || this.is('asm') || this.is('__asm__')) {
+            this.synchronize();
+            return null;
+        }
+
+        if (this.cpp && this.is('template')) {
+            this.next();
+            if (this.is('<')) this.skipTemplateAngles();
+            const node = this.parseExternalDeclaration();
+            if (node) node.template = true;
+            return node;
+        }
+
+        if (this.cpp && this.isConstructorDefinitionStart()) {
+            return this.parseConstructorDefinition(start, null);
+        }
+
+        return this.parseDeclaration('global');
+    }
+
+    parseBracedDeclarations(node, start) {
+        this.expect('{');
+        const body = [];
+        while (!this.isEOF() && !this.is('}')) {
+            this.parseExternalDeclarationRecovering(body);
+        }
+        this.expect('}');
+        node.body = body;
+        return this.finish(node, start);
+    }
+
+    /**
+     * Detect an out-of-class constructor/destructor definition (Foo::Foo(...) / Foo::~Foo())
+     */
+    isConstructorDefinitionStart() {
+        if (!this.isIdentifier()) return false;
+        const saved = this.pos;
+        try {
+            const parts = [];
+            for (;;) {
+                if (this.accept('~')) {
+                    if (!this.isIdentifier()) return false;
+                    parts.push('~' + this.next().value);
+                } else if (this.isIdentifier()) {
+                    parts.push(this.next().value);
+                } else {
+                    return false;
+                }
+                if (this.is('<') && !this.skipTemplateAngles()) return false;
+                if (!this.accept('::')) break;
+            }
+            if (parts.length < 2 || !this.is('(')) return false;
+            const last = parts[parts.length - 1];
+            const owner = parts[parts.length - 2];
+            return last === owner || last === '~' + owner;
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    /**
+     * Parse a constructor or destructor definition or declaration
+     * @param {Object} start - First token
+     * @param {string|null} className - Enclosing class when parsed inside a class body
+     */
+    parseConstructorDefinition(start, className) {
+        const specifier = this.finish({
+            type: 'TypeSpecifier',
+            storage: [],
+            qualifiers: [],
+            base: '',
+            name: null,
+            record: null,
+            text: ''
+        }, start);
+        while (this.is('explicit') || this.is('virtual') || this.is('inline') || this.is('constexpr')) {
+            specifier.storage.push(this.next().value);
+        }
+        const declarator = this.parseDeclarator({ abstract: false, context: 'member' });
+        return this.parseDeclarationRest(specifier, declarator, start, className ? 'member' : 'global');
+    }
+
+    // ---------------------------------------------------------------------
+    // Declarations
+    // ---------------------------------------------------------------------
+
+    /**
+     * Parse declaration specifiers (storage class, qualifiers and base type)
+     * @param {boolean} typeContext - True where only a type can appear (casts, new, template arguments)
+     * @returns {Object} TypeSpecifier node
+     */
+    parseSpecifiers(typeContext = false) {
+        const start = this.peek();
+        const specifier = {
+            type: 'TypeSpecifier',
+            storage: [],
+            qualifiers: [],
+            keywords: [],
+            base: '',
+            name: null,
+            templateArgs: null,
+            record: null,
+            text: ''
+        };
+        let sawType = false;
+
+        for (;;) {
+            const token = this.peek();
+            if (this.skipAttributes()) {
+                continue;
+            }
+            if (token.type === 'keyword') {
+                if (CParser.STORAGE_KEYWORDS.includes(token.value) && !(token.value === 'auto' && this.cpp)) {
+                    specifier.storage.push(this.next().value);
+                    continue;
+                }
+                if (CParser.QUALIFIER_KEYWORDS.includes(token.value)) {
+                    specifier.qualifiers.push(this.next().value);
+                    continue;
+                }
+                if (CParser.BASE_TYPE_KEYWORDS.includes(token.value) || (token.value === 'auto' && this.cpp)) {
+                    specifier.keywords.push(this.next().value);
+                    sawType = true;
+                    continue;
+                }
+                if (CParser.RECORD_KEYWORDS.includes(token.value) && !sawType) {
+                    specifier.record = this.parseRecordSpecifier();
+                    sawType = true;
+                    continue;
+                }
+                if (token.value === 'typename') {
+                    this.next();
+                    continue;
+                }
+                if (token.value === 'decltype' && !sawType) {
+                    this.next();
+                    const exprStart = this.pos;
+                    this.skipBalanced('(', ')');
+                    specifier.name = 'decltype(' + this.tokensText(exprStart + 1, this.pos - 1) + ')';
+                    sawType = true;
+                    continue;
+                }
+                break;
+            }
+            if (!sawType && specifier.keywords.length === 0 &&
+                (token.type === 'identifier' || (this.cpp && this.is('::'))) && (typeContext || this.isNamedTypeHere())) {
+                const name = this.parseQualifiedName(true);
+                specifier.name = name.name;
+                specifier.templateArgs = name.templateArgs;
+                sawType = true;
+                continue;
+            }
+            break;
+        }
+
+        if (specifier.record) {
+            specifier.base = specifier.record.name
+                ? `${specifier.record.kind} ${specifier.record.name}`
+                : `${specifier.record.kind} <anonymous>`;
+        } else if (specifier.name) {
+            specifier.base = specifier.name + (specifier.templateArgs
+                ? '<' + specifier.templateArgs.map(arg => arg.text || CParser.print(arg)).join(', ') + '>'
+                : '');
+        } else {
+            specifier.base = specifier.keywords.join(' ') || (specifier.qualifiers.length ? 'int' : '');
+        }
+        specifier.text = specifier.qualifiers.concat([specifier.base]).filter(Boolean).join(' ');
+        return this.finish(specifier, start);
+    }
+
+    /**
+     * Decide whether an identifier in specifier position names a type
+     */
+    isNamedTypeHere() {
+        const token = this.peek();
+        if (this.isTypeName(token)) return true;
+        const saved = this.pos;
+        try {
+            if (!this.skipTypeNameTokens()) return false;
+            const follower = this.peek();
+            return follower.type === 'identifier' || ['*', '&', '&&', 'const', 'volatile', '...', 'operator'].includes(follower.value) ||
+                (follower.value === '(' && (this.is('*', 1) || this.is('&', 1)));
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    /**
+     * Parse a possibly qualified, possibly templated name
+     * @param {boolean} inType - True when parsing a type (template args always allowed)
+     * @returns {{name: string, templateArgs: Array|null}}
+     */
+    parseQualifiedName(inType) {
+        let name = '';
+        let templateArgs = null;
+        if (this.cpp && this.accept('::')) name = '::';
+        for (;;) {
+            if (this.accept('~')) {
+                name += '~';
+            }
+            if (this.is('operator')) {
+                name += this.parseOperatorName();
+                break;
+            }
+            name += this.expectIdentifier().value;
+            if (this.cpp && this.is('<') && (inType || this.looksLikeTemplateArguments())) {
+                templateArgs = this.parseTemplateArguments();
+            }
+            if (this.cpp && this.is('::') && (this.isIdentifier(1) || this.is('~', 1) || this.is('operator', 1) || this.is('template', 1))) {
+                this.next();
+                this.accept('template');
+                name += '::';
+                templateArgs = null;
+                continue;
+            }
+            break;
+        }
+        return { name: name, templateArgs: templateArgs };
+    }
+
+    parseOperatorName() {
+        this.expect('operator');
+        if (this.is('(') && this.is(')', 1)) {
+            this.next();
+            this.next();
+            return 'operator()';
+        }
+        if (this.is('[') && this.is(']', 1)) {
+            this.next();
+            this.next();
+            return 'operator[]';
+        }
+        if (this.is('new') || this.is('delete')) {
+            let name = 'operator ' + this.next().value;
+            if (this.is('[') && this.is(']', 1)) {
+                this.next();
+                this.next();
+                name += '[]';
+            }
+            return name;
+        }
+        if (this.peek().type === 'punctuator') {
+            return 'operator' + this.next().value;
+        }
+        // Conversion operator: operator bool(), operator T*()
+        const typeName = this.parseTypeName();
+        return 'operator ' + typeName.text;
+    }
+
+    /**
+     * Lookahead: does '<' at the current position open a template argument list?
+     */
+    looksLikeTemplateArguments() {
+        const saved = this.pos;
+        try {
+            if (!this.skipTemplateAngles()) return false;
+            return this.is('(') || this.is('::') || this.is('{');
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    /**
+     * Parse <arg, ...> into TypeName or expression nodes
+     */
+    parseTemplateArguments() {
+        this.expect('<');
+        const args = [];
+        while (!this.isCloseAngle() && !this.isEOF()) {
+            const token = this.peek();
+            if (token.type === 'number' || token.type === 'char' || this.is('true') || this.is('false')) {
+                args.push(this.parsePrimary());
+            } else {
+                args.push(this.parseTypeName());
+            }
+            if (!this.accept(',')) break;
+        }
+        this.expectCloseAngle();
+        return args;
+    }
+
+    isCloseAngle() {
+        return this.is('>') || this.is('>>') || this.is('>=') || this.is('>>=');
+    }
+
+    /**
+     * Consume a single '>' closing a template list, splitting '>>' when needed
+     */
+    expectCloseAngle() {
+        const token = this.peek();
+        if (this.is('>')) {
+            this.next();
+            return;
+        }
+        if (this.isCloseAngle()) {
+            const rest = token.value.slice(1);
+            const split = Object.assign({}, token, {
+                value: rest,
+                start: token.start + 1,
+                column: token.column + 1,
+                spaceBefore: false
+            });
+            token.value = '>';
+            token.end = token.start + 1;
+            token.endColumn = token.column + 1;
+            this.tokens.splice(this.pos + 1, 0, split);
+            this.next();
+            return;
+        }
+        throw this.error('Expected \'>\'');
+    }
+
+    /**
+     * Parse struct/union/class/enum specifier, including an optional body
+     * @returns {Object} RecordSpecifier or EnumSpecifier node
+     */
+    parseRecordSpecifier() {
+        const start = this.peek();
+        const kind = this.next().value;
+        if (kind === 'enum' && (this.is('class') || this.is('struct'))) this.next();
+        this.skipAttributes();
+
+        let name = null;
+        if (this.isIdentifier() || (this.cpp && this.is('::'))) {
+            name = this.parseQualifiedName(true).name;
+        }
+        if (this.isIdentifier() && this.peek().value === 'final') this.next();
+
+        const bases = [];
+        if (this.is(':') && !this.is('::')) {
+            this.next();
+            if (kind === 'enum') {
+                this.parseTypeName();
+            } else {
+                do {
+                    let access = null;
+                    while (this.is('public') || this.is('private') || this.is('protected') || this.is('virtual')) {
+                        const word = this.next().value;
+                        if (word !== 'virtual') access = word;
+                    }
+                    bases.push({ name: this.parseQualifiedName(true).name, access: access });
+                } while (this.accept(','));
+            }
+        }
+
+        if (name && (this.cpp || kind !== 'enum')) {
+            if (this.cpp) this.typeNames.add(name.split('::').pop());
+        }
+
+        if (kind === 'enum') {
+            const node = { type: 'EnumSpecifier', kind: kind, name: name, enumerators: null };
+            if (this.is('{')) {
+                this.next();
+                node.enumerators = [];
+                while (!this.is('}') && !this.isEOF()) {
+                    const enumStart = this.peek();
+                    const enumName = this.expectIdentifier().value;
+                    let value = null;
+                    if (this.accept('=')) value = this.parseConditional();
+                    node.enumerators.push(this.finish({ type: 'Enumerator', name: enumName, value: value }, enumStart));
+                    if (!this.accept(',')) break;
+                }
+                this.expect('}');
+            }
+            return this.finish(node, start);
+        }
+
+        const node = {
+            type: 'RecordSpecifier',
+            kind: kind,
+            name: name,
+            bases: bases,
+            members: null
+        };
+        if (this.is('{')) {
+            node.members = this.parseRecordBody(kind, name);
+        }
+        return this.finish(node, start);
+    }
+
+    /**
+     * Parse the members of a struct/union/class body
+     */
+    parseRecordBody(kind, name) {
+        this.expect('{');
+        const shortName = name ? name.split('::').pop() : null;
+        this.classStack.push(shortName);
+        const members = [];
+        let access = kind === 'class' ? 'private' : 'public';
+        try {
+            while (!this.is('}') && !this.isEOF()) {
+                const saved = this.pos;
+                try {
+                    if (this.accept(';')) continue;
+                    if ((this.is('public') || this.is('private') || this.is('protected')) && this.is(':', 1)) {
+                        access = this.next().value;
+                        this.next();
+                        continue;
+                    }
+                    const member = this.parseMemberDeclaration(shortName);
+                    if (member) {
+                        member.access = access;
+                        members.push(member);
+                    }
+                } catch (error) {
+                    this.recordError(error);
+                    this.pos = saved;
+                    this.synchronize();
+                    if (this.pos === saved) this.next();
+                }
+            }
+        } finally {
+            this.classStack.pop();
+        }
+        this.expect('}');
+        return members;
+    }
+
+    parseMemberDeclaration(className) {
+        const start = this.peek();
+        if (this.is('using') || this.is('friend') || this.is('static_assert') || this.is('_Static_assert')) {
+            this.synchronize();
+            return null;
+        }
+        if (this.cpp && this.is('template')) {
+            this.next();
+            if (this.is('<')) this.skipTemplateAngles();
+            return this.parseMemberDeclaration(className);
+        }
+        if (this.cpp && className && this.isConstructorMemberStart(className)) {
+            return this.parseConstructorDefinition(start, className);
+        }
+        return this.parseDeclaration('member');
+    }
+
+    isConstructorMemberStart(className) {
+        let offset = 0;
+        while (['explicit', 'virtual', 'inline', 'constexpr'].includes(this.peek(offset).value) &&
+               this.peek(offset).type === 'keyword') {
+            offset++;
+        }
+        if (this.is('~', offset)) offset++;
+        const token = this.peek(offset);
+        return token.type === 'identifier' && token.value === className && this.is('(', offset + 1);
+    }
+
+    /**
+     * Parse a declaration or function definition
+     * @param {string} context - 'global', 'block' or 'member'
+     * @returns {Object} Declaration or FunctionDefinition node
+     */
+    parseDeclaration(context) {
+        const start = this.peek();
+
+        if (this.is('typedef') || this.is('using') || this.is('static_assert') || this.is('_Static_assert')) {
+            if (!this.is('typedef')) {
+                this.synchronize();
+                return this.finish({ type: 'EmptyStatement' }, start);
+            }
+        }
+
+        const specifier = this.parseSpecifiers();
+        if (!specifier.base && specifier.storage.length === 0 && specifier.qualifiers.length === 0) {
+            throw this.error(`Unexpected '${this.peek().value || 'end of input'}'`);
+        }
+
+        if (this.is(';')) {
+            this.next();
+            return this.finish({
+                type: 'Declaration',
+                typeSpec: specifier,
+                storage: specifier.storage,
+                declarators: []
+            }, start);
+        }
+
+        const declarator = this.parseDeclarator({ abstract: false, context: context });
+        return this.parseDeclarationRest(specifier, declarator, start, context);
+    }
+
+    /**
+     * Continue a declaration after its first declarator
+     */
+    parseDeclarationRest(specifier, firstDeclarator, start, context) {
+        let declarator = firstDeclarator;
+
+        if (declarator.params && !declarator.nested && context !== 'block' &&
+            (this.is('{') || this.is('try') || (this.cpp && this.is(':')))) {
+            return this.parseFunctionDefinition(specifier, declarator, start);
+        }
+
+        const declarators = [];
+        for (;;) {
+            const node = {
+                type: 'VariableDeclarator',
+                name: declarator.name,
+                declarator: declarator,
+                pointerDepth: declarator.pointerDepth,
+                reference: declarator.reference,
+                arrayDims: declarator.arrayDims,
+                isFunction: !!(declarator.params && !declarator.nested),
+                init: null
+            };
+
+            this.skipAttributes();
+            if (this.accept('=')) {
+                if (node.isFunction && (this.is('0') || this.is('default') || this.is('delete') ||
+                    (this.peek().type === 'number' && this.peek().value === '0'))) {
+                    node.functionBody = this.next().value === '0' ? 'pure' : this.tokens[this.pos - 1].value;
+                } else if (this.is('{')) {
+                    node.init = this.parseInitializerList();
+                } else {
+                    node.init = this.parseAssignment();
+                }
+            } else if (this.cpp && this.is('{')) {
+                node.init = this.parseInitializerList();
+                node.init.braceInit = true;
+            } else if (declarator.constructorArgs) {
+                // Moved rather than shared, so walks do not visit the arguments twice
+                node.init = declarator.constructorArgs;
+                declarator.constructorArgs = null;
+            } else if (this.is(':') && context === 'member') {
+                this.next();
+                node.bitWidth = this.parseConditional();
+            }
+            this.skipAttributes();
+
+            declarators.push(this.finish(node, declarator.startToken || start));
+
+            if (!this.accept(',')) break;
+            declarator = this.parseDeclarator({ abstract: false, context: context });
+        }
+
+        this.expect(';');
+
+        if (specifier.storage.includes('typedef')) {
+            declarators.forEach(d => {
+                if (d.name) this.typeNames.add(d.name);
+            });
+        }
+
+        return this.finish({
+            type: 'Declaration',
+            typeSpec: specifier,
+            storage: specifier.storage,
+            declarators: declarators
+        }, start);
+    }
+
+    /**
+     * Parse a declarator: pointers, name, array dimensions and parameter lists
+     * @param {Object} options - { abstract: boolean, context: string }
+     * @returns {Object} Declarator node
+     */
+    parseDeclarator(options = {}) {
+        const start = this.peek();
+        const declarator = {
+            type: 'Declarator',
+            name: null,
+            pointerDepth: 0,
+            reference: null,
+            arrayDims: [],
+            params: null,
+            variadic: false,
+            nested: null,
+            qualifiers: [],
+            constructorArgs: null,
+            startToken: start
+        };
+
+        for (;;) {
+            this.skipAttributes();
+            if (this.accept('*')) {
+                declarator.pointerDepth++;
+                while (this.is('const') || this.is('volatile') || this.is('restrict') ||
+                       this.is('__restrict') || this.is('__restrict__') || this.is('_Atomic')) {
+                    this.next();
+                }
+                continue;
+            }
+            if (this.cpp && (this.is('&') || this.is('&&'))) {
+                declarator.reference = this.next().value;
+                continue;
+            }
+            break;
+        }
+
+        if (this.is('(') && (this.is('*', 1) || this.is('&', 1) || this.is('^', 1) ||
+            (this.is('(', 1) && options.abstract))) {
+            this.next();
+            declarator.nested = this.parseDeclarator(options);
+            this.expect(')');
+            declarator.name = declarator.nested.name;
+        } else if (this.isIdentifier() || this.is('~') || this.is('operator') || (this.cpp && this.is('::'))) {
+            const nameToken = this.peek();
+            declarator.name = this.parseQualifiedName(false).name;
+            declarator.nameLoc = { line: nameToken.line, column: nameToken.column };
+        } else if (!options.abstract) {
+            throw this.error(`Expected declarator but found '${this.peek().value || 'end of input'}'`);
+        }
+
+        for (;;) {
+            if (this.is('[')) {
+                this.next();
+                declarator.arrayDims.push(this.is(']') ? null : this.parseAssignment());
+                this.expect(']');
+                continue;
+            }
+            if (this.is('(') && !declarator.params) {
+                if (!options.abstract && options.context !== 'member' && this.cpp && declarator.name &&
+                    !declarator.nested && !this.looksLikeParameterList()) {
+                    // T x(args): direct-initialisation rather than a function declarator
+                    const argsStart = this.peek();
+                    declarator.constructorArgs = this.finish({
+                        type: 'ConstructorInitializer',
+                        arguments: this.parseArguments()
+                    }, argsStart);
+                    break;
+                }
+                const paramList = this.parseParameterList();
+                declarator.params = paramList.params;
+                declarator.variadic = paramList.variadic;
+                this.parseFunctionQualifiers(declarator);
+                continue;
+            }
+            break;
+        }
+
+        return this.finish(declarator, start);
+    }
+
+    /**
+     * Lookahead: does '(' at the current position start a parameter list?
+     */
+    looksLikeParameterList() {
+        if (this.is(')', 1)) return true;
+        const token = this.peek(1);
+        if (token.type === 'keyword') {
+            return this.isTypeKeyword(token) || token.value === 'void';
+        }
+        if (this.is('...', 1)) return true;
+        if (token.type !== 'identifier') return false;
+        if (this.isTypeName(token)) return true;
+        const saved = this.pos;
+        try {
+            this.next();
+            if (!this.skipTypeNameTokens()) return false;
+            return this.isIdentifier() || this.is('*') || this.is('&') || this.is('&&') || this.is('const');
+        } finally {
+            this.pos = saved;
+        }
+    }
+
+    parseParameterList() {
+        this.expect('(');
+        const params = [];
+        let variadic = false;
+        if (this.is('void') && this.is(')', 1)) {
+            this.next();
+        }
+        while (!this.is(')') && !this.isEOF()) {
+            if (this.accept('...')) {
+                variadic = true;
+                break;
+            }
+            const start = this.peek();
+            const specifier = this.parseSpecifiers();
+            if (!specifier.base && this.isIdentifier()) {
+                // K&R identifier list or unknown type: treat the identifier as the type
+                specifier.base = specifier.name = this.next().value;
+                specifier.text = specifier.base;
+            }
+            const declarator = this.parseDeclarator({ abstract: true, context: 'param' });
+            let defaultValue = null;
+            if (this.cpp && this.accept('=')) {
+                defaultValue = this.parseAssignment();
+            }
+            params.push(this.finish({
+                type: 'ParameterDeclaration',
+                name: declarator.name,
+                typeSpec: specifier,
+                declarator: declarator,
+                pointerDepth: declarator.pointerDepth + (declarator.arrayDims.length > 0 ? 1 : 0),
+                reference: declarator.reference,
+                defaultValue: defaultValue
+            }, start));
+            if (!this.accept(',')) break;
+        }
+        this.expect(')');
+        return { params: params, variadic: variadic };
+    }
+
+    /**
+     * Consume trailing function qualifiers (const, noexcept, override, -> T, ...)
+     */
+    parseFunctionQualifiers(declarator) {
+        for (;;) {
+            if (this.is('const') || this.is('volatile')) {
+                declarator.qualifiers.push(this.next().value);
+            } else if (this.cpp && (this.is('&') || this.is('&&')) && !this.isIdentifier(1)) {
+                this.next();
+            } else if (this.is('noexcept')) {
+                this.next();
+                declarator.noexcept = true;
+                if (this.is('(')) {
+                    const exprStart = this.pos;
+                    this.skipBalanced('(', ')');
+                    if (this.tokensText(exprStart + 1, this.pos - 1) === 'false') declarator.noexcept = false;
+                }
+            } else if (this.is('throw') && this.is('(', 1)) {
+                this.next();
+                declarator.noexcept = this.is(')', 1);
+                this.skipBalanced('(', ')');
+            } else if (this.isIdentifier() && (this.peek().value === 'override' || this.peek().value === 'final')) {
+                declarator.qualifiers.push(this.next().value);
+            } else if (this.cpp && this.is('->')) {
+                this.next();
+                declarator.trailingReturn = this.parseTypeName();
+            } else if (!this.skipAttributes()) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Parse a function body (and constructor initializer list)
+     */
+    parseFunctionDefinition(specifier, declarator, start) {
+        const initializers = [];
+        if (this.cpp && this.is(':')) {
+            this.next();
+            do {
+                const initStart = this.peek();
+                const name = this.parseQualifiedName(true).name;
+                let args = [];
+                if (this.is('{')) {
+                    args = this.parseInitializerList().elements;
+                } else {
+                    args = this.parseArguments();
+                }
+                initializers.push(this.finish({ type: 'MemberInitializer', name: name, arguments: args }, initStart));
+            } while (this.accept(','));
+        }
+
+        let body;
+        if (this.is('try')) {
+            const tryStart = this.peek();
+            const tryStatement = this.parseTryStatement();
+            body = this.finish({ type: 'CompoundStatement', body: [tryStatement] }, tryStart);
+        } else {
+            body = this.parseCompoundStatement();
+        }
+
+        const qualifiedName = declarator.name || '';
+        const parts = qualifiedName.split('::');
+        const shortName = parts[parts.length - 1];
+        const enclosingClass = this.classStack.length > 0 ? this.classStack[this.classStack.length - 1] : null;
+        const className = parts.length > 1 ? parts[parts.length - 2] : enclosingClass;
+
+        return this.finish({
+            type: 'FunctionDefinition',
+            name: shortName,
+            qualifiedName: qualifiedName,
+            className: className,
+            returnType: specifier,
+            declarator: declarator,
+            params: declarator.params || [],
+            variadic: declarator.variadic,
+            storage: specifier.storage,
+            initializers: initializers,
+            isConstructor: !!className && shortName === className,
+            isDestructor: !!className && shortName === '~' + className,
+            noexcept: !!declarator.noexcept,
+            body: body
+        }, start);
+    }
+
+    /**
+     * Parse a type name as used in casts, sizeof, new and template arguments
+     * @returns {Object} TypeName node
+     */
+    parseTypeName() {
+        const start = this.peek();
+        const specifier = this.parseSpecifiers(true);
+        if (!specifier.base) {
+            throw this.error(`Expected type name but found '${this.peek().value || 'end of input'}'`);
+        }
+        const declarator = this.parseDeclarator({ abstract: true, context: 'type' });
+        const dims = declarator.arrayDims.map(dim => '[' + (dim ? CParser.print(dim) : '') + ']').join('');
+        return this.finish({
+            type: 'TypeName',
+            specifier: specifier,
+            declarator: declarator,
+            pointerDepth: declarator.pointerDepth,
+            text: specifier.text + (declarator.pointerDepth ? ' ' + '*'.repeat(declarator.pointerDepth) : '') +
+                (declarator.reference ? ' ' + declarator.reference : '') + dims
+        }, start);
+    }
+
+    tokensText(from, to) {
+        let text = '';
+        for (let i = from; i < to && i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (text && token.spaceBefore) text += ' ';
+            text += token.value;
+        }
+        return text;
+    }
+
+    // ---------------------------------------------------------------------
+    // Statements
+    // ---------------------------------------------------------------------
+
+    parseCompoundStatement() {
+        const start = this.peek();
+        this.expect('{');
+        const body = [];
+        while (!this.is('}') && !this.isEOF()) {
+            const statement = this.parseStatementRecovering();
+            if (statement) body.push(statement);
+        }
+        this.expect('}');
+        return this.finish({ type: 'CompoundStatement', body: body }, start);
+    }
+
+    /**
+     * Parse a statement, skipping to the next statement boundary on syntax errors
+     */
+    parseStatementRecovering() {
+        const saved = this.pos;
+        const start = this.peek();
+        try {
+            return this.parseStatement();
+        } catch (error) {
+            this.recordError(error);
+            this.pos = saved;
+            this.synchronize();
+            if (this.pos === saved) this.next();
+            return this.finish({ type: 'ErrorStatement', message: error.message }, start);
+        }
+    }
+
+    parseStatement() {
+        const start = this.peek();
+        const token = start;
+
+        if (token.type === 'punctuator') {
+            if (token.value === '{') return this.parseCompoundStatement();
+            if (token.value === ';') {
+                this.next();
+                return this.finish({ type: 'EmptyStatement' }, start);
+            }
+        }
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if': {
+                    this.next();
+                    this.accept('constexpr');
+                    this.expect('(');
+                    const test = this.parseExpression();
+                    this.expect(')');
+                    const consequent = this.parseStatementRecovering();
+                    let alternate = null;
+                    if (this.accept('else')) {
+                        alternate = this.parseStatementRecovering();
+                    }
+                    return this.finish({ type: 'IfStatement', test: test, consequent: consequent, alternate: alternate }, start);
+                }
+                case 'while': {
+                    this.next();
+                    this.expect('(');
+                    const test = this.parseExpression();
+                    this.expect(')');
+                    const body = this.parseStatementRecovering();
+                    return this.finish({ type: 'WhileStatement', test: test, body: body }, start);
+                }
+                case 'do': {
+                    this.next();
+                    const body = this.parseStatementRecovering();
+                    this.expect('while');
+                    this.expect('(');
+                    const test = this.parseExpression();
+                    this.expect(')');
+                    this.expect(';');
+                    return this.finish({ type: 'DoWhileStatement', test: test, body: body }, start);
+                }
+                case 'for':
+                    return this.parseForStatement();
+                case 'switch': {
+                    this.next();
+                    this.expect('(');
+                    const discriminant = this.parseExpression();
+                    this.expect(')');
+                    const body = this.parseStatementRecovering();
+                    return this.finish({ type: 'SwitchStatement', discriminant: discriminant, body: body }, start);
+                }
+                case 'case': {
+                    this.next();
+                    const test = this.parseConditional();
+                    if (this.accept('...')) this.parseConditional();
+                    this.expect(':');
+                    return this.finish({ type: 'CaseLabel', test: test }, start);
+                }
+                case 'default':
+                    this.next();
+                    this.expect(':');
+                    return this.finish({ type: 'DefaultLabel' }, start);
+                case 'return': {
+                    this.next();
+                    let argument = null;
+                    if (!this.is(';')) {
+                        argument = this.is('{') ? this.parseInitializerList() : this.parseExpression();
+                    }
+                    this.expect(';');
+                    return this.finish({ type: 'ReturnStatement', argument: argument }, start);
+                }
+                case 'break':
+                    this.next();
+                    this.expect(';');
+                    return this.finish({ type: 'BreakStatement' }, start);
+                case 'continue':
+                    this.next();
+                    this.expect(';');
+                    return this.finish({ type: 'ContinueStatement' }, start);
+                case 'goto': {
+                    this.next();
+                    if (this.accept('*')) {
+                        const target = this.parseExpression();
+                        this.expect(';');
+                        return this.finish({ type: 'GotoStatement', label: null, computed: target }, start);
+                    }
+                    const label = this.expectIdentifier().value;
+                    this.expect(';');
+                    return this.finish({ type: 'GotoStatement', label: label }, start);
+                }
+                case 'try':
+                    if (this.cpp) return this.parseTryStatement();
+                    break;
+                case 'asm':
+                case '__asm__':
+                case 'using':
+                case 'static_assert':
+                case '_Static_assert':
+                    this.synchronize();
+                    return this.finish({ type: 'EmptyStatement' }, start);
+                default:
+                    break;
+            }
+        }
+
+        if (token.type === 'identifier' && this.is(':', 1)) {
+            this.next();
+            this.next();
+            return this.finish({ type: 'Label', name: token.value }, start);
+        }
+
+        if (this.isDeclarationStart()) {
+            return this.parseDeclaration('block');
+        }
+
+        const expression = this.parseExpression();
+        this.expect(';');
+        return this.finish({ type: 'ExpressionStatement', expression: expression }, start);
+    }
+
+    parseForStatement() {
+        const start = this.peek();
+        this.expect('for');
+        this.expect('(');
+
+        let init = null;
+        if (this.is(';')) {
+            this.next();
+        } else if (this.isDeclarationStart()) {
+            const declStart = this.peek();
+            const specifier = this.parseSpecifiers();
+            const declarator = this.parseDeclarator({ abstract: false, context: 'block' });
+            if (this.cpp && this.is(':') && !this.is('::')) {
+                // Range-based for loop
+                this.next();
+                const right = this.parseExpression();
+                this.expect(')');
+                const left = this.finish({
+                    type: 'Declaration',
+                    typeSpec: specifier,
+                    storage: specifier.storage,
+                    declarators: [this.finish({
+                        type: 'VariableDeclarator',
+                        name: declarator.name,
+                        declarator: declarator,
+                        pointerDepth: declarator.pointerDepth,
+                        reference: declarator.reference,
+                        arrayDims: declarator.arrayDims,
+                        isFunction: false,
+                        init: null
+                    }, declStart)]
+                }, declStart);
+                const body = this.parseStatementRecovering();
+                return this.finish({ type: 'ForRangeStatement', left: left, right: right, body: body }, start);
+            }
+            init = this.parseDeclarationRest(specifier, declarator, declStart, 'block');
+        } else {
+            const exprStart = this.peek();
+            const expression = this.parseExpression();
+            this.expect(';');
+            init = this.finish({ type: 'ExpressionStatement', expression: expression }, exprStart);
+        }
+
+        const test = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        const update = this.is(')') ? null : this.parseExpression();
+        this.expect(')');
+        const body = this.parseStatementRecovering();
+        return this.finish({ type: 'ForStatement', init: init, test: test, update: update, body: body }, start);
+    }
+
+    parseTryStatement() {
+        const start = this.peek();
+        this.expect('try');
+        const block = this.parseCompoundStatement();
+        const handlers = [];
+        while (this.is('catch')) {
+            const catchStart = this.next();
+            this.expect('(');
+            let param = null;
+            if (this.accept('...')) {
+                param = null;
+            } else {
+                const paramStart = this.peek();
+                const specifier = this.parseSpecifiers();
+                const declarator = this.parseDeclarator({ abstract: true, context: 'param' });
+                param = this.finish({
+                    type: 'ParameterDeclaration',
+                    name: declarator.name,
+                    typeSpec: specifier,
+                    declarator: declarator,
+                    pointerDepth: declarator.pointerDepth,
+                    reference: declarator.reference,
+                    defaultValue: null
+                }, paramStart);
+            }
+            this.expect(')');
+            const body = this.parseCompoundStatement();
+            handlers.push(this.finish({ type: 'CatchClause', param: param, body: body }, catchStart));
+        }
+        return this.finish({ type: 'TryStatement', block: block, handlers: handlers }, start);
+    }
+
+    // ---------------------------------------------------------------------
+    // Expressions
+    // ---------------------------------------------------------------------
+
+    parseExpression() {
+        const start = this.peek();
+        const first = this.parseAssignment();
+        if (!this.is(',')) return first;
+        const expressions = [first];
+        while (this.accept(',')) {
+            expressions.push(this.parseAssignment());
+        }
+        return this.finish({ type: 'SequenceExpression', expressions: expressions }, start);
+    }
+
+    parseAssignment() {
+        const start = this.peek();
+        if (this.cpp && this.is('throw')) {
+            this.next();
+            const argument = (this.is(';') || this.is(')') || this.is(',')) ? null : this.parseAssignment();
+            return this.finish({ type: 'ThrowExpression', argument: argument }, start);
+        }
+        const left = this.parseConditional();
+        const token = this.peek();
+        if (token.type === 'punctuator' && CParser.ASSIGNMENT_OPERATORS.includes(token.value)) {
+            this.next();
+            const right = (this.cpp && this.is('{')) ? this.parseInitializerList() : this.parseAssignment();
+            return this.finish({ type: 'AssignmentExpression', operator: token.value, left: left, right: right }, start);
+        }
+        return left;
+    }
+
+    parseConditional() {
+        const start = this.peek();
+        const test = this.parseBinary(1);
+        if (!this.accept('?')) return test;
+        const consequent = this.is(':') ? test : this.parseExpression();
+        this.expect(':');
+        const alternate = this.parseAssignment();
+        return this.finish({ type: 'ConditionalExpression', test: test, consequent: consequent, alternate: alternate }, start);
+    }
+
+    parseBinary(minPrecedence) {
+        const start = this.peek();
+        let left = this.parseUnary();
+        for (;;) {
+            const token = this.peek();
+            const precedence = token.type === 'punctuator' ? CParser.BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) {
+                return left;
+            }
+            this.next();
+            const right = this.parseBinary(precedence + 1);
+            left = this.finish({
+                type: (token.value === '&&' || token.value === '||') ? 'LogicalExpression' : 'BinaryExpression',
+                operator: token.value,
+                left: left,
+                right: right
+            }, start);
+        }
+    }
+
+    parseUnary() {
+        const start = this.peek();
+        const token = start;
+
+        if (token.type === 'punctuator') {
+            if (token.value === '++' || token.value === '--') {
+                this.next();
+                const argument = this.parseUnary();
+                return this.finish({ type: 'UpdateExpression', operator: token.value, prefix: true, argument: argument }, start);
+            }
+            if (['+', '-', '!', '~', '*', '&'].includes(token.value)) {
+                this.next();
+                const argument = this.parseUnary();
+                return this.finish({ type: 'UnaryExpression', operator: token.value, argument: argument }, start);
+            }
+            if (token.value === '&&') {
+                // GNU label address
+                this.next();
+                const label = this.expectIdentifier().value;
+                return this.finish({ type: 'Identifier', name: '&&' + label }, start);
+            }
+            if (token.value === '(' && this.isTypeNameAt(1)) {
+                this.next();
+                const typeName = this.parseTypeName();
+                this.expect(')');
+                if (this.is('{')) {
+                    const initializer = this.parseInitializerList();
+                    return this.parsePostfix(this.finish({ type: 'CompoundLiteral', typeName: typeName, initializer: initializer }, start), start);
+                }
+                const argument = this.parseUnary();
+                return this.finish({ type: 'CastExpression', castKind: 'c', typeName: typeName, argument: argument }, start);
+            }
+            if (token.value === '::' && (this.is('new', 1) || this.is('delete', 1))) {
+                this.next();
+                return this.parseUnary();
+            }
+        }
+
+        if (token.type === 'keyword') {
+            if (token.value === 'sizeof' || token.value === 'alignof' || token.value === '_Alignof') {
+                this.next();
+                if (this.accept('...')) {
+                    this.skipBalanced('(', ')');
+                    return this.finish({ type: 'SizeofExpression', operator: token.value, argument: null, typeName: null }, start);
+                }
+                if (this.is('(') && this.isTypeNameAt(1)) {
+                    this.next();
+                    const typeName = this.parseTypeName();
+                    this.expect(')');
+                    return this.finish({ type: 'SizeofExpression', operator: token.value, argument: null, typeName: typeName }, start);
+                }
+                const argument = this.parseUnary();
+                return this.finish({ type: 'SizeofExpression', operator: token.value, argument: argument, typeName: null }, start);
+            }
+            if (this.cpp && token.value === 'new') {
+                return this.parseNewExpression();
+            }
+            if (this.cpp && token.value === 'delete') {
+                this.next();
+                let isArray = false;
+                if (this.is('[') && this.is(']', 1)) {
+                    this.next();
+                    this.next();
+                    isArray = true;
+                }
+                const argument = this.parseUnary();
+                return this.finish({ type: 'DeleteExpression', argument: argument, isArray: isArray }, start);
+            }
+            if (this.cpp && ['static_cast', 'dynamic_cast', 'const_cast', 'reinterpret_cast'].includes(token.value)) {
+                this.next();
+                this.expect('<');
+                const typeName = this.parseTypeName();
+                this.expectCloseAngle();
+                this.expect('(');
+                const argument = this.parseExpression();
+                this.expect(')');
+                return this.parsePostfix(this.finish({ type: 'CastExpression', castKind: token.value, typeName: typeName, argument: argument }, start), start);
+            }
+        }
+
+        return this.parsePostfix(this.parsePrimary(), start);
+    }
+
+    parseNewExpression() {
+        const start = this.peek();
+        this.expect('new');
+        let placement = null;
+        let typeName;
+        if (this.is('(')) {
+            if (this.isTypeNameAt(1)) {
+                this.next();
+                typeName = this.parseTypeName();
+                this.expect(')');
+            } else {
+                placement = this.parseArguments();
+            }
+        }
+        if (!typeName) {
+            if (this.is('(') && this.isTypeNameAt(1)) {
+                this.next();
+                typeName = this.parseTypeName();
+                this.expect(')');
+            } else {
+                const typeStart = this.peek();
+                const specifier = this.parseSpecifiers(true);
+                if (!specifier.base) {
+                    throw this.error(`Expected type after 'new' but found '${this.peek().value || 'end of input'}'`);
+                }
+                let pointerDepth = 0;
+                while (this.accept('*')) pointerDepth++;
+                typeName = this.finish({
+                    type: 'TypeName',
+                    specifier: specifier,
+                    declarator: null,
+                    pointerDepth: pointerDepth,
+                    text: specifier.text + (pointerDepth ? ' ' + '*'.repeat(pointerDepth) : '')
+                }, typeStart);
+            }
+        }
+
+        let arraySize = null;
+        const extraDims = [];
+        while (this.is('[')) {
+            this.next();
+            const dim = this.parseExpression();
+            this.expect(']');
+            if (arraySize === null) arraySize = dim;
+            else extraDims.push(dim);
+        }
+
+        let args = null;
+        if (this.is('(')) {
+            args = this.parseArguments();
+        } else if (this.is('{')) {
+            args = this.parseInitializerList().elements;
+        }
+
+        return this.finish({
+            type: 'NewExpression',
+            typeName: typeName,
+            arguments: args,
+            arraySize: arraySize,
+            extraDims: extraDims,
+            isArray: arraySize !== null,
+            placement: placement
+        }, start);
+    }
+
+    parsePostfix(expression, start) {
+        let node = expression;
+        for (;;) {
+            if (this.is('[')) {
+                this.next();
+                const index = this.parseExpression();
+                this.expect(']');
+                node = this.finish({ type: 'SubscriptExpression', object: node, index: index }, start);
+                continue;
+            }
+            if (this.is('(')) {
+                const args = this.parseArguments();
+                node = this.finish({ type: 'CallExpression', callee: node, arguments: args }, start);
+                continue;
+            }
+            if (this.cpp && this.is('{') && node.type === 'Identifier' && this.typeNames.has(node.name.split('::').pop())) {
+                const list = this.parseInitializerList();
+                node = this.finish({ type: 'CallExpression', callee: node, arguments: list.elements, braceInit: true }, start);
+                continue;
+            }
+            if (this.is('.') || this.is('->')) {
+                const arrow = this.next().value === '->';
+                this.accept('template');
+                let property;
+                if (this.is('~')) {
+                    this.next();
+                    property = '~' + this.expectIdentifier().value;
+                } else if (this.is('operator')) {
+                    property = this.parseOperatorName();
+                } else {
+                    property = this.expectIdentifier().value;
+                }
+                let templateArgs = null;
+                if (this.cpp && this.is('<') && this.looksLikeTemplateArguments()) {
+                    templateArgs = this.parseTemplateArguments();
+                }
+                node = this.finish({ type: 'MemberExpression', object: node, property: property, arrow: arrow, templateArgs: templateArgs }, start);
+                continue;
+            }
+            if (this.is('++') || this.is('--')) {
+                const operator = this.next().value;
+                node = this.finish({ type: 'UpdateExpression', operator: operator, prefix: false, argument: node }, start);
+                continue;
+            }
+            return node;
+        }
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.is(')') && !this.isEOF()) {
+            args.push(this.is('{') ? this.parseInitializerList() : this.parseAssignment());
+            this.accept('...');
+            if (!this.accept(',')) break;
+        }
+        this.expect(')');
+        return args;
+    }
+
+    parseInitializerList() {
+        const start = this.peek();
+        this.expect('{');
+        const elements = [];
+        while (!this.is('}') && !this.isEOF()) {
+            // Skip designators: .field = / [index] =
+            const saved = this.pos;
+            let designated = false;
+            while (this.is('.') && this.isIdentifier(1) || this.is('[')) {
+                if (this.is('.')) {
+                    this.next();
+                    this.next();
+                } else {
+                    this.skipBalanced('[', ']');
+                }
+                designated = true;
+            }
+            if (designated && !this.accept('=')) {
+                this.pos = saved;
+            }
+            elements.push(this.is('{') ? this.parseInitializerList() : this.parseAssignment());
+            this.accept('...');
+            if (!this.accept(',')) break;
+        }
+        this.expect('}');
+        return this.finish({ type: 'InitializerList', elements: elements }, start);
+    }
+
+    parsePrimary() {
+        const start = this.peek();
+        const token = start;
+
+        if (token.type === 'number') {
+            this.next();
+            return this.finish({ type: 'Literal', kind: 'number', value: CParser.parseNumber(token.value), raw: token.value }, start);
+        }
+        if (token.type === 'char') {
+            this.next();
+            return this.finish({ type: 'Literal', kind: 'char', value: token.value, raw: token.value }, start);
+        }
+        if (token.type === 'string') {
+            let raw = this.next().value;
+            // Adjacent string literals are concatenated
+            while (this.peek().type === 'string' ||
+                   (this.isIdentifier() && /^PRI[diouxX]/.test(this.peek().value) && this.peek(1).type === 'string')) {
+                raw += ' ' + this.next().value;
+            }
+            return this.finish({ type: 'Literal', kind: 'string', value: CParser.stringValue(raw), raw: raw }, start);
+        }
+        if (token.type === 'keyword') {
+            if (token.value === 'true' || token.value === 'false') {
+                this.next();
+                return this.finish({ type: 'Literal', kind: 'boolean', value: token.value === 'true', raw: token.value }, start);
+            }
+            if (token.value === 'nullptr') {
+                this.next();
+                return this.finish({ type: 'Literal', kind: 'null', value: null, raw: 'nullptr' }, start);
+            }
+            if (token.value === 'this') {
+                this.next();
+                return this.finish({ type: 'ThisExpression' }, start);
+            }
+            if (this.cpp && (CParser.BASE_TYPE_KEYWORDS.includes(token.value) || token.value === 'typename')) {
+                // Functional cast: int(x), unsigned(y)
+                if (token.value === 'typename') this.next();
+                const name = this.next().value;
+                return this.finish({ type: 'Identifier', name: name, isTypeName: true }, start);
+            }
+            if (token.value === 'typeid' || token.value === 'decltype' || token.value === 'noexcept') {
+                this.next();
+                const args = this.parseArguments();
+                return this.finish({ type: 'CallExpression', callee: { type: 'Identifier', name: token.value }, arguments: args }, start);
+            }
+        }
+        if (token.type === 'identifier' || (this.cpp && (this.is('::') || this.is('~')))) {
+            const name = this.parseQualifiedName(false);
+            return this.finish({ type: 'Identifier', name: name.name, templateArgs: name.templateArgs }, start);
+        }
+        if (this.is('(')) {
+            this.next();
+            if (this.is('{')) {
+                // GNU statement expression
+                const block = this.parseCompoundStatement();
+                this.expect(')');
+                return this.finish({ type: 'StatementExpression', body: block }, start);
+            }
+            const expression = this.parseExpression();
+            this.expect(')');
+            expression.parenthesized = true;
+            return expression;
+        }
+        if (this.is('{')) {
+            return this.parseInitializerList();
+        }
+        if (this.cpp && this.is('[')) {
+            return this.parseLambda();
+        }
+        throw this.error(`Unexpected '${token.value || 'end of input'}'`);
+    }
+
+    parseLambda() {
+        const start = this.peek();
+        this.skipBalanced('[', ']');
+        let params = [];
+        if (this.is('(')) {
+            params = this.parseParameterList().params;
+        }
+        const declarator = { qualifiers: [] };
+        while (this.is('mutable') || this.is('constexpr')) this.next();
+        this.parseFunctionQualifiers(declarator);
+        const body = this.parseCompoundStatement();
+        return this.finish({ type: 'LambdaExpression', params: params, body: body }, start);
+    }
+
+    // ---------------------------------------------------------------------
+    // Static helpers
+    // ---------------------------------------------------------------------
+
+    static parseNumber(raw) {
+        const text = String(raw).replace(/'/g, '').replace(/([uUlLfF]+)$/, '');
+        if (/^0[xX]/.test(text) && !/[.pP]/.test(text)) return parseInt(text, 16);
+        if (/^0[bB]/.test(text)) return parseInt(text.slice(2), 2);
+        if (/^0[0-7]+$/.test(text)) return parseInt(text, 8);
+        const value = Number(text);
+        return isNaN(value) ? null : value;
+    }
+
+    static stringValue(raw) {
+        const parts = String(raw).match(/"(?:[^"\\]|\\.)*"/g) || [];
+        return parts.map(part => part.slice(1, -1).replace(/\\(.)/g, (match, ch) => {
+            const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', '"': '"', '\'': '\'' };
+            return escapes[ch] !== undefined ? escapes[ch] : ch;
+        })).join('');
+    }
+
+    /**
+     * Invoke callback for every direct child node
+     * @param {Object} node - AST node
+     * @param {Function} callback - Called with (child, key)
+     */
+    static forEachChild(node, callback) {
+        if (!node || typeof node !== 'object') return;
+        Object.keys(node).forEach(key => {
+            if (CParser.NON_CHILD_KEYS.includes(key)) return;
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => {
+                    if (child && typeof child === 'object' && typeof child.type === 'string') {
+                        callback(child, key);
+                    }
+                });
+            } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+                callback(value, key);
+            }
+        });
+    }
+
+    /**
+     * Depth-first walk over an AST
+     * @param {Object} node - Root node
+     * @param {Function} visitor - Called with (node, parent); return false to skip children
+     * @param {Object} parent - Parent node
+     */
+    static walk(node, visitor, parent = null) {
+        if (!node || typeof node !== 'object') return;
+        if (visitor(node, parent) === false) return;
+        CParser.forEachChild(node, child => CParser.walk(child, visitor, node));
+    }
+
+    /**
+     * Collect all function definitions, including class members and namespaces
+     * @param {Object} unit - TranslationUnit node
+     * @returns {Array<Object>} FunctionDefinition nodes in source order
+     */
+    static collectFunctions(unit) {
+        const functions = [];
+        CParser.walk(unit, node => {
+            if (node.type === 'FunctionDefinition') {
+                functions.push(node);
+                return false;
+            }
+            return true;
+        });
+        return functions;
+    }
+
+    /**
+     * Render an expression or type node back to C source text
+     * @param {Object} node - AST node
+     * @returns {string} Source text
+     */
+    static print(node) {
+        if (!node) return '';
+        const p = CParser.print;
+        let text;
+        switch (node.type) {
+            case 'Identifier':
+                text = node.name + (node.templateArgs ? '<' + node.templateArgs.map(p).join(', ') + '>' : '');
+                break;
+            case 'Literal':
+                text = node.raw !== undefined ? String(node.raw) : String(node.value);
+                break;
+            case 'ThisExpression':
+                text = 'this';
+                break;
+            case 'TypeName':
+                text = node.text;
+                break;
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+                text = `${p(node.left)} ${node.operator} ${p(node.right)}`;
+                break;
+            case 'AssignmentExpression':
+                text = `${p(node.left)} ${node.operator} ${p(node.right)}`;
+                break;
+            case 'UnaryExpression':
+                text = node.operator + p(node.argument);
+                break;
+            case 'UpdateExpression':
+                text = node.prefix ? node.operator + p(node.argument) : p(node.argument) + node.operator;
+                break;
+            case 'ConditionalExpression':
+                text = `${p(node.test)} ? ${p(node.consequent)} : ${p(node.alternate)}`;
+                break;
+            case 'CallExpression':
+                text = p(node.callee) + (node.braceInit ? '{' + node.arguments.map(p).join(', ') + '}' : '(' + node.arguments.map(p).join(', ') + ')');
+                break;
+            case 'MemberExpression':
+                text = p(node.object) + (node.arrow ? '->' : '.') + node.property;
+                break;
+            case 'SubscriptExpression':
+                text = `${p(node.object)}[${p(node.index)}]`;
+                break;
+            case 'CastExpression':
+                text = node.castKind === 'c'
+                    ? `(${node.typeName.text})${p(node.argument)}`
+                    : `${node.castKind}<${node.typeName.text}>(${p(node.argument)})`;
+                break;
+            case 'SizeofExpression':
+                text = node.typeName ? `${node.operator}(${node.typeName.text})` : `${node.operator}(${p(node.argument)})`;
+                break;
+            case 'NewExpression':
+                text = 'new ' + node.typeName.text +
+                    (node.arraySize ? `[${p(node.arraySize)}]` : '') +
+                    (node.arguments ? '(' + node.arguments.map(p).join(', ') + ')' : '');
+                break;
+            case 'DeleteExpression':
+                text = (node.isArray ? 'delete[] ' : 'delete ') + p(node.argument);
+                break;
+            case 'SequenceExpression':
+                text = node.expressions.map(p).join(', ');
+                break;
+            case 'ThrowExpression':
+                text = node.argument ? 'throw ' + p(node.argument) : 'throw';
+                break;
+            case 'InitializerList':
+                text = '{' + node.elements.map(p).join(', ') + '}';
+                break;
+            case 'CompoundLiteral':
+                text = `(${node.typeName.text})${p(node.initializer)}`;
+                break;
+            case 'ConstructorInitializer':
+                text = '(' + node.arguments.map(p).join(', ') + ')';
+                break;
+            case 'LambdaExpression':
+                text = '[](...){...}';
+                break;
+            default:
+                text = node.type;
+        }
+        return node.parenthesized ? `(${text})` : text;
+    }
+}
+
+CParser.STORAGE_KEYWORDS = [
+    'typedef', 'extern', 'static', 'auto', 'register', 'inline', '__inline', '__inline__',
+    '_Noreturn', '_Thread_local', 'thread_local', 'constexpr', 'virtual', 'explicit',
+    'friend', 'mutable'
+];
+
+CParser.QUALIFIER_KEYWORDS = [
+    'const', 'volatile', 'restrict', '__restrict', '__restrict__', '_Atomic'
+];
+
+CParser.BASE_TYPE_KEYWORDS = [
+    'void', 'char', 'short', 'int', 'long', 'float', 'double', 'signed', 'unsigned',
+    '_Bool', 'bool', '_Complex', 'wchar_t'
+];
+
+CParser.RECORD_KEYWORDS = ['struct', 'union', 'enum', 'class'];
+
+CParser.BUILTIN_TYPE_NAMES = [
+    'size_t', 'ssize_t', 'ptrdiff_t', 'intptr_t', 'uintptr_t', 'intmax_t', 'uintmax_t',
+    'int8_t', 'int16_t', 'int32_t', 'int64_t', 'uint8_t', 'uint16_t', 'uint32_t', 'uint64_t',
+    'off_t', 'pid_t', 'uid_t', 'gid_t', 'mode_t', 'time_t', 'clock_t', 'socklen_t',
+    'FILE', 'DIR', 'va_list', 'bool', 'wchar_t', 'char16_t', 'char32_t', 'max_align_t',
+    'pthread_t', 'pthread_mutex_t', 'pthread_cond_t', 'pthread_rwlock_t', 'sem_t',
+    'jmp_buf', 'fd_set', 'string', 'wstring'
+];
+
+CParser.ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '<<=', '>>=', '&=', '^=', '|='];
+
+CParser.BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '&': 5,
+    '==': 6, '!=': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7, '<=>': 7,
+    '<<': 8, '>>': 8,
+    '+': 9, '-': 9,
+    '*': 10, '/': 10, '%': 10,
+    '.*': 11, '->*': 11
+};
+
+CParser.TEMPLATE_ARGUMENT_PUNCTUATORS = ['<', '>', '>>', '::', ',', '*', '&', '&&', '[', ']', '(', ')', '...', '-', '+'];
+
+CParser.NON_CHILD_KEYS = ['loc', 'range', 'startToken', 'nameLoc'];
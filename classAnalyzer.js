@@ -0,0 +1,429 @@
+/**
+ * C++ Class Lifecycles
+ * Follows what a class allocates into its data members in its constructors and other member functions,
+ * checks that the destructor releases it, and checks that a class deleting members in its destructor
+ * also defines how it is copied and moved (the rule of three/five)
+ */
+class ClassAnalyzer {
+    /**
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {Object} context - { allocationSites, releaseSites, lines }: allocation and deallocation
+     *                           syntax nodes mapped to their records, and the source lines
+     */
+    constructor(translationUnit, context) {
+        this.translationUnit = translationUnit;
+        this.allocationSites = context.allocationSites;
+        this.releaseSites = context.releaseSites;
+        this.lines = context.lines;
+        this.functions = CParser.collectFunctions(translationUnit);
+        this.leaks = [];
+        this.warnings = new Map(); // "type|line" -> warning
+    }
+
+    /**
+     * Analyze every class defined in the translation unit
+     * @returns {Object} { leaks, warnings }
+     */
+    run() {
+        this.collectClasses().forEach(info => {
+            try {
+                this.analyzeClass(info);
+            } catch (error) {
+                debugError('Error analyzing class ' + info.name + ':', error);
+            }
+        });
+        return { leaks: this.leaks, warnings: Array.from(this.warnings.values()) };
+    }
+
+    /**
+     * Gather each class with its data members, member functions and special member functions
+     * @returns {Array<Object>} { name, line, fields, methods, special }
+     */
+    collectClasses() {
+        const classes = new Map();
+        CParser.walk(this.translationUnit, node => {
+            if (node.type !== 'RecordSpecifier' || node.kind === 'union' || !node.name || !node.members) return true;
+            const name = SmartPointers.baseName(node.name);
+            const info = { name: name, line: node.loc.start.line, fields: new Map(), methods: [], special: {} };
+            node.members.forEach(member => {
+                if (member.type !== 'Declaration') return;
+                member.declarators.forEach(declarator => {
+                    if (!declarator.name) return;
+                    if (declarator.isFunction) {
+                        this.classify(info, declarator.name, declarator.declarator.params || [], declarator.functionBody,
+                            declarator.loc.start.line);
+                    } else if (!member.storage.includes('static')) {
+                        info.fields.set(declarator.name, { declarator: declarator, line: declarator.loc.start.line });
+                    }
+                });
+            });
+            classes.set(name, info);
+            return true;
+        });
+
+        // Member functions defined in the class body and out of line (Buffer::~Buffer() { ... })
+        this.functions.forEach(functionNode => {
+            const info = functionNode.className ? classes.get(SmartPointers.baseName(functionNode.className)) : null;
+            if (!info) return;
+            info.methods.push(functionNode);
+            this.classify(info, SmartPointers.baseName(functionNode.name), functionNode.params, null,
+                functionNode.loc.start.line);
+        });
+        return Array.from(classes.values());
+    }
+
+    /**
+     * Record a member function if it is the destructor or a copy or move operation
+     * @param {Object} info - Class being collected
+     * @param {string} name - Function name without the class qualification
+     * @param {Array<Object>} params - ParameterDeclaration nodes
+     * @param {string|null} body - 'default' or 'delete' for `= default` and `= delete`
+     * @param {number} line - Line of the declaration
+     */
+    classify(info, name, params, body, line) {
+        let kind = null;
+        if (name === '~' + info.name) {
+            kind = 'destructor';
+        } else if (name === info.name || name === 'operator=') {
+            const required = params.filter(param => !param.defaultValue);
+            const source = params[0];
+            if (!source || required.length > 1 || source.pointerDepth > 0 ||
+                SmartPointers.baseName(source.typeSpec.name || '') !== info.name) {
+                return;
+            }
+            const assignment = name === 'operator=';
+            if (source.reference === '&&') {
+                kind = assignment ? 'moveAssignment' : 'moveConstructor';
+            } else if (assignment) {
+                kind = 'copyAssignment';
+                // operator=(Buffer other) copies and moves through its by-value parameter
+                if (!source.reference && !info.special.moveAssignment) {
+                    info.special.moveAssignment = { line: line, body: body };
+                }
+            } else if (source.reference === '&') {
+                kind = 'copyConstructor';
+            }
+        }
+        // The declaration in the class says whether it is deleted or defaulted; keep it over the definition
+        if (kind && !info.special[kind]) info.special[kind] = { line: line, body: body };
+    }
+
+    /**
+     * Match the class's member allocations against its destructor and check its copy operations
+     * @param {Object} info - Class from collectClasses()
+     */
+    analyzeClass(info) {
+        if (info.fields.size === 0) return;
+        const methods = info.methods.slice().sort((a, b) => (b.isConstructor ? 1 : 0) - (a.isConstructor ? 1 : 0));
+        const destructor = methods.find(method => method.isDestructor) || null;
+
+        // Members given memory by the class itself, constructors first
+        const owned = new Map(); // member -> { site, method }
+        info.fields.forEach((field, name) => {
+            const site = field.declarator.init ? this.siteOf(field.declarator.init) : null;
+            if (site) owned.set(name, { site: site, method: null });
+        });
+        methods.filter(method => method !== destructor).forEach(method => {
+            this.memoryNodes(method, this.allocationSites).forEach(({ record, member }) => {
+                if (record.managed || !info.fields.has(member) || owned.has(member)) return;
+                owned.set(member, { site: record, method: method });
+            });
+        });
+
+        // What the destructor releases, directly or through member functions it calls (clear(), close())
+        const released = new Map(); // member -> Deallocation node
+        if (destructor) {
+            this.reachableMethods(destructor, info).forEach(method => {
+                this.memoryNodes(method, this.releaseSites).forEach(({ record, member }) => {
+                    if (info.fields.has(member) && !released.has(member)) released.set(member, record);
+                });
+            });
+        }
+
+        owned.forEach((allocation, member) => {
+            const release = released.get(member);
+            if (release) {
+                this.checkDeallocator(info, member, allocation.site, release);
+            } else if (!this.releasedElsewhere(member)) {
+                this.reportLeak(info, member, allocation, destructor, methods);
+            }
+        });
+
+        if (destructor && released.size > 0) {
+            this.checkCopyOperations(info, Array.from(released.keys()), released, destructor);
+        }
+    }
+
+    /**
+     * Allocation or release sites inside a member function, with the data member each one concerns
+     * @param {Object} method - FunctionDefinition node
+     * @param {Map<Object, Object>} sites - Syntax node -> allocation or deallocation record
+     * @returns {Array<Object>} { record, member }
+     */
+    memoryNodes(method, sites) {
+        const locals = ClassAnalyzer.localNames(method);
+        const found = [];
+        const visit = node => {
+            const record = sites.get(node);
+            if (record && record.var) {
+                // A local or parameter of the same name hides the member unless it is named through this->
+                const qualified = record.var.startsWith('this->');
+                const member = qualified ? record.var.slice('this->'.length) : record.var;
+                if (qualified || !locals.has(member)) found.push({ record: record, member: member });
+            }
+            return true;
+        };
+        (method.initializers || []).forEach(initializer => CParser.walk(initializer, visit));
+        if (method.body) CParser.walk(method.body, visit);
+        return found;
+    }
+
+    static localNames(method) {
+        const names = new Set(method.params.map(param => param.name).filter(Boolean));
+        if (method.body) {
+            CParser.walk(method.body, node => {
+                if (node.type === 'VariableDeclarator' && node.name) names.add(node.name);
+                return true;
+            });
+        }
+        return names;
+    }
+
+    /**
+     * A method and the member functions it calls on the same object, transitively
+     * @returns {Array<Object>} FunctionDefinition nodes
+     */
+    reachableMethods(method, info) {
+        const reached = [method];
+        for (let i = 0; i < reached.length; i++) {
+            if (!reached[i].body) continue;
+            CParser.walk(reached[i].body, node => {
+                if (node.type !== 'CallExpression') return true;
+                const callee = node.callee;
+                const name = callee.type === 'Identifier' ? callee.name
+                    : (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression' ? callee.property : null);
+                info.methods.forEach(candidate => {
+                    if (candidate.name === name && !reached.includes(candidate)) reached.push(candidate);
+                });
+                return true;
+            });
+        }
+        return reached;
+    }
+
+    /**
+     * Whether code outside the class frees the member through an object, e.g. delete obj->data
+     * in a cleanup function: then the class does not own what the member points to
+     */
+    releasedElsewhere(member) {
+        const suffix = new RegExp(`(\\.|->)${member}$`);
+        return Array.from(this.releaseSites.values()).some(record =>
+            record.var && !record.var.startsWith('this->') && suffix.test(record.var));
+    }
+
+    siteOf(expr) {
+        const record = this.allocationSites.get(ASTParser.stripCasts(expr)) || this.allocationSites.get(expr);
+        return record && !record.managed ? record : null;
+    }
+
+    /**
+     * Report a member allocation the destructor never releases. It leaks once for every object
+     * of the class that is destroyed.
+     */
+    reportLeak(info, member, allocation, destructor, methods) {
+        const site = allocation.site;
+        const qualified = `${info.name}::${member}`;
+        const resource = ASTParser.resourceKind(site.resource);
+        const allocator = site.allocator || site.function;
+        const release = PathAnalyzer.releaseStatement(allocator, member);
+        const where = allocation.method
+            ? `in ${ClassAnalyzer.describeMethod(allocation.method)} on line ${site.line}`
+            : `by its initializer on line ${site.line}`;
+        const acquired = resource ? `${resource.verbs.acquired} ${where}` : `allocated ${where}`;
+        const releasedVerb = resource ? resource.verbs.released : 'freed';
+
+        // A member function that releases it, which the destructor does not call
+        const releaser = methods.find(method => method !== destructor &&
+            this.memoryNodes(method, this.releaseSites).some(entry => entry.member === member));
+        const only = releaser ? ` It is only ${releasedVerb} when ${ClassAnalyzer.describeMethod(releaser)} is called.` : '';
+
+        let description;
+        let fix;
+        let line;
+        if (!destructor) {
+            line = info.line;
+            description = `${info.name} has no destructor, so ${member} ${acquired} is never ${releasedVerb} when ${info.name} objects are destroyed.${only}`;
+            fix = releaser
+                ? `Add a destructor that calls ${releaser.name}(): ~${info.name}() { ${releaser.name}(); }`
+                : `Add a destructor that releases the member: ~${info.name}() { ${release} }`;
+        } else {
+            line = destructor.loc.end.line;
+            description = `~${info.name}() does not release ${member}, ${acquired}, so it leaks with every ${info.name} object destroyed.${only}`;
+            fix = releaser
+                ? `Call ${releaser.name}() from ~${info.name}() on line ${destructor.loc.start.line}.`
+                : `Add ${release} to ~${info.name}() on line ${destructor.loc.start.line}.`;
+        }
+        const trace = [
+            { line: site.line, kind: 'allocation', text: (this.lines[site.line - 1] || '').trim() },
+            { line: line, kind: 'leak', text: description }
+        ];
+        const leak = {
+            var: qualified,
+            line: site.line,
+            function: site.function,
+            size: site.size,
+            sizeExpr: site.sizeExpr || null,
+            resource: site.resource || null,
+            inLoop: site.inLoop,
+            functionName: allocation.method ? allocation.method.name : info.name,
+            fix: fix,
+            path: description,
+            trace: trace,
+            paths: [{ description: description, trace: trace }],
+            aliases: []
+        };
+        if (resource) {
+            leak.title = `${resource.label} ${qualified} ${resource.verbs.acquired} on line ${site.line} is never ` +
+                `${resource.verbs.released} by ${destructor ? `~${info.name}()` : `a destructor`}`;
+        }
+        this.leaks.push(leak);
+    }
+
+    /**
+     * Check that the destructor releases a member with the deallocator of its allocator
+     */
+    checkDeallocator(info, member, site, release) {
+        const allocator = site.allocator || site.function;
+        const deallocator = release.function;
+        const family = PathAnalyzer.familyOf(allocator);
+        if (!family || family.deallocators.includes(deallocator) || family.allocators.includes(deallocator)) return;
+
+        const other = ASTParser.allocatorFamilies().find(candidate =>
+            candidate.deallocators.includes(deallocator) || candidate.allocators.includes(deallocator));
+        const type = PathAnalyzer.MISMATCH_TYPES[family.name + '|' + (other ? other.name : '')] || 'Allocator Mismatch';
+        this.addWarning(type, release.line,
+            `${info.name}::${member} is allocated with ${PathAnalyzer.describeAllocator(allocator)} on line ${site.line} ` +
+            `but released with ${PathAnalyzer.describeAllocator(deallocator)} in ~${info.name}() on line ${release.line}, ` +
+            `which is undefined behaviour. Use ${PathAnalyzer.releaseStatement(allocator, member)} instead.`,
+            { label: 'Allocated on', line: site.line });
+    }
+
+    /**
+     * Rule of three: a class that deletes members in its destructor must define (or delete) its copy
+     * constructor and copy assignment, or every copy deletes the same memory a second time. Rule of
+     * five: once it defines copying, it should define moving too, or moves fall back to copies.
+     */
+    checkCopyOperations(info, members, released, destructor) {
+        const special = info.special;
+        const line = destructor.loc.start.line;
+        const names = ClassAnalyzer.joinNames(members);
+        const pointers = members.length > 1 ? 'pointers' : 'pointer';
+        const first = released.get(members[0]);
+        const missing = [];
+        if (!special.copyConstructor || special.copyConstructor.body === 'default') missing.push('copyConstructor');
+        if (!special.copyAssignment || special.copyAssignment.body === 'default') missing.push('copyAssignment');
+
+        if (missing.length > 0) {
+            const described = missing.map(kind => special[kind]
+                ? `a defaulted ${ClassAnalyzer.SPECIAL_NAMES[kind]}`
+                : `no ${ClassAnalyzer.SPECIAL_NAMES[kind]}`);
+            const copy = this.findCopy(info, missing);
+            const example = copy ? ` On line ${copy.line}, ${copy.text}.` : '';
+            this.addWarning('Rule of Three Violation', line,
+                `${info.name} releases ${names} in its destructor but has ${described.join(' and ')}. The generated ` +
+                `copy ${missing.length > 1 ? 'operations copy' : 'operation copies'} the ${pointers}, so a copy and the ` +
+                `original both ${PathAnalyzer.describeAllocator(first.function)} the same memory when they are destroyed ` +
+                `(double delete).${example} Define ${missing.length > 1 ? 'them' : 'it'} to duplicate what ${names} ` +
+                `${members.length > 1 ? 'point' : 'points'} to, or disable copying with ` +
+                missing.map(kind => (kind === 'copyConstructor'
+                    ? `${info.name}(const ${info.name} &)`
+                    : `${info.name} &operator=(const ${info.name} &)`) + ' = delete;').join(' and '),
+                copy ? { label: 'Copied on', line: copy.line } : null);
+            return;
+        }
+
+        // Without a move operation, moves fall back to the matching copy, unless copying is deleted too
+        const moves = ['moveConstructor', 'moveAssignment'].filter(kind => !special[kind] &&
+            special[kind === 'moveConstructor' ? 'copyConstructor' : 'copyAssignment'].body !== 'delete');
+        if (moves.length === 0) return;
+        this.addWarning('Rule of Five Violation', line,
+            `${info.name} defines a destructor and copy operations but no ` +
+            `${moves.map(kind => ClassAnalyzer.SPECIAL_NAMES[kind]).join(' or ')}, so moving ${info.name} objects (returning them, ` +
+            `storing them in a std::vector) copies ${names} instead. Add ${moves.map(kind => kind === 'moveConstructor'
+                ? `${info.name}(${info.name} &&other) noexcept`
+                : `${info.name} &operator=(${info.name} &&other) noexcept`).join(' and ')} taking other.${members[0]} ` +
+            `and setting it to nullptr.`);
+    }
+
+    /**
+     * First place the code copies an object of the class with a missing copy operation,
+     * e.g. `Buffer b = a;` or `b = a;`
+     * @returns {Object|null} { line, text }
+     */
+    findCopy(info, missing) {
+        let copy = null;
+        this.functions.forEach(functionNode => {
+            if (copy || !functionNode.body) return;
+            const objects = new Set(); // local objects and by-value parameters of the class
+            const isObject = (typeSpec, declarator) => declarator.pointerDepth === 0 && !declarator.reference &&
+                SmartPointers.baseName((typeSpec && typeSpec.name) || '') === info.name;
+            functionNode.params.forEach(param => {
+                if (param.name && isObject(param.typeSpec, param)) objects.add(param.name);
+            });
+            const isCopied = expr => {
+                const source = expr && ASTParser.stripCasts(expr);
+                return !!source && source.type === 'Identifier' && objects.has(source.name);
+            };
+            CParser.walk(functionNode.body, node => {
+                if (copy) return false;
+                if (node.type === 'Declaration') {
+                    node.declarators.forEach(declarator => {
+                        if (!declarator.name || !isObject(node.typeSpec, declarator)) return;
+                        const init = declarator.init && declarator.init.type === 'ConstructorInitializer' &&
+                            declarator.init.arguments.length === 1 ? declarator.init.arguments[0] : declarator.init;
+                        if (!copy && missing.includes('copyConstructor') && isCopied(init)) {
+                            copy = { line: declarator.loc.start.line, text: `${declarator.name} is copied from ${CParser.print(init)}` };
+                        }
+                        objects.add(declarator.name);
+                    });
+                } else if (node.type === 'AssignmentExpression' && node.operator === '=' &&
+                    missing.includes('copyAssignment') && isCopied(node.left) && isCopied(node.right)) {
+                    copy = { line: node.loc.start.line, text: `${CParser.print(node)} copies one ${info.name} over another` };
+                }
+                return true;
+            });
+        });
+        return copy;
+    }
+
+    static describeMethod(method) {
+        if (method.isConstructor) return `the constructor ${method.name}()`;
+        return `${method.name}()`;
+    }
+
+    static joinNames(names) {
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+    }
+
+    addWarning(type, line, message, related) {
+        const key = type + '|' + line;
+        if (this.warnings.has(key)) return;
+        const warning = {
+            type: type,
+            line: line,
+            message: message,
+            lineText: (this.lines[line - 1] || '').trim()
+        };
+        if (related) {
+            warning.related = { label: related.label, line: related.line, lineText: (this.lines[related.line - 1] || '').trim() };
+        }
+        this.warnings.set(key, warning);
+    }
+}
+
+ClassAnalyzer.SPECIAL_NAMES = {
+    copyConstructor: 'copy constructor',
+    copyAssignment: 'copy assignment operator',
+    moveConstructor: 'move constructor',
+    moveAssignment: 'move assignment operator'
+};
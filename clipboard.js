@@ -91,8 +91,10 @@ function copyAnalysisResults(analysis) {
         text += '='.repeat(40) + '\n\n';
         text += `Total Allocations: ${analysis.allocations ? analysis.allocations.length : 0}\n`;
         text += `Total Frees: ${analysis.frees ? analysis.frees.length : 0}\n`;
-        text += `Memory Leaks: ${analysis.leaks ? analysis.leaks.length : 0}\n`;
-        text += `Leaked Bytes: ${formatBytes(analysis.leaks ? analysis.leaks.reduce((sum, leak) => sum + (leak.size || 0), 0) : 0)}\n`;
+        text += `Memory Leaks: ${analysis.leaks ? analysis.leaks.length : 0}` +
+            (countLeakClasses(analysis.leaks) ? ` (${countLeakClasses(analysis.leaks)})` : '') + '\n';
+        text += `Resource Leaks: ${analysis.resourceLeaks ? analysis.resourceLeaks.length : 0}\n`;
+        text += `Leaked Bytes: ${formatLeakedTotal(analysis.leaks)}\n`;
         text += `Warnings: ${analysis.warnings ? analysis.warnings.length : 0}\n\n`;
 
         if (analysis.leaks && Array.isArray(analysis.leaks) && analysis.leaks.length > 0) {
@@ -103,12 +105,33 @@ function copyAnalysisResults(analysis) {
                     text += `${index + 1}. Variable: ${leak.var || 'unknown'}\n`;
                     text += `   Line: ${leak.line || 0}\n`;
                     text += `   Function: ${leak.function || 'unknown'}\n`;
-                    text += `   Size: ${formatBytes(leak.size || 0)}\n`;
+                    text += `   Size: ${formatLeakSize(leak)}\n`;
+                    if (leak.leakClass) {
+                        text += `   Category: ${leak.leakClass}\n`;
+                    }
+                    if (leak.aliases && leak.aliases.length > 0) {
+                        text += `   Also referenced by: ${leak.aliases.join(', ')}\n`;
+                    }
+                    if (leak.path) {
+                        text += `   Path: ${leak.path}\n`;
+                    }
                     text += `   Fix: ${leak.fix || 'No fix available'}\n\n`;
                 }
             });
         }
 
+        if (analysis.resourceLeaks && analysis.resourceLeaks.length > 0) {
+            text += 'Resource Leaks:\n';
+            text += '-'.repeat(40) + '\n';
+            analysis.resourceLeaks.forEach((leak, index) => {
+                text += `${index + 1}. ${leak.title || leak.var}\n`;
+                if (leak.path) {
+                    text += `   Path: ${leak.path}\n`;
+                }
+                text += `   Fix: ${leak.fix || 'No fix available'}\n\n`;
+            });
+        }
+
         copyToClipboard(text, 'Analysis results copied to clipboard!');
     } catch (error) {
         debugError('Error copying analysis results:', error);
@@ -127,13 +150,29 @@ function copyLeakDetails(leak) {
             return;
         }
 
-        let text = `Memory Leak Details\n`;
+        let text = leak.resource ? `Resource Leak Details\n${leak.title}\n` : `Memory Leak Details\n`;
         text += `Variable: ${leak.var}\n`;
         text += `Line: ${leak.line}\n`;
         text += `Function: ${leak.function}\n`;
-        text += `Size: ${formatBytes(leak.size || 0)}\n`;
+        if (!leak.resource) {
+            text += `Size: ${formatLeakSize(leak)}\n`;
+        }
+        if (leak.leakClass) {
+            text += `Category: ${leak.leakClass}\n`;
+        }
+        if (leak.aliases && leak.aliases.length > 0) {
+            text += `Also referenced by: ${leak.aliases.join(', ')}\n`;
+        }
         text += `Fix: ${leak.fix || 'No fix available'}\n`;
 
+        const paths = Array.isArray(leak.paths) ? leak.paths : [];
+        paths.forEach((path, index) => {
+            text += `\nPath ${index + 1}: ${path.description}\n`;
+            (path.trace || []).forEach(step => {
+                text += `  Line ${step.line}: ${step.text}\n`;
+            });
+        });
+
         copyToClipboard(text, 'Leak details copied to clipboard!');
     } catch (error) {
         debugError('Error copying leak details:', error);
@@ -1,18 +1,56 @@
 // Configuration and Constants
 
 const CONFIG = {
-    // Type sizes in bytes
+    // Type sizes in bytes for the selected data model (see DATA_MODELS)
     TYPE_SIZES: {
         CHAR: 1,
+        BOOL: 1,
         SHORT: 2,
         INT: 4,
+        LONG: 8,
+        LONG_LONG: 8,
         FLOAT: 4,
         DOUBLE: 8,
-        LONG_LONG: 8,
         LONG_DOUBLE: 16,
+        POINTER: 8,
+        WCHAR: 4,
         DEFAULT: 4
     },
-    
+
+    // Alignments that differ from the type size for the selected data model
+    TYPE_ALIGNMENTS: {},
+
+    // Target ABIs for sizeof: 32-bit Linux/Windows, 64-bit Linux/macOS and 64-bit Windows
+    DATA_MODEL: 'LP64',
+    DATA_MODELS: {
+        ILP32: {
+            label: 'ILP32 (32-bit)',
+            sizes: { LONG: 4, LONG_DOUBLE: 12, POINTER: 4, WCHAR: 4 },
+            alignments: { LONG_LONG: 4, DOUBLE: 4, LONG_DOUBLE: 4 }
+        },
+        LP64: {
+            label: 'LP64 (64-bit Linux/macOS)',
+            sizes: { LONG: 8, LONG_DOUBLE: 16, POINTER: 8, WCHAR: 4 },
+            alignments: {}
+        },
+        LLP64: {
+            label: 'LLP64 (64-bit Windows)',
+            sizes: { LONG: 4, LONG_DOUBLE: 8, POINTER: 8, WCHAR: 2 },
+            alignments: {}
+        }
+    },
+
+    // Library typedefs and the TYPE_SIZES entry each one has
+    STANDARD_TYPES: {
+        size_t: 'POINTER', ssize_t: 'POINTER', ptrdiff_t: 'POINTER', intptr_t: 'POINTER', uintptr_t: 'POINTER',
+        intmax_t: 'LONG_LONG', uintmax_t: 'LONG_LONG', max_align_t: 'LONG_DOUBLE',
+        int8_t: 'CHAR', uint8_t: 'CHAR', int16_t: 'SHORT', uint16_t: 'SHORT',
+        int32_t: 'INT', uint32_t: 'INT', int64_t: 'LONG_LONG', uint64_t: 'LONG_LONG',
+        off_t: 'LONG', time_t: 'LONG', clock_t: 'LONG', pthread_t: 'LONG',
+        pid_t: 'INT', uid_t: 'INT', gid_t: 'INT', mode_t: 'INT', socklen_t: 'INT',
+        bool: 'BOOL', wchar_t: 'WCHAR', char16_t: 'SHORT', char32_t: 'INT'
+    },
+
     // Language-specific size estimates
     LANGUAGE_SIZES: {
         javascript: 8,
@@ -32,6 +70,149 @@ const CONFIG = {
         BORDER: '#fff'
     },
     
+    // Path-sensitive analysis limits (C/C++)
+    ANALYSIS: {
+        MAX_STEPS: 20000, // graph nodes visited per function before giving up
+        LOOP_UNROLL: 2, // times each loop body is followed on a path
+        MAX_REPORTED_PATHS: 5, // leaking paths listed per allocation
+        NORETURN_FUNCTIONS: ['exit', 'abort', '_exit', '_Exit', 'quick_exit', 'longjmp', 'siglongjmp'],
+        // Allocation functions and the functions that must release their memory
+        ALLOCATOR_FAMILIES: [
+            { name: 'malloc', allocators: ['malloc', 'calloc', 'realloc'], deallocators: ['free'] },
+            { name: 'new', allocators: ['new'], deallocators: ['delete'] },
+            { name: 'new[]', allocators: ['new[]'], deallocators: ['delete[]'] }
+        ],
+        // Project-specific acquire/release pairs, analyzed exactly like malloc()/free() (edit them with the
+        // Allocators button). deallocator: release function, or a list of the functions that may release it;
+        // sizeArg: index of the argument holding the byte count, or null;
+        // pointerArg: index of the release argument naming the pointer; nonnull: never returns NULL
+        CUSTOM_ALLOCATORS: [
+            { allocator: 'xmalloc', deallocator: ['xfree', 'free'], sizeArg: 0, pointerArg: 0, nonnull: true },
+            { allocator: 'g_malloc', deallocator: 'g_free', sizeArg: 0, pointerArg: 0, nonnull: true },
+            { allocator: 'g_malloc0', deallocator: 'g_free', sizeArg: 0, pointerArg: 0, nonnull: true },
+            { allocator: 'arena_create', deallocator: 'arena_destroy', sizeArg: 0, pointerArg: 0, nonnull: false },
+            { allocator: 'pool_alloc', deallocator: 'pool_free', sizeArg: 1, pointerArg: 1, nonnull: false }
+        ],
+        // Non-memory resources, followed along paths like heap blocks but counted and reported on their own.
+        // handleArg: argument naming the resource when acquiring it does not return a handle (locks);
+        // failure: what a failed acquire returns ('null' or 'negative'); verbs: wording used in reports
+        RESOURCES: [
+            { kind: 'file', label: 'file handle', acquire: ['fopen', 'fdopen', 'freopen', 'tmpfile'], release: ['fclose'],
+                failure: 'null', verbs: { acquired: 'opened', released: 'closed', held: 'open', release: 'Close' } },
+            { kind: 'pipe', label: 'pipe stream', acquire: ['popen'], release: ['pclose'],
+                failure: 'null', verbs: { acquired: 'opened', released: 'closed', held: 'open', release: 'Close' } },
+            { kind: 'descriptor', label: 'file descriptor', acquire: ['open', 'openat', 'creat', 'dup', 'epoll_create', 'eventfd'],
+                release: ['close'], failure: 'negative', verbs: { acquired: 'opened', released: 'closed', held: 'open', release: 'Close' } },
+            { kind: 'socket', label: 'socket', acquire: ['socket', 'accept', 'accept4'], release: ['close', 'closesocket'],
+                failure: 'negative', verbs: { acquired: 'opened', released: 'closed', held: 'open', release: 'Close' } },
+            { kind: 'directory', label: 'directory stream', acquire: ['opendir', 'fdopendir'], release: ['closedir'],
+                failure: 'null', verbs: { acquired: 'opened', released: 'closed', held: 'open', release: 'Close' } },
+            { kind: 'lock', label: 'mutex', acquire: ['pthread_mutex_lock', 'pthread_rwlock_rdlock', 'pthread_rwlock_wrlock', 'mtx_lock'],
+                release: ['pthread_mutex_unlock', 'pthread_rwlock_unlock', 'mtx_unlock'], handleArg: 0,
+                verbs: { acquired: 'locked', released: 'unlocked', held: 'locked', release: 'Unlock' } }
+        ],
+        // C++ owners that release their object when destroyed, reset or reassigned; sizes are in pointers
+        SMART_POINTERS: {
+            OWNERS: { unique_ptr: 1, shared_ptr: 2, auto_ptr: 1 },
+            WEAK: { weak_ptr: 2 }, // observes a shared_ptr's object without keeping it alive
+            FACTORIES: { make_unique: 'unique_ptr', make_shared: 'shared_ptr', allocate_shared: 'shared_ptr' },
+            // Standard containers: those holding smart pointers own what is stored in them
+            CONTAINERS: ['vector', 'deque', 'list', 'forward_list', 'set', 'multiset', 'map', 'multimap',
+                'unordered_set', 'unordered_map', 'queue', 'stack', 'priority_queue']
+        },
+        // C++ calls that never throw. Other library calls may; functions defined in the code throw if an
+        // exception can leave them and they are not declared noexcept
+        EXCEPTIONS: {
+            NOTHROW_FUNCTIONS: ['printf', 'fprintf', 'snprintf', 'vprintf', 'vfprintf', 'vsnprintf', 'putchar', 'fputc',
+                'fgetc', 'getchar', 'fflush', 'fseek', 'ftell', 'rewind', 'feof', 'ferror', 'scanf', 'fscanf', 'perror',
+                'atof', 'strtod', 'abs', 'labs', 'rand', 'srand', 'time', 'clock', 'sqrt', 'pow', 'floor', 'ceil', 'fabs',
+                'isalpha', 'isdigit', 'isalnum', 'isspace', 'isupper', 'islower', 'toupper', 'tolower', 'read', 'write',
+                'lseek', 'sleep', 'usleep', 'getpid', 'getenv', 'move', 'forward', 'swap', 'get', 'min', 'max'],
+            // Standard library member functions that never throw
+            NOTHROW_METHODS: ['get', 'release', 'reset', 'size', 'length', 'empty', 'capacity', 'begin', 'end',
+                'cbegin', 'cend', 'rbegin', 'rend', 'data', 'c_str', 'swap', 'clear', 'pop_back', 'pop_front',
+                'use_count', 'expired']
+        },
+        ASSERT_FUNCTIONS: ['assert', 'g_assert'], // calls that abort the path when their condition is false
+        // Library functions that dereference their pointer arguments, so passing NULL crashes
+        DEREFERENCING_FUNCTIONS: ['memcpy', 'memmove', 'memset', 'memcmp', 'strcpy', 'strncpy', 'strcat', 'strncat',
+            'strlen', 'strcmp', 'strncmp', 'strchr', 'strrchr', 'strstr', 'strdup', 'sprintf', 'vsprintf',
+            'sscanf', 'fgets', 'fread', 'fwrite', 'fputs', 'puts', 'atoi', 'atol', 'strtol', 'strtoul', 'qsort'],
+        // Library functions that return one of their pointer arguments: the argument index
+        RETURNS_ARGUMENT: { strcpy: 0, strncpy: 0, strcat: 0, strncat: 0, memcpy: 0, memmove: 0, memset: 0 },
+        // What library functions do with the memory their pointer arguments point to, for finding reads of
+        // malloc() and new memory nothing has written: argument indexes, or { from: n } for every argument from
+        // index n on. COPIES pass the state of the source (second index) on to the destination (first index).
+        // Passing a block to any other function counts as initializing it
+        UNINITIALIZED_MEMORY: {
+            READS: { printf: { from: 1 }, fprintf: { from: 2 }, sprintf: { from: 2 }, snprintf: { from: 3 },
+                puts: [0], fputs: [0], fwrite: [0], write: [1], send: [1], strlen: [0], strcmp: [0, 1], strncmp: [0, 1],
+                strcat: [0, 1], strncat: [0, 1], strcpy: [1], strncpy: [1], strdup: [0], strchr: [0], strrchr: [0],
+                strstr: [0, 1], memcmp: [0, 1], atoi: [0], atol: [0], atof: [0], strtol: [0], strtoul: [0], strtod: [0],
+                sscanf: [0], qsort: [0] },
+            WRITES: { memset: [0], bzero: [0], strcpy: [0], strncpy: [0], sprintf: [0], snprintf: [0], vsprintf: [0],
+                vsnprintf: [0], fgets: [0], gets: [0], fread: [0], read: [1], pread: [1], recv: [1], recvfrom: [1],
+                strftime: [0], getcwd: [0], scanf: { from: 1 }, sscanf: { from: 2 }, fscanf: { from: 2 } },
+            COPIES: { memcpy: [0, 1], memmove: [0, 1] }
+        },
+        // Library calls that can write past the end of a buffer. check: what bounds the write ('none': nothing,
+        // 'source': the source string, 'append': the source after the destination's contents, 'format': the
+        // printf-style output, 'scan': the widths of %s conversions, 'count': a byte count, 'terminator': a byte
+        // count that may leave the destination unterminated); dest/source/format/count: argument indexes;
+        // severity: 'critical', 'high', 'medium' or 'low'; cwe: the weakness an unchecked call is filed under
+        UNSAFE_APIS: [
+            { name: 'gets', check: 'none', dest: 0, severity: 'critical', cwe: 242,
+                fix: 'fgets(buf, sizeof(buf), stdin)' },
+            { name: 'strcpy', check: 'source', dest: 0, source: 1, severity: 'high', cwe: 120,
+                fix: 'snprintf(dst, size, "%s", src) or strlcpy()' },
+            { name: 'strcat', check: 'append', dest: 0, source: 1, severity: 'high', cwe: 120,
+                fix: 'strncat(dst, src, size - strlen(dst) - 1) or strlcat()' },
+            { name: 'sprintf', check: 'format', dest: 0, format: 1, severity: 'high', cwe: 120, fix: 'snprintf()' },
+            { name: 'vsprintf', check: 'format', dest: 0, format: 1, severity: 'high', cwe: 120, fix: 'vsnprintf()' },
+            { name: 'scanf', check: 'scan', format: 0, severity: 'high', cwe: 120, fix: 'a field width such as %31s' },
+            { name: 'sscanf', check: 'scan', format: 1, severity: 'high', cwe: 120, fix: 'a field width such as %31s' },
+            { name: 'fscanf', check: 'scan', format: 1, severity: 'high', cwe: 120, fix: 'a field width such as %31s' },
+            { name: 'memcpy', check: 'count', dest: 0, count: 2, severity: 'medium', cwe: 787, fix: null },
+            { name: 'memmove', check: 'count', dest: 0, count: 2, severity: 'medium', cwe: 787, fix: null },
+            { name: 'strncpy', check: 'terminator', dest: 0, source: 1, count: 2, severity: 'medium', cwe: 170,
+                fix: 'dst[size - 1] = \'\\0\' after the copy' }
+        ],
+        // Leak categories as Valgrind's memcheck reports them, most severe first; a leak found on several paths
+        // takes the most severe category any of them gives it
+        LEAK_CLASSES: [
+            { name: 'definitely lost', severity: 'high', description: 'no pointer to the block is left' },
+            { name: 'indirectly lost', severity: 'high', description: 'only reachable through a block that is lost' },
+            { name: 'possibly lost', severity: 'medium', description: 'only pointed into, not at its start' },
+            { name: 'still reachable', severity: 'low', description: 'a global or static still points to it at exit' }
+        ],
+        // Heap simulator: how far it runs main() and how it lays out the blocks it allocates
+        HEAP_SIMULATOR: {
+            MAX_STEPS: 500, // recorded heap snapshots
+            MAX_NODES: 20000, // statements executed
+            MAX_CALL_DEPTH: 32,
+            MAX_ITERATIONS: 64, // iterations of a loop before it is left
+            UNKNOWN_ITERATIONS: 1, // iterations of a loop whose condition depends on unknown values
+            MAX_VARIABLES: 40, // variables shown per stack frame
+            HEAP_BASE: 0x5000, // address of the first chunk
+            CHUNK_HEADER: 16, // bytes of allocator bookkeeping before each block
+            ALIGNMENT: 16
+        }
+    },
+    
+    // Preprocessor Settings
+    PREPROCESSOR: {
+        DEFINES: { __STDC__: '1' }, // macros treated as defined, e.g. { DEBUG: '1' } to analyze #ifdef DEBUG code
+        // Constants made available by #include of a standard header
+        HEADERS: {
+            'stdio.h': { EOF: '(-1)', BUFSIZ: '8192', FILENAME_MAX: '4096', SEEK_SET: '0', SEEK_CUR: '1', SEEK_END: '2' },
+            'stdlib.h': { EXIT_SUCCESS: '0', EXIT_FAILURE: '1', RAND_MAX: '2147483647' },
+            'limits.h': { CHAR_BIT: '8', INT_MAX: '2147483647', INT_MIN: '(-2147483647 - 1)', UINT_MAX: '4294967295U', PATH_MAX: '4096' },
+            'string.h': {},
+            'stddef.h': {},
+            'assert.h': {}
+        }
+    },
+    
     // UI Settings
     UI: {
         CHART_DELAY: 100, // ms delay for chart rendering
@@ -0,0 +1,437 @@
+/**
+ * Control-Flow Graph
+ * Turns a C/C++ FunctionDefinition syntax tree into a graph of statement-level
+ * nodes connected by labelled edges (true/false branches, loop back edges, cases,
+ * gotos, and in C++ the exceptions calls may throw)
+ */
+class ControlFlowGraph {
+    /**
+     * Build the control-flow graph of a function
+     * @param {Object} functionNode - FunctionDefinition node from CParser
+     * @param {boolean} [cpp] - Whether calls can throw exceptions
+     */
+    constructor(functionNode, cpp = false) {
+        this.functionNode = functionNode;
+        this.nodes = [];
+        this.loopDepth = 0;
+        this.scope = null; // innermost block whose declarations end with it
+        this.openScopes = []; // enclosing blocks with declarations, outermost first
+        this.labels = new Map();
+        this.gotos = [];
+        this.entry = this.createNode('entry', functionNode, functionNode.loc.start.line);
+        this.exit = this.createNode('exit', functionNode, functionNode.loc.end.line);
+        // Where an exception goes: the innermost try's handlers, or out of the function through unwind
+        this.unwind = cpp ? this.createNode('unwind', functionNode, functionNode.loc.end.line) : null;
+        this.throwTarget = cpp ? this.unwind.id : null;
+
+        // Locals of the function body live until the exit, where the path analyzer checks them anyway
+        const bodyEntry = this.buildStatementList(functionNode.body ? functionNode.body.body : [], this.exit.id, {
+            breakTarget: null,
+            breakLoop: null,
+            continueTarget: null,
+            cases: null
+        });
+        this.addEdge(this.entry.id, bodyEntry, 'next');
+        this.resolveGotos();
+    }
+
+    /**
+     * Create a graph node
+     * @param {string} kind - entry, exit, statement, branch, loop, return, label, case, goto, break,
+     *                        scope, throw, catch, unwind
+     * @param {Object|null} ast - Syntax tree node the graph node executes or tests
+     * @param {number} line - Source line
+     * @returns {Object} Graph node
+     */
+    createNode(kind, ast, line) {
+        const node = {
+            id: this.nodes.length,
+            kind: kind,
+            ast: ast,
+            line: line || (ast && ast.loc ? ast.loc.start.line : 0),
+            inLoop: this.loopDepth > 0,
+            successors: []
+        };
+        this.nodes.push(node);
+        return node;
+    }
+
+    addEdge(from, to, label) {
+        if (to === null || to === undefined) return;
+        this.nodes[from].successors.push({ to: to, label: label });
+    }
+
+    getNode(id) {
+        return this.nodes[id];
+    }
+
+    /**
+     * Build the nodes of a statement, wiring it to the given successor
+     * @param {Object} statement - Statement node
+     * @param {number} next - Node id that follows the statement
+     * @param {Object} context - Jump targets for break/continue and the enclosing switch
+     * @returns {number} Entry node id of the statement
+     */
+    buildStatement(statement, next, context) {
+        if (!statement) return next;
+
+        switch (statement.type) {
+            case 'CompoundStatement':
+                return this.buildBlock(statement, statement.body, next, context);
+
+            case 'Declaration': {
+                if (statement.declarators.length === 0 || statement.storage.includes('typedef')) {
+                    return next;
+                }
+                const node = this.buildNode('statement', statement, next);
+                node.scope = this.scope;
+                this.addThrowEdge(node);
+                return node.id;
+            }
+
+            case 'ExpressionStatement': {
+                if (statement.expression && statement.expression.type === 'ThrowExpression' && this.throwTarget !== null) {
+                    const node = this.createNode('throw', statement, statement.loc.start.line);
+                    this.addEdge(node.id, this.throwTarget, 'throw');
+                    return node.id;
+                }
+                const node = this.buildNode('statement', statement, next);
+                this.addThrowEdge(node);
+                return node.id;
+            }
+
+            case 'IfStatement': {
+                const thenEntry = this.buildStatement(statement.consequent, next, context);
+                const elseEntry = statement.alternate ? this.buildStatement(statement.alternate, next, context) : next;
+                return this.buildCondition(statement.test, thenEntry, elseEntry, statement);
+            }
+
+            case 'WhileStatement': {
+                const loop = this.createNode('loop', statement, statement.loc.start.line);
+                this.loopDepth++;
+                const bodyEntry = this.buildStatement(statement.body, loop.id, {
+                    breakTarget: next,
+                    breakLoop: statement,
+                    continueTarget: loop.id,
+                    cases: context.cases
+                });
+                this.addEdge(loop.id, this.buildCondition(statement.test, bodyEntry, next, statement), 'next');
+                this.loopDepth--;
+                return loop.id;
+            }
+
+            case 'DoWhileStatement': {
+                const loop = this.createNode('loop', statement, statement.loc.start.line);
+                this.loopDepth++;
+                const conditionEntry = this.buildCondition(statement.test, loop.id, next, statement);
+                const bodyEntry = this.buildStatement(statement.body, conditionEntry, {
+                    breakTarget: next,
+                    breakLoop: statement,
+                    continueTarget: conditionEntry,
+                    cases: context.cases
+                });
+                this.addEdge(loop.id, bodyEntry, 'next');
+                this.loopDepth--;
+                return loop.id;
+            }
+
+            case 'ForStatement': {
+                // Variables declared in the init clause end with the loop
+                const names = statement.init ? ControlFlowGraph.declaredNames([statement.init]) : [];
+                const outer = this.scope;
+                if (names.length > 0) {
+                    next = this.leaveScope(statement, names, next);
+                    this.scope = statement;
+                    this.openScopes.push({ statement: statement, names: names });
+                }
+                const loop = this.createNode('loop', statement, statement.loc.start.line);
+                this.loopDepth++;
+                const updateEntry = statement.update
+                    ? this.buildSimple('statement', statement.update, loop.id)
+                    : loop.id;
+                const bodyEntry = this.buildStatement(statement.body, updateEntry, {
+                    breakTarget: next,
+                    breakLoop: statement,
+                    continueTarget: updateEntry,
+                    cases: context.cases
+                });
+                const conditionEntry = statement.test
+                    ? this.buildCondition(statement.test, bodyEntry, next, statement)
+                    : bodyEntry;
+                this.addEdge(loop.id, conditionEntry, 'next');
+                this.loopDepth--;
+                const entry = statement.init ? this.buildStatement(statement.init, loop.id, context) : loop.id;
+                if (names.length > 0) this.openScopes.pop();
+                this.scope = outer;
+                return entry;
+            }
+
+            case 'ForRangeStatement': {
+                const loop = this.createNode('loop', statement, statement.loc.start.line);
+                this.loopDepth++;
+                const bodyEntry = this.buildStatement(statement.body, loop.id, {
+                    breakTarget: next,
+                    breakLoop: statement,
+                    continueTarget: loop.id,
+                    cases: context.cases
+                });
+                const branch = this.createNode('branch', null, statement.loc.start.line);
+                branch.statement = statement;
+                this.addEdge(branch.id, this.buildSimple('statement', statement.left, bodyEntry), 'true');
+                this.addEdge(branch.id, next, 'false');
+                this.addEdge(loop.id, branch.id, 'next');
+                this.loopDepth--;
+                return this.buildSimple('statement', statement.right, loop.id);
+            }
+
+            case 'SwitchStatement': {
+                const switchNode = this.createNode('switch', statement.discriminant, statement.loc.start.line);
+                switchNode.statement = statement;
+                const cases = [];
+                this.buildStatement(statement.body, next, {
+                    breakTarget: next,
+                    breakLoop: null,
+                    continueTarget: context.continueTarget,
+                    cases: cases
+                });
+                let hasDefault = false;
+                cases.forEach(caseNode => {
+                    if (caseNode.ast.type === 'DefaultLabel') hasDefault = true;
+                    this.addEdge(switchNode.id, caseNode.id, caseNode.ast.type === 'DefaultLabel'
+                        ? 'default'
+                        : 'case ' + CParser.print(caseNode.ast.test));
+                });
+                if (!hasDefault) {
+                    this.addEdge(switchNode.id, next, 'default');
+                }
+                return switchNode.id;
+            }
+
+            case 'CaseLabel':
+            case 'DefaultLabel': {
+                const caseNode = this.buildNode('case', statement, next);
+                if (context.cases) context.cases.push(caseNode);
+                return caseNode.id;
+            }
+
+            case 'Label': {
+                const label = this.buildNode('label', statement, next);
+                this.labels.set(statement.name, { id: label.id, scopes: this.openScopes.slice() });
+                return label.id;
+            }
+
+            case 'ReturnStatement': {
+                const node = this.createNode('return', statement, statement.loc.start.line);
+                this.addEdge(node.id, this.exit.id, 'return');
+                this.addThrowEdge(node);
+                return node.id;
+            }
+
+            case 'BreakStatement': {
+                if (context.breakTarget === null) return next;
+                // Kept as a node so a path can tell it left the loop, and where
+                const node = this.createNode('break', statement, statement.loc.start.line);
+                node.loop = context.breakLoop;
+                this.addEdge(node.id, context.breakTarget, 'next');
+                return node.id;
+            }
+
+            case 'ContinueStatement':
+                return context.continueTarget !== null ? context.continueTarget : next;
+
+            case 'GotoStatement': {
+                // Wired to its label once the whole body is built; a computed goto ends the path
+                const node = this.createNode('goto', statement, statement.loc.start.line);
+                if (statement.label) this.gotos.push({ node: node, scopes: this.openScopes.slice() });
+                return node.id;
+            }
+
+            case 'TryStatement': {
+                if (this.throwTarget === null) return this.buildStatement(statement.block, next, context);
+                // Exceptions from the try block reach its handlers, whose own exceptions go further out
+                const outer = this.throwTarget;
+                const dispatch = this.createNode('catch', null, statement.handlers.length > 0
+                    ? statement.handlers[0].loc.start.line
+                    : statement.loc.end.line);
+                dispatch.statement = statement;
+                statement.handlers.forEach(handler => {
+                    const label = handler.param
+                        ? `catch (${handler.param.typeSpec.text}${handler.param.reference ? ' ' + handler.param.reference : ''})`
+                        : 'catch (...)';
+                    this.addEdge(dispatch.id, this.buildStatement(handler.body, next, context), label);
+                });
+                // Without catch (...) an exception of another type keeps unwinding
+                if (statement.handlers.every(handler => handler.param)) {
+                    this.addEdge(dispatch.id, outer, 'uncaught');
+                }
+                this.throwTarget = dispatch.id;
+                const entry = this.buildStatement(statement.block, next, context);
+                this.throwTarget = outer;
+                return entry;
+            }
+
+            default:
+                return next;
+        }
+    }
+
+    /**
+     * Build a statement list back to front so each statement knows its successor
+     */
+    buildStatementList(statements, next, context) {
+        let entry = next;
+        for (let i = statements.length - 1; i >= 0; i--) {
+            entry = this.buildStatement(statements[i], entry, context);
+        }
+        return entry;
+    }
+
+    /**
+     * Build a block, passing every way out of it (falling off the end, break, continue)
+     * through a scope node that ends the block's local variables
+     * @param {Object} statement - Statement owning the block
+     * @param {Array<Object>} statements - Statements of the block
+     * @param {number} next - Node id that follows the block
+     * @param {Object} context - Jump targets for break/continue and the enclosing switch
+     * @returns {number} Entry node id of the block
+     */
+    buildBlock(statement, statements, next, context) {
+        const names = ControlFlowGraph.declaredNames(statements);
+        if (names.length === 0) {
+            return this.buildStatementList(statements, next, context);
+        }
+
+        const outer = this.scope;
+        const outerThrow = this.throwTarget;
+        this.scope = statement;
+        this.openScopes.push({ statement: statement, names: names });
+        const inner = Object.assign({}, context, {
+            breakTarget: context.breakTarget !== null ? this.leaveScope(statement, names, context.breakTarget, 'break') : null,
+            continueTarget: context.continueTarget !== null ? this.leaveScope(statement, names, context.continueTarget) : null
+        });
+        // An exception leaving the block ends its variables too
+        if (outerThrow !== null) this.throwTarget = this.leaveScope(statement, names, outerThrow);
+        const entry = this.buildStatementList(statements, this.leaveScope(statement, names, next), inner);
+        this.openScopes.pop();
+        this.scope = outer;
+        this.throwTarget = outerThrow;
+        return entry;
+    }
+
+    /**
+     * Create the node where a block's local variables go out of scope
+     * @param {string} [via] - 'break' or 'goto' when only that jump leaves the block through the node
+     * @returns {number} Node id
+     */
+    leaveScope(statement, names, next, via) {
+        const node = this.createNode('scope', null, statement.loc.end.line);
+        node.statement = statement;
+        node.names = names;
+        node.via = via || null;
+        this.addEdge(node.id, next, 'next');
+        return node.id;
+    }
+
+    /**
+     * Connect each goto to its label. A jump out of blocks ends their variables on the way, as
+     * falling off the end of the blocks would; a jump into a block skips its declarations.
+     */
+    resolveGotos() {
+        this.gotos.forEach(({ node, scopes }) => {
+            const label = this.labels.get(node.ast.label);
+            if (!label) return;
+            let shared = 0;
+            while (shared < scopes.length && shared < label.scopes.length &&
+                scopes[shared].statement === label.scopes[shared].statement) {
+                shared++;
+            }
+            let target = label.id;
+            scopes.slice(shared).forEach(scope => {
+                target = this.leaveScope(scope.statement, scope.names, target, 'goto');
+            });
+            node.label = label.id;
+            this.addEdge(node.id, target, 'goto');
+        });
+    }
+
+    /**
+     * Names of the automatic variables declared directly in a statement list
+     * @param {Array<Object>} statements - Statements of a block
+     * @returns {Array<string>} Variable names
+     */
+    static declaredNames(statements) {
+        const names = [];
+        statements.forEach(statement => {
+            if (statement.type !== 'Declaration' ||
+                ['static', 'extern', 'typedef'].some(storage => statement.storage.includes(storage))) {
+                return;
+            }
+            statement.declarators.forEach(declarator => {
+                if (declarator.name && !declarator.isFunction) names.push(declarator.name);
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Give a node that makes calls an edge to where an exception thrown by them goes. Whether a
+     * particular call can throw is left to the path analyzer.
+     * @param {Object} node - Graph node
+     */
+    addThrowEdge(node) {
+        if (this.throwTarget === null || !ControlFlowGraph.makesCalls(node.ast)) return;
+        this.addEdge(node.id, this.throwTarget, 'throw');
+    }
+
+    static makesCalls(ast) {
+        let found = false;
+        CParser.walk(ast, child => {
+            if (found || child.type === 'LambdaExpression') return false;
+            if (child.type === 'CallExpression') found = true;
+            return !found;
+        });
+        return found;
+    }
+
+    buildSimple(kind, ast, next) {
+        return this.buildNode(kind, ast, next).id;
+    }
+
+    buildNode(kind, ast, next) {
+        const node = this.createNode(kind, ast, ast && ast.loc ? ast.loc.start.line : 0);
+        this.addEdge(node.id, next, 'next');
+        return node;
+    }
+
+    /**
+     * Build branch nodes for a condition, splitting && and || into short-circuit branches
+     * @param {Object} test - Condition expression
+     * @param {number} whenTrue - Node id taken when the condition holds
+     * @param {number} whenFalse - Node id taken otherwise
+     * @param {Object} statement - Statement owning the condition
+     * @returns {number} Entry node id of the condition
+     */
+    buildCondition(test, whenTrue, whenFalse, statement) {
+        if (test && test.type === 'LogicalExpression') {
+            if (test.operator === '&&') {
+                const right = this.buildCondition(test.right, whenTrue, whenFalse, statement);
+                return this.buildCondition(test.left, right, whenFalse, statement);
+            }
+            if (test.operator === '||') {
+                const right = this.buildCondition(test.right, whenTrue, whenFalse, statement);
+                return this.buildCondition(test.left, whenTrue, right, statement);
+            }
+        }
+        if (test && test.type === 'UnaryExpression' && test.operator === '!' &&
+            test.argument.type === 'LogicalExpression') {
+            return this.buildCondition(test.argument, whenFalse, whenTrue, statement);
+        }
+
+        const branch = this.createNode('branch', test, test && test.loc ? test.loc.start.line : statement.loc.start.line);
+        branch.statement = statement;
+        this.addEdge(branch.id, whenTrue, 'true');
+        this.addEdge(branch.id, whenFalse, 'false');
+        if (test) this.addThrowEdge(branch);
+        return branch.id;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * Target Data Model Module
+ * Chooses the ABI (ILP32, LP64 or LLP64) whose type sizes and alignments are used for sizeof,
+ * so leaked byte counts match what a memory checker reports on that platform
+ */
+
+const DATA_MODEL_KEY = 'mlda_data_model';
+
+/**
+ * Make a data model's sizes the ones used by the analysis
+ * @param {string} name - Key of CONFIG.DATA_MODELS
+ * @returns {boolean} True if the model exists
+ */
+function applyDataModel(name) {
+    const model = CONFIG.DATA_MODELS[name];
+    if (!model) return false;
+    CONFIG.DATA_MODEL = name;
+    Object.assign(CONFIG.TYPE_SIZES, model.sizes);
+    CONFIG.TYPE_ALIGNMENTS = Object.assign({}, model.alignments);
+    return true;
+}
+
+/**
+ * Switch to a data model chosen by the user and remember it
+ * @param {string} name - Key of CONFIG.DATA_MODELS
+ */
+function setDataModel(name) {
+    try {
+        if (!applyDataModel(name)) {
+            notifications.error(`Unknown data model: ${name}`);
+            return;
+        }
+        localStorage.setItem(DATA_MODEL_KEY, name);
+        const pointer = CONFIG.TYPE_SIZES.POINTER;
+        const long = CONFIG.TYPE_SIZES.LONG;
+        notifications.info(`Target set to ${CONFIG.DATA_MODELS[name].label}: long is ${long} bytes, pointers ${pointer} bytes`);
+        debugLog('Data model changed to:', name);
+    } catch (error) {
+        debugError('Error changing data model:', error);
+    }
+}
+
+/**
+ * Initialize the data model: apply the saved choice and follow the selector
+ */
+function initDataModel() {
+    try {
+        const saved = localStorage.getItem(DATA_MODEL_KEY);
+        if (!saved || !applyDataModel(saved)) {
+            applyDataModel(CONFIG.DATA_MODEL);
+        }
+
+        const select = document.getElementById('dataModelSelect');
+        if (select) {
+            select.value = CONFIG.DATA_MODEL;
+            select.addEventListener('change', () => setDataModel(select.value));
+        }
+    } catch (error) {
+        debugError('Error initializing data model:', error);
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Function Summaries
+ * Orders a translation unit's functions so callees are analyzed before their callers, and
+ * keeps what each function does with memory so call sites can inherit its allocations and frees
+ */
+class FunctionSummaries {
+    /**
+     * Create the summary table for a set of function definitions
+     * @param {Array<Object>} functions - FunctionDefinition nodes in source order
+     * @param {Object} [translationUnit] - TranslationUnit node, for noexcept on declarations without a body
+     */
+    constructor(functions, translationUnit) {
+        this.functions = functions;
+        this.declaredNoexcept = translationUnit ? FunctionSummaries.noexceptDeclarations(translationUnit) : new Map();
+        this.summaries = new Map(); // function name -> summary
+        this.byName = new Map(); // function name -> FunctionDefinition
+        this.recursive = new Set(); // functions that call back into their own call cycle
+        this.defined = new Set(functions.map(fn => fn.name)); // every function name with a body, methods included
+
+        // Overloads and methods cannot be told apart from a plain call by name, so they get no summary
+        const counts = new Map();
+        functions.forEach(fn => counts.set(fn.name, (counts.get(fn.name) || 0) + 1));
+        functions.forEach(fn => {
+            if (fn.name && !fn.className && counts.get(fn.name) === 1) {
+                this.byName.set(fn.name, fn);
+            }
+        });
+    }
+
+    /**
+     * Order functions bottom-up over the call graph. A call back into a function that is still
+     * being ordered closes a cycle; the caller is marked recursive so the analysis can run again
+     * once the rest of the cycle has summaries.
+     * @returns {Array<Object>} FunctionDefinition nodes, callees before callers
+     */
+    analysisOrder() {
+        const order = [];
+        const state = new Map(); // FunctionDefinition -> 'visiting' | 'done'
+
+        const visit = (fn) => {
+            if (state.has(fn)) return;
+            state.set(fn, 'visiting');
+            FunctionSummaries.calledNames(fn).forEach(name => {
+                const callee = this.byName.get(name);
+                if (!callee) return;
+                if (state.get(callee) === 'visiting') {
+                    this.recursive.add(fn);
+                } else {
+                    visit(callee);
+                }
+            });
+            state.set(fn, 'done');
+            order.push(fn);
+        };
+
+        this.functions.forEach(visit);
+        return order;
+    }
+
+    /**
+     * Names of the functions called directly from a function body
+     * @param {Object} functionNode - FunctionDefinition node
+     * @returns {Set<string>} Callee names
+     */
+    static calledNames(functionNode) {
+        const names = new Set();
+        CParser.walk(functionNode.body, node => {
+            if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+                names.add(node.callee.name);
+            }
+            return true;
+        });
+        return names;
+    }
+
+    /**
+     * Whether the code defines a function of this name, so calls to it are not library calls
+     * @param {string} name - Function name
+     * @returns {boolean}
+     */
+    defines(name) {
+        return this.defined.has(name);
+    }
+
+    /**
+     * Whether calling a function defined in the code can throw: never when it is declared noexcept,
+     * otherwise when an exception can leave it according to its summary. Methods and overloads have
+     * no summary and throw if one of their definitions contains a throw expression.
+     * @param {string} name - Function name
+     * @returns {boolean}
+     */
+    mayThrow(name) {
+        if (this.declaredNoexcept.get(name)) return false;
+        const definitions = this.functions.filter(fn => fn.name === name);
+        if (definitions.every(fn => fn.noexcept)) return false;
+        const summary = this.get(name);
+        if (summary) return !!summary.throws;
+        return definitions.some(fn => !fn.noexcept && FunctionSummaries.containsThrow(fn));
+    }
+
+    /**
+     * Whether every prototype of a function, e.g. `void g() noexcept;`, declares it noexcept.
+     * Member prototypes count under their bare name, the name a call through an object uses.
+     * @param {Object} translationUnit - TranslationUnit node
+     * @returns {Map<string, boolean>} Function name -> noexcept on every declaration
+     */
+    static noexceptDeclarations(translationUnit) {
+        const declared = new Map();
+        CParser.walk(translationUnit, node => {
+            if (node.type === 'FunctionDefinition') return false;
+            if (node.type !== 'Declaration') return true;
+            node.declarators.forEach(declarator => {
+                if (!declarator.isFunction || !declarator.name) return;
+                const name = declarator.name.split('::').pop();
+                const noexcept = !!declarator.declarator.noexcept;
+                declared.set(name, declared.has(name) ? declared.get(name) && noexcept : noexcept);
+            });
+            return true;
+        });
+        return declared;
+    }
+
+    /**
+     * Whether a function without a definition in the code is declared noexcept
+     * @param {string} name - Function name
+     * @returns {boolean}
+     */
+    isNoexcept(name) {
+        return !!this.declaredNoexcept.get(name);
+    }
+
+    static containsThrow(functionNode) {
+        let found = false;
+        CParser.walk(functionNode.body, node => {
+            if (node.type === 'ThrowExpression') found = true;
+            return !found && node.type !== 'LambdaExpression';
+        });
+        return found;
+    }
+
+    get(name) {
+        return this.byName.has(name) ? this.summaries.get(name) || null : null;
+    }
+
+    set(name, summary) {
+        if (this.byName.has(name)) {
+            this.summaries.set(name, summary);
+        }
+    }
+}
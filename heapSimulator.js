@@ -0,0 +1,1082 @@
+/**
+ * Heap Simulator
+ * Runs main() in call order along one path, entering the functions the code defines, and keeps a
+ * model of the heap: blocks with addresses, sizes and the allocation that made them, and the
+ * variables and blocks pointing at them. The heap is recorded after every step, so the UI can step
+ * back and forth through blocks being allocated, aliased, freed and orphaned.
+ *
+ * Values are concrete where the code determines them (constants, sizeof, string literals and
+ * arithmetic on those) and unknown otherwise, e.g. input or the result of a library call.
+ * Allocations succeed. A condition on unknown values is taken as false, except that a loop with
+ * such a condition runs CONFIG.ANALYSIS.HEAP_SIMULATOR.UNKNOWN_ITERATIONS times.
+ */
+class HeapSimulator {
+    /**
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {Object} context - Analysis context
+     * @param {TypeLayout} context.layout - Types and constants of the code
+     * @param {Map} context.allocationSites - Allocation syntax node -> allocation record
+     * @param {Map} context.releaseSites - Release syntax node -> Deallocation node
+     * @param {Array<string>} context.lines - Source lines
+     * @param {boolean} [context.cpp] - Whether the code is C++
+     */
+    constructor(translationUnit, context) {
+        this.translationUnit = translationUnit;
+        this.layout = context.layout;
+        this.allocationSites = context.allocationSites;
+        this.releaseSites = context.releaseSites;
+        this.lines = context.lines;
+        this.cpp = !!context.cpp;
+        this.limits = CONFIG.ANALYSIS.HEAP_SIMULATOR;
+
+        this.functions = new Map(); // name -> FunctionDefinition
+        CParser.collectFunctions(translationUnit).forEach(functionNode => {
+            if (functionNode.name && functionNode.body && !this.functions.has(functionNode.name)) {
+                this.functions.set(functionNode.name, functionNode);
+            }
+        });
+        this.graphs = new Map(); // FunctionDefinition -> ControlFlowGraph
+        this.blocks = new Map(); // block id -> block
+        this.globals = new Map(); // global and static variable -> value
+        this.frames = [];
+        this.pending = []; // arguments evaluated for a call that has not started yet
+        this.steps = [];
+        this.events = []; // what the step being executed did to the heap
+        this.nextId = 1;
+        this.nextAddress = this.limits.HEAP_BASE;
+        this.executed = 0;
+        this.stopped = null; // why the simulation gave up before the program ended
+        this.exited = null; // how the program ended when it called exit() or abort()
+    }
+
+    /**
+     * Simulate the program from main()
+     * @returns {Object|null} { entry, steps, blocks, stopped, exited }, or null when the code has no main()
+     */
+    run() {
+        const main = this.functions.get('main');
+        if (!main) return null;
+        this.initializeGlobals();
+        this.call(main, [], main.loc.start.line);
+        this.finish(main);
+        return {
+            entry: 'main',
+            steps: this.steps,
+            blocks: this.blocks.size,
+            stopped: this.stopped,
+            exited: this.exited
+        };
+    }
+
+    stop(reason) {
+        if (!this.stopped) this.stopped = reason;
+    }
+
+    halted() {
+        return this.stopped !== null || this.exited !== null;
+    }
+
+    graphOf(functionNode) {
+        if (!this.graphs.has(functionNode)) {
+            this.graphs.set(functionNode, new ControlFlowGraph(functionNode, this.cpp));
+        }
+        return this.graphs.get(functionNode);
+    }
+
+    // ---------------------------------------------------------------------
+    // Execution
+    // ---------------------------------------------------------------------
+
+    /**
+     * Run a function to its end
+     * @param {Object} functionNode - FunctionDefinition node
+     * @param {Array<Object>} args - Argument values
+     * @param {number} line - Line of the call
+     * @returns {Object} Return value
+     */
+    call(functionNode, args, line) {
+        if (this.frames.length >= this.limits.MAX_CALL_DEPTH) {
+            this.stop(`Calls nest deeper than ${this.limits.MAX_CALL_DEPTH} levels at line ${line}`);
+            return { kind: 'unknown' };
+        }
+        const graph = this.graphOf(functionNode);
+        const frame = {
+            name: functionNode.name,
+            values: new Map(),
+            loops: new Map(), // loop statement -> iterations since the loop was entered
+            owners: new Map(), // smart pointer variable -> its kind, e.g. unique_ptr
+            previous: null,
+            returned: false,
+            returnValue: { kind: 'unknown' }
+        };
+        (functionNode.params || []).forEach((param, index) => {
+            if (param.name) frame.values.set(param.name, args[index] || { kind: 'unknown' });
+        });
+        this.frames.push(frame);
+        if (this.frames.length > 1) {
+            const shown = args.slice(0, 4).map(value => HeapSimulator.describe(value)).join(', ');
+            this.record(functionNode.loc.start.line, 'call',
+                `${functionNode.name}(${shown}${args.length > 4 ? ', …' : ''}) is called from line ${line}`);
+        }
+
+        let node = graph.entry;
+        while (node && !this.halted()) {
+            if (++this.executed > this.limits.MAX_NODES) {
+                this.stop(`Simulation stopped after ${this.limits.MAX_NODES} statements`);
+                break;
+            }
+            const next = this.execute(node, frame);
+            frame.previous = node;
+            node = next === null ? null : graph.getNode(next);
+        }
+        // After exit() the stack stays as it was, so what it still points to is reachable at the end
+        if (!this.halted()) this.frames.pop();
+        return frame.returnValue;
+    }
+
+    /**
+     * Execute a graph node
+     * @returns {number|null} Next node id, or null when the function is done
+     */
+    execute(node, frame) {
+        switch (node.kind) {
+            case 'statement':
+                this.executeStatement(node.ast, frame);
+                this.record(node.line, 'statement');
+                return this.next(node);
+
+            case 'branch':
+                return this.branch(node, frame);
+
+            case 'switch':
+                return this.switchCase(node);
+
+            case 'return': {
+                const argument = node.ast.argument;
+                frame.returnValue = argument ? this.evaluate(argument) : { kind: 'unknown' };
+                frame.returned = true;
+                this.record(node.line, 'return', argument
+                    ? `${frame.name}() returns ${HeapSimulator.describe(frame.returnValue)}`
+                    : `${frame.name}() returns`);
+                return this.next(node);
+            }
+
+            case 'scope':
+                this.endScope(node.names, frame);
+                return this.next(node);
+
+            case 'loop': {
+                // Coming from outside the loop starts a new count
+                const statement = node.ast;
+                const iterating = frame.previous && HeapSimulator.within(frame.previous, statement);
+                frame.loops.set(statement, (iterating ? frame.loops.get(statement) || 0 : 0) + 1);
+                return this.next(node);
+            }
+
+            case 'goto':
+                return node.successors.length > 0 ? node.successors[0].to : null;
+
+            case 'throw':
+                this.executeStatement(node.ast, frame);
+                this.record(node.line, 'statement', `An exception is thrown on line ${node.line}`);
+                return node.successors[0].to;
+
+            case 'catch': {
+                const edge = node.successors.find(successor => successor.label !== 'uncaught') || node.successors[0];
+                if (!edge) return null;
+                this.record(node.line, 'branch', edge.label === 'uncaught'
+                    ? 'No handler matches the exception'
+                    : `The exception is caught by ${edge.label}`);
+                return edge.to;
+            }
+
+            case 'unwind':
+                this.record(node.line, 'return', `The exception leaves ${frame.name}()`);
+                return null;
+
+            case 'exit':
+                if (!frame.returned) this.record(node.line, 'return', `${frame.name}() returns`);
+                return null;
+
+            default:
+                return this.next(node);
+        }
+    }
+
+    next(node) {
+        const edge = node.successors.find(successor => successor.label !== 'throw');
+        return edge ? edge.to : null;
+    }
+
+    /**
+     * Whether a graph node belongs to the body of a loop statement (the init clause of a for loop does not)
+     */
+    static within(node, statement) {
+        const ast = node.ast || node.statement;
+        if (!ast || !ast.range || ast === statement.init) return false;
+        return ast.range[0] >= statement.range[0] && ast.range[1] <= statement.range[1];
+    }
+
+    executeStatement(ast, frame) {
+        if (!ast) return;
+        if (ast.type === 'Declaration') {
+            ast.declarators.forEach(declarator => this.declare(declarator, ast, frame));
+        } else if (ast.type === 'ExpressionStatement') {
+            this.evaluate(ast.expression);
+        } else {
+            this.evaluate(ast);
+        }
+    }
+
+    branch(node, frame) {
+        const statement = node.statement;
+        const loop = statement && ASTParser.LOOP_TYPES.includes(statement.type) ? statement : null;
+        const iterations = loop ? frame.loops.get(loop) || 0 : 0;
+        const test = node.ast ? CParser.print(node.ast) : `${CParser.print(statement.left)} : ${CParser.print(statement.right)}`;
+        let truth = HeapSimulator.truth(node.ast ? this.evaluate(node.ast) : { kind: 'unknown' });
+        let note = '';
+        if (truth === null) {
+            truth = !!loop && iterations <= this.limits.UNKNOWN_ITERATIONS;
+            note = ' (it depends on values the simulator does not know)';
+        } else if (loop && truth && iterations > this.limits.MAX_ITERATIONS) {
+            truth = false;
+            note = ` (the simulator leaves the loop after ${this.limits.MAX_ITERATIONS} iterations)`;
+        }
+        const keyword = statement ? PathAnalyzer.statementKeyword(statement) : 'if';
+        this.record(node.line, 'branch', `${keyword} (${test}) is taken as ${truth}${note}`);
+        const edge = node.successors.find(successor => successor.label === (truth ? 'true' : 'false'));
+        return edge ? edge.to : null;
+    }
+
+    switchCase(node) {
+        const value = this.evaluate(node.ast);
+        const edges = node.successors;
+        let edge = null;
+        if (value.kind === 'number') {
+            edge = edges.find(successor => {
+                const target = this.graphOf(this.frameFunction()).getNode(successor.to);
+                return target.kind === 'case' && target.ast.test &&
+                    HeapSimulator.numberOf(this.evaluate(target.ast.test)) === value.value;
+            }) || null;
+        }
+        edge = edge || edges.find(successor => successor.label === 'default');
+        if (!edge) return null;
+        this.record(node.line, 'branch', `switch (${CParser.print(node.ast)}) takes ${edge.label}`);
+        return edge.to;
+    }
+
+    frameFunction() {
+        return this.functions.get(this.frames[this.frames.length - 1].name);
+    }
+
+    /**
+     * Start a local or static variable
+     */
+    declare(declarator, declaration, frame) {
+        if (!declarator.name || declarator.isFunction) return;
+        const storage = declaration.storage || [];
+        if (storage.includes('typedef') || storage.includes('extern')) return;
+        const isStatic = storage.includes('static');
+        // Static locals keep their value between calls and are initialized once
+        if (isStatic && this.globals.has(declarator.name)) return;
+
+        const value = this.initialValue(declarator, declaration);
+        const scope = isStatic ? this.globals : frame.values;
+        HeapSimulator.forget(scope, declarator.name);
+        scope.set(declarator.name, value);
+        const kind = SmartPointers.kindOf(declaration.typeSpec);
+        if (SmartPointers.isOwner(kind)) {
+            if (!isStatic) frame.owners.set(declarator.name, kind);
+            this.adopt(value, kind);
+        }
+        if (value.kind === 'pointer') this.noteAlias({ values: scope, key: declarator.name }, value);
+    }
+
+    initialValue(declarator, declaration) {
+        const init = declarator.init;
+        if (declarator.arrayDims.length > 0 && !declarator.declarator.nested) {
+            if (init && init.type === 'InitializerList') this.evaluate(init);
+            return { kind: 'array', name: declarator.name };
+        }
+        if (init && init.type === 'ConstructorInitializer') {
+            const args = init.arguments.map(arg => this.evaluate(arg));
+            return args.length === 1 ? args[0] : { kind: 'unknown' };
+        }
+        if (init && init.type !== 'InitializerList') return this.evaluate(init);
+        if (init) {
+            this.evaluate(init);
+            return { kind: 'unknown' };
+        }
+        // Static storage starts zeroed; automatic storage holds garbage
+        const zeroed = !declaration || (declaration.storage || []).includes('static') || this.frames.length === 0;
+        if (!zeroed) return { kind: 'unknown' };
+        return declarator.pointerDepth > 0 ? { kind: 'null' } : { kind: 'number', value: 0 };
+    }
+
+    initializeGlobals() {
+        CParser.walk(this.translationUnit, node => {
+            if (node.type === 'FunctionDefinition' || node.type === 'RecordSpecifier') return false;
+            if (node.type !== 'Declaration') return true;
+            node.declarators.forEach(declarator => {
+                if (!declarator.name || declarator.isFunction) return;
+                if ((node.storage || []).some(storage => storage === 'typedef' || storage === 'extern')) return;
+                this.globals.set(declarator.name, this.initialValue(declarator, node));
+            });
+            return false;
+        });
+    }
+
+    /**
+     * End the variables of a block
+     */
+    endScope(names, frame) {
+        names.forEach(name => HeapSimulator.forget(frame.values, name));
+    }
+
+    /**
+     * Remove a variable and the members and elements stored under it, e.g. s, s.buf and arr[2]
+     */
+    static forget(values, name) {
+        Array.from(values.keys()).forEach(key => {
+            if (PathAnalyzer.rootName(key) === name) values.delete(key);
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Expressions
+    // ---------------------------------------------------------------------
+
+    /**
+     * Evaluate an expression, applying its effects to the heap and the variables
+     * @param {Object} expr - Expression node
+     * @returns {Object} Value: number, null, pointer, string, array, address or unknown
+     */
+    evaluate(expr) {
+        if (!expr) return { kind: 'unknown' };
+
+        switch (expr.type) {
+            case 'Identifier': {
+                if (PathAnalyzer.NULL_NAMES.includes(expr.name)) return { kind: 'null' };
+                const scope = this.scopeOf(expr.name, false);
+                if (scope) return scope.get(expr.name);
+                const constant = this.layout ? this.layout.evaluate(expr) : null;
+                return constant === null ? { kind: 'unknown' } : { kind: 'number', value: constant };
+            }
+
+            case 'Literal':
+                if (expr.kind === 'null') return { kind: 'null' };
+                if (expr.kind === 'string') return { kind: 'string', value: expr.value };
+                if (expr.kind === 'number' && Number.isFinite(expr.value)) return { kind: 'number', value: expr.value };
+                if (expr.kind === 'boolean') return { kind: 'number', value: expr.value ? 1 : 0 };
+                if (expr.kind === 'char') return { kind: 'number', value: TypeLayout.charValue(expr.raw) };
+                return { kind: 'unknown' };
+
+            case 'SizeofExpression': {
+                const size = this.layout ? this.layout.evaluate(expr) : null;
+                return size === null ? { kind: 'unknown' } : { kind: 'number', value: size };
+            }
+
+            case 'CastExpression':
+                return this.evaluate(expr.argument);
+
+            case 'AssignmentExpression': {
+                const right = this.evaluate(expr.right);
+                const value = expr.operator === '='
+                    ? right
+                    : this.arithmetic(expr.operator.slice(0, -1), this.evaluate(expr.left), right);
+                this.store(expr.left, value);
+                return value;
+            }
+
+            case 'UpdateExpression': {
+                const current = this.evaluate(expr.argument);
+                const value = this.arithmetic(expr.operator === '++' ? '+' : '-', current, { kind: 'number', value: 1 });
+                this.store(expr.argument, value);
+                return expr.prefix ? value : current;
+            }
+
+            case 'BinaryExpression':
+                return this.arithmetic(expr.operator, this.evaluate(expr.left), this.evaluate(expr.right));
+
+            case 'LogicalExpression': {
+                const left = HeapSimulator.truth(this.evaluate(expr.left));
+                const stopsAt = expr.operator === '||';
+                if (left === stopsAt) return { kind: 'number', value: left ? 1 : 0 };
+                const right = HeapSimulator.truth(this.evaluate(expr.right));
+                if (right === stopsAt) return { kind: 'number', value: right ? 1 : 0 };
+                return left === null || right === null ? { kind: 'unknown' } : { kind: 'number', value: right ? 1 : 0 };
+            }
+
+            case 'UnaryExpression':
+                return this.evaluateUnary(expr);
+
+            case 'ConditionalExpression': {
+                const truth = HeapSimulator.truth(this.evaluate(expr.test));
+                return this.evaluate(truth ? expr.consequent : expr.alternate);
+            }
+
+            case 'SequenceExpression': {
+                let last = { kind: 'unknown' };
+                expr.expressions.forEach(item => { last = this.evaluate(item); });
+                return last;
+            }
+
+            case 'MemberExpression':
+            case 'SubscriptExpression': {
+                const location = this.locate(expr);
+                return location ? this.load(location) : { kind: 'unknown' };
+            }
+
+            case 'CallExpression':
+                return this.evaluateCall(expr);
+
+            case 'NewExpression': {
+                (expr.placement || []).forEach(arg => this.evaluate(arg));
+                const count = expr.arraySize ? this.evaluate(expr.arraySize) : null;
+                (expr.arguments || []).forEach(arg => this.evaluate(arg));
+                const site = this.allocationSites.get(expr);
+                return site ? this.allocate(expr, site, count ? [count] : []) : { kind: 'unknown' };
+            }
+
+            case 'DeleteExpression': {
+                const value = this.evaluate(expr.argument);
+                if (this.releaseSites.has(expr)) this.release(expr, expr.isArray ? 'delete[]' : 'delete', expr.argument, value);
+                return { kind: 'unknown' };
+            }
+
+            case 'InitializerList':
+                (expr.elements || []).forEach(element => this.evaluate(element));
+                return { kind: 'unknown' };
+
+            default:
+                return { kind: 'unknown' };
+        }
+    }
+
+    evaluateUnary(expr) {
+        if (expr.operator === '&') {
+            const location = this.locate(expr.argument);
+            return location ? { kind: 'address', location: location, text: CParser.print(expr.argument) } : { kind: 'unknown' };
+        }
+        if (expr.operator === '*') {
+            const location = this.locate(expr);
+            return location ? this.load(location) : { kind: 'unknown' };
+        }
+        const value = this.evaluate(expr.argument);
+        if (expr.operator === '!') {
+            const truth = HeapSimulator.truth(value);
+            return truth === null ? { kind: 'unknown' } : { kind: 'number', value: truth ? 0 : 1 };
+        }
+        const number = HeapSimulator.numberOf(value);
+        if (number === null) return { kind: 'unknown' };
+        if (expr.operator === '-') return { kind: 'number', value: -number };
+        if (expr.operator === '+') return { kind: 'number', value: number };
+        if (expr.operator === '~') return { kind: 'number', value: ~number };
+        return { kind: 'unknown' };
+    }
+
+    /**
+     * Apply a binary operator. Pointers move within their block by whole elements, and compare
+     * equal to NULL only when they are NULL.
+     */
+    arithmetic(operator, left, right) {
+        const l = HeapSimulator.numberOf(left);
+        const r = HeapSimulator.numberOf(right);
+        if (left.kind === 'number' && right.kind === 'number') {
+            const value = TypeLayout.applyOperator(operator, l, r);
+            return value === null ? { kind: 'unknown' } : { kind: 'number', value: value };
+        }
+        if (left.kind === 'pointer' && (operator === '+' || operator === '-') && right.kind !== 'pointer') {
+            return HeapSimulator.moved(left, r === null ? null : (operator === '-' ? -r : r));
+        }
+        if (right.kind === 'pointer' && operator === '+' && left.kind !== 'pointer') {
+            return HeapSimulator.moved(right, l);
+        }
+        if (left.kind === 'pointer' && right.kind === 'pointer' && operator === '-' && left.block === right.block &&
+            left.offset !== null && right.offset !== null) {
+            return { kind: 'number', value: left.offset - right.offset };
+        }
+        if (operator === '==' || operator === '!=') {
+            const equal = HeapSimulator.equal(left, right);
+            if (equal === null) return { kind: 'unknown' };
+            return { kind: 'number', value: equal === (operator === '==') ? 1 : 0 };
+        }
+        return { kind: 'unknown' };
+    }
+
+    static moved(pointer, delta) {
+        const offset = pointer.offset === null || delta === null ? null : pointer.offset + delta;
+        return { kind: 'pointer', block: pointer.block, offset: offset };
+    }
+
+    static equal(left, right) {
+        const nullish = value => value.kind === 'null' || (value.kind === 'number' && value.value === 0);
+        const known = value => nullish(value) || value.kind === 'pointer' || value.kind === 'address' || value.kind === 'array';
+        if (!known(left) || !known(right)) return null;
+        if (nullish(left) || nullish(right)) return nullish(left) && nullish(right);
+        if (left.kind === 'pointer' && right.kind === 'pointer') {
+            if (left.block !== right.block) return false;
+            return left.offset === null || right.offset === null ? null : left.offset === right.offset;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a value is true in a condition
+     * @returns {boolean|null} null when it is not known
+     */
+    static truth(value) {
+        switch (value.kind) {
+            case 'number': return value.value !== 0;
+            case 'null': return false;
+            case 'pointer':
+            case 'string':
+            case 'array':
+            case 'address':
+                return true;
+            default:
+                return null;
+        }
+    }
+
+    static numberOf(value) {
+        if (value.kind === 'number') return value.value;
+        return value.kind === 'null' ? 0 : null;
+    }
+
+    // ---------------------------------------------------------------------
+    // Storage
+    // ---------------------------------------------------------------------
+
+    /**
+     * Map holding a variable: the current frame's, else the globals
+     * @param {string} name - Variable name
+     * @param {boolean} create - Return the current frame for an unknown name instead of null
+     */
+    scopeOf(name, create) {
+        const frame = this.frames[this.frames.length - 1];
+        if (frame && frame.values.has(name)) return frame.values;
+        if (this.globals.has(name)) return this.globals;
+        return create && frame ? frame.values : null;
+    }
+
+    /**
+     * Where an lvalue lives: a variable (or a member or element of one) in a frame or the globals,
+     * { values, key }, or part of a heap block, { block, key }
+     * @returns {Object|null} Location, or null when it cannot be told
+     */
+    locate(expr) {
+        if (!expr) return null;
+        switch (expr.type) {
+            case 'Identifier': {
+                const values = this.scopeOf(expr.name, true);
+                return values ? { values: values, key: expr.name } : null;
+            }
+            case 'CastExpression':
+                return this.locate(expr.argument);
+            case 'MemberExpression': {
+                if (expr.arrow) return this.inside(this.evaluate(expr.object), expr.property);
+                const owner = this.locate(expr.object);
+                return owner ? Object.assign({}, owner, { key: `${owner.key}.${expr.property}` }) : null;
+            }
+            case 'SubscriptExpression': {
+                const base = this.evaluate(expr.object);
+                const index = HeapSimulator.numberOf(this.evaluate(expr.index));
+                if (base.kind === 'pointer') {
+                    const element = base.offset === null || index === null ? '?' : base.offset + index;
+                    return this.inside(Object.assign({}, base, { offset: 0 }), `[${element}]`);
+                }
+                const owner = base.kind === 'array' ? this.locate(expr.object) : null;
+                return owner ? Object.assign({}, owner, { key: `${owner.key}[${index === null ? '?' : index}]` }) : null;
+            }
+            case 'UnaryExpression': {
+                if (expr.operator !== '*') return null;
+                const base = this.evaluate(expr.argument);
+                if (base.kind === 'address') return base.location;
+                return this.inside(base, null);
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Location of a member (or the first element when member is null) of what a pointer points to
+     */
+    inside(pointer, member) {
+        if (pointer.kind === 'address') {
+            return member === null ? pointer.location : Object.assign({}, pointer.location, {
+                key: `${pointer.location.key}${member.startsWith('[') ? '' : '.'}${member}`
+            });
+        }
+        if (pointer.kind !== 'pointer') return null;
+        const block = this.blocks.get(pointer.block);
+        const element = pointer.offset === null ? '[?]' : `[${pointer.offset}]`;
+        let key = member === null ? element : member;
+        if (member !== null && !member.startsWith('[') && pointer.offset) key = `${element}.${member}`;
+        return { block: block, key: key };
+    }
+
+    load(location) {
+        if (location.block) {
+            this.checkAccess(location.block, 'read');
+            return location.block.fields.get(location.key) || { kind: 'unknown' };
+        }
+        return location.values.get(location.key) || { kind: 'unknown' };
+    }
+
+    store(target, value) {
+        const location = this.locate(target);
+        if (!location) return;
+        if (location.block) {
+            this.checkAccess(location.block, 'written');
+            location.block.fields.set(location.key, value);
+        } else {
+            location.values.set(location.key, value);
+        }
+        if (value.kind === 'pointer') this.noteAlias(location, value);
+    }
+
+    /**
+     * Report a block that a second variable or block now points to
+     */
+    noteAlias(location, value) {
+        const block = this.blocks.get(value.block);
+        if (!block || block.status !== 'live') return;
+        const name = this.locationName(location);
+        const others = this.holdersOf(block.id).filter(holder => holder !== name);
+        if (others.length === 0) return;
+        this.event('alias', block, `${name} now also points to block #${block.id} (already held by ${others.join(', ')})`);
+    }
+
+    checkAccess(block, action) {
+        if (block.status === 'freed') {
+            this.event('use-after-free', block, `Block #${block.id} is ${action} after it was freed on line ${block.freedAt}`);
+        }
+    }
+
+    locationName(location) {
+        if (location.block) {
+            return location.key.startsWith('[') ? `#${location.block.id}${location.key}` : `#${location.block.id}.${location.key}`;
+        }
+        const frame = this.frames[this.frames.length - 1];
+        if (location.values === this.globals) return location.key;
+        if (frame && location.values === frame.values) return location.key;
+        const owner = this.frames.find(candidate => candidate.values === location.values);
+        return owner ? `${location.key} in ${owner.name}()` : location.key;
+    }
+
+    // ---------------------------------------------------------------------
+    // Calls, allocation and release
+    // ---------------------------------------------------------------------
+
+    evaluateCall(expr) {
+        const name = expr.callee.type === 'Identifier' ? expr.callee.name : null;
+        if (expr.callee.type === 'MemberExpression' && this.resetOwner(expr)) return { kind: 'unknown' };
+        if (!name || this.scopeOf(name, false)) {
+            if (expr.callee.type === 'MemberExpression') this.evaluate(expr.callee.object);
+            expr.arguments.forEach(arg => this.evaluate(arg));
+            return { kind: 'unknown' };
+        }
+
+        const mark = this.pending.length;
+        const args = expr.arguments.map(arg => {
+            const value = this.evaluate(arg);
+            this.pending.push(value);
+            return value;
+        });
+        try {
+            const line = expr.loc.start.line;
+            const site = this.allocationSites.get(expr);
+            if (site && !site.resource) return this.allocate(expr, site, args);
+            const release = this.releaseSites.get(expr);
+            if (release && !release.resource) {
+                const index = ASTParser.pointerArgument(name);
+                this.release(expr, name, expr.arguments[index], args[index] || { kind: 'unknown' });
+                return { kind: 'unknown' };
+            }
+            if (CONFIG.ANALYSIS.NORETURN_FUNCTIONS.includes(name)) {
+                this.exited = `${name}() ends the program on line ${line}`;
+                return { kind: 'unknown' };
+            }
+            const callee = this.functions.get(name);
+            if (callee) return this.call(callee, args, line);
+            if (name === 'strlen' && args[0] && args[0].kind === 'string') {
+                return { kind: 'number', value: args[0].value.length };
+            }
+            // strcpy() and friends hand back their destination
+            const returned = CONFIG.ANALYSIS.RETURNS_ARGUMENT[name];
+            if (returned !== undefined && args[returned]) return args[returned];
+            // A library function may store anything through the addresses it is given, e.g. scanf("%d", &n)
+            args.forEach(arg => {
+                if (arg.kind !== 'address') return;
+                const location = arg.location;
+                if (location.block) location.block.fields.delete(location.key);
+                else location.values.set(location.key, { kind: 'unknown' });
+            });
+            return { kind: 'unknown' };
+        } finally {
+            this.pending.length = mark;
+        }
+    }
+
+    /**
+     * Create a block for an allocation, or move one for realloc()
+     * @param {Object} expr - Allocating call or new expression
+     * @param {Object} site - Allocation record
+     * @param {Array<Object>} args - Argument values (the element count for new[])
+     * @returns {Object} Pointer to the block
+     */
+    allocate(expr, site, args) {
+        const line = expr.loc.start.line;
+        const allocator = site.function;
+        const previous = allocator === 'realloc' && args[0] && args[0].kind === 'pointer' ? this.blocks.get(args[0].block) : null;
+        const size = this.allocationSize(expr, site, args);
+        const padded = TypeLayout.alignUp(Math.max(size || 1, 1), this.limits.ALIGNMENT);
+        const frame = this.frames[this.frames.length - 1];
+        const block = {
+            id: this.nextId++,
+            address: this.nextAddress + this.limits.CHUNK_HEADER,
+            size: size,
+            sizeText: size === null ? site.sizeExpr || '?' : null,
+            allocator: allocator,
+            line: line,
+            function: frame ? frame.name : 'main',
+            status: 'live',
+            managed: site.managed || null,
+            fields: previous ? new Map(previous.fields) : new Map(),
+            freedAt: null,
+            holders: []
+        };
+        this.nextAddress += this.limits.CHUNK_HEADER + padded;
+        this.blocks.set(block.id, block);
+
+        const bytes = HeapSimulator.describeSize(block);
+        if (previous && previous.status === 'live') {
+            previous.status = 'freed';
+            previous.freedAt = line;
+            this.event('realloc', block, `realloc() moves block #${previous.id} (${HeapSimulator.describeSize(previous)}) ` +
+                `to block #${block.id} (${bytes} at ${HeapSimulator.hex(block.address)})`);
+        } else {
+            this.event('allocate', block, `${PathAnalyzer.describeAllocator(allocator)} allocates block #${block.id}: ` +
+                `${bytes} at ${HeapSimulator.hex(block.address)}`);
+        }
+        return { kind: 'pointer', block: block.id, offset: 0 };
+    }
+
+    /**
+     * Bytes an allocation asks for with the values the simulation has reached
+     * @returns {number|null} Size, or null when it depends on unknown values
+     */
+    allocationSize(expr, site, args) {
+        const number = index => args[index] ? HeapSimulator.numberOf(args[index]) : null;
+        if (expr.type === 'NewExpression' || site.managed) {
+            const typeName = expr.type === 'NewExpression' ? expr.typeName : SmartPointers.elementType(expr);
+            const type = typeName ? TypeLayout.namedType(typeName) : null;
+            const element = type && this.layout ? this.layout.layoutOf(Object.assign({}, type, { dims: [] })) : null;
+            if (!element) return null;
+            const arrayCount = expr.type === 'NewExpression' ? (expr.isArray ? number(0) : 1)
+                : (type.dims.length > 0 ? number(0) : 1);
+            return arrayCount === null ? null : element.size * arrayCount;
+        }
+        if (site.function === 'calloc') {
+            return number(0) === null || number(1) === null ? null : number(0) * number(1);
+        }
+        if (site.function === 'realloc') return number(1);
+        const rule = ASTParser.allocatorRule(site.function);
+        if (rule) return rule.sizeArg === null ? null : number(rule.sizeArg);
+        return number(0);
+    }
+
+    /**
+     * Release what a pointer points to
+     * @param {Object} expr - Release call or delete expression
+     * @param {string} deallocator - Release function, delete or delete[]
+     * @param {Object} argument - Released expression
+     * @param {Object} value - Its value
+     */
+    release(expr, deallocator, argument, value) {
+        const line = expr.loc.start.line;
+        const name = argument ? CParser.print(argument) : 'the pointer';
+        const call = PathAnalyzer.describeAllocator(deallocator);
+        if (value.kind === 'null' || (value.kind === 'number' && value.value === 0)) {
+            this.event('note', null, `${call} is given NULL, which it ignores`);
+            return;
+        }
+        if (value.kind !== 'pointer') {
+            const what = { array: 'an array on the stack', string: 'a string literal', address: 'the address of a variable' }[value.kind];
+            this.event(what ? 'invalid-free' : 'note', null, what
+                ? `${call} is given ${name}, ${what}, which was never allocated`
+                : `${call} releases ${name}, which the simulator does not track`);
+            return;
+        }
+        const block = this.blocks.get(value.block);
+        if (block.status === 'freed') {
+            this.event('double-free', block, `${call} releases block #${block.id} again: it was freed on line ${block.freedAt}`);
+            return;
+        }
+        if (value.offset !== 0) {
+            this.event('invalid-free', block, `${call} is given ${name}, which points inside block #${block.id} ` +
+                `rather than at its start, so the block is not released`);
+            return;
+        }
+        const family = PathAnalyzer.familyOf(block.allocator);
+        if (family && !family.deallocators.includes(deallocator)) {
+            this.event('mismatch', block, `Block #${block.id} came from ${PathAnalyzer.describeAllocator(block.allocator)} ` +
+                `but is released with ${call}`);
+        }
+        block.status = 'freed';
+        block.freedAt = line;
+        this.event('free', block, `${call} releases block #${block.id} (${HeapSimulator.describeSize(block)} at ` +
+            `${HeapSimulator.hex(block.address)})`);
+    }
+
+    /**
+     * Let a smart pointer own a block, which it releases when nothing refers to the block any more
+     */
+    adopt(value, kind) {
+        const block = value.kind === 'pointer' ? this.blocks.get(value.block) : null;
+        if (block && !block.managed) block.managed = kind;
+    }
+
+    /**
+     * p.reset() or p.reset(q) on a smart pointer variable: it lets go of its block, which is released
+     * with the step unless another owner still refers to it, and takes on q instead
+     * @returns {boolean} Whether the call was a reset
+     */
+    resetOwner(expr) {
+        const callee = expr.callee;
+        const object = callee.arrow ? null : ASTParser.stripCasts(callee.object);
+        if (!object || object.type !== 'Identifier' || callee.property !== 'reset') return false;
+        const values = this.scopeOf(object.name, false);
+        const current = values ? values.get(object.name) : null;
+        const block = current && current.kind === 'pointer' ? this.blocks.get(current.block) : null;
+        const frame = this.frames[this.frames.length - 1];
+        const kind = (values === frame.values && frame.owners.get(object.name)) || (block && block.managed);
+        if (!kind) return false;
+        const value = expr.arguments.length > 0 ? this.evaluate(expr.arguments[0]) : { kind: 'null' };
+        values.set(object.name, value);
+        this.adopt(value, kind);
+        if (value.kind === 'pointer') this.noteAlias({ values: values, key: object.name }, value);
+        return true;
+    }
+
+    // ---------------------------------------------------------------------
+    // Steps
+    // ---------------------------------------------------------------------
+
+    event(kind, block, text) {
+        this.events.push({ kind: kind, block: block ? block.id : null, text: text });
+    }
+
+    /**
+     * Record the heap after a step
+     * @param {number} line - Source line of the step
+     * @param {string} kind - statement, branch, call, return or end
+     * @param {string} [description] - What the step decided, when the source line alone does not say
+     * @param {boolean} [last] - Record even when the step limit has been reached
+     */
+    record(line, kind, description = null, last = false) {
+        if (this.steps.length >= this.limits.MAX_STEPS && !last) {
+            this.stop(`Only the first ${this.limits.MAX_STEPS} steps are recorded`);
+            return;
+        }
+        this.findOrphans(false, line);
+        const frame = this.frames[this.frames.length - 1];
+        const blocks = Array.from(this.blocks.values()).map(block => this.snapshotBlock(block));
+        this.steps.push({
+            index: this.steps.length,
+            line: line,
+            kind: kind,
+            function: frame ? frame.name : null,
+            depth: this.frames.length,
+            code: (this.lines[line - 1] || '').trim(),
+            description: description,
+            events: this.events,
+            blocks: blocks,
+            frames: this.frames.map(candidate => this.snapshotFrame(candidate)),
+            inUse: HeapSimulator.bytes(blocks.filter(block => block.status !== 'freed')),
+            orphaned: HeapSimulator.bytes(blocks.filter(block => block.status === 'orphaned'))
+        });
+        this.events = [];
+    }
+
+    /**
+     * The last step: main() has returned or the program exited, so only globals (and, after exit(),
+     * the stack) still point to the heap
+     */
+    finish(main) {
+        const last = this.steps.length > 0 ? this.steps[this.steps.length - 1].line : main.loc.end.line;
+        if (this.stopped) {
+            this.record(last, 'end', `${this.stopped}; the heap is shown as it was then`, true);
+            return;
+        }
+        this.findOrphans(!this.exited);
+        this.blocks.forEach(block => {
+            if (block.status !== 'live') return;
+            this.event('leak', block, `Block #${block.id} (${HeapSimulator.describeSize(block)} from ` +
+                `${PathAnalyzer.describeAllocator(block.allocator)} on line ${block.line}) is never freed; ` +
+                `it is still reachable from ${block.holders.join(', ')}`);
+        });
+        this.record(this.exited ? last : main.loc.end.line, 'end', this.exited || 'main() has returned: the program ends', true);
+    }
+
+    /**
+     * Mark live blocks that nothing points to any more. Blocks a smart pointer owns are released
+     * instead; the others leak.
+     * @param {boolean} [ending] - main() has just returned, taking its variables with it
+     * @param {number} [line] - Line of the step being recorded
+     */
+    findOrphans(ending = false, line = this.currentLine()) {
+        const holders = new Map(); // block id -> names pointing at it
+        const reached = [];
+        const reach = (value, name) => {
+            if (!value || value.kind !== 'pointer') return;
+            const block = this.blocks.get(value.block);
+            if (!block) return;
+            if (!holders.has(block.id)) {
+                holders.set(block.id, []);
+                reached.push(block);
+            }
+            if (name) holders.get(block.id).push(value.offset ? `${name} (+${value.offset})` : name);
+        };
+
+        const top = this.frames[this.frames.length - 1];
+        this.frames.forEach(frame => frame.values.forEach((value, key) => {
+            reach(value, frame === top ? key : `${key} in ${frame.name}()`);
+        }));
+        this.globals.forEach((value, key) => reach(value, key));
+        this.pending.forEach(value => reach(value, null));
+        this.frames.forEach(frame => reach(frame.returnValue, null));
+        // Pointers stored in a freed block no longer hold on to anything
+        for (let i = 0; i < reached.length; i++) {
+            if (reached[i].status === 'freed') continue;
+            reached[i].fields.forEach((value, key) => {
+                reach(value, key.startsWith('[') ? `#${reached[i].id}${key}` : `#${reached[i].id}.${key}`);
+            });
+        }
+
+        this.blocks.forEach(block => {
+            const names = holders.get(block.id);
+            if (names) {
+                block.holders = names;
+                return;
+            }
+            if (block.status !== 'live') {
+                block.holders = [];
+                return;
+            }
+            const last = block.holders.length > 0 ? block.holders.join(', ') : 'nothing';
+            if (block.managed) {
+                block.status = 'freed';
+                block.freedAt = line;
+                this.event('free', block, `The std::${block.managed} owning block #${block.id} lets go of it, releasing it`);
+            } else if (ending) {
+                block.status = 'orphaned';
+                this.event('leak', block, `Block #${block.id} (${HeapSimulator.describeSize(block)} from ` +
+                    `${PathAnalyzer.describeAllocator(block.allocator)} on line ${block.line}) is never freed: ` +
+                    `${last === 'nothing' ? 'nothing pointed to it' : `${last} still pointed to it`} when main() returned`);
+            } else {
+                block.status = 'orphaned';
+                this.event('orphan', block, `Block #${block.id} (${HeapSimulator.describeSize(block)} from ` +
+                    `${PathAnalyzer.describeAllocator(block.allocator)} on line ${block.line}) is orphaned: ` +
+                    `${this.describeLoss(block.holders, holders)}, so it can never be freed`);
+            }
+            block.holders = [];
+        });
+    }
+
+    /**
+     * Why a block became orphaned: "p no longer points to it", or "#2, which held it, is no longer
+     * reachable" when the pointers to it were fields of blocks that are themselves lost or freed
+     * @param {Array<string>} names - What pointed to the block at the previous step
+     * @param {Map} reached - Holders of the blocks still reachable, by block id
+     */
+    describeLoss(names, reached) {
+        if (names.length === 0) return 'its address was never stored';
+        const blocks = names.map(name => /^#(\d+)/.exec(name));
+        if (blocks.some(match => !match)) return `${names.join(', ')} no longer points to it`;
+        const ids = Array.from(new Set(blocks.map(match => Number(match[1]))));
+        const gone = ids.filter(id => !reached.has(id) || this.blocks.get(id).status === 'freed');
+        if (gone.length < ids.length) return `${names.join(', ')} no longer points to it`;
+        const freed = gone.every(id => this.blocks.get(id).status === 'freed');
+        const verb = gone.length > 1 ? (freed ? 'have been freed' : 'are no longer reachable')
+            : (freed ? 'has been freed' : 'is no longer reachable');
+        return `${gone.map(id => `#${id}`).join(', ')}, which held it, ${verb}`;
+    }
+
+    currentLine() {
+        return this.steps.length > 0 ? this.steps[this.steps.length - 1].line : 0;
+    }
+
+    holdersOf(id) {
+        const names = [];
+        const top = this.frames[this.frames.length - 1];
+        const visit = (value, name) => {
+            if (value && value.kind === 'pointer' && value.block === id) names.push(name);
+        };
+        this.frames.forEach(frame => frame.values.forEach((value, key) => visit(value, frame === top ? key : `${key} in ${frame.name}()`)));
+        this.globals.forEach((value, key) => visit(value, key));
+        this.blocks.forEach(block => {
+            if (block.status === 'freed') return;
+            block.fields.forEach((value, key) => visit(value, key.startsWith('[') ? `#${block.id}${key}` : `#${block.id}.${key}`));
+        });
+        return names;
+    }
+
+    snapshotBlock(block) {
+        const edges = [];
+        block.fields.forEach((value, key) => {
+            if (value.kind === 'pointer') edges.push({ field: key, to: value.block });
+        });
+        return {
+            id: block.id,
+            address: HeapSimulator.hex(block.address),
+            size: block.size,
+            sizeText: block.sizeText,
+            allocator: block.allocator,
+            line: block.line,
+            function: block.function,
+            status: block.status,
+            managed: block.managed,
+            freedAt: block.freedAt,
+            holders: block.holders.slice(),
+            edges: edges
+        };
+    }
+
+    snapshotFrame(frame) {
+        const variables = [];
+        frame.values.forEach((value, name) => {
+            if (value.kind === 'unknown' || variables.length >= this.limits.MAX_VARIABLES) return;
+            variables.push({ name: name, value: HeapSimulator.describe(value), block: value.kind === 'pointer' ? value.block : null });
+        });
+        return { function: frame.name, variables: variables };
+    }
+
+    static bytes(blocks) {
+        return blocks.reduce((sum, block) => sum + (block.size || 0), 0);
+    }
+
+    static describe(value) {
+        switch (value.kind) {
+            case 'number': return String(value.value);
+            case 'null': return 'NULL';
+            case 'pointer':
+                if (value.offset === 0) return `→ #${value.block}`;
+                return `→ #${value.block} + ${value.offset === null ? '?' : value.offset}`;
+            case 'string': return JSON.stringify(value.value.length > 24 ? value.value.slice(0, 24) + '…' : value.value);
+            case 'array': return '[array]';
+            case 'address': return `&${value.text}`;
+            default: return '?';
+        }
+    }
+
+    static describeSize(block) {
+        return block.size === null ? `${block.sizeText} bytes` : formatBytes(block.size);
+    }
+
+    static hex(address) {
+        return '0x' + address.toString(16).padStart(8, '0');
+    }
+}
@@ -31,7 +31,9 @@ function saveToHistory(analysis, code, language) {
                 totalAllocations: analysis.allocations ? analysis.allocations.length : 0,
                 totalFrees: analysis.frees ? analysis.frees.length : 0,
                 memoryLeaks: analysis.leaks ? analysis.leaks.length : 0,
-                leakedBytes: analysis.leaks ? analysis.leaks.reduce((sum, leak) => sum + (leak.size || 0), 0) : 0,
+                resourceLeaks: analysis.resourceLeaks ? analysis.resourceLeaks.length : 0,
+                leakedBytes: sumLeakedBytes(analysis.leaks),
+                leakedBytesLowerBound: isLowerBound(analysis.leaks),
                 warnings: analysis.warnings ? analysis.warnings.length : 0
             }
         };
@@ -9,11 +9,12 @@ class MemoryAnalyzer {
      */
     constructor(language = 'c') {
         this.language = language;
-        this.allocations = new Map(); // varName -> [allocations]
+        this.allocations = new Map(); // variable binding (block and name) -> [allocations]
         this.frees = [];
         this.warnings = [];
         this.timeline = [];
         this.currentMemory = 0;
+        this.typeLayout = null; // struct/typedef sizes of the C/C++ code being analyzed
         
         try {
             this.astParser = new ASTParser(language);
@@ -44,6 +45,8 @@ class MemoryAnalyzer {
                 allocations: [],
                 frees: [],
                 leaks: [],
+                resources: [],
+                resourceLeaks: [],
                 warnings: [],
                 timeline: []
             };
@@ -51,11 +54,17 @@ class MemoryAnalyzer {
             // If AST is empty, it might be due to syntax errors - continue with empty results
             if (astBody.length === 0) {
                 debugWarn('AST is empty - code may have syntax errors or no allocations detected');
-                // Still check for code quality issues even with empty AST
             }
 
-            // Traverse AST nodes
-            astBody.forEach(node => {
+            // C/C++ has a full syntax tree: follow each function's paths instead of source order
+            if (ast && ast.translationUnit) {
+                this.typeLayout = new TypeLayout(ast.translationUnit, this.language === 'cpp');
+                this.analyzePaths(ast.translationUnit, astBody, code, analysis);
+            }
+
+            // Traverse AST nodes in source order (languages without a full syntax tree)
+            const linearNodes = ast && ast.translationUnit ? [] : astBody;
+            linearNodes.forEach(node => {
                 try {
                     if (node.type === 'Allocation') {
                         const alloc = this.processASTAllocation(node, code);
@@ -77,18 +86,9 @@ class MemoryAnalyzer {
                 }
             });
 
-            // Also check for code quality issues using original code
-            const lines = code.split('\n');
-            lines.forEach((line, index) => {
-                try {
-                    this.detectCodeQualityIssues(line, index + 1, line, analysis);
-                } catch (error) {
-                    debugError('Error detecting code quality issues:', error);
-                }
-            });
-
             // Find all leaks
             this.findLeaks(analysis);
+            this.classifyLeaks(analysis);
 
             return analysis;
         } catch (error) {
@@ -100,6 +100,8 @@ class MemoryAnalyzer {
                 allocations: [],
                 frees: [],
                 leaks: [],
+                resources: [],
+                resourceLeaks: [],
                 warnings: [{
                     type: 'Analysis Error',
                     line: 0,
@@ -115,21 +117,250 @@ class MemoryAnalyzer {
         }
     }
 
+    /**
+     * Path-sensitive analysis of a C/C++ translation unit
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {Array<Object>} astBody - Allocation and Deallocation nodes in source order
+     * @param {string} code - Source code
+     * @param {Object} analysis - Analysis results to fill in
+     */
+    analyzePaths(translationUnit, astBody, code, analysis) {
+        const allocationSites = new Map(); // allocation syntax node -> allocation record
+        const sizeExpressions = new Map(); // allocId -> size formula, for callers to fill in their arguments
+        astBody.forEach(node => {
+            if (node.type === 'Allocation') {
+                const alloc = this.processASTAllocation(node, code);
+                allocationSites.set(node.node, alloc);
+                if (alloc.sizeExpr) sizeExpressions.set(alloc.allocId, this.allocationSizeExpression(node));
+                (alloc.resource ? analysis.resources : analysis.allocations).push(alloc);
+            }
+        });
+
+        const functions = CParser.collectFunctions(translationUnit);
+        const summaries = new FunctionSummaries(functions, translationUnit);
+        const context = {
+            allocationSites: allocationSites,
+            globals: this.collectGlobals(translationUnit),
+            lines: code.split('\n'),
+            summaries: summaries,
+            callSites: new Map(),
+            sizeExpressions: sizeExpressions,
+            typeLayout: this.typeLayout
+        };
+        const freedAllocations = new Map(); // deallocation syntax node -> allocId
+        const reallocations = new Map(); // realloc() syntax node -> allocId of the resized block
+        const automaticReleases = new Map(); // allocId -> { var, line } of the smart pointer that released it
+        const results = new Map(); // FunctionDefinition -> path analysis result
+
+        const analyzeFunction = (functionNode) => {
+            try {
+                const pathAnalyzer = new PathAnalyzer(new ControlFlowGraph(functionNode, this.language === 'cpp'), context);
+                results.set(functionNode, pathAnalyzer.run());
+                summaries.set(functionNode.name, pathAnalyzer.summarize());
+            } catch (error) {
+                debugError('Error analyzing function ' + functionNode.name + ':', error);
+            }
+        };
+
+        // Callees first, so every call site can use the callee's summary
+        const order = summaries.analysisOrder();
+        order.forEach(analyzeFunction);
+        // Recursive functions saw part of their cycle without summaries: one more pass
+        if (summaries.recursive.size > 0) {
+            order.forEach(analyzeFunction);
+        }
+
+        functions.forEach(functionNode => {
+            const result = results.get(functionNode);
+            if (!result) return;
+            result.leaks.forEach(leak => (leak.resource ? analysis.resourceLeaks : analysis.leaks).push(leak));
+            analysis.warnings.push(...result.warnings);
+            result.freedAllocations.forEach((allocId, node) => {
+                if (!freedAllocations.has(node)) freedAllocations.set(node, allocId);
+            });
+            result.reallocations.forEach((allocId, node) => {
+                if (!reallocations.has(node)) reallocations.set(node, allocId);
+            });
+            result.automaticReleases.forEach((release, allocId) => {
+                if (!automaticReleases.has(allocId)) automaticReleases.set(allocId, release);
+            });
+        });
+
+        const releaseSites = new Map(astBody.filter(node => node.type === 'Deallocation').map(node => [node.node, node]));
+        if (this.language === 'cpp') {
+            analysis.warnings.push(...SmartPointers.findCycles(translationUnit, context.lines));
+
+            // Members a class allocates are released by its destructor, not by the function that allocated them
+            try {
+                const classes = new ClassAnalyzer(translationUnit, {
+                    allocationSites: allocationSites,
+                    releaseSites: releaseSites,
+                    lines: context.lines
+                }).run();
+                classes.leaks.forEach(leak => (leak.resource ? analysis.resourceLeaks : analysis.leaks).push(leak));
+                analysis.warnings.push(...classes.warnings);
+            } catch (error) {
+                debugError('Error analyzing classes:', error);
+            }
+        }
+
+        // Copies into buffers whose size is known from their declaration or allocation
+        try {
+            const allocations = astBody.filter(node => node.type === 'Allocation' && !node.resource).map(node => ({
+                var: node.var,
+                line: node.line,
+                function: node.function,
+                node: node.node,
+                size: this.allocationSizeExpression(node)
+            }));
+            analysis.warnings.push(...new UnsafeCalls(translationUnit, {
+                layout: this.typeLayout,
+                allocations: allocations,
+                lines: context.lines
+            }).run());
+        } catch (error) {
+            debugError('Error checking unsafe calls:', error);
+        }
+
+        // Step-by-step heap of one run of main(), for the Heap Simulator tab
+        try {
+            analysis.heapSimulation = new HeapSimulator(translationUnit, {
+                layout: this.typeLayout,
+                allocationSites: allocationSites,
+                releaseSites: releaseSites,
+                lines: context.lines,
+                cpp: this.language === 'cpp'
+            }).run();
+        } catch (error) {
+            debugError('Error simulating the heap:', error);
+            analysis.heapSimulation = null;
+        }
+
+        // The timeline still follows source order, releasing each allocation once after it is made
+        const allocated = new Set();
+        const released = new Set();
+        const releaseOnce = allocId => {
+            const alloc = analysis.allocations.find(a => a.allocId === allocId);
+            if (alloc && allocated.has(allocId) && !released.has(allocId)) {
+                released.add(allocId);
+                this.currentMemory -= alloc.size || 0;
+            }
+        };
+
+        // Smart pointers release their memory where the owner is destroyed, reset or reassigned
+        const pending = Array.from(automaticReleases, ([allocId, release]) => Object.assign({ allocId: allocId }, release))
+            .sort((a, b) => a.line - b.line);
+        const releaseAutomatically = untilLine => {
+            while (pending.length > 0 && pending[0].line < untilLine) {
+                const release = pending.shift();
+                analysis.frees.push({
+                    var: release.var,
+                    line: release.line,
+                    lineText: (context.lines[release.line - 1] || '').trim(),
+                    freedAllocId: release.allocId,
+                    automatic: true
+                });
+                releaseOnce(release.allocId);
+                this.updateTimeline(release.line, `${release.var} released by its smart pointer`);
+            }
+        };
+
+        astBody.forEach(node => {
+            // Files, sockets and locks hold no heap memory
+            if (node.resource) return;
+            releaseAutomatically(node.line);
+            let event = null;
+            if (node.type === 'Allocation') {
+                const alloc = allocationSites.get(node.node);
+                allocated.add(alloc.allocId);
+                this.currentMemory += alloc.size || 0;
+
+                // realloc() resizes in place as far as the program is concerned: show the delta
+                const previous = analysis.allocations.find(a => a.allocId === reallocations.get(node.node));
+                if (previous) {
+                    alloc.resizedFrom = previous.allocId;
+                    alloc.sizeDelta = (alloc.size || 0) - (previous.size || 0);
+                    if (allocated.has(previous.allocId) && !released.has(previous.allocId)) {
+                        released.add(previous.allocId);
+                        this.currentMemory -= previous.size || 0;
+                    }
+                    event = `realloc: ${formatSize(previous.size || 0, previous.sizeExpr)} → ` +
+                        formatSize(alloc.size || 0, alloc.sizeExpr);
+                    if (!previous.sizeExpr && !alloc.sizeExpr) {
+                        event += ` (${alloc.sizeDelta >= 0 ? '+' : '-'}${formatBytes(Math.abs(alloc.sizeDelta))})`;
+                    }
+                }
+            } else if (node.type === 'Deallocation') {
+                const free = this.processASTDeallocation(node, code);
+                const allocId = freedAllocations.get(node.node) || '';
+                analysis.frees.push({
+                    var: free.var,
+                    line: free.line || 0,
+                    lineText: free.lineText || '',
+                    freedAllocId: allocId
+                });
+                releaseOnce(allocId);
+            }
+            this.updateTimeline(node.line || 1, event);
+        });
+        releaseAutomatically(Infinity);
+    }
+
+    /**
+     * Collect the names of file-scope variables, including those inside namespaces
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @returns {Set<string>} Global variable names
+     */
+    collectGlobals(translationUnit) {
+        const globals = new Set();
+        CParser.walk(translationUnit, node => {
+            if (node.type === 'Declaration' && !node.storage.includes('typedef')) {
+                node.declarators.forEach(declarator => {
+                    if (declarator.name && !declarator.isFunction) {
+                        globals.add(declarator.name);
+                    }
+                });
+                return false;
+            }
+            return node.type === 'TranslationUnit' || node.type === 'NamespaceDefinition' ||
+                node.type === 'LinkageSpecification';
+        });
+        return globals;
+    }
+
     // Process AST allocation node into allocation object
     processASTAllocation(astNode, originalCode) {
         const args = Array.isArray(astNode.args) ? astNode.args.join(', ') : (astNode.args || '');
-        const size = this.calculateSizeFromAST(astNode, args);
+        const sizeExpression = astNode.resource ? null : this.allocationSizeExpression(astNode);
+        let size = 0;
+        if (sizeExpression) {
+            size = sizeExpression.lowerBound();
+        } else if (!astNode.resource) {
+            size = this.calculateSizeFromAST(astNode, args);
+        }
+        const iterations = astNode.loops && astNode.loops.length > 0 ? ASTParser.loopScale(astNode.loops) : null;
         
         return {
             var: astNode.var,
+            binding: astNode.binding || astNode.var, // tells apart same-named variables of different blocks
             line: astNode.line,
             function: astNode.function,
-            size: size,
+            args: args,
+            typeName: astNode.typeName || null, // type a new expression or smart pointer factory creates
+            size: size, // exact, or the smallest possible size when sizeExpr is set
+            sizeExpr: sizeExpression && !sizeExpression.isConstant() ? String(sizeExpression) : null, // e.g. "4·n"
+            iterations: iterations, // trip count of the enclosing loops, if any
+            loops: astNode.loops || [], // the enclosing loops themselves, outermost first
+            totalSize: iterations && iterations.count !== null ? size * iterations.count : size,
             lineText: astNode.originalLine || this.getLineFromCode(originalCode, astNode.line),
             inLoop: astNode.inLoop || false,
             inFunction: astNode.inFunction || false,
             functionName: astNode.functionName || null,
-            allocId: `${astNode.var}_line${astNode.line}_${Date.now()}`,
+            nonnull: astNode.nonnull || false, // allocator aborts instead of returning NULL
+            managed: astNode.managed || null, // smart pointer kind owning the memory, e.g. 'unique_ptr'
+            resource: astNode.resource || null, // resource kind for fopen(), socket(), locks, ...
+            handle: astNode.handle || null, // argument naming a lock
+            allocId: `${astNode.var || astNode.function}_line${astNode.line}${astNode.node ? '_col' + astNode.node.loc.start.column : ''}_${Date.now()}`,
             language: this.language
         };
     }
@@ -138,6 +369,7 @@ class MemoryAnalyzer {
     processASTDeallocation(astNode, originalCode) {
         return {
             var: astNode.var,
+            binding: astNode.binding || astNode.var,
             line: astNode.line,
             lineText: astNode.originalLine || this.getLineFromCode(originalCode, astNode.line),
             language: this.language,
@@ -221,6 +453,50 @@ class MemoryAnalyzer {
         return lines[lineNum - 1] || '';
     }
 
+    /**
+     * Size of a C/C++ allocation as a formula over its arguments, e.g. 4·n for malloc(n * sizeof(int)).
+     * Constants, sizeof with the target data model and variables that keep their initializer are
+     * evaluated; whatever is left stays symbolic.
+     * @param {Object} astNode - Allocation node from ASTParser
+     * @returns {SizeExpression|null} Size, or null when the call has no size argument
+     */
+    allocationSizeExpression(astNode) {
+        const layout = this.typeLayout;
+        const node = astNode.node;
+        if (!layout || !node) return null;
+
+        if (node.type === 'NewExpression') {
+            const element = layout.layoutOfTypeName(node.typeName);
+            let size = element ? new SizeExpression(element.size) : SizeExpression.symbol(`sizeof(${node.typeName.text})`);
+            if (node.isArray) {
+                [node.arraySize].concat(node.extraDims || []).forEach(dim => {
+                    size = size.multiply(SizeExpression.fromNode(dim, layout));
+                });
+            }
+            return size;
+        }
+
+        if (astNode.managed) {
+            // make_unique<T[]>(n) allocates n elements, make_unique<T>(args...) a single constructed T
+            const typeName = SmartPointers.elementType(node);
+            const type = TypeLayout.namedType(typeName);
+            const element = layout.layoutOf(Object.assign({}, type, { dims: [] }));
+            const size = element ? new SizeExpression(element.size) : SizeExpression.symbol(`sizeof(${typeName.specifier.text})`);
+            return type.dims.length > 0 && node.arguments.length > 0
+                ? size.multiply(SizeExpression.fromNode(node.arguments[0], layout))
+                : size;
+        }
+
+        const argNodes = astNode.argNodes || [];
+        let sizeNodes = argNodes.slice(0, 1);
+        if (astNode.function === 'calloc') sizeNodes = argNodes.slice(0, 2);
+        if (astNode.function === 'realloc') sizeNodes = argNodes.slice(1, 2);
+        if (sizeNodes.length === 0) return null;
+
+        return sizeNodes.reduce((size, sizeNode) => size.multiply(SizeExpression.fromNode(sizeNode, layout)),
+            new SizeExpression(1));
+    }
+
     /**
      * Get type size from sizeof expression or context
      * @param {string} args - Arguments string containing type information
@@ -251,8 +527,8 @@ class MemoryAnalyzer {
             }
 
             // Check for pointer reassignment (memory leak)
-            if (this.allocations.has(alloc.var)) {
-                const existingAllocs = this.allocations.get(alloc.var);
+            if (this.allocations.has(alloc.binding)) {
+                const existingAllocs = this.allocations.get(alloc.binding);
                 if (existingAllocs && existingAllocs.length > 0) {
                     const lastAlloc = existingAllocs[existingAllocs.length - 1];
                     
@@ -275,10 +551,10 @@ class MemoryAnalyzer {
             }
 
             // Add new allocation
-            if (!this.allocations.has(alloc.var)) {
-                this.allocations.set(alloc.var, []);
+            if (!this.allocations.has(alloc.binding)) {
+                this.allocations.set(alloc.binding, []);
             }
-            this.allocations.get(alloc.var).push(alloc);
+            this.allocations.get(alloc.binding).push(alloc);
             
             if (analysis.allocations && Array.isArray(analysis.allocations)) {
                 analysis.allocations.push(alloc);
@@ -296,7 +572,7 @@ class MemoryAnalyzer {
                 return;
             }
 
-            if (!this.allocations.has(free.var)) {
+            if (!this.allocations.has(free.binding)) {
                 // Double free or free of unallocated pointer
                 if (analysis.warnings && Array.isArray(analysis.warnings)) {
                     analysis.warnings.push({
@@ -309,7 +585,7 @@ class MemoryAnalyzer {
                 return;
             }
 
-            const allocs = this.allocations.get(free.var);
+            const allocs = this.allocations.get(free.binding);
             if (!allocs || allocs.length === 0) {
                 if (analysis.warnings && Array.isArray(analysis.warnings)) {
                     analysis.warnings.push({
@@ -338,38 +614,13 @@ class MemoryAnalyzer {
 
             // Clean up if no more allocations for this variable
             if (allocs.length === 0) {
-                this.allocations.delete(free.var);
+                this.allocations.delete(free.binding);
             }
         } catch (error) {
             debugError('Error handling free:', error);
         }
     }
 
-    detectCodeQualityIssues(line, lineNum, originalLine, analysis) {
-        try {
-            if (!line || !analysis || !analysis.warnings || !Array.isArray(analysis.warnings)) {
-                return;
-            }
-
-            // Detect unsafe functions
-            if (line.includes('strcpy(') && !line.includes('strncpy')) {
-                analysis.warnings.push({
-                    type: 'Unsafe Function',
-                    line: lineNum || 0,
-                    message: 'strcpy() used without bounds checking. Consider using strncpy() or strcpy_s().',
-                    lineText: originalLine ? originalLine.trim() : ''
-                });
-            }
-
-            // Detect missing NULL checks (simplified - check next few lines)
-            if (line.match(/(malloc|calloc|realloc)\s*\(/)) {
-                // This is a simplified check - in a real implementation, you'd do proper control flow analysis
-            }
-        } catch (error) {
-            debugError('Error detecting code quality issues:', error);
-        }
-    }
-
     findLeaks(analysis) {
         try {
             if (!analysis || !analysis.leaks || !Array.isArray(analysis.leaks)) {
@@ -378,7 +629,7 @@ class MemoryAnalyzer {
             }
 
             // All remaining allocations are leaks
-            this.allocations.forEach((allocs, varName) => {
+            this.allocations.forEach(allocs => {
                 if (!allocs || !Array.isArray(allocs)) {
                     return;
                 }
@@ -387,6 +638,7 @@ class MemoryAnalyzer {
                     if (!alloc) {
                         return;
                     }
+                    const varName = alloc.var;
 
                     let fixMessage = `Add free(${varName}); before function return or at appropriate cleanup point.`;
                     
@@ -411,15 +663,35 @@ class MemoryAnalyzer {
         }
     }
 
-    updateTimeline(lineNum) {
+    /**
+     * Give every C/C++ memory leak a memcheck category and the severity that goes with it. Leaks the
+     * path analysis did not categorize (class members) lost their last pointer. The source-order scan
+     * of other languages cannot tell the categories apart, so their leaks get none.
+     * @param {Object} analysis - Analysis results (leaks are updated in place)
+     */
+    classifyLeaks(analysis) {
+        if (this.language !== 'c' && this.language !== 'cpp') return;
+        const classes = CONFIG.ANALYSIS.LEAK_CLASSES;
+        analysis.leaks.forEach(leak => {
+            const leakClass = classes.find(candidate => candidate.name === leak.leakClass) || classes[0];
+            leak.leakClass = leakClass.name;
+            leak.severity = leakClass.severity;
+        });
+    }
+
+    updateTimeline(lineNum, event = null) {
         try {
             if (!this.timeline || !Array.isArray(this.timeline)) {
                 this.timeline = [];
             }
-            this.timeline.push({
+            const point = {
                 line: lineNum || 0,
                 memory: this.currentMemory || 0
-            });
+            };
+            if (event) {
+                point.event = event;
+            }
+            this.timeline.push(point);
         } catch (error) {
             debugError('Error updating timeline:', error);
         }
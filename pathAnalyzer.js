@@ -0,0 +1,2958 @@
+/**
+ * Path-Sensitive Analyzer
+ * Explores the paths of a function's control-flow graph, tracking which heap block each
+ * variable points to, and reports allocations that are lost on some path
+ */
+class PathAnalyzer {
+    /**
+     * Create a new PathAnalyzer for one function
+     * @param {ControlFlowGraph} graph - Control-flow graph of the function
+     * @param {Object} context - Shared analysis context
+     * @param {Map<Object, Object>} context.allocationSites - Allocation syntax node -> allocation record
+     * @param {Set<string>} context.globals - Names of file-scope variables
+     * @param {Array<string>} context.lines - Source lines
+     * @param {FunctionSummaries} [context.summaries] - Summaries of the functions analyzed so far
+     * @param {Map<Object, Object>} [context.callSites] - Call syntax node -> inherited allocation record
+     * @param {Map<string, SizeExpression>} [context.sizeExpressions] - allocId -> size formula of an allocation whose size is not constant
+     * @param {TypeLayout} [context.typeLayout] - Types and constants of the code, for sizes passed as arguments
+     */
+    constructor(graph, context) {
+        this.graph = graph;
+        this.functionNode = graph.functionNode;
+        this.functionName = graph.functionNode.name || 'unknown';
+        this.allocationSites = context.allocationSites || new Map();
+        this.globals = context.globals || new Set();
+        this.lines = context.lines || [];
+        this.summaries = context.summaries || null;
+        this.callSites = context.callSites || new Map();
+        this.sizeExpressions = context.sizeExpressions || new Map();
+        this.typeLayout = context.typeLayout || null;
+
+        this.params = new Set((this.functionNode.params || []).map(param => param.name).filter(Boolean));
+        this.locals = new Set();
+        this.staticLocals = new Set();
+        this.stackLines = new Map(); // local or parameter name -> line it is declared on
+        this.smartPointers = new Map(); // local or parameter name -> smart pointer kind, e.g. 'unique_ptr'
+        this.ownerContainers = new Set(); // containers of smart pointers, e.g. std::vector<std::unique_ptr<T>>
+        this.collectLocals();
+
+        const statements = this.functionNode.body ? this.functionNode.body.body : [];
+        const lastStatement = statements[statements.length - 1];
+        this.finalReturnLine = lastStatement && lastStatement.type === 'ReturnStatement'
+            ? lastStatement.loc.start.line
+            : 0;
+
+        this.correlatedConditions = this.findCorrelatedConditions();
+        this.loopTrips = this.findCorrelatedLoops();
+        this.liveVariables = this.computeLiveVariables();
+
+        this.leaks = new Map(); // allocId -> leak
+        this.releasedSites = new Set(); // allocIds released on at least one path
+        this.warnings = new Map(); // type|line -> warning
+        this.freedAllocations = new Map(); // deallocation syntax node -> allocId
+        this.reallocations = new Map(); // realloc() syntax node -> allocId of the block it resized
+        this.automaticReleases = new Map(); // allocId -> { var, line } where a smart pointer released it
+        this.throwingCalls = new Map(); // graph node id -> call in it that may throw, or null
+        this.skippedByGoto = new Map(); // graph node id of a goto -> pointer declarations it jumps over
+        this.limitReached = false;
+        this.currentNode = null;
+
+        // Raw material for this function's summary
+        this.exitPaths = 0;
+        this.terminatedPaths = 0;
+        this.unwindPaths = 0; // paths an exception leaves the function on
+        this.paramOutcomes = new Map(); // parameter index -> Set of outcomes
+        this.paramFrees = new Map(); // parameter index -> deallocation syntax node
+        this.paramGlobals = new Map(); // parameter index -> global the parameter is stored in
+        this.paramDerefs = new Set(); // parameter indexes dereferenced before any NULL check
+        this.paramEnsured = new Map(); // parameter index -> non-NULL on every completed path
+        this.nullCheckedSites = new Set(); // allocIds already reported for a missing NULL check
+        this.returnedSites = new Map(); // allocId -> allocation record returned to the caller
+        this.returnsMaybeNull = false;
+        this.returnedParams = new Set();
+        this.returnsOther = false;
+    }
+
+    /**
+     * Record every variable declared in the function body
+     */
+    collectLocals() {
+        const addOwner = (name, specifier, declarator) => {
+            if (declarator.pointerDepth > 0 || declarator.reference) return;
+            const kind = SmartPointers.kindOf(specifier);
+            if (SmartPointers.isOwner(kind)) this.smartPointers.set(name, kind);
+            else if (SmartPointers.ownsElements(specifier)) this.ownerContainers.add(name);
+        };
+        (this.functionNode.params || []).forEach(param => {
+            if (!param.name) return;
+            addOwner(param.name, param.typeSpec, param);
+            this.stackLines.set(param.name, param.loc ? param.loc.start.line : this.functionNode.loc.start.line);
+        });
+        CParser.walk(this.functionNode.body, node => {
+            if (node.type === 'Declaration') {
+                const isStatic = node.storage.includes('static') || node.storage.includes('extern');
+                node.declarators.forEach(declarator => {
+                    if (!declarator.name || declarator.isFunction) return;
+                    (isStatic ? this.staticLocals : this.locals).add(declarator.name);
+                    if (!isStatic && !this.stackLines.has(declarator.name)) this.stackLines.set(declarator.name, declarator.loc.start.line);
+                    addOwner(declarator.name, node.typeSpec, declarator);
+                });
+            }
+            return node.type !== 'LambdaExpression';
+        });
+    }
+
+    /**
+     * Backward dataflow: which variables may still be read at or after each node
+     * @returns {Array<Set<string>>} Live variable names by node id
+     */
+    computeLiveVariables() {
+        const nodes = this.graph.nodes;
+        const uses = nodes.map(node => {
+            const names = new Set();
+            if (!['loop', 'entry', 'exit', 'unwind', 'scope'].includes(node.kind) && node.ast) {
+                CParser.walk(node.ast, child => {
+                    if (child.type === 'Identifier') names.add(child.name);
+                    return true;
+                });
+            }
+            return names;
+        });
+        const live = nodes.map((node, id) => new Set(uses[id]));
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let id = nodes.length - 1; id >= 0; id--) {
+                const set = live[id];
+                const before = set.size;
+                nodes[id].successors.forEach(edge => live[edge.to].forEach(name => set.add(name)));
+                if (set.size !== before) changed = true;
+            }
+        }
+        return live;
+    }
+
+    /**
+     * Find conditions tested by more than one branch; only their outcomes are worth remembering
+     * @returns {Set<string>} Printed conditions
+     */
+    findCorrelatedConditions() {
+        const counts = new Map();
+        this.graph.nodes.forEach(node => {
+            if (node.kind !== 'branch' || !node.ast) return;
+            const key = this.conditionKey(node.ast);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return new Set(Array.from(counts.keys()).filter(key => counts.get(key) > 1));
+    }
+
+    /**
+     * Counting loops that start from the same value and test the same bound, e.g. two
+     * `for (i = 0; i < n; i++)` loops: either both run at least once or neither does
+     * @returns {Map<Object, Object>} Loop statement -> { loop, key, names }: its loop node id, the fact key
+     *                                and the variables the bound depends on
+     */
+    findCorrelatedLoops() {
+        const trips = new Map();
+        const counts = new Map();
+        this.graph.nodes.forEach(node => {
+            const statement = node.kind === 'loop' ? node.ast : null;
+            const test = statement && statement.type === 'ForStatement' ? ASTParser.stripCasts(statement.test) : null;
+            if (!test || test.type !== 'BinaryExpression' || !['<', '<=', '>', '>=', '!='].includes(test.operator) ||
+                test.left.type !== 'Identifier') return;
+            const start = PathAnalyzer.loopStart(statement.init, test.left.name);
+            if (!start) return;
+            const names = [];
+            [start, test.right].forEach(expr => CParser.walk(expr, child => {
+                if (child.type === 'Identifier') names.push(child.name);
+                return true;
+            }));
+            const key = `trip:${CParser.print(start)}${test.operator}${CParser.print(test.right)}`;
+            trips.set(statement, { loop: node.id, key: key, names: names });
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        trips.forEach((trip, statement) => {
+            if (counts.get(trip.key) < 2) trips.delete(statement);
+        });
+        return trips;
+    }
+
+    /**
+     * Value a for loop's init clause gives its counter: `i = 0` or `int i = 0`
+     */
+    static loopStart(init, counter) {
+        if (!init) return null;
+        if (init.type === 'Declaration') {
+            const declarator = init.declarators.length === 1 ? init.declarators[0] : null;
+            return declarator && declarator.name === counter && declarator.init &&
+                declarator.init.type !== 'InitializerList' && declarator.init.type !== 'ConstructorInitializer' ? declarator.init : null;
+        }
+        const expr = init.type === 'ExpressionStatement' ? init.expression : init;
+        return expr && expr.type === 'AssignmentExpression' && expr.operator === '=' &&
+            expr.left.type === 'Identifier' && expr.left.name === counter ? expr.right : null;
+    }
+
+    /**
+     * Printed form of the value a condition tests, ignoring negation and NULL comparisons
+     */
+    conditionKey(expr) {
+        let test = ASTParser.stripCasts(expr);
+        while (test && test.type === 'UnaryExpression' && test.operator === '!') {
+            test = ASTParser.stripCasts(test.argument);
+        }
+        if (test && test.type === 'BinaryExpression' && (test.operator === '==' || test.operator === '!=')) {
+            if (this.isNullConstant(test.right)) test = ASTParser.stripCasts(test.left);
+            else if (this.isNullConstant(test.left)) test = ASTParser.stripCasts(test.right);
+        }
+        if (test && test.type === 'AssignmentExpression') {
+            test = ASTParser.stripCasts(test.left);
+        }
+        return CParser.print(test);
+    }
+
+    /**
+     * Explore all paths of the function
+     * @returns {Object} Leaks, warnings and the allocation each deallocation released
+     */
+    run() {
+        const limits = CONFIG.ANALYSIS;
+        const stack = [{ nodeId: this.graph.entry.id, state: this.createInitialState() }];
+        const seen = new Set();
+        let steps = 0;
+
+        while (stack.length > 0) {
+            if (++steps > limits.MAX_STEPS) {
+                this.limitReached = true;
+                break;
+            }
+
+            const { nodeId, state } = stack.pop();
+            const node = this.graph.getNode(nodeId);
+
+            // A label a goto jumps back to closes a loop just like a loop statement
+            if (node.kind === 'loop' || node.kind === 'label') {
+                const visits = (state.loopVisits.get(nodeId) || 0) + 1;
+                if (visits > limits.LOOP_UNROLL + 1) continue;
+                state.loopVisits.set(nodeId, visits);
+            }
+
+            // Paths that reach a node in an identical state behave identically from here on
+            const key = nodeId + '|' + this.signature(state, nodeId);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            try {
+                const successors = this.transfer(node, state);
+                for (let i = successors.length - 1; i >= 0; i--) {
+                    stack.push(successors[i]);
+                }
+            } catch (error) {
+                debugError('Error exploring path at line ' + node.line + ':', error);
+            }
+        }
+
+        this.finalizeLeaks();
+
+        if (this.limitReached) {
+            this.addWarning('Analysis Limit', this.functionNode.loc.start.line,
+                `Path exploration of ${this.functionName}() stopped after ${limits.MAX_STEPS} steps. Results for this function may be incomplete.`);
+        }
+
+        return {
+            leaks: Array.from(this.leaks.values()).sort((a, b) => a.line - b.line),
+            warnings: Array.from(this.warnings.values()),
+            freedAllocations: this.freedAllocations,
+            automaticReleases: this.automaticReleases,
+            reallocations: this.reallocations
+        };
+    }
+
+    createInitialState() {
+        const state = {
+            values: new Map(),
+            scopes: new Map(), // name -> declarations in enclosing blocks, innermost last
+            blocks: new Map(),
+            facts: new Map(),
+            trace: [],
+            fresh: [],
+            loopVisits: new Map(),
+            returnLine: 0,
+            returnValue: null,
+            exception: null, // { line, callee } of the exception the path is unwinding with
+            terminated: false
+        };
+        (this.functionNode.params || []).forEach((param, index) => {
+            if (!param.name) return;
+            if (param.pointerDepth > 0) {
+                // Pointer parameters get a block of their own so the summary can tell what happens to them
+                const id = 'param#' + index;
+                state.blocks.set(id, {
+                    id: id,
+                    site: null,
+                    param: index,
+                    status: 'live',
+                    nullness: 'maybe',
+                    escaped: null,
+                    freedAt: 0,
+                    traceStart: 0
+                });
+                state.values.set(param.name, { kind: 'heap', block: id });
+            } else {
+                state.values.set(param.name, { kind: 'param', name: param.name });
+            }
+        });
+        return state;
+    }
+
+    cloneState(state) {
+        const blocks = new Map();
+        state.blocks.forEach((block, id) => {
+            const copy = Object.assign({}, block);
+            if (block.fields) copy.fields = new Map(block.fields);
+            blocks.set(id, copy);
+        });
+        return {
+            values: new Map(state.values),
+            scopes: new Map(state.scopes),
+            blocks: blocks,
+            facts: new Map(state.facts),
+            trace: state.trace.slice(),
+            fresh: state.fresh.slice(),
+            loopVisits: new Map(state.loopVisits),
+            returnLine: state.returnLine,
+            returnValue: state.returnValue,
+            exception: state.exception,
+            terminated: state.terminated
+        };
+    }
+
+    /**
+     * Summarize the parts of a state that can still affect the rest of the path
+     * @param {Object} state - Path state
+     * @param {number} nodeId - Node the state is about to enter
+     * @returns {string} Signature string
+     */
+    signature(state, nodeId) {
+        const live = this.liveVariables[nodeId];
+        const reachable = new Set();
+        const parts = [];
+        state.values.forEach((value, name) => {
+            const root = PathAnalyzer.rootName(name);
+            if (!live.has(root) && !this.isGlobal(root)) return;
+            if (value.kind === 'heap' || value.kind === 'null' || value.kind === 'stack') {
+                parts.push(name + '=' + value.kind + ':' + (value.block || value.name || '') + (value.offset ? '+' : ''));
+                if (value.block) reachable.add(value.block);
+            }
+        });
+        state.scopes.forEach((declarations, name) => declarations.forEach((declaration, depth) => {
+            parts.push(name + '^' + depth + ':' + Array.from(declaration.hidden, ([key, value]) => key + '=' + (value.block || value.kind)).join(','));
+            declaration.hidden.forEach(value => { if (value.block) reachable.add(value.block); });
+        }));
+        parts.sort();
+        reachable.forEach(id => {
+            const block = state.blocks.get(id);
+            if (block && block.fields) block.fields.forEach(member => { if (member.block) reachable.add(member.block); });
+        });
+        state.blocks.forEach((block, id) => {
+            // A freed block nobody can name any more cannot be freed or used again
+            if (block.status === 'freed' && block.site && !reachable.has(id)) return;
+            parts.push(id + ':' + block.status + ':' + block.nullness + ':' + (block.escaped ? 1 : 0) + (block.owner ? '@' : '') +
+                (block.uninitialized ? '~' : '') +
+                (block.reallocFrom ? '<' + block.reallocFrom : '') +
+                (block.fields ? '{' + Array.from(block.fields, ([field, value]) => field + '=' + (value.block || value.kind)).join(',') + '}' : ''));
+        });
+        state.facts.forEach((fact, key) => parts.push(key + '?' + fact.value));
+        parts.push('ret:' + state.returnLine + ':' + (state.returnValue ? state.returnValue.kind + (state.returnValue.block || '') : ''));
+        if (state.exception) parts.push('throw:' + state.exception.line);
+        return parts.join(';');
+    }
+
+    /**
+     * Execute a graph node and compute the states of its successors
+     * @returns {Array<Object>} Successor work items
+     */
+    transfer(node, state) {
+        this.currentNode = node;
+        switch (node.kind) {
+            case 'statement': {
+                const unwinding = this.unwinding(node, state);
+                this.executeStatement(node.ast, state);
+                if (state.terminated) return this.terminate().concat(unwinding);
+                this.collectDiscarded(state, node.line);
+                return this.follow(node, state).concat(unwinding);
+            }
+
+            case 'branch':
+                return this.branch(node, state);
+
+            case 'switch':
+                this.evaluate(node.ast, state);
+                return node.successors.map(edge => {
+                    const next = this.cloneState(state);
+                    next.trace.push({
+                        line: node.line,
+                        kind: 'branch',
+                        label: edge.label,
+                        text: `switch (${CParser.print(node.ast)}) takes ${edge.label}`
+                    });
+                    return { nodeId: edge.to, state: next };
+                });
+
+            case 'return': {
+                const unwinding = this.unwinding(node, state);
+                this.executeReturn(node, state);
+                if (state.terminated) return this.terminate().concat(unwinding);
+                return this.follow(node, state).concat(unwinding);
+            }
+
+            case 'scope':
+                this.leaveScope(node, state);
+                return this.follow(node, state);
+
+            case 'throw':
+                this.executeThrow(node, state);
+                return [{ nodeId: node.successors[0].to, state: state }];
+
+            case 'catch':
+                return node.successors.map(edge => {
+                    const next = this.cloneState(state);
+                    const caught = edge.label !== 'uncaught';
+                    if (caught) next.exception = null;
+                    next.trace.push({
+                        line: node.line,
+                        kind: 'branch',
+                        label: edge.label,
+                        text: caught ? `the exception is caught by ${edge.label}` : 'no handler matches, so the exception propagates'
+                    });
+                    return { nodeId: edge.to, state: next };
+                });
+
+            case 'exit':
+                this.reportExitLeaks(node, state);
+                this.recordExit(state);
+                return [];
+
+            case 'unwind':
+                // Exception paths end here: what the function still holds leaks, but nothing is returned
+                this.reportExitLeaks(node, state);
+                this.unwindPaths++;
+                return [];
+
+            case 'break':
+                if (node.loop) {
+                    state.trace.push({
+                        line: node.line,
+                        kind: 'break',
+                        loop: { line: node.loop.loc.start.line, end: node.loop.loc.end.line },
+                        text: `break leaves the loop on line ${node.loop.loc.start.line}`
+                    });
+                }
+                return this.follow(node, state);
+
+            case 'goto': {
+                // A computed goto or one to a missing label ends the path without a verdict
+                if (node.successors.length === 0) return [];
+                const target = this.graph.getNode(node.label);
+                state.trace.push({
+                    line: node.line,
+                    kind: 'goto',
+                    label: node.ast.label,
+                    target: target.line,
+                    text: `goto ${node.ast.label} jumps to line ${target.line}`
+                });
+                // Pointers whose declaration the jump skips hold garbage at the label, initializer or not
+                this.skippedDeclarations(node, target).forEach(declarator => {
+                    state.values.set(declarator.name, { kind: 'unset', line: declarator.loc.start.line, initialized: !!declarator.init });
+                    this.invalidateFacts(declarator.name, state);
+                });
+                return this.follow(node, state);
+            }
+
+            default:
+                return this.follow(node, state);
+        }
+    }
+
+    follow(node, state) {
+        const edges = node.successors.filter(edge => edge.label !== 'throw');
+        if (edges.length === 1) {
+            return [{ nodeId: edges[0].to, state: state }];
+        }
+        return edges.map(edge => ({ nodeId: edge.to, state: this.cloneState(state) }));
+    }
+
+    /**
+     * The path on which a call made by the node throws. It starts from the state before the node,
+     * since the throwing call never returns to finish the statement.
+     * @returns {Array<Object>} Work item for the exception edge, or none if no call in the node can throw
+     */
+    unwinding(node, state) {
+        const edge = node.successors.find(successor => successor.label === 'throw');
+        if (!edge) return [];
+        if (!this.throwingCalls.has(node.id)) this.throwingCalls.set(node.id, this.throwingCall(node.ast));
+        const callee = this.throwingCalls.get(node.id);
+        if (!callee) return [];
+
+        const next = this.cloneState(state);
+        next.exception = { line: node.line, callee: callee };
+        next.trace.push({ line: node.line, kind: 'throw', text: `${callee}() throws` });
+        return [{ nodeId: edge.to, state: next }];
+    }
+
+    /**
+     * First call in a statement or condition that may throw a C++ exception
+     * @param {Object} ast - Syntax node
+     * @returns {string|null} Printed callee, or null if nothing in it can throw
+     */
+    throwingCall(ast) {
+        let callee = null;
+        CParser.walk(ast, node => {
+            if (callee || node.type === 'LambdaExpression') return false;
+            if (node.type === 'CallExpression' && this.mayThrow(node)) callee = CParser.print(node.callee);
+            return !callee;
+        });
+        return callee;
+    }
+
+    /**
+     * Whether a call can throw. Functions defined in the code throw if an exception can leave them;
+     * allocation and release functions, the C library and CONFIG.ANALYSIS.EXCEPTIONS never throw,
+     * and any other call may.
+     */
+    mayThrow(call) {
+        const exceptions = CONFIG.ANALYSIS.EXCEPTIONS;
+        const callee = call.callee;
+        if (callee.type === 'MemberExpression') {
+            if (this.summaries && this.summaries.defines(callee.property)) return this.summaries.mayThrow(callee.property);
+            if (this.summaries && this.summaries.isNoexcept(callee.property)) return false;
+            return !exceptions.NOTHROW_METHODS.includes(callee.property);
+        }
+        if (callee.type !== 'Identifier') return true;
+
+        const name = callee.name;
+        if (this.summaries && this.summaries.defines(name)) return this.summaries.mayThrow(name);
+        if (this.summaries && this.summaries.isNoexcept(name)) return false;
+        // Allocation failure is not modelled: new, malloc() and std::make_unique() are assumed to succeed
+        return !(exceptions.NOTHROW_FUNCTIONS.includes(SmartPointers.baseName(name)) ||
+            ASTParser.C_ALLOCATORS.includes(name) || ASTParser.C_DEALLOCATORS.includes(name) ||
+            ASTParser.isAllocator(name) || ASTParser.isDeallocator(name) ||
+            ASTParser.resourceAcquiredBy(name) || ASTParser.resourceReleasedBy(name) ||
+            SmartPointers.factoryKind(name) || SmartPointers.isOwner(SmartPointers.baseName(name)) ||
+            CONFIG.ANALYSIS.NORETURN_FUNCTIONS.includes(name) || CONFIG.ANALYSIS.ASSERT_FUNCTIONS.includes(name) ||
+            CONFIG.ANALYSIS.DEREFERENCING_FUNCTIONS.includes(name));
+    }
+
+    branch(node, state) {
+        const unwinding = this.unwinding(node, state);
+        if (node.ast) {
+            this.scanMemory(node.ast, 'read', state);
+            this.evaluate(node.ast, state);
+            if (state.terminated) return this.terminate().concat(unwinding);
+            this.collectDiscarded(state, node.line);
+        }
+
+        const successors = [];
+        node.successors.forEach(edge => {
+            if (edge.label === 'throw') return;
+            const next = this.cloneState(state);
+            if (node.ast) {
+                if (!this.assume(node.ast, edge.label === 'true', next) ||
+                    !this.assumeTripCount(node, edge.label === 'true', next)) {
+                    return;
+                }
+                next.trace.push({
+                    line: node.line,
+                    kind: 'branch',
+                    label: edge.label,
+                    text: `${PathAnalyzer.statementKeyword(node.statement)} (${CParser.print(node.ast)}) is ${edge.label}`
+                });
+            }
+            successors.push({ nodeId: edge.to, state: next });
+        });
+        return successors.concat(unwinding);
+    }
+
+    static statementKeyword(statement) {
+        switch (statement && statement.type) {
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                return 'while';
+            case 'ForStatement':
+            case 'ForRangeStatement':
+                return 'for';
+            default:
+                return 'if';
+        }
+    }
+
+    executeStatement(ast, state) {
+        if (!ast) return;
+        this.scanMemory(ast, 'read', state);
+        if (ast.type === 'Declaration') {
+            ast.declarators.forEach(declarator => this.declare(declarator, state, this.currentNode.scope));
+        } else if (ast.type === 'ExpressionStatement') {
+            if (ast.expression) this.evaluate(ast.expression, state);
+        } else {
+            this.evaluate(ast, state);
+        }
+    }
+
+    executeReturn(node, state) {
+        const argument = node.ast.argument;
+        if (argument) {
+            this.scanMemory(argument, 'read', state);
+            const value = this.evaluate(argument, state);
+            state.returnValue = value;
+            this.checkDangling(argument, value, state, node.line);
+            this.checkStackReturn(argument, value, node.line);
+            // Returning from main ends the program, so the caller never takes ownership
+            if (this.functionName !== 'main') {
+                this.escape(value, state, 'returned to the caller');
+            }
+        }
+        state.returnLine = node.line;
+        state.trace.push({ line: node.line, kind: 'return', text: this.lineText(node.line) });
+    }
+
+    executeThrow(node, state) {
+        const argument = node.ast.expression.argument;
+        if (argument) {
+            // A thrown pointer belongs to whoever catches it
+            this.escape(this.evaluate(argument, state), state, 'thrown as an exception');
+        }
+        state.exception = { line: node.line, callee: null };
+        state.trace.push({ line: node.line, kind: 'throw', text: this.lineText(node.line) });
+    }
+
+    /**
+     * Execute a variable declaration
+     * @param {Object} declarator - VariableDeclarator node
+     * @param {Object} state - Path state (mutated)
+     * @param {Object|null} [scope] - Block the variable belongs to, or null for the function body
+     */
+    declare(declarator, state, scope = null) {
+        if (!declarator.name || declarator.isFunction) return;
+        const init = declarator.init;
+        let value = { kind: 'unknown' };
+
+        const smart = this.smartPointers.get(declarator.name);
+        if (init && init.type === 'InitializerList') {
+            const elements = this.evaluate(init, state).elements;
+            if (smart && elements.length === 1) {
+                value = elements[0];
+            } else {
+                elements.forEach(element => this.escape(element, state, `stored in ${declarator.name}`));
+            }
+        } else if (init && init.type === 'ConstructorInitializer') {
+            const args = init.arguments.map(arg => this.evaluate(arg, state));
+            if (args.length === 1 && (declarator.pointerDepth > 0 || smart)) {
+                value = args[0];
+            } else {
+                args.forEach(arg => this.escape(arg, state, `passed to the constructor of ${declarator.name}`));
+            }
+        } else if (init) {
+            value = this.evaluate(init, state);
+        } else if (declarator.pointerDepth > 0 && declarator.arrayDims.length === 0 && !this.staticLocals.has(declarator.name)) {
+            // An automatic pointer without an initializer holds garbage until it is assigned
+            value = { kind: 'unset', line: declarator.loc.start.line };
+        }
+
+        // A local array names its own storage on the stack
+        if (declarator.arrayDims.length > 0 && !declarator.declarator.nested && !this.staticLocals.has(declarator.name)) {
+            value = { kind: 'stack', name: declarator.name, line: declarator.loc.start.line, array: true };
+        }
+
+        if (scope) this.enterScope(declarator.name, scope, state);
+        if (smart) this.adopt(value, state, smart, declarator.name);
+        this.assignVariable(declarator.name, value, state, declarator.loc.start.line);
+    }
+
+    /**
+     * Hand a block to a smart pointer, which releases it when the last owner lets go of it
+     * @param {Object} value - Heap value
+     * @param {Object} state - Path state (mutated)
+     * @param {string} kind - Smart pointer kind
+     * @param {string|null} name - Variable holding the smart pointer, or null for a temporary
+     */
+    adopt(value, state, kind, name) {
+        const block = value && value.kind === 'heap' ? state.blocks.get(value.block) : null;
+        if (block && block.site && block.status === 'live' && !block.owner) {
+            block.owner = { kind: kind, name: name };
+        }
+    }
+
+    static describeOwner(owner) {
+        return owner.name ? `std::${owner.kind} ${owner.name}` : `a std::${owner.kind}`;
+    }
+
+    /**
+     * Start a block-scoped variable, hiding any variable of the same name until the block ends
+     */
+    enterScope(name, scope, state) {
+        const hidden = new Map();
+        state.values.forEach((value, key) => {
+            if (PathAnalyzer.rootName(key) !== name) return;
+            hidden.set(key, value);
+            state.values.delete(key);
+        });
+        this.invalidateFacts(name, state);
+        state.scopes.set(name, (state.scopes.get(name) || []).concat([{ scope: scope, hidden: hidden }]));
+    }
+
+    /**
+     * End the variables of a block: report what only they still pointed to and bring back
+     * the variables they hid
+     */
+    leaveScope(node, state) {
+        const lost = [];
+        node.names.forEach(name => {
+            const declarations = state.scopes.get(name) || [];
+            const declaration = declarations[declarations.length - 1];
+            // The path jumped over the declaration (e.g. into a later case label)
+            if (!declaration || declaration.scope !== node.statement) return;
+
+            state.values.forEach((value, key) => {
+                if (PathAnalyzer.rootName(key) !== name) return;
+                if (value.kind === 'heap') lost.push({ name: key, block: value.block, interior: !!value.offset });
+                state.values.delete(key);
+            });
+            this.invalidateFacts(name, state);
+            declaration.hidden.forEach((value, key) => state.values.set(key, value));
+            if (declarations.length > 1) state.scopes.set(name, declarations.slice(0, -1));
+            else state.scopes.delete(name);
+        });
+
+        // The break or goto that left the block, if the path did not fall off its end
+        const via = node.via ? state.trace.slice().reverse().find(step => step.kind === node.via) : null;
+        lost.forEach(({ name, block: id, interior }) => {
+            const block = state.blocks.get(id);
+            if (block && block.site && block.status === 'live' && !block.escaped &&
+                this.references(id, state).length === 0) {
+                this.reportLeak(block, state, state.exception
+                    ? { kind: 'throw', line: state.exception.line, names: [name], exception: state.exception, interior: interior }
+                    : { kind: 'scope', line: via ? via.line : node.line, names: [name], interior: interior, via: via || null });
+                state.blocks.delete(id);
+                this.releaseMembers(block, state, name, node.line);
+            }
+        });
+    }
+
+    /**
+     * Evaluate an expression for its effects on the state
+     * @param {Object} expr - Expression node
+     * @param {Object} state - Path state (mutated)
+     * @returns {Object} Abstract value: heap, null, param, number, string or unknown
+     */
+    evaluate(expr, state) {
+        if (!expr) return { kind: 'unknown' };
+
+        switch (expr.type) {
+            case 'Identifier':
+                if (PathAnalyzer.NULL_NAMES.includes(expr.name)) return { kind: 'null' };
+                return state.values.get(expr.name) || { kind: 'unknown' };
+
+            case 'Literal':
+                if (expr.kind === 'null' || (expr.kind === 'number' && expr.value === 0)) {
+                    return { kind: 'null' };
+                }
+                if (expr.kind === 'number' || expr.kind === 'boolean') {
+                    return { kind: 'number', value: Number(expr.value) };
+                }
+                return { kind: expr.kind === 'string' ? 'string' : 'unknown' };
+
+            case 'CastExpression':
+                return this.evaluate(expr.argument, state);
+
+            case 'AssignmentExpression': {
+                const value = this.evaluate(expr.right, state);
+                if (expr.operator === '=') {
+                    this.checkReallocIdiom(expr, value, state);
+                    this.assign(expr.left, value, state, expr.loc.start.line);
+                    return value;
+                }
+                const base = this.evaluate(expr.left, state);
+                const result = (expr.operator === '+=' || expr.operator === '-=')
+                    ? PathAnalyzer.offsetOf(base, PathAnalyzer.step(value, expr.operator === '-=')) : { kind: 'unknown' };
+                this.assign(expr.left, result, state, expr.loc.start.line);
+                return result;
+            }
+
+            case 'CallExpression':
+                return this.evaluateCall(expr, state);
+
+            case 'NewExpression':
+                (expr.placement || []).forEach(arg => this.evaluate(arg, state));
+                if (expr.arraySize) this.evaluate(expr.arraySize, state);
+                (expr.arguments || []).forEach(arg => this.evaluate(arg, state));
+                return this.allocate(expr, state);
+
+            case 'DeleteExpression':
+                this.release(this.evaluate(expr.argument, state), expr, state);
+                return { kind: 'unknown' };
+
+            case 'ConditionalExpression': {
+                this.evaluate(expr.test, state);
+                const consequent = this.evaluate(expr.consequent, state);
+                const alternate = this.evaluate(expr.alternate, state);
+                if (consequent.kind === 'heap') {
+                    this.escape(alternate, state, 'merged by a conditional expression');
+                    return consequent;
+                }
+                return alternate.kind === 'heap' ? alternate : { kind: 'unknown' };
+            }
+
+            case 'SequenceExpression': {
+                let last = { kind: 'unknown' };
+                expr.expressions.forEach(item => { last = this.evaluate(item, state); });
+                return last;
+            }
+
+            case 'UpdateExpression': {
+                const base = this.evaluate(expr.argument, state);
+                const result = PathAnalyzer.offsetOf(base, expr.operator === '--' ? -1 : 1);
+                this.assign(expr.argument, result, state, expr.loc.start.line);
+                return expr.prefix ? result : base;
+            }
+
+            case 'BinaryExpression': {
+                const left = this.evaluate(expr.left, state);
+                const right = this.evaluate(expr.right, state);
+                // p + n and n + p still point into p's block
+                if (expr.operator === '+' || expr.operator === '-') {
+                    if (left.kind === 'heap' && right.kind !== 'heap') {
+                        return PathAnalyzer.offsetOf(left, PathAnalyzer.step(right, expr.operator === '-'));
+                    }
+                    if (expr.operator === '+' && right.kind === 'heap' && left.kind !== 'heap') {
+                        return PathAnalyzer.offsetOf(right, PathAnalyzer.step(left, false));
+                    }
+                    if (left.kind === 'stack') return left;
+                    if (expr.operator === '+' && right.kind === 'stack') return right;
+                }
+                return { kind: 'unknown' };
+            }
+
+            case 'UnaryExpression': {
+                const value = this.evaluate(expr.argument, state);
+                const operand = ASTParser.stripCasts(expr.argument);
+                if (expr.operator === '*') {
+                    this.checkUse(expr.argument, value, state, 'dereferenced');
+                    this.checkNull(expr.argument, value, state, 'dereferenced');
+                }
+                const address = expr.operator === '&' ? this.stackAddress(operand, state) : null;
+                if (expr.operator === '&' && operand.type === 'Identifier' && this.isTracked(operand.name)) {
+                    // Whoever receives the address may change the variable behind our back
+                    if (value.kind === 'heap') {
+                        this.escape(value, state, `address of ${operand.name} taken`);
+                    } else if (value.kind !== 'stack') {
+                        state.values.set(operand.name, { kind: 'unknown' });
+                        this.invalidateFacts(operand.name, state);
+                        this.forgetFields(operand.name, state, `address of ${operand.name} taken`);
+                    }
+                } else if (expr.operator === '&' && this.fieldKey(operand)) {
+                    const key = this.fieldKey(operand);
+                    this.escape(value, state, `address of ${key} taken`);
+                    state.values.delete(key);
+                }
+                return address || { kind: 'unknown' };
+            }
+
+            case 'MemberExpression': {
+                if (expr.arrow) {
+                    const owner = this.dereference(expr, state);
+                    return owner && owner.fields && owner.fields.has(expr.property)
+                        ? owner.fields.get(expr.property)
+                        : { kind: 'unknown' };
+                }
+                this.evaluate(expr.object, state);
+                const key = this.fieldKey(expr);
+                return key && state.values.has(key) ? state.values.get(key) : { kind: 'unknown' };
+            }
+
+            case 'SubscriptExpression': {
+                const object = this.evaluate(expr.object, state);
+                this.checkUse(expr.object, object, state, 'indexed');
+                this.checkNull(expr.object, object, state, 'indexed');
+                this.evaluate(expr.index, state);
+                return { kind: 'unknown' };
+            }
+
+            case 'SizeofExpression':
+                return { kind: 'number', value: null };
+
+            case 'InitializerList':
+                return {
+                    kind: 'unknown',
+                    elements: (expr.elements || []).map(element => this.evaluate(element, state))
+                };
+
+            case 'LambdaExpression':
+                return { kind: 'unknown' };
+
+            case 'ThrowExpression':
+                if (expr.argument) this.evaluate(expr.argument, state);
+                state.terminated = true;
+                return { kind: 'unknown' };
+
+            default:
+                CParser.forEachChild(expr, child => {
+                    if (child && typeof child.type === 'string' && child.type !== 'TypeName') {
+                        this.evaluate(child, state);
+                    }
+                });
+                return { kind: 'unknown' };
+        }
+    }
+
+    evaluateCall(expr, state) {
+        const callee = expr.callee.type === 'Identifier' ? expr.callee.name : null;
+        if (!callee) {
+            this.evaluate(expr.callee, state);
+        }
+        const args = expr.arguments.map(arg => this.evaluate(arg, state));
+
+        if (callee === 'realloc') {
+            return this.reallocate(expr, args[0], state);
+        }
+
+        const smart = this.smartPointerCall(expr, args, state);
+        if (smart) return smart;
+
+        // Functions defined in the code follow their summaries even if a rule lists their name
+        const library = callee && !(this.summaries && this.summaries.defines(callee)) ? callee : null;
+        const acquired = ASTParser.resourceAcquiredBy(library);
+        if (acquired) {
+            return this.acquire(expr, acquired, state);
+        }
+
+        const closed = ASTParser.resourceReleasedBy(library);
+        if (closed) {
+            this.releaseResource(expr, closed, args, state);
+            return { kind: 'unknown' };
+        }
+
+        if (callee && (ASTParser.C_ALLOCATORS.includes(callee) || ASTParser.isAllocator(library))) {
+            return this.allocate(expr, state);
+        }
+
+        if (callee && (ASTParser.C_DEALLOCATORS.includes(callee) || ASTParser.isDeallocator(library))) {
+            const index = ASTParser.pointerArgument(callee);
+            if (args[index]) this.release(args[index], expr, state, expr.arguments[index]);
+            return { kind: 'unknown' };
+        }
+
+        if (callee && CONFIG.ANALYSIS.NORETURN_FUNCTIONS.includes(callee)) {
+            state.terminated = true;
+            return { kind: 'unknown' };
+        }
+
+        if (callee && CONFIG.ANALYSIS.ASSERT_FUNCTIONS.includes(callee)) {
+            // The path where the assertion fails aborts
+            if (expr.arguments.length > 0 && !this.assume(expr.arguments[0], true, state)) {
+                state.terminated = true;
+            }
+            return { kind: 'unknown' };
+        }
+
+        const summary = callee && this.summaries ? this.summaries.get(callee) : null;
+        const calleeName = callee || CParser.print(expr.callee);
+        expr.arguments.forEach((arg, index) => {
+            // Handing a freed pointer to a function that frees it again is reported as a double free
+            if (!summary || summary.params[index] !== 'frees') {
+                this.checkUse(arg, args[index], state, `passed to ${calleeName}()`);
+            }
+            if (summary ? summary.derefs.includes(index) : CONFIG.ANALYSIS.DEREFERENCING_FUNCTIONS.includes(callee)) {
+                this.checkNull(arg, args[index], state, `passed to ${calleeName}()` +
+                    (summary ? ', which dereferences it without checking,' : ''));
+            }
+        });
+        if (summary) {
+            return this.applySummary(summary, expr, args, state);
+        }
+
+        // strcpy() and friends return their destination, so the result is another name for it
+        const returned = callee ? CONFIG.ANALYSIS.RETURNS_ARGUMENT[callee] : undefined;
+        if (returned !== undefined && args[returned]) {
+            expr.arguments.forEach((arg, index) => {
+                if (index !== returned && this.allocationSites.has(ASTParser.stripCasts(arg))) {
+                    this.escape(args[index], state, `passed to ${callee}()`);
+                }
+            });
+            return args[returned];
+        }
+
+        // An allocation handed straight to another function is assumed to be taken over by it
+        expr.arguments.forEach((arg, index) => {
+            if (this.allocationSites.has(ASTParser.stripCasts(arg))) {
+                this.escape(args[index], state, `passed to ${callee || CParser.print(expr.callee)}()`);
+            }
+        });
+        return { kind: 'unknown' };
+    }
+
+    /**
+     * Calls that create, move, reset or give up a smart pointer, and insertions into containers of them
+     * @returns {Object|null} Value of the call, or null if it is an ordinary call
+     */
+    smartPointerCall(expr, args, state) {
+        const callee = expr.callee;
+        if (callee.type === 'Identifier') {
+            const name = SmartPointers.baseName(callee.name);
+            if (name === 'move' || name === 'forward') return args[0] || { kind: 'unknown' };
+            if (SmartPointers.factoryKind(callee.name) && this.allocationSites.has(expr)) {
+                return this.allocate(expr, state);
+            }
+            // std::unique_ptr<T>(new T) makes a temporary owner
+            const kind = SmartPointers.kindOf(callee);
+            if (SmartPointers.isOwner(kind) && args.length === 1) {
+                this.adopt(args[0], state, kind, null);
+                return args[0];
+            }
+            return null;
+        }
+
+        const object = callee.type === 'MemberExpression' && !callee.arrow ? ASTParser.stripCasts(callee.object) : null;
+        if (!object || object.type !== 'Identifier') return null;
+        const name = object.name;
+        if (this.ownerContainers.has(name) && PathAnalyzer.CONTAINER_INSERTS.includes(callee.property)) {
+            args.forEach(arg => this.escape(arg, state, `stored in ${name}, which owns it`));
+            return { kind: 'unknown' };
+        }
+
+        const current = state.values.get(name);
+        const block = current && current.kind === 'heap' ? state.blocks.get(current.block) : null;
+        const kind = this.smartPointers.get(name) || (block && block.owner ? block.owner.kind : null);
+        if (!kind) return null;
+        const line = expr.loc.start.line;
+        switch (callee.property) {
+            case 'reset': {
+                const value = args[0] || { kind: 'null' };
+                this.adopt(value, state, kind, name);
+                this.assignVariable(name, value, state, line);
+                return { kind: 'unknown' };
+            }
+            case 'release':
+                // The caller now owns the block and must delete it; dropping the result leaks it
+                if (block) {
+                    block.owner = null;
+                    block.disowned = { name: name, line: line };
+                    state.fresh.push(block.id);
+                }
+                state.values.set(name, { kind: 'null' });
+                this.invalidateFacts(name, state);
+                return current || { kind: 'unknown' };
+            case 'get':
+                return current || { kind: 'unknown' };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Replay what a called function does with memory at its call site
+     * @param {Object} summary - Summary of the callee
+     * @param {Object} expr - CallExpression node
+     * @param {Array<Object>} args - Evaluated argument values
+     * @param {Object} state - Path state (mutated)
+     * @returns {Object} Value of the call
+     */
+    applySummary(summary, expr, args, state) {
+        summary.params.forEach((effect, index) => {
+            if (!args[index]) return;
+            if (effect === 'frees') {
+                this.release(args[index], expr, state, expr.arguments[index], summary.freeNodes.get(index));
+            } else if (effect === 'escapes') {
+                this.escape(args[index], state, `passed to ${summary.name}()`);
+            } else if (effect === 'stores-global') {
+                // The global now holds the block as well; a static local of the callee cannot be named here
+                const global = summary.storedGlobals.get(index);
+                if (this.isGlobal(PathAnalyzer.rootName(global))) {
+                    this.assignVariable(global, args[index], state, expr.loc.start.line);
+                } else {
+                    this.escape(args[index], state, `stored in ${global} by ${summary.name}()`);
+                }
+            }
+            // Helpers that abort on NULL leave their argument checked
+            if (summary.ensuresNonNull.includes(index) && args[index].kind === 'heap') {
+                const block = state.blocks.get(args[index].block);
+                if (block && block.status === 'live') block.nullness = 'nonnull';
+            }
+        });
+
+        if (summary.noreturn) {
+            state.terminated = true;
+            return { kind: 'unknown' };
+        }
+        if (summary.returnsOwned) {
+            return this.allocate(expr, state, this.inheritedSite(expr, summary, args));
+        }
+        if (summary.returnsParam !== null && args[summary.returnsParam]) {
+            return args[summary.returnsParam];
+        }
+        return { kind: 'unknown' };
+    }
+
+    /**
+     * Allocation record for memory a call site receives from the callee
+     */
+    inheritedSite(expr, summary, args) {
+        const owned = summary.returnsOwned;
+        const sizeExpression = owned.sizeExpression ? this.bindSize(owned.sizeExpression, owned.params, expr, args) : null;
+        const size = sizeExpression ? Math.max(owned.size, sizeExpression.lowerBound()) : owned.size;
+        const sizeExpr = sizeExpression && !sizeExpression.isConstant() ? String(sizeExpression) : null;
+        let site = this.callSites.get(expr);
+        // Recursive functions are analyzed twice; refresh the record if the summary changed
+        if (!site || site.size !== size || site.sizeExpr !== sizeExpr || site.managed !== owned.managed ||
+            site.origin.allocId !== owned.allocId) {
+            const line = expr.loc.start.line;
+            site = {
+                var: null,
+                line: line,
+                function: summary.name,
+                size: size,
+                sizeExpr: sizeExpr,
+                sizeExpression: sizeExpression,
+                lineText: this.lineText(line),
+                inLoop: !!(this.currentNode && this.currentNode.inLoop),
+                inFunction: true,
+                functionName: this.functionName,
+                allocId: `${summary.name}_line${line}_col${expr.loc.start.column}_call`,
+                allocator: owned.allocator,
+                nonnull: owned.nonnull,
+                managed: owned.managed,
+                resource: owned.resource,
+                origin: { function: owned.function, line: owned.line, allocId: owned.allocId }
+            };
+            this.callSites.set(expr, site);
+        }
+        return site;
+    }
+
+    /**
+     * Size of memory a callee returns, with its parameters replaced by what this call passes:
+     * createArray(10) receives 40 B and createArray(n) 4·n where createArray() allocates 4·size
+     * @param {SizeExpression} sizeExpression - Size inside the callee
+     * @param {Array<string>} params - Parameter names of the callee
+     * @param {Object} expr - CallExpression node
+     * @param {Array<Object>} args - Evaluated argument values
+     * @returns {SizeExpression} Size at this call
+     */
+    bindSize(sizeExpression, params, expr, args) {
+        const values = new Map();
+        params.forEach((name, index) => {
+            const value = args[index];
+            const node = expr.arguments[index] ? ASTParser.stripCasts(expr.arguments[index]) : null;
+            if (!name || !value) return;
+            if (value.kind === 'number' && typeof value.value === 'number' && !isNaN(value.value)) {
+                values.set(name, new SizeExpression(value.value));
+            } else if (node && node.type === 'Literal' && node.kind === 'string') {
+                values.set(`strlen(${name})`, new SizeExpression(node.value.length));
+            } else if (node) {
+                values.set(name, this.typeLayout
+                    ? SizeExpression.fromNode(node, this.typeLayout)
+                    : SizeExpression.symbol(SizeExpression.text(node)));
+                values.set(`strlen(${name})`, SizeExpression.symbol(`strlen(${SizeExpression.text(node)})`));
+            }
+        });
+        return sizeExpression.substitute(values);
+    }
+
+    /**
+     * Create a heap block for an allocation expression
+     * @param {Object} node - Allocation or call syntax node
+     * @param {Object} state - Path state (mutated)
+     * @param {Object} [inherited] - Allocation record for memory returned by a called function
+     * @returns {Object} Heap value
+     */
+    allocate(node, state, inherited) {
+        const site = inherited || this.allocationSites.get(node);
+        if (!site) return { kind: 'unknown' };
+        const allocator = site.allocator || site.function;
+
+        // Blocks are named after their site so equivalent paths produce equal states
+        let index = 1;
+        while (state.blocks.has(site.allocId + '#' + index)) {
+            index++;
+        }
+        const id = site.allocId + '#' + index;
+        state.blocks.set(id, {
+            id: id,
+            site: site,
+            status: 'live',
+            nullness: site.nonnull || allocator === 'new' || allocator === 'new[]' ? 'nonnull' : 'maybe',
+            resource: site.resource || null,
+            owner: site.managed ? { kind: site.managed, name: null } : null,
+            uninitialized: !inherited && PathAnalyzer.startsUninitialized(node, site),
+            escaped: null,
+            freedAt: 0,
+            traceStart: state.trace.length
+        });
+        state.trace.push({ line: site.line, kind: 'allocation', text: this.lineText(site.line), block: id });
+        state.fresh.push(id);
+        return { kind: 'heap', block: id };
+    }
+
+    /**
+     * Acquire a resource. Most calls return a handle that is tracked like a heap pointer; locks are
+     * named by their argument and nothing points at them, so they only leak if still held at the end.
+     * @param {Object} expr - Acquiring CallExpression
+     * @param {Object} resource - Entry of CONFIG.ANALYSIS.RESOURCES
+     * @param {Object} state - Path state (mutated)
+     * @returns {Object} Value of the call
+     */
+    acquire(expr, resource, state) {
+        if (resource.handleArg === undefined) {
+            return this.allocate(expr, state);
+        }
+        const site = this.allocationSites.get(expr);
+        if (site && !this.findLock(site.handle, 'live', state)) {
+            this.allocate(expr, state);
+            state.fresh.pop();
+        }
+        return { kind: 'unknown' };
+    }
+
+    /**
+     * Release a resource: close a handle, or unlock the lock its argument names
+     */
+    releaseResource(expr, resource, args, state) {
+        const index = resource.handleArg || 0;
+        const argument = expr.arguments[index];
+        if (!argument) return;
+        if (resource.handleArg === undefined) {
+            if (args[index]) this.release(args[index], expr, state, argument);
+            return;
+        }
+        const handle = CParser.print(ASTParser.stripCasts(argument));
+        const lock = this.findLock(handle, 'live', state) || this.findLock(handle, 'freed', state);
+        if (lock) this.release({ kind: 'heap', block: lock.id }, expr, state, argument);
+    }
+
+    findLock(handle, status, state) {
+        for (const block of state.blocks.values()) {
+            if (block.site && block.site.handle === handle && block.status === status) return block;
+        }
+        return null;
+    }
+
+    /**
+     * Model realloc(): on success the old block moves into a new one, on failure it stays put
+     * @param {Object} expr - realloc() CallExpression
+     * @param {Object} previous - Value of the pointer being resized
+     * @param {Object} state - Path state (mutated)
+     * @returns {Object} Heap value of the resized block
+     */
+    reallocate(expr, previous, state) {
+        const old = previous && previous.kind === 'heap' ? state.blocks.get(previous.block) : null;
+        if (old && old.status === 'freed') {
+            this.release(previous, expr, state);
+        }
+
+        const value = this.allocate(expr, state);
+        const block = value.kind === 'heap' ? state.blocks.get(value.block) : null;
+        if (!old || old.status === 'freed' || !block) {
+            // realloc(NULL, n) behaves like malloc(n)
+            return value;
+        }
+
+        const line = expr.loc.start.line;
+        this.checkDeallocator(old, expr, CParser.print(ASTParser.stripCasts(expr.arguments[0])), line, '');
+        old.status = 'freed';
+        old.freedAt = line;
+        old.movedBy = 'realloc';
+        block.reallocFrom = old.id;
+        block.uninitialized = old.uninitialized;
+        if (old.fields) block.fields = new Map(old.fields);
+        if (old.site) {
+            this.releasedSites.add(old.site.allocId);
+            if (!this.reallocations.has(expr)) {
+                this.reallocations.set(expr, old.site.origin ? old.site.origin.allocId : old.site.allocId);
+            }
+        }
+        state.trace.push({ line: line, kind: 'free', text: this.lineText(line), block: old.id });
+        return value;
+    }
+
+    /**
+     * Warn about `p = realloc(p, n)`, which loses the only pointer to the old block when realloc fails
+     */
+    checkReallocIdiom(expr, value, state) {
+        const call = ASTParser.stripCasts(expr.right);
+        if (!call || call.type !== 'CallExpression' || call.callee.type !== 'Identifier' ||
+            call.callee.name !== 'realloc' || call.arguments.length === 0) {
+            return;
+        }
+        const target = CParser.print(ASTParser.stripCasts(expr.left));
+        if (CParser.print(ASTParser.stripCasts(call.arguments[0])) !== target) {
+            return;
+        }
+
+        const block = value.kind === 'heap' ? state.blocks.get(value.block) : null;
+        const old = block && block.reallocFrom ? state.blocks.get(block.reallocFrom) : null;
+        if (block) block.reallocIdiom = true;
+
+        const line = expr.loc.start.line;
+        const origin = old && old.site ? ` (allocated on line ${old.site.line})` : '';
+        this.addWarning('Realloc Failure Leak', line,
+            `${target} = realloc(${target}, ...) overwrites ${target} with NULL when realloc() fails, ` +
+            `so the original block${origin} can no longer be freed. Assign the result to a temporary pointer, ` +
+            `check it for NULL, then update ${target}.`, null, target);
+    }
+
+    /**
+     * Release the block a value points to (free, delete, realloc, or a call that frees its argument)
+     * @param {Object} value - Released value
+     * @param {Object} node - Expression performing the release
+     * @param {Object} state - Path state (mutated)
+     * @param {Object} [argument] - Argument expression naming the pointer
+     * @param {Object} [freeNode] - Deallocation syntax node that actually releases the memory
+     */
+    release(value, node, state, argument, freeNode) {
+        const pointer = ASTParser.stripCasts(argument || node.argument || node.arguments[0]);
+        const line = node.loc.start.line;
+        if (this.checkInvalidFree(value, node, state, pointer, freeNode)) return;
+        if (value && value.kind !== 'heap' && value.kind !== 'null' &&
+            pointer && pointer.type === 'Identifier' && this.isTracked(pointer.name)) {
+            // Memory from somewhere we cannot see: remember that it is gone so later uses are caught
+            const id = 'external:' + pointer.name;
+            const closed = ASTParser.resourceReleasedBy(PathAnalyzer.deallocatorOf(node));
+            state.blocks.set(id, {
+                id: id,
+                site: null,
+                status: 'freed',
+                nullness: 'maybe',
+                resource: closed ? closed.kind : null,
+                escaped: null,
+                freedAt: line,
+                traceStart: 0
+            });
+            state.values.set(pointer.name, { kind: 'heap', block: id });
+            return;
+        }
+        if (!value || value.kind !== 'heap') return;
+        const block = state.blocks.get(value.block);
+        if (!block) return;
+
+        const resource = ASTParser.resourceKind(block.resource);
+        const name = resource ? CParser.print(pointer).replace(/^&/, '') : CParser.print(pointer);
+        const via = node.type === 'CallExpression' && freeNode ? ` (inside ${CParser.print(node.callee)}())` : '';
+        if (block.status === 'freed') {
+            if (resource) {
+                this.addWarning(`Double ${resource.verbs.release}`, line,
+                    `${name} is ${resource.verbs.released} on line ${line}${via} after it was already ${resource.verbs.released} ` +
+                    `on line ${block.freedAt}.` + (block.site ? ` It was ${resource.verbs.acquired} on line ${block.site.line}.` : ''),
+                    { label: `${PathAnalyzer.capitalize(resource.verbs.released)} on`, line: block.freedAt }, name);
+                return;
+            }
+            const previously = block.movedBy === 'realloc'
+                ? `after realloc() on line ${block.freedAt} already moved it`
+                : `after it was already released on line ${block.freedAt}`;
+            this.addWarning('Double Free', line,
+                `${name} is released on line ${line}${via} ${previously}.` +
+                (block.site ? ` The allocation comes from line ${block.site.line}.` : ''), null, name);
+            return;
+        }
+
+        if (block.owner) {
+            this.addWarning('Double Free', line,
+                `${name} is released on line ${line}${via} while ${PathAnalyzer.describeOwner(block.owner)} still owns it, ` +
+                `so the memory is deleted again when the smart pointer is destroyed. Let the smart pointer release it` +
+                (block.owner.name ? `, or call ${block.owner.name}.release() first.` : '.'), null, name);
+            block.owner = null;
+        }
+
+        const releaseNode = freeNode || node;
+        this.checkDeallocator(block, releaseNode, name, line, via);
+
+        block.status = 'freed';
+        block.freedAt = line;
+        if (freeNode || node.type === 'DeleteExpression') {
+            // A callee or a destructor may release the members itself
+            if (block.fields) block.fields.forEach(member => this.escape(member, state, `released with ${name}`));
+        } else {
+            this.releaseMembers(block, state, name, line);
+        }
+        if (block.site) {
+            this.releasedSites.add(block.site.allocId);
+            if (!this.freedAllocations.has(releaseNode)) {
+                this.freedAllocations.set(releaseNode, block.site.origin ? block.site.origin.allocId : block.site.allocId);
+            }
+        } else if (block.param !== undefined && !this.paramFrees.has(block.param)) {
+            this.paramFrees.set(block.param, releaseNode);
+        }
+        state.trace.push({ line: line, kind: 'free', text: this.lineText(line), block: block.id });
+    }
+
+    /**
+     * Warn when memory is released by a deallocator of another family (e.g. new[] with delete)
+     * @param {Object} block - Block being released
+     * @param {Object} releaseNode - free() call or delete expression doing the release
+     * @param {string} name - Expression naming the pointer
+     * @param {number} line - Line of the release
+     * @param {string} via - Note on the function doing the release, if not the current one
+     */
+    checkDeallocator(block, releaseNode, name, line, via) {
+        if (!block.site) return;
+        const allocator = block.site.allocator || block.site.function;
+        const deallocator = PathAnalyzer.deallocatorOf(releaseNode);
+        const family = PathAnalyzer.familyOf(allocator);
+        // realloc() releases memory of its own family
+        if (!family || !deallocator || family.deallocators.includes(deallocator) || family.allocators.includes(deallocator)) {
+            return;
+        }
+
+        const other = ASTParser.allocatorFamilies().find(candidate =>
+            candidate.deallocators.includes(deallocator) || candidate.allocators.includes(deallocator));
+        const type = PathAnalyzer.MISMATCH_TYPES[family.name + '|' + (other ? other.name : '')] || 'Allocator Mismatch';
+        const resource = ASTParser.resourceKind(block.site.resource);
+        this.addWarning(type, line,
+            `${name} is ${resource ? resource.verbs.acquired : 'allocated'} with ${PathAnalyzer.describeAllocator(allocator)} on line ${block.site.line} ` +
+            `but released with ${PathAnalyzer.describeAllocator(deallocator)} on line ${line}${via}, which is undefined behaviour. ` +
+            `Use ${PathAnalyzer.releaseStatement(allocator, name)} instead.`,
+            { label: 'Allocated on', line: block.site.line }, name);
+    }
+
+    static deallocatorOf(node) {
+        if (node.type === 'DeleteExpression') return node.isArray ? 'delete[]' : 'delete';
+        return node.type === 'CallExpression' && node.callee.type === 'Identifier' ? node.callee.name : null;
+    }
+
+    static familyOf(allocator) {
+        return ASTParser.allocatorFamilies().find(family => family.allocators.includes(allocator)) || null;
+    }
+
+    static describeAllocator(name) {
+        return name === 'new' || name === 'new[]' || name === 'delete' || name === 'delete[]' ? name : `${name}()`;
+    }
+
+    /**
+     * Store a value into an lvalue expression
+     */
+    assign(target, value, state, line) {
+        const lvalue = ASTParser.stripCasts(target);
+        if (value && value.kind === 'stack') {
+            value = Object.assign({}, value, { storedAt: line });
+            this.checkStackStore(lvalue, value, line);
+        }
+        if (lvalue && lvalue.type === 'Identifier' && this.isTracked(lvalue.name)) {
+            const smart = this.smartPointers.get(lvalue.name);
+            if (smart) this.adopt(value, state, smart, lvalue.name);
+            this.assignVariable(lvalue.name, value, state, line);
+            return;
+        }
+
+        if (lvalue && lvalue.type === 'MemberExpression' && lvalue.arrow) {
+            const owner = this.dereference(lvalue, state);
+            if (owner) {
+                this.assignField(owner, lvalue.property, value, state, line, CParser.print(lvalue));
+            } else {
+                this.escape(value, state, `stored in ${CParser.print(lvalue)}`);
+            }
+            return;
+        }
+
+        if (lvalue && lvalue.type !== 'Identifier') {
+            this.evaluate(lvalue, state);
+        }
+
+        const key = this.fieldKey(lvalue);
+        if (key) {
+            // The field becomes another name for the block; only fields of a local struct keep it local
+            this.assignVariable(key, value, state, line);
+            if (this.isGlobal(PathAnalyzer.rootName(key))) {
+                this.escape(value, state, `stored in ${key}`);
+            }
+            return;
+        }
+        this.escape(value, state, `stored in ${CParser.print(lvalue)}`);
+    }
+
+    assignVariable(name, value, state, line) {
+        const previous = state.values.get(name);
+        state.values.set(name, value);
+        this.invalidateFacts(name, state);
+        this.forgetFields(name, state, `${name} was reassigned`);
+        this.checkOverwritten(previous, value, state, line, name);
+    }
+
+    /**
+     * Store a value in a field of a heap block. The block owns what its fields point to, so
+     * the value stays local unless the block itself belongs to someone else.
+     */
+    assignField(owner, field, value, state, line, name) {
+        if (!owner.fields) owner.fields = new Map();
+        const previous = owner.fields.get(field);
+        owner.fields.set(field, value);
+        if (!owner.site || owner.escaped) {
+            this.escape(value, state, `stored in ${name}`);
+        }
+        this.checkOverwritten(previous, value, state, line, name);
+    }
+
+    /**
+     * Report the block a variable or field pointed to before it was overwritten, if nothing else reaches it
+     */
+    checkOverwritten(previous, value, state, line, name) {
+        if (!previous || previous.kind !== 'heap' || previous.block === value.block) return;
+        const block = state.blocks.get(previous.block);
+        if (block && block.site && block.status === 'live' && !block.escaped &&
+            this.references(block.id, state).length === 0) {
+            this.reportLeak(block, state, { kind: 'reassigned', line: line, names: [name], interior: !!previous.offset });
+            state.blocks.delete(block.id);
+            this.releaseMembers(block, state, name, line);
+        }
+    }
+
+    /**
+     * Evaluate the pointer of an `a->b` expression and check that it may be dereferenced
+     * @returns {Object|null} Live heap block the pointer refers to
+     */
+    dereference(member, state) {
+        const object = this.evaluate(member.object, state);
+        this.checkUse(member.object, object, state, `dereferenced (->${member.property})`);
+        this.checkNull(member.object, object, state, `dereferenced (->${member.property})`);
+        if (object.kind !== 'heap' || object.offset) return null;
+        const block = state.blocks.get(object.block);
+        return block && block.status === 'live' ? block : null;
+    }
+
+    /**
+     * Report the members of a released struct that still own memory nobody else can reach,
+     * following nested members (e.g. `list->head->data`)
+     * @param {Object} block - Block that was released or lost
+     * @param {Object} state - Path state (mutated)
+     * @param {string} name - Expression naming the block
+     * @param {number} line - Line of the release
+     * @param {string} [owner] - Expression naming the outermost released block
+     * @param {string} [kind] - 'member' when the owner was freed, 'owner-lost' when it was lost
+     * @param {Object} [ownerSite] - Allocation record of the outermost block
+     */
+    releaseMembers(block, state, name, line, owner = name, kind = block.status === 'freed' ? 'member' : 'owner-lost',
+        ownerSite = block.site) {
+        if (!block.fields) return;
+        block.fields.forEach((value, field) => {
+            const member = value.kind === 'heap' ? state.blocks.get(value.block) : null;
+            if (!member || !member.site || member.status !== 'live' || member.escaped ||
+                this.references(member.id, state).length > 0) {
+                return;
+            }
+            const chain = `${name}->${field}`;
+            this.reportLeak(member, state, { kind: kind, line: line, names: [chain], owner: owner, ownerSite: ownerSite });
+            state.blocks.delete(member.id);
+            this.releaseMembers(member, state, chain, line, owner, kind, ownerSite);
+        });
+    }
+
+    /**
+     * Warn when a pointer to released memory is dereferenced, indexed or passed on
+     * @param {Object} expr - Expression naming the pointer
+     * @param {Object} value - Value of the pointer
+     * @param {Object} state - Path state
+     * @param {string} action - How the pointer is used, e.g. 'dereferenced'
+     */
+    checkUse(expr, value, state, action) {
+        const block = this.freedBlock(value, state);
+        if (!block) return;
+        const line = expr.loc.start.line;
+        const name = CParser.print(ASTParser.stripCasts(expr));
+        const resource = ASTParser.resourceKind(block.resource);
+        if (resource) {
+            this.addWarning(`Use After ${resource.verbs.release}`, line,
+                `${name} is ${action} on line ${line} ${PathAnalyzer.describeRelease(block)}. ` +
+                `Move the use before line ${block.freedAt}.`,
+                { label: `${PathAnalyzer.capitalize(resource.verbs.released)} on`, line: block.freedAt }, name);
+            return;
+        }
+        this.addWarning('Use After Free', line,
+            `${name} is ${action} on line ${line} ${PathAnalyzer.describeRelease(block)}. ` +
+            `Move the use before the release, or set ${name} = NULL after freeing it and check it before use.`,
+            { label: 'Freed on', line: block.freedAt }, name);
+    }
+
+    /**
+     * Warn when a pointer to released memory outlives the function, through its return value
+     */
+    checkDangling(expr, value, state, line) {
+        const block = this.freedBlock(value, state);
+        if (!block || this.functionName === 'main') return;
+        const name = CParser.print(ASTParser.stripCasts(expr));
+        this.addWarning('Dangling Pointer', line,
+            `${this.functionName}() returns ${name} on line ${line} ${PathAnalyzer.describeRelease(block)}, ` +
+            `so the caller receives a dangling pointer.`,
+            { label: 'Freed on', line: block.freedAt }, name);
+    }
+
+    /**
+     * Address of a local variable or parameter, of an element of a local array or of a member of a
+     * local struct, e.g. &count, &buf[2] or &req.header
+     * @returns {Object|null} Stack value, or null when the storage is not on this function's stack
+     */
+    stackAddress(operand, state) {
+        let node = operand;
+        let indexed = false;
+        while (node && (node.type === 'SubscriptExpression' || (node.type === 'MemberExpression' && !node.arrow))) {
+            if (node.type === 'SubscriptExpression') indexed = true;
+            node = ASTParser.stripCasts(node.object);
+        }
+        if (!node || node.type !== 'Identifier' || this.isGlobal(node.name) || !this.stackLines.has(node.name)) return null;
+        const current = state.values.get(node.name);
+        // p[i] indexes whatever p points to; only an array's elements live in the frame
+        if (indexed && !(current && current.kind === 'stack')) return null;
+        return current && current.kind === 'stack'
+            ? current
+            : { kind: 'stack', name: node.name, line: this.stackLines.get(node.name), array: false };
+    }
+
+    describeStack(value) {
+        if (value.array) return `the local array ${value.name}`;
+        return this.params.has(value.name) ? `the parameter ${value.name}` : `the local variable ${value.name}`;
+    }
+
+    /**
+     * Returning the address of a local: its storage ends with the call
+     */
+    checkStackReturn(expr, value, line) {
+        if (!value || value.kind !== 'stack' || this.functionName === 'main') return;
+        const name = CParser.print(ASTParser.stripCasts(expr));
+        const what = name === value.name ? this.describeStack(value) : `${name}, the address of ${this.describeStack(value)}`;
+        this.addWarning('Dangling Stack Pointer', line,
+            `${this.functionName}() returns ${what} on line ${line}, but its storage ends when ${this.functionName}() ` +
+            `returns, so the caller receives a dangling pointer. Allocate the memory with malloc() and let the caller ` +
+            `free it, declare it static, or have the caller pass in the buffer.`,
+            { label: 'Declared on', line: value.line }, name);
+    }
+
+    /**
+     * Storing the address of a local through a parameter, e.g. *out = buf or cfg->name = name_buf, hands
+     * it to the caller, who still holds it after this frame is gone. Globals are checked when the
+     * function returns, since they may be reset before then.
+     */
+    checkStackStore(lvalue, value, line) {
+        if (this.functionName === 'main') return;
+        let node = lvalue;
+        let dereferenced = false;
+        while (node && (node.type === 'SubscriptExpression' || node.type === 'MemberExpression' ||
+            (node.type === 'UnaryExpression' && node.operator === '*'))) {
+            if (node.type !== 'MemberExpression' || node.arrow) dereferenced = true;
+            node = ASTParser.stripCasts(node.type === 'UnaryExpression' ? node.argument : node.object);
+        }
+        if (!dereferenced || !node || node.type !== 'Identifier' || !this.params.has(node.name)) return;
+        const target = CParser.print(lvalue);
+        this.addWarning('Dangling Stack Pointer', line,
+            `${target} is given the address of ${this.describeStack(value)} on line ${line}. ${node.name} comes from the ` +
+            `caller, who can still reach ${target} after ${this.functionName}() returns and its stack frame is gone. ` +
+            `Store a copy that outlives the call (e.g. from malloc() or strdup()) instead.`,
+            { label: 'Declared on', line: value.line }, target);
+    }
+
+    /**
+     * Releasing memory the allocator never handed out: the address of a local, a string literal, or a
+     * pointer advanced past the start of its block
+     * @returns {boolean} Whether the release was reported as invalid
+     */
+    checkInvalidFree(value, node, state, pointer, freeNode) {
+        const releaseNode = freeNode || node;
+        const deallocator = PathAnalyzer.deallocatorOf(releaseNode);
+        if (!value || !deallocator) return false;
+        const line = node.loc.start.line;
+        const name = pointer ? CParser.print(pointer) : 'the pointer';
+        const via = node.type === 'CallExpression' && freeNode ? ` (inside ${CParser.print(node.callee)}())` : '';
+        const release = deallocator === 'delete' || deallocator === 'delete[]' ? deallocator : `${deallocator}()`;
+        if (value.kind === 'unset') return this.checkSkippedAssignment(value, line, name, release, via, state);
+        if (ASTParser.resourceReleasedBy(deallocator)) return false;
+        const family = ASTParser.allocatorFamilies().find(candidate => candidate.deallocators.includes(deallocator));
+        const allocators = family ? PathAnalyzer.joinOr(family.allocators.map(PathAnalyzer.describeAllocator)) : 'its allocator';
+
+        if (value.kind === 'stack') {
+            const what = name === value.name ? this.describeStack(value) : `${name}, the address of ${this.describeStack(value)}`;
+            this.addWarning('Free of Stack Memory', line,
+                `${release} on line ${line}${via} releases ${what}, which lives on the stack, not the heap. ` +
+                `${release} only accepts pointers returned by ${allocators}; remove the call, ` +
+                `since the stack memory is reclaimed when ${this.functionName}() returns.`,
+                { label: 'Declared on', line: value.line }, name);
+            return true;
+        }
+        if (value.kind === 'string') {
+            this.addWarning('Free of String Literal', line,
+                `${release} on line ${line}${via} releases ${pointer && pointer.type === 'Literal' ? `the string literal ${name}` : `${name}, which points to a string literal`}. Literals live in ` +
+                `read-only static memory for the whole run; only pointers returned by ${allocators} may be released. ` +
+                `Copy the literal with strdup() if the string must be freed later.`, null, name);
+            return true;
+        }
+        // Only a constant, non-zero offset is certain to miss the start of the block
+        const block = value.kind === 'heap' && typeof value.offset === 'number' ? state.blocks.get(value.block) : null;
+        if (block && block.site && block.status === 'live') {
+            this.addWarning('Free of Offset Pointer', line,
+                `${name} no longer points to the start of the block ${PathAnalyzer.describeAllocator(block.site.allocator || block.site.function)} ` +
+                `allocated on line ${block.site.line}, so ${release} on line ${line}${via} receives an address the ` +
+                `allocator never handed out and the block is not released. Release the pointer the allocation ` +
+                `returned, keeping a copy of it before advancing.`,
+                { label: 'Allocated on', line: block.site.line }, name);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Automatic pointer declarations a forward goto jumps over while landing in their scope
+     * @param {Object} node - Graph node of the goto
+     * @param {Object} target - Graph node of the label
+     * @returns {Array<Object>} VariableDeclarator nodes
+     */
+    skippedDeclarations(node, target) {
+        if (this.skippedByGoto.has(node.id)) return this.skippedByGoto.get(node.id);
+        const skipped = [];
+        const from = node.ast.range;
+        const to = target.ast && target.ast.range;
+        if (from && to && to[0] > from[1]) {
+            CParser.walk(this.functionNode.body, (child, parent) => {
+                if (child.type === 'LambdaExpression') return false;
+                if (child.type !== 'Declaration' || !parent || !parent.range) return true;
+                if (child.range[0] < from[1] || child.range[1] > to[0] || to[1] > parent.range[1]) return true;
+                if (['static', 'extern', 'typedef'].some(storage => child.storage.includes(storage))) return true;
+                child.declarators.forEach(declarator => {
+                    if (declarator.name && !declarator.isFunction && declarator.pointerDepth > 0 &&
+                        declarator.arrayDims.length === 0) {
+                        skipped.push(declarator);
+                    }
+                });
+                return true;
+            });
+        }
+        this.skippedByGoto.set(node.id, skipped);
+        return skipped;
+    }
+
+    /**
+     * Cleanup code under a goto label releasing a pointer that the jump skipped the assignment of,
+     * e.g. goto out before char *b = malloc(n) runs. Without a goto on the path the pointer may
+     * well be assigned under a condition this analysis does not correlate, so nothing is reported.
+     * @returns {boolean} Whether the release was reported
+     */
+    checkSkippedAssignment(value, line, name, release, via, state) {
+        const jump = state.trace.slice().reverse().find(step => step.kind === 'goto');
+        if (!jump) return false;
+        let assigned = value.initialized ? value.line : null;
+        CParser.walk(this.functionNode.body, child => {
+            if (assigned || child.type !== 'AssignmentExpression' || child.operator !== '=') return !assigned;
+            const target = ASTParser.stripCasts(child.left);
+            if (target.type === 'Identifier' && target.name === name && child.loc.start.line > jump.line) {
+                assigned = child.loc.start.line;
+            }
+            return !assigned;
+        });
+        const skipped = assigned ? `its assignment on line ${assigned}` : `every assignment to it`;
+        const declared = value.initialized
+            ? `whose declaration on line ${value.line} never runs on this path, so it`
+            : `which is declared without an initializer on line ${value.line} and`;
+        const fix = value.initialized
+            ? `Declare ${name} before the goto on line ${jump.line}, initialized to NULL, and assign it on line ${value.line} instead`
+            : `Initialize ${name} to NULL where it is declared`;
+        this.addWarning('Free of Uninitialized Pointer', line,
+            `${release} on line ${line}${via} releases ${name}, ${declared} still holds garbage: goto ${jump.label} on ` +
+            `line ${jump.line} jumps past ${skipped}. ${fix}, so ${release} does nothing on that path.`,
+            { label: 'Jump on', line: jump.line }, name);
+        return true;
+    }
+
+    static joinOr(items) {
+        return items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0];
+    }
+
+    /**
+     * Warn when an allocation that may have failed is used before it is checked for NULL
+     * @param {Object} expr - Expression naming the pointer
+     * @param {Object} value - Value of the pointer
+     * @param {Object} state - Path state
+     * @param {string} action - How the pointer is used, e.g. 'dereferenced'
+     */
+    checkNull(expr, value, state, action) {
+        if (!value || value.kind !== 'heap') return;
+        const block = state.blocks.get(value.block);
+        if (!block || block.status !== 'live' || block.nullness !== 'maybe') return;
+        if (!block.site) {
+            if (block.param !== undefined) this.paramDerefs.add(block.param);
+            return;
+        }
+        if (this.nullCheckedSites.has(block.site.allocId)) return;
+        this.nullCheckedSites.add(block.site.allocId);
+
+        const line = expr.loc.start.line;
+        const stripped = ASTParser.stripCasts(expr);
+        const name = CParser.print(stripped);
+        const source = block.site.origin
+            ? `${block.site.function}() on line ${block.site.line}, which can return NULL,`
+            : `${block.site.function}() on line ${block.site.line}`;
+        // The allocation itself is the argument: there is no variable to check yet
+        if (stripped.type === 'CallExpression' || stripped.type === 'NewExpression') {
+            this.addWarning('Missing NULL Check', line,
+                `The result of ${source} is ${action} on line ${line} without being stored, but it may be NULL. ` +
+                `Store it in a variable and check that first, e.g. buffer = ${name}; ` +
+                `if (buffer == NULL) { /* handle the error */ }.`,
+                { label: 'Allocated on', line: block.site.line }, block.site.allocId);
+            return;
+        }
+        this.addWarning('Missing NULL Check', line,
+            `${name} is ${action} on line ${line} but the result of ${source} may be NULL on this path. ` +
+            `Check it first, e.g. if (${name} == NULL) { /* handle the error */ }.`,
+            { label: 'Allocated on', line: block.site.line }, name);
+    }
+
+    /**
+     * Follow what a statement, condition or expression does to heap memory: reads of blocks nothing has
+     * written yet are reported, and blocks it writes become initialized. Runs before the expression is
+     * evaluated, so it sees the blocks its pointers refer to before the statement changes them.
+     * @param {Object} expr - Syntax node
+     * @param {string} mode - 'read', 'write' or 'address': how the value of expr is used
+     * @param {Object} state - Path state (mutated)
+     */
+    scanMemory(expr, mode, state) {
+        if (!expr || typeof expr.type !== 'string') return;
+        switch (expr.type) {
+            case 'Identifier':
+            case 'Literal':
+            case 'SizeofExpression':
+            case 'LambdaExpression':
+            case 'TypeName':
+                return;
+
+            case 'AssignmentExpression':
+                this.scanMemory(expr.right, 'read', state);
+                // a[i] += x reads a[i] before writing it
+                if (expr.operator !== '=') this.scanMemory(expr.left, 'read', state);
+                this.scanMemory(expr.left, 'write', state);
+                return;
+
+            case 'UpdateExpression':
+                this.scanMemory(expr.argument, 'read', state);
+                this.scanMemory(expr.argument, 'write', state);
+                return;
+
+            case 'UnaryExpression':
+                if (expr.operator === '*') {
+                    this.accessMemory(expr.argument, expr, mode, state);
+                    this.scanBase(expr.argument, mode, state);
+                } else {
+                    this.scanBase(expr.argument, expr.operator === '&' ? 'address' : 'read', state);
+                }
+                return;
+
+            case 'SubscriptExpression':
+                this.accessMemory(expr.object, expr, mode, state);
+                this.scanBase(expr.object, mode, state);
+                this.scanMemory(expr.index, 'read', state);
+                return;
+
+            case 'MemberExpression':
+                if (expr.arrow) this.accessMemory(expr.object, expr, mode, state);
+                this.scanBase(expr.object, mode, state);
+                return;
+
+            case 'CallExpression':
+                this.scanCall(expr, state);
+                return;
+
+            default:
+                CParser.forEachChild(expr, child => this.scanMemory(child, 'read', state));
+        }
+    }
+
+    /**
+     * Scan the object of a[i], *p or p->f. When it designates memory itself (p->items[i]) it is used
+     * the way the whole expression is: items may be an array inside the block rather than a pointer.
+     */
+    scanBase(expr, mode, state) {
+        const base = ASTParser.stripCasts(expr);
+        const designates = base && (base.type === 'SubscriptExpression' || base.type === 'MemberExpression' ||
+            (base.type === 'UnaryExpression' && base.operator === '*'));
+        this.scanMemory(expr, designates ? mode : 'read', state);
+    }
+
+    /**
+     * Read or write the block a pointer expression points into
+     * @param {Object} pointer - Pointer expression, e.g. p in p[i]
+     * @param {Object} expr - Whole access, e.g. p[i]
+     */
+    accessMemory(pointer, expr, mode, state) {
+        const block = this.pointedBlock(pointer, state);
+        if (!block) return;
+        if (mode === 'read') {
+            this.readMemory(block, expr, state, `${CParser.print(expr)} is read`);
+        } else {
+            block.uninitialized = false;
+        }
+    }
+
+    /**
+     * Library calls read or write what their pointer arguments point to (CONFIG.ANALYSIS.UNINITIALIZED_MEMORY);
+     * any other function is assumed to initialize what it is given
+     */
+    scanCall(expr, state) {
+        const callee = expr.callee.type === 'Identifier' ? SmartPointers.baseName(expr.callee.name) : null;
+        if (!callee) this.scanMemory(expr.callee, 'read', state);
+        const rules = CONFIG.ANALYSIS.UNINITIALIZED_MEMORY;
+        const library = callee && !(this.summaries && this.summaries.defines(callee)) ? callee : null;
+        const listed = (table, index) => {
+            const entry = library ? table[library] : null;
+            return !!entry && (Array.isArray(entry) ? entry.includes(index) : index >= entry.from);
+        };
+        // Allocating and releasing neither reads nor writes the contents
+        const untouched = library && (ASTParser.C_ALLOCATORS.includes(library) || ASTParser.C_DEALLOCATORS.includes(library) ||
+            ASTParser.isAllocator(library) || ASTParser.isDeallocator(library) || ASTParser.resourceReleasedBy(library));
+
+        const blocks = expr.arguments.map(arg => {
+            const block = this.argumentBlock(arg, state);
+            if (!block) this.scanMemory(arg, 'read', state);
+            return block;
+        });
+        blocks.forEach((block, index) => {
+            if (block && listed(rules.READS, index)) {
+                this.readMemory(block, expr, state, `${CParser.print(expr.arguments[index])} is passed to ${callee}(), which reads it,`);
+            }
+        });
+        const copy = library ? rules.COPIES[library] : null;
+        if (copy && blocks[copy[0]]) {
+            const source = blocks[copy[1]];
+            blocks[copy[0]].uninitialized = !!(source && source.uninitialized);
+        }
+        blocks.forEach((block, index) => {
+            if (!block || untouched || (copy && copy.includes(index))) return;
+            if (listed(rules.WRITES, index) || !listed(rules.READS, index)) block.uninitialized = false;
+        });
+    }
+
+    /**
+     * Heap block a call argument points into: p, p + n, &p[i], &p->f, or p->f when f may be an array
+     * member of the block
+     * @returns {Object|null} Block
+     */
+    argumentBlock(arg, state) {
+        const expr = ASTParser.stripCasts(arg);
+        if (!expr) return null;
+        if (expr.type === 'UnaryExpression' && expr.operator === '&') {
+            const target = ASTParser.stripCasts(expr.argument);
+            if (target.type === 'SubscriptExpression') return this.pointedBlock(target.object, state);
+            if (target.type === 'MemberExpression' && target.arrow) return this.pointedBlock(target.object, state);
+            return null;
+        }
+        if (expr.type === 'MemberExpression' && expr.arrow) {
+            return this.pointedBlock(expr, state) || this.pointedBlock(expr.object, state);
+        }
+        return this.pointedBlock(expr, state);
+    }
+
+    /**
+     * Live heap block a pointer expression refers to, without evaluating it
+     */
+    pointedBlock(pointer, state) {
+        const expr = ASTParser.stripCasts(pointer);
+        if (!expr) return null;
+        if (expr.type === 'BinaryExpression' && (expr.operator === '+' || expr.operator === '-')) {
+            return this.pointedBlock(expr.left, state) || (expr.operator === '+' ? this.pointedBlock(expr.right, state) : null);
+        }
+        const value = this.lookup(expr, state);
+        const block = value && value.kind === 'heap' ? state.blocks.get(value.block) : null;
+        return block && block.site && block.status === 'live' ? block : null;
+    }
+
+    /**
+     * Report a read of a block that nothing has written on this path
+     * @param {string} action - What happens, e.g. "buf[i] is read"
+     */
+    readMemory(block, expr, state, action) {
+        if (!block.uninitialized) return;
+        const site = block.site;
+        const line = expr.loc.start.line;
+        // Branches testing the pointer itself (if (!buf)) say nothing about what was written
+        const pointer = site.var ? new RegExp(`\\b${site.var.replace(/[^\w]/g, '\\$&')}\\b`) : null;
+        const since = state.trace.slice(block.traceStart)
+            .filter(step => step.kind === 'branch' && !(pointer && pointer.test(step.text)));
+        const path = since.length > 0 ? ` on the path where ${since[since.length - 1].text}` : '';
+        this.addWarning('Uninitialized Read', line,
+            `${action} on line ${line}, but nothing has written the memory ${PathAnalyzer.describeAllocator(site.function)} ` +
+            `allocated on line ${site.line}${path}, so it holds indeterminate values. ${this.suggestInitialization(site)}`,
+            { label: 'Allocated on', line: site.line }, site.allocId);
+    }
+
+    /**
+     * Advice for an uninitialized block: calloc() for malloc(), a value-initializing new, or memset()
+     */
+    suggestInitialization(site) {
+        const node = Array.from(this.allocationSites.keys()).find(key => this.allocationSites.get(key) === site);
+        const name = site.var || 'the block';
+        if (node && node.type === 'NewExpression') {
+            return `Value-initialize it with ${CParser.print(node)}() or ${node.isArray ? 'assign every element' : 'store a value'} before reading it.`;
+        }
+        const size = node && node.arguments ? node.arguments[site.function === 'realloc' ? 1 : 0] : null;
+        if (!size) return `Write it before reading, e.g. with memset(${name}, 0, size).`;
+        const memset = `memset(${name}, 0, ${CParser.print(size)})`;
+        if (site.function !== 'malloc') return `Write it before reading, e.g. with ${memset}.`;
+        // malloc(n * sizeof(int)) becomes calloc(n, sizeof(int))
+        const product = ASTParser.stripCasts(size);
+        const count = product.type === 'BinaryExpression' && product.operator === '*'
+            ? (product.right.type === 'SizeofExpression' ? [product.left, product.right]
+                : product.left.type === 'SizeofExpression' ? [product.right, product.left] : null)
+            : null;
+        const calloc = count ? `calloc(${CParser.print(count[0])}, ${CParser.print(count[1])})` : `calloc(1, ${CParser.print(size)})`;
+        return `Allocate it with ${calloc}, which zero-fills the memory, or initialize it first, e.g. ${memset}.`;
+    }
+
+    /**
+     * Whether an allocation leaves its memory unwritten: malloc() and realloc(), and new of a built-in
+     * type without an initializer (new int[n], but not new int[n]() or new Node)
+     */
+    static startsUninitialized(node, site) {
+        if (site.resource || site.managed) return false;
+        if (site.function === 'malloc' || site.function === 'realloc') return true;
+        if (!node || node.type !== 'NewExpression' || node.arguments) return false;
+        const type = node.typeName ? TypeLayout.namedType(node.typeName) : null;
+        return !!type && (type.pointerDepth > 0 ||
+            (!type.specifier.record && !type.specifier.name && type.specifier.keywords.length > 0));
+    }
+
+    freedBlock(value, state) {
+        if (!value || value.kind !== 'heap') return null;
+        const block = state.blocks.get(value.block);
+        return block && block.status === 'freed' ? block : null;
+    }
+
+    static describeRelease(block) {
+        const resource = ASTParser.resourceKind(block.resource);
+        if (resource) {
+            const when = `after it was ${resource.verbs.released} on line ${block.freedAt}`;
+            return block.site ? `${when} (${resource.verbs.acquired} on line ${block.site.line})` : when;
+        }
+        const when = block.movedBy === 'realloc'
+            ? `after realloc() on line ${block.freedAt} moved the block`
+            : `after it was freed on line ${block.freedAt}`;
+        return block.site ? `${when} (allocated on line ${block.site.line})` : when;
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Drop the fields known through a variable that was overwritten or handed out by address;
+     * whatever they held may still be reachable some other way
+     */
+    forgetFields(name, state, reason) {
+        state.values.forEach((value, key) => {
+            if (key !== name && PathAnalyzer.rootName(key) === name) {
+                this.escape(value, state, reason);
+                state.values.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Name under which a field of a local struct is tracked, e.g. `s.buf`
+     * @param {Object} expr - Expression node
+     * @returns {string|null} Field key, or null if the expression is not a field of a tracked variable
+     */
+    fieldKey(expr) {
+        const member = ASTParser.stripCasts(expr);
+        if (!member || member.type !== 'MemberExpression') return null;
+        let root = member;
+        while (root.type === 'MemberExpression') {
+            if (root.arrow) return null;
+            root = ASTParser.stripCasts(root.object);
+            if (!root) return null;
+        }
+        return root.type === 'Identifier' && this.isTracked(root.name) ? CParser.print(member) : null;
+    }
+
+    static rootName(key) {
+        const match = /^[A-Za-z_]\w*/.exec(key);
+        return match ? match[0] : key;
+    }
+
+    /**
+     * Pointer moved within its block. The offset counts elements while every step is a constant,
+     * so p++ followed by p - 1 is back at the start; otherwise it is just true.
+     * @param {Object} value - Pointer being moved
+     * @param {number|null} delta - Constant step, or null when unknown
+     */
+    static offsetOf(value, delta) {
+        if (!value || value.kind !== 'heap') return { kind: 'unknown' };
+        const start = value.offset || 0;
+        const offset = typeof start === 'number' && typeof delta === 'number' ? start + delta : true;
+        return offset ? { kind: 'heap', block: value.block, offset: offset } : { kind: 'heap', block: value.block };
+    }
+
+    static step(value, negate) {
+        if (!value || value.kind !== 'number' || typeof value.value !== 'number' || isNaN(value.value)) return null;
+        return negate ? -value.value : value.value;
+    }
+
+    escape(value, state, reason) {
+        if (!value || value.kind !== 'heap') return;
+        const block = state.blocks.get(value.block);
+        if (block && !block.escaped) {
+            block.escaped = reason;
+            // Whoever takes a struct also takes what its members own
+            if (block.fields) block.fields.forEach(member => this.escape(member, state, reason));
+        }
+    }
+
+    isTracked(name) {
+        return this.locals.has(name) || this.params.has(name) || this.isGlobal(name);
+    }
+
+    isGlobal(name) {
+        return this.staticLocals.has(name) ||
+            (this.globals.has(name) && !this.locals.has(name) && !this.params.has(name));
+    }
+
+    /**
+     * Names of the variables, and member chains through live blocks, currently pointing at a block
+     */
+    references(blockId, state) {
+        return this.holders(blockId, state).map(holder => holder.name);
+    }
+
+    /**
+     * Variables and member chains pointing at a block, with where in the block they point
+     * @returns {Array<Object>} { name, offset }; offset is 0 (or undefined) at the start of the block
+     */
+    holders(blockId, state) {
+        const holders = [];
+        const visited = new Set();
+        const visit = (value, name) => {
+            if (value.kind !== 'heap') return;
+            if (value.block === blockId) holders.push({ name: name, offset: value.offset });
+            const block = state.blocks.get(value.block);
+            if (!block || !block.fields || block.status !== 'live' || visited.has(block.id)) return;
+            visited.add(block.id);
+            block.fields.forEach((member, field) => visit(member, `${name}->${field}`));
+        };
+        state.values.forEach((value, name) => visit(value, name));
+        // Variables hidden by a block-scoped one of the same name still hold their blocks
+        state.scopes.forEach(declarations => declarations.forEach(declaration =>
+            declaration.hidden.forEach((value, name) => visit(value, name))));
+        return holders;
+    }
+
+    /**
+     * Refine the state with the outcome of a condition
+     * @returns {boolean} False if the outcome is impossible on this path
+     */
+    assume(expr, truth, state) {
+        const test = ASTParser.stripCasts(expr);
+        if (!test) return true;
+
+        if (test.type === 'UnaryExpression' && test.operator === '!') {
+            return this.assume(test.argument, !truth, state);
+        }
+
+        if (test.type === 'Literal' && (test.kind === 'number' || test.kind === 'boolean')) {
+            return Boolean(test.value) === truth;
+        }
+
+        const failure = test.type === 'BinaryExpression' ? this.failureTest(test, state) : null;
+        if (failure) {
+            return this.assumeNull(failure.subject, failure.failed === truth, state);
+        }
+
+        if (test.type === 'BinaryExpression' && (test.operator === '==' || test.operator === '!=')) {
+            const subject = this.isNullConstant(test.right) ? test.left
+                : this.isNullConstant(test.left) ? test.right : null;
+            if (subject) {
+                return this.assumeNull(subject, (test.operator === '==') === truth, state);
+            }
+        }
+
+        if (test.type === 'AssignmentExpression' || test.type === 'Identifier' || test.type === 'MemberExpression') {
+            return this.assumeNull(test, !truth, state);
+        }
+
+        return this.assumeFact(test, truth, state);
+    }
+
+    /**
+     * Recognize the failure test of a resource that signals failure with a negative value, e.g. `fd < 0`
+     * @param {Object} test - BinaryExpression condition
+     * @param {Object} state - Path state
+     * @returns {Object|null} { subject, failed }: failed tells whether the test is true when acquiring failed
+     */
+    failureTest(test, state) {
+        const constant = expr => {
+            const node = ASTParser.stripCasts(expr);
+            if (node.type === 'Literal' && node.kind === 'number') return node.value;
+            if (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'Literal' &&
+                node.argument.kind === 'number') {
+                return -node.argument.value;
+            }
+            return null;
+        };
+        let subject = test.left;
+        let operator = test.operator;
+        let bound = constant(test.right);
+        if (bound === null) {
+            subject = test.right;
+            bound = constant(test.left);
+            operator = PathAnalyzer.FLIPPED_OPERATORS[operator];
+        }
+        if (bound === null || !operator) return null;
+
+        const target = ASTParser.stripCasts(subject);
+        const value = this.lookup(target.type === 'AssignmentExpression' ? target.left : target, state);
+        const block = value && value.kind === 'heap' ? state.blocks.get(value.block) : null;
+        const resource = block ? ASTParser.resourceKind(block.resource) : null;
+        if (!resource || resource.failure !== 'negative') return null;
+
+        const failed = PathAnalyzer.FAILURE_TESTS[operator + bound];
+        return failed === undefined ? null : { subject: subject, failed: failed };
+    }
+
+    assumeNull(expr, isNull, state) {
+        let subject = ASTParser.stripCasts(expr);
+        if (subject.type === 'AssignmentExpression') {
+            subject = ASTParser.stripCasts(subject.left);
+        }
+        const value = this.lookup(subject, state);
+        if (!value) {
+            return this.assumeFact(expr, !isNull, state);
+        }
+
+        if (value && value.kind === 'null') {
+            return isNull;
+        }
+
+        if (value && value.kind === 'heap' && !value.offset) {
+            const block = state.blocks.get(value.block);
+            if (!block) return true;
+            if (!isNull) {
+                block.nullness = 'nonnull';
+                return true;
+            }
+            if (block.nullness === 'nonnull') {
+                return false;
+            }
+            // The allocation failed on this path: nothing was allocated
+            this.replaceReferences(block.id, { kind: 'null' }, state);
+            state.blocks.delete(block.id);
+            this.restoreReallocated(block, state);
+            return true;
+        }
+
+        return this.assumeFact(subject, !isNull, state);
+    }
+
+    /**
+     * Value of a pointer expression without evaluating it: a variable, a field of a local struct,
+     * or a member chain such as `list->head`
+     * @returns {Object|null} Value, or null if the expression does not name a pointer
+     */
+    lookup(expr, state) {
+        const subject = ASTParser.stripCasts(expr);
+        if (!subject) return null;
+        if (subject.type === 'Identifier') {
+            if (PathAnalyzer.NULL_NAMES.includes(subject.name)) return { kind: 'null' };
+            return state.values.get(subject.name) || { kind: 'unknown' };
+        }
+        if (subject.type !== 'MemberExpression') return null;
+        if (!subject.arrow) {
+            const key = this.fieldKey(subject);
+            return key ? state.values.get(key) || { kind: 'unknown' } : null;
+        }
+        const object = this.lookup(subject.object, state);
+        const block = object && object.kind === 'heap' ? state.blocks.get(object.block) : null;
+        if (!object) return null;
+        return (block && block.fields && block.fields.get(subject.property)) || { kind: 'unknown' };
+    }
+
+    /**
+     * Point every variable and member that refers to a block at another value
+     */
+    replaceReferences(blockId, value, state) {
+        state.values.forEach((current, name) => {
+            if (current.kind === 'heap' && current.block === blockId) state.values.set(name, value);
+        });
+        state.blocks.forEach(block => {
+            if (!block.fields) return;
+            block.fields.forEach((current, field) => {
+                if (current.kind === 'heap' && current.block === blockId) block.fields.set(field, value);
+            });
+        });
+    }
+
+    /**
+     * A failed realloc() leaves the old block where it was
+     */
+    restoreReallocated(block, state) {
+        const old = block.reallocFrom ? state.blocks.get(block.reallocFrom) : null;
+        if (!old || old.movedBy !== 'realloc') return;
+        old.status = 'live';
+        old.freedAt = 0;
+        old.movedBy = null;
+
+        // With `p = realloc(p, n)` nothing points at it any more; the idiom warning already says so
+        if (block.reallocIdiom && old.site && this.references(old.id, state).length === 0) {
+            state.blocks.delete(old.id);
+        }
+    }
+
+    /**
+     * Remember the outcome of a side-effect-free condition so correlated branches agree
+     */
+    assumeFact(expr, truth, state) {
+        const names = [];
+        let pure = true;
+        CParser.walk(expr, node => {
+            if (node.type === 'Identifier') {
+                if (!this.locals.has(node.name) && !this.params.has(node.name)) pure = false;
+                names.push(node.name);
+            } else if (!PathAnalyzer.PURE_EXPRESSIONS.includes(node.type)) {
+                pure = false;
+            }
+            return pure;
+        });
+        const key = CParser.print(expr);
+        if (!pure || names.length === 0 || !this.correlatedConditions.has(key)) return true;
+
+        const known = state.facts.get(key);
+        if (known) {
+            return known.value === truth;
+        }
+        state.facts.set(key, { value: truth, names: names });
+        return true;
+    }
+
+    /**
+     * Entering one of two correlated counting loops decides whether the other is entered
+     * @returns {boolean} Whether the path is still feasible
+     */
+    assumeTripCount(node, truth, state) {
+        const trip = node.statement ? this.loopTrips.get(node.statement) : null;
+        if (!trip || node.ast !== node.statement.test || state.loopVisits.get(trip.loop) !== 1) return true;
+        const known = state.facts.get(trip.key);
+        if (known) return known.value === truth;
+        state.facts.set(trip.key, { value: truth, names: trip.names });
+        return true;
+    }
+
+    invalidateFacts(name, state) {
+        state.facts.forEach((fact, key) => {
+            if (fact.names.includes(name)) {
+                state.facts.delete(key);
+            }
+        });
+    }
+
+    isNullConstant(expr) {
+        const value = ASTParser.stripCasts(expr);
+        if (!value) return false;
+        if (value.type === 'Identifier') return PathAnalyzer.NULL_NAMES.includes(value.name);
+        return value.type === 'Literal' && value.kind === 'number' && value.value === 0;
+    }
+
+    /**
+     * Report allocations made in the current statement that nothing points to
+     */
+    collectDiscarded(state, line) {
+        state.fresh.forEach(id => {
+            const block = state.blocks.get(id);
+            if (block && block.status === 'live' && !block.escaped && this.references(id, state).length === 0) {
+                this.reportLeak(block, state, block.disowned
+                    ? { kind: 'disowned', line: line, names: [], owner: block.disowned.name }
+                    : { kind: 'discarded', line: line, names: [] });
+                state.blocks.delete(id);
+            }
+        });
+        state.fresh = [];
+    }
+
+    reportExitLeaks(node, state) {
+        const isMain = this.functionName === 'main';
+        if (!isMain) {
+            // A global still pointing at freed memory will be used by whoever reads it next
+            state.values.forEach((value, name) => {
+                const block = this.isGlobal(name) ? this.freedBlock(value, state) : null;
+                if (!block) return;
+                const line = state.returnLine || node.line;
+                this.addWarning('Dangling Pointer', line,
+                    `Global ${name} still points to memory freed on line ${block.freedAt} when ${this.functionName}() ` +
+                    `returns on line ${line}. Set ${name} = NULL after freeing it.`,
+                    { label: 'Freed on', line: block.freedAt }, name);
+            });
+            state.values.forEach((value, name) => {
+                if (value.kind !== 'stack' || !this.isGlobal(PathAnalyzer.rootName(name))) return;
+                const line = value.storedAt || state.returnLine || node.line;
+                this.addWarning('Dangling Stack Pointer', line,
+                    `${name} is given the address of ${this.describeStack(value)} on line ${line} and still holds it when ` +
+                    `${this.functionName}() returns${state.returnLine ? ' on line ' + state.returnLine : ''}, so it points into a ` +
+                    `stack frame that no longer exists. Set ${name} = NULL before returning, or give it memory that ` +
+                    `outlives the call (static or from malloc()).`,
+                    { label: 'Declared on', line: value.line }, name);
+            });
+        }
+        const lost = []; // blocks the locals held directly, whose members are lost with them
+        state.blocks.forEach(block => {
+            if (!block.site || block.status !== 'live' || block.escaped) return;
+            const holders = this.holders(block.id, state);
+            const names = holders.map(holder => holder.name);
+            const globalNames = names.filter(name => this.isGlobal(PathAnalyzer.rootName(name)));
+            if (globalNames.length > 0 && !isMain) return;
+            // Only reachable through the fields of other lost blocks: reported below as lost with them
+            if (globalNames.length === 0 && holders.length > 0 && holders.every(holder => holder.name.includes('->'))) return;
+            const interior = holders.length > 0 && holders.every(holder => holder.offset);
+            if (globalNames.length === 0) lost.push({ block: block, names: names });
+
+            if (state.exception) {
+                this.reportLeak(block, state, { kind: 'throw', line: state.exception.line, names: names, exception: state.exception, interior: interior });
+                return;
+            }
+            this.reportLeak(block, state, {
+                kind: state.returnLine && state.returnLine !== this.finalReturnLine ? 'return' : 'end',
+                line: state.returnLine || node.line,
+                names: names,
+                globalNames: globalNames,
+                interior: interior,
+                jump: this.lastJump(block, state)
+            });
+        });
+
+        const line = state.exception ? state.exception.line : state.returnLine || node.line;
+        lost.forEach(({ block, names }) => {
+            names.filter(name => !name.includes('->')).forEach(name => state.values.delete(name));
+        });
+        lost.forEach(({ block, names }) => {
+            this.releaseMembers(block, state, names[0] || block.site.var || 'the block', line);
+        });
+    }
+
+    /**
+     * Last goto the path took while holding the block: the cleanup it jumped to kept the block
+     */
+    lastJump(block, state) {
+        const steps = state.trace.slice(block.traceStart);
+        for (let i = steps.length - 1; i >= 0; i--) {
+            if (steps[i].kind === 'goto') return steps[i];
+        }
+        return null;
+    }
+
+    terminate() {
+        this.terminatedPaths++;
+        return [];
+    }
+
+    /**
+     * Note what a completed path did with the parameters and the return value
+     */
+    recordExit(state) {
+        this.exitPaths++;
+
+        (this.functionNode.params || []).forEach((param, index) => {
+            if (!param.name || param.pointerDepth === 0) return;
+            const id = 'param#' + index;
+            const block = state.blocks.get(id);
+            let outcome = 'kept';
+            if (!block) outcome = 'null';
+            else if (state.returnValue && state.returnValue.block === id) outcome = 'returned';
+            else if (block.status === 'freed') outcome = 'freed';
+            else if (block.escaped) outcome = 'escaped';
+            else {
+                // Stored in a global or static variable: the memory outlives the call
+                const global = this.references(id, state).find(name => this.isGlobal(PathAnalyzer.rootName(name)));
+                if (global) {
+                    outcome = 'stores-global';
+                    this.paramGlobals.set(index, this.staticLocals.has(PathAnalyzer.rootName(global))
+                        ? `static ${global}` : global);
+                }
+            }
+
+            if (!this.paramOutcomes.has(index)) this.paramOutcomes.set(index, new Set());
+            this.paramOutcomes.get(index).add(outcome);
+            const ensured = !!block && block.nullness === 'nonnull';
+            this.paramEnsured.set(index, ensured && this.paramEnsured.get(index) !== false);
+        });
+
+        const value = state.returnValue;
+        const block = value && value.kind === 'heap' ? state.blocks.get(value.block) : null;
+        if (block && block.site && block.status === 'live') {
+            this.returnedSites.set(block.site.allocId, block.site);
+            if (block.nullness !== 'nonnull') this.returnsMaybeNull = true;
+        } else if (block && block.param !== undefined) {
+            this.returnedParams.add(block.param);
+        } else if (value && value.kind === 'null') {
+            this.returnsMaybeNull = true;
+        } else if (value) {
+            this.returnsOther = true;
+        }
+    }
+
+    /**
+     * Summarize what the function does with memory, for its callers
+     * @returns {Object} Function summary
+     */
+    summarize() {
+        const params = (this.functionNode.params || []).map((param, index) => {
+            const outcomes = this.paramOutcomes.get(index);
+            if (!outcomes) return 'none';
+            const released = outcomes.has('freed');
+            // A parameter freed on every path (or only skipped when NULL) is freed by the call
+            if (released && Array.from(outcomes).every(outcome => outcome === 'freed' || outcome === 'null')) {
+                return 'frees';
+            }
+            if (released || outcomes.has('escaped')) return 'escapes';
+            return outcomes.has('stores-global') ? 'stores-global' : 'none';
+        });
+
+        let returnsOwned = null;
+        if (this.returnedSites.size > 0) {
+            const sites = Array.from(this.returnedSites.values());
+            const first = sites[0];
+            const sized = sites.find(site => site.sizeExpr);
+            returnsOwned = {
+                function: first.origin ? first.origin.function : this.functionName,
+                line: first.origin ? first.origin.line : first.line,
+                allocator: first.allocator || first.function,
+                resource: first.resource || null,
+                allocId: first.origin ? first.origin.allocId : first.allocId,
+                size: Math.max(...sites.map(site => site.size || 0)),
+                sizeExpr: sized ? sized.sizeExpr : null,
+                // The formula itself, for call sites to fill in the arguments they pass
+                sizeExpression: sized ? sized.sizeExpression || this.sizeExpressions.get(sized.allocId) || null : null,
+                params: (this.functionNode.params || []).map(param => param.name || null),
+                // A function returning std::unique_ptr<T> hands its caller an owner, not a raw pointer
+                managed: SmartPointers.isOwner(SmartPointers.kindOf(this.functionNode.returnType))
+                    ? SmartPointers.kindOf(this.functionNode.returnType)
+                    : sites.map(site => site.managed).find(Boolean) || null,
+                nonnull: !this.returnsMaybeNull
+            };
+        }
+
+        return {
+            name: this.functionName,
+            params: params,
+            freeNodes: this.paramFrees,
+            storedGlobals: this.paramGlobals,
+            returnsOwned: returnsOwned,
+            derefs: Array.from(this.paramDerefs),
+            ensuresNonNull: Array.from(this.paramEnsured.keys()).filter(index => this.paramEnsured.get(index)),
+            returnsParam: this.returnedParams.size === 1 && this.returnedSites.size === 0 && !this.returnsOther
+                ? Array.from(this.returnedParams)[0]
+                : null,
+            noreturn: this.exitPaths === 0 && (this.terminatedPaths > 0 || this.unwindPaths > 0),
+            throws: this.unwindPaths > 0 && !this.functionNode.noexcept // an exception can leave the function
+        };
+    }
+
+    /**
+     * Add a leaking path to the leak reported for an allocation site
+     */
+    reportLeak(block, state, detail) {
+        const site = block.site;
+        if (block.owner) {
+            // The last smart pointer letting go deletes the block: not a leak. The timeline only
+            // shows releases on the way the function normally runs, not while an exception unwinds.
+            const allocId = site.origin ? site.origin.allocId : site.allocId;
+            if (detail.kind !== 'throw' && !this.automaticReleases.has(allocId)) {
+                this.automaticReleases.set(allocId, { var: block.owner.name || detail.names[0] || site.var, line: detail.line });
+            }
+            return;
+        }
+        let leak = this.leaks.get(site.allocId);
+        if (!leak) {
+            leak = {
+                var: detail.names[0] || site.var || `${site.function}() result`,
+                line: site.line,
+                function: site.function,
+                size: site.size,
+                sizeExpr: site.sizeExpr || null,
+                resource: site.resource || null,
+                inLoop: site.inLoop,
+                functionName: this.functionName,
+                fix: '',
+                path: '',
+                trace: [],
+                paths: [],
+                aliases: [],
+                site: site,
+                pending: []
+            };
+            this.leaks.set(site.allocId, leak);
+        }
+        detail.names.forEach(name => {
+            if (name !== leak.var && !leak.aliases.includes(name)) leak.aliases.push(name);
+        });
+        if (leak.pending.length < CONFIG.ANALYSIS.MAX_REPORTED_PATHS * 4) {
+            leak.pending.push({
+                name: detail.names[0] || leak.var,
+                detail: detail,
+                repeats: this.repeatingLoops(block, state, detail),
+                trace: state.trace.slice(block.traceStart)
+                    .filter(step => step.block === undefined || step.block === block.id)
+                    .map(step => ({ line: step.line, kind: step.kind, text: step.text, label: step.label }))
+            });
+        }
+    }
+
+    /**
+     * Describe the leaking paths once every path has been explored
+     */
+    finalizeLeaks() {
+        this.leaks.forEach(leak => {
+            const site = leak.site;
+            // The path shown first, and the fix, are one that gives the leak its class
+            const leakClass = site.resource ? null : PathAnalyzer.classifyLeak(leak.pending.map(entry => entry.detail));
+            const typical = entry => !leakClass || PathAnalyzer.classifyLeak([entry.detail]) === leakClass;
+            leak.pending.sort((a, b) => typical(b) - typical(a));
+            leak.pending.forEach(entry => {
+                // Branches only explain a leak if the allocation is released on some other path
+                const explainsLeak = entry.detail.kind === 'return' || this.releasedSites.has(site.allocId);
+                const lastBranch = explainsLeak
+                    ? entry.trace.slice().reverse().find(step => step.kind === 'branch')
+                    : null;
+                const description = this.describePath(entry.name, site, entry.detail, lastBranch);
+                if (leak.paths.some(path => path.description === description) ||
+                    leak.paths.length >= CONFIG.ANALYSIS.MAX_REPORTED_PATHS) {
+                    return;
+                }
+
+                const trace = entry.trace.concat([{ line: entry.detail.line, kind: 'leak', text: description }]);
+                if (leak.paths.length === 0) {
+                    leak.fix = this.suggestFix(entry.name, site, entry.detail, lastBranch, leakClass);
+                    leak.path = description;
+                    leak.trace = trace;
+                }
+                leak.paths.push({ description: description, trace: trace });
+            });
+            if (leakClass) leak.leakClass = leakClass;
+            this.scaleLeak(leak, site);
+            const resource = ASTParser.resourceKind(site.resource);
+            if (resource) {
+                // e.g. "file handle fp opened on line 8 is never closed"
+                leak.title = `${resource.label} ${leak.var} ${resource.verbs.acquired} on line ${leak.line} ` +
+                    (this.releasedSites.has(site.allocId) ? `is not ${resource.verbs.released} on every path` : `is never ${resource.verbs.released}`);
+            }
+            delete leak.site;
+            delete leak.pending;
+        });
+    }
+
+    /**
+     * Memcheck's category for a leaked block, the most severe any of its leaking paths gives it:
+     * lost together with the block that pointed to it is indirectly lost, pointed into but not at
+     * is possibly lost, held by a global when main() ends is still reachable, and lost otherwise
+     * is definitely lost
+     * @param {Array<Object>} details - How the block leaked on each path
+     * @returns {string} A name from CONFIG.ANALYSIS.LEAK_CLASSES
+     */
+    static classifyLeak(details) {
+        const classes = details.map(detail => {
+            if (detail.kind === 'owner-lost') return 'indirectly lost';
+            if (detail.globalNames && detail.globalNames.length > 0) return 'still reachable';
+            return detail.interior ? 'possibly lost' : 'definitely lost';
+        });
+        const order = CONFIG.ANALYSIS.LEAK_CLASSES.map(leakClass => leakClass.name);
+        return order.find(name => classes.includes(name)) || order[0];
+    }
+
+    /**
+     * How many of the loops around an allocation, outermost first, run again after the block is lost
+     * on this path. A return, a break or a goto out of a loop leaves it and the loops inside it, so
+     * the leak happens once per run of the loops still around it.
+     * @returns {number} Count of enclosing loops the path stays in
+     */
+    repeatingLoops(block, state, detail) {
+        const loops = block.site.loops || [];
+        if (detail.kind === 'return') return 0;
+        const steps = state.trace.slice(block.traceStart);
+        const left = loops.findIndex(loop => steps.some(step =>
+            (step.kind === 'break' && step.loop.line <= loop.line && step.loop.end >= loop.end) ||
+            (step.kind === 'goto' && (step.target < loop.line || step.target > loop.end))));
+        return left === -1 ? loops.length : left;
+    }
+
+    /**
+     * Multiply a leak inside a loop by the trip count of the loops it repeats in. Leaks on the way out
+     * of the loop happen once; every other kind of leak repeats each iteration, except that the last
+     * block is still held after a reassignment.
+     */
+    scaleLeak(leak, site) {
+        const depth = Math.max(0, ...leak.pending.map(entry => entry.repeats));
+        if (!site.iterations || depth === 0) return;
+        const iterations = depth === site.loops.length ? site.iterations : ASTParser.loopScale(site.loops.slice(0, depth));
+
+        const size = site.size || 0;
+        const each = formatSize(size, site.sizeExpr);
+        const lastKept = leak.pending.filter(entry => entry.repeats === depth).every(entry => entry.detail.kind === 'reassigned');
+        if (iterations.count !== null) {
+            const count = Math.max(1, iterations.count - (lastKept ? 1 : 0));
+            leak.iterations = count;
+            leak.totalSize = size * count;
+            leak.sizeText = count > 1
+                ? `${each} × ${count} iterations = ${site.sizeExpr ? '≥ ' : ''}${formatBytes(leak.totalSize)}`
+                : each;
+        } else if (iterations.bound === null) {
+            leak.iterations = 'unknown';
+            leak.totalSize = size;
+            leak.sizeText = `${each} per iteration × unknown iterations`;
+        } else {
+            const bound = lastKept ? `(${iterations.bound} - 1)` : iterations.bound;
+            leak.iterations = bound;
+            leak.totalSize = size;
+            leak.sizeText = `${each} per iteration × ${bound}`;
+        }
+    }
+
+    describePath(name, site, detail, lastBranch) {
+        const branch = lastBranch ? `the branch on line ${lastBranch.line} ${PathAnalyzer.describeEdge(lastBranch.label)}` : '';
+        const others = detail.names.filter(other => other !== name);
+        const who = others.length > 0 ? `${name} (also referenced by ${others.join(', ')})` : name;
+        const resource = ASTParser.resourceKind(site.resource);
+        const held = resource ? resource.verbs.held : 'allocated';
+        const holding = resource
+            ? `the ${resource.label} ${resource.verbs.acquired} on line ${site.line}`
+            : `the allocation from line ${site.line}`;
+
+        switch (detail.kind) {
+            case 'reassigned':
+                return `${name} is reassigned on line ${detail.line} while still holding ${holding}` +
+                    (branch ? ` (after ${branch})` : '');
+            case 'discarded':
+                return `The result of ${site.function}() on line ${site.line} is never stored`;
+            case 'disowned':
+                return `${detail.owner}.release() on line ${detail.line} gives up ${holding}, but the pointer it returns is never stored`;
+            case 'scope':
+                return `${name} goes out of scope ${detail.via ? `at the ${detail.via.kind}` : 'at the end of the block'} on line ` +
+                    `${detail.line} while still holding ${holding}` + (branch ? ` (after ${branch})` : '');
+            case 'throw':
+                return detail.exception.callee
+                    ? `${who} leaks if ${detail.exception.callee}() throws on line ${detail.line}`
+                    : `${who} leaks when the exception thrown on line ${detail.line} unwinds past it`;
+            case 'member':
+                return `${detail.owner} is freed on line ${detail.line} while ${name} still owns ${holding}`;
+            case 'owner-lost':
+                return `${name}, holding ${holding}, is lost on line ${detail.line} together with ${detail.owner}` +
+                    (detail.ownerSite ? ` (allocated on line ${detail.ownerSite.line}), which pointed to it` : ', which pointed to it');
+            case 'return':
+                if (detail.globalNames && detail.globalNames.length > 0) {
+                    return `${name} is still referenced by global ${detail.globalNames[0]} when main() returns on line ${detail.line}`;
+                }
+                if (detail.jump) return this.describeJump(who, held, detail);
+                return branch
+                    ? `${who} leaks when ${branch} and the function returns early on line ${detail.line}`
+                    : `${who} is still ${held} when ${this.functionName}() returns on line ${detail.line}`;
+            default:
+                if (detail.globalNames && detail.globalNames.length > 0) {
+                    return `${name} is still referenced by global ${detail.globalNames[0]} when main() ends`;
+                }
+                if (detail.jump) return this.describeJump(who, held, detail);
+                return branch
+                    ? `${who} leaks when ${branch} and ${this.functionName}() ends on line ${detail.line}`
+                    : `${who} is still ${held} when ${this.functionName}() ends on line ${detail.line}`;
+        }
+    }
+
+    describeJump(who, held, detail) {
+        return `${who} is still ${held} when ${this.functionName}() returns on line ${detail.line}: goto ` +
+            `${detail.jump.label} on line ${detail.jump.line} jumps to cleanup that does not release it`;
+    }
+
+    static describeEdge(label) {
+        if (label === 'true') return 'is taken';
+        if (label === 'false') return 'is not taken';
+        return `takes ${label}`;
+    }
+
+    suggestFix(name, site, detail, lastBranch, leakClass) {
+        const fix = this.suggestRelease(name, site, detail, lastBranch, leakClass);
+        if (site.origin && detail.kind !== 'discarded') {
+            const source = site.origin.function === site.function
+                ? `which allocates it on line ${site.origin.line}`
+                : `which gets it from ${site.origin.function}() (allocated on line ${site.origin.line})`;
+            return `${name} holds memory returned by ${site.function}() on line ${site.line}, ${source}. ${fix}`;
+        }
+        return fix;
+    }
+
+    suggestRelease(name, site, detail, lastBranch, leakClass) {
+        const release = PathAnalyzer.releaseStatement(site.allocator || site.function, site.handle || name);
+        const resource = ASTParser.resourceKind(site.resource);
+
+        if (detail.kind === 'reassigned') {
+            if (resource) {
+                return `Resource leak: ${name} was reassigned on line ${detail.line} without releasing the ${resource.label} ${resource.verbs.acquired} on line ${site.line}. Add ${release} before the reassignment.`;
+            }
+            return `Memory leak: ${name} was reassigned on line ${detail.line} without freeing the previous allocation on line ${site.line}. Add ${release} before the reassignment.`;
+        }
+        if (detail.kind === 'member') {
+            return `Struct freed before its members: add ${release} before the release of ${detail.owner} on line ${detail.line}.`;
+        }
+        if (detail.kind === 'owner-lost') {
+            if (!detail.ownerSite) return `Release ${name} together with ${detail.owner}: add ${release} before line ${detail.line}.`;
+            const ownerRelease = PathAnalyzer.releaseStatement(detail.ownerSite.allocator || detail.ownerSite.function, detail.owner);
+            if (name.indexOf('->', detail.owner.length + 2) === -1) {
+                return `Free ${detail.owner} before line ${detail.line}, releasing ${name} first: ${release} ${ownerRelease}`;
+            }
+            return `Free ${detail.owner} and the blocks between it and ${name} before line ${detail.line}, innermost first: ` +
+                `start with ${release} and end with ${ownerRelease}`;
+        }
+        if (detail.kind === 'scope') {
+            if (detail.via) {
+                return `Add ${release} before the ${detail.via.kind} on line ${detail.line}, where ${name} goes out of scope, or keep the pointer in a variable declared outside the block.`;
+            }
+            return `Add ${release} before ${name} goes out of scope on line ${detail.line}, or keep the pointer in a variable declared outside the block.`;
+        }
+        if (detail.kind === 'throw') {
+            return this.suggestOwner(name, site, detail);
+        }
+        if (detail.kind === 'disowned') {
+            return `Call ${detail.owner}.reset() to delete the object, or store the pointer returned by ${detail.owner}.release() and ${PathAnalyzer.releaseStatement(site.allocator || site.function, 'it').replace(/;$/, '')}.`;
+        }
+        if (detail.kind === 'discarded') {
+            return `Store the result of ${site.function}() on line ${site.line} in a variable and release it when it is no longer needed.`;
+        }
+        if (detail.globalNames && detail.globalNames.length > 0) {
+            const global = detail.globalNames[0];
+            return `${global} still holds the allocation from line ${site.line} when main() ends. The system reclaims it at exit, ` +
+                `but leak checkers report it as still reachable: add ${PathAnalyzer.releaseStatement(site.allocator || site.function, global)} ` +
+                `before main() returns if the program has no further use for it.`;
+        }
+        if (detail.interior) {
+            return `${name} no longer points to the start of the block allocated on line ${site.line}, so ${release.replace(/;$/, '')} cannot ` +
+                `release it. Keep the start of the block in a variable of its own, move a copy of ${name} instead, and release the original.`;
+        }
+        if (detail.jump) {
+            return `The cleanup under ${detail.jump.label}: (line ${detail.jump.target}) does not release ${name}, but goto ` +
+                `${detail.jump.label} on line ${detail.jump.line} is taken while ${name} holds ${resource ? 'the ' + resource.label : 'memory'} ` +
+                `from line ${site.line}. Add ${release} under ${detail.jump.label}:, or give ${name} its own cleanup label ` +
+                `just before ${detail.jump.label}: and jump there instead, so the labels release in reverse order of allocation.`;
+        }
+        if (detail.kind === 'return' && lastBranch) {
+            return `Add ${release} before the return on line ${detail.line} (reached when the branch on line ${lastBranch.line} ${PathAnalyzer.describeEdge(lastBranch.label)}).`;
+        }
+        if (site.inLoop) {
+            return resource
+                ? `Add ${release} inside the loop after use.`
+                : `Add ${release} inside the loop after use, or collect pointers and free them after the loop.`;
+        }
+        if (resource && this.functionName !== 'main') {
+            const what = `${PathAnalyzer.capitalize(resource.label)} ${resource.verbs.acquired} in ${this.functionName}() on line ${site.line}.`;
+            return resource.handleArg !== undefined
+                ? `${what} Add ${release} before the function returns on line ${detail.line}.`
+                : `${what} Add ${release} before the function returns on line ${detail.line}, or return it so the caller can release it.`;
+        }
+        if (this.functionName !== 'main') {
+            return `Memory allocated in ${this.functionName}() on line ${site.line}. Add ${release} before the function returns on line ${detail.line}, or return the pointer so the caller can free it.`;
+        }
+        // main() ends with a local still holding the block
+        const ending = `${this.functionName}() ${detail.kind === 'end' ? 'ends' : 'returns'} on line ${detail.line}`;
+        if (!leakClass) return `Add ${release} before ${ending}.`;
+        return `Add ${release} before ${ending}. The system reclaims the memory at exit, but leak checkers report it as ${leakClass}.`;
+    }
+
+    /**
+     * RAII rewrite for memory or a resource lost when an exception unwinds: let an object whose
+     * destructor releases it hold it, so the release happens on every path out of the scope
+     */
+    suggestOwner(name, site, detail) {
+        const cause = detail.exception.callee ? `${detail.exception.callee}() throws` : 'the exception is thrown';
+        const declaration = PathAnalyzer.ownerDeclaration(name, site);
+        const explicit = this.releasedSites.has(site.allocId)
+            ? ` The explicit ${PathAnalyzer.releaseStatement(site.allocator || site.function, name).replace(/;$/, '')} is then no longer needed.`
+            : '';
+        if (declaration) {
+            return `Exception-safety leak: nothing releases ${name} when ${cause} on line ${detail.line}. ` +
+                `Hold it in a smart pointer instead, which releases it while the exception unwinds: ${declaration}${explicit}`;
+        }
+        const resource = ASTParser.resourceKind(site.resource);
+        const verb = resource ? resource.verbs.release.toLowerCase() : 'free';
+        return `Exception-safety leak: nothing releases ${name} when ${cause} on line ${detail.line}. ` +
+            `Wrap it in a class whose destructor will ${verb} it, or ${verb} it in a catch (...) handler that rethrows with throw;.`;
+    }
+
+    /**
+     * Declaration of a smart pointer owning what an allocation site creates, e.g.
+     * auto buf = std::make_unique<char[]>(n); for new char[n]
+     * @returns {string|null} Declaration, or null if the handle is not a pointer (descriptors, locks)
+     */
+    static ownerDeclaration(name, site) {
+        const allocator = site.allocator || site.function;
+        if (allocator === 'new' || allocator === 'new[]') {
+            const type = site.typeName || 'T';
+            return allocator === 'new[]'
+                ? `auto ${name} = std::make_unique<${type}[]>(${site.args || ''});`
+                : `auto ${name} = std::make_unique<${type}>(${site.args || ''});`;
+        }
+        const resource = ASTParser.resourceKind(site.resource);
+        if (resource && (resource.failure !== 'null' || resource.handleArg !== undefined)) return null;
+        const family = PathAnalyzer.familyOf(allocator);
+        const deallocator = family ? family.deallocators[0] : 'free';
+        if (ASTParser.pointerArgument(deallocator) !== 0) return null;
+        const type = PathAnalyzer.RESOURCE_TYPES[site.resource] || 'T';
+        return `std::unique_ptr<${type}, decltype(&${deallocator})> ${name}(${allocator}(${site.args || ''}), ${deallocator});`;
+    }
+
+    static releaseStatement(allocator, name) {
+        const family = PathAnalyzer.familyOf(allocator);
+        const deallocator = family ? family.deallocators[0] : 'free';
+        if (deallocator === 'delete' || deallocator === 'delete[]') return `${deallocator} ${name};`;
+        // e.g. pool_free(..., p) when the pointer is not the first argument
+        return `${deallocator}(${'..., '.repeat(ASTParser.pointerArgument(deallocator))}${name});`;
+    }
+
+    /**
+     * Record a warning once per type, line and subject
+     * @param {string} type - Warning type
+     * @param {number} line - Line the warning is about
+     * @param {string} message - Explanation and suggested fix
+     * @param {Object} [related] - Second line involved, as { label, line }
+     * @param {string} [subject] - Variable or allocation the warning is about, so two on one line are both kept
+     */
+    addWarning(type, line, message, related, subject) {
+        const key = type + '|' + line + (subject ? '|' + subject : '');
+        if (this.warnings.has(key)) return;
+        const warning = {
+            type: type,
+            line: line,
+            message: message,
+            lineText: this.lineText(line)
+        };
+        if (related) {
+            warning.related = { label: related.label, line: related.line, lineText: this.lineText(related.line) };
+        }
+        this.warnings.set(key, warning);
+    }
+
+    lineText(line) {
+        return (this.lines[line - 1] || '').trim();
+    }
+}
+
+PathAnalyzer.NULL_NAMES = ['NULL', 'nullptr'];
+
+// Container methods that store their arguments
+PathAnalyzer.CONTAINER_INSERTS = ['push_back', 'emplace_back', 'push_front', 'emplace_front', 'insert', 'emplace', 'push'];
+
+// Pointee types of resource handles, for smart pointers that close them
+PathAnalyzer.RESOURCE_TYPES = { file: 'FILE', pipe: 'FILE', directory: 'DIR' };
+
+PathAnalyzer.PURE_EXPRESSIONS = ['Identifier', 'Literal', 'BinaryExpression', 'UnaryExpression', 'CastExpression'];
+
+// Warning types for releasing one family's memory with another family's deallocator
+PathAnalyzer.MISMATCH_TYPES = {
+    'new[]|new': 'Array Delete Mismatch',
+    'new|new[]': 'Scalar Delete Mismatch',
+    'malloc|new': 'Delete of malloc() Memory',
+    'malloc|new[]': 'Delete of malloc() Memory',
+    'new|malloc': 'Free of new Memory',
+    'new[]|malloc': 'Free of new Memory'
+};
+
+// Warnings counted as critical issues on the dashboard
+PathAnalyzer.CRITICAL_WARNINGS = ['Missing NULL Check', 'Double Free', 'Use After Free', 'Dangling Pointer',
+    'Array Delete Mismatch', 'Scalar Delete Mismatch', 'Delete of malloc() Memory', 'Free of new Memory',
+    'Allocator Mismatch', 'Double Close', 'Use After Close', 'Double Unlock', 'Shared Pointer Cycle',
+    'Rule of Three Violation', 'Buffer Overflow', 'Off-by-One Error', 'Uninitialized Read', 'Free of Stack Memory',
+    'Free of String Literal', 'Free of Offset Pointer', 'Dangling Stack Pointer', 'Free of Uninitialized Pointer'];
+
+// Comparison operators with their operands swapped, e.g. `0 > fd` is `fd < 0`
+PathAnalyzer.FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '==': '==', '!=': '!=' };
+
+// Tests of a handle against a constant, by whether they hold when acquiring failed (returned -1)
+PathAnalyzer.FAILURE_TESTS = { '<0': true, '<=-1': true, '==-1': true, '>=0': false, '>-1': false, '!=-1': false };
@@ -0,0 +1,492 @@
+/**
+ * C/C++ Preprocessor
+ * Expands #define macros and drops code excluded by #if/#ifdef on the token stream from CLexer.
+ * Expanded tokens keep the position of the macro invocation, so findings still point at the
+ * user's lines.
+ */
+class Preprocessor {
+    /**
+     * Create a new Preprocessor instance
+     * @param {string} language - Programming language ('c' or 'cpp')
+     * @param {Object} [defines] - Predefined object-like macros, name -> replacement text
+     */
+    constructor(language = 'c', defines = CONFIG.PREPROCESSOR.DEFINES) {
+        this.language = language;
+        this.lexer = new CLexer(language);
+        this.macros = new Map(); // name -> { name, params, variadic, body }
+        this.includes = []; // { header, line, resolved }
+        this.expansions = 0;
+
+        Object.keys(defines || {}).forEach(name => this.defineObject(name, String(defines[name])));
+        if (language === 'cpp') {
+            this.defineObject('__cplusplus', '201703L');
+        }
+    }
+
+    /**
+     * Preprocess a token stream
+     * @param {Array<Object>} tokens - Tokens produced by CLexer, ending with 'eof'
+     * @returns {Array<Object>} Tokens with macros expanded and inactive code removed;
+     *                          directive tokens are kept so the parser sees the same stream shape
+     */
+    process(tokens) {
+        const output = [];
+        const conditions = []; // { active, taken, parentActive }
+        const isActive = () => conditions.length === 0 || conditions[conditions.length - 1].active;
+        let pending = [];
+
+        const flush = () => {
+            if (pending.length > 0) {
+                this.expand(pending).forEach(token => output.push(token));
+                pending = [];
+            }
+        };
+
+        tokens.forEach(token => {
+            if (token.type === 'directive') {
+                flush();
+                try {
+                    this.directive(token, conditions, isActive());
+                } catch (error) {
+                    debugWarn('Error in preprocessor directive on line ' + token.line + ':', error);
+                }
+                output.push(token);
+            } else if (token.type === 'eof') {
+                flush();
+                output.push(token);
+            } else if (isActive()) {
+                pending.push(token);
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Apply one directive
+     * @param {Object} token - Directive token (value is the directive text, starting with '#')
+     * @param {Array<Object>} conditions - Stack of enclosing #if blocks (mutated)
+     * @param {boolean} active - Whether the directive sits in code that is compiled
+     */
+    directive(token, conditions, active) {
+        const match = /^#\s*(\w*)\s*([\s\S]*)$/.exec(token.value);
+        if (!match) return;
+        const name = match[1];
+        const rest = match[2].trim();
+        const top = conditions[conditions.length - 1];
+
+        switch (name) {
+            case 'if':
+            case 'ifdef':
+            case 'ifndef': {
+                let value = false;
+                if (active) {
+                    const macro = rest.split(/\s+/)[0];
+                    value = name === 'if' ? this.evaluateCondition(rest, token)
+                        : name === 'ifdef' ? this.macros.has(macro)
+                        : !this.macros.has(macro);
+                }
+                conditions.push({ active: active && value, taken: value, parentActive: active });
+                return;
+            }
+            case 'elif':
+                if (!top) return;
+                if (top.taken || !top.parentActive) {
+                    top.active = false;
+                } else {
+                    top.active = this.evaluateCondition(rest, token);
+                    top.taken = top.active;
+                }
+                return;
+            case 'else':
+                if (!top) return;
+                top.active = top.parentActive && !top.taken;
+                top.taken = true;
+                return;
+            case 'endif':
+                conditions.pop();
+                return;
+        }
+
+        if (!active) return;
+
+        switch (name) {
+            case 'define':
+                this.define(rest);
+                return;
+            case 'undef':
+                this.macros.delete(rest.split(/\s+/)[0]);
+                return;
+            case 'include':
+                this.include(rest, token.line);
+                return;
+            default:
+                // #pragma, #error, #line and friends do not affect the analysis
+                return;
+        }
+    }
+
+    /**
+     * Record a #define
+     * @param {string} text - Directive text after "define"
+     */
+    define(text) {
+        const match = /^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/.exec(text);
+        if (!match) return;
+        const name = match[1];
+        if (match[2] === undefined) {
+            this.defineObject(name, match[4]);
+            return;
+        }
+
+        let params = match[3].split(',').map(param => param.trim()).filter(Boolean);
+        const variadic = params.length > 0 && params[params.length - 1].endsWith('...');
+        if (variadic) {
+            const last = params[params.length - 1].replace('...', '').trim();
+            params[params.length - 1] = last || '__VA_ARGS__';
+        }
+        params = params.filter(Boolean);
+        this.macros.set(name, { name: name, params: params, variadic: variadic, body: this.tokenizeText(match[4]) });
+    }
+
+    defineObject(name, text) {
+        this.macros.set(name, { name: name, params: null, variadic: false, body: this.tokenizeText(text) });
+    }
+
+    /**
+     * Resolve an #include. Files cannot be read from the browser, so standard headers are
+     * resolved to the constants listed in CONFIG.PREPROCESSOR.HEADERS and others are noted.
+     */
+    include(text, line) {
+        const match = /^[<"]([^>"]+)[>"]/.exec(text);
+        if (!match) return;
+        const header = match[1];
+        const constants = CONFIG.PREPROCESSOR.HEADERS[header] ||
+            CONFIG.PREPROCESSOR.HEADERS[header.replace(/^c(\w+)$/, '$1.h')];
+        if (constants) {
+            Object.keys(constants).forEach(name => {
+                if (!this.macros.has(name)) this.defineObject(name, String(constants[name]));
+            });
+        }
+        this.includes.push({ header: header, line: line, resolved: !!constants });
+    }
+
+    /**
+     * Tokenize macro text. A leading identifier keeps the lexer from reading '#' as a directive.
+     */
+    tokenizeText(text) {
+        const tokens = this.lexer.tokenize('_ ' + text);
+        return tokens.slice(1, tokens.length - 1);
+    }
+
+    /**
+     * Expand macros in a token list, rescanning replacements until nothing is left to expand
+     * @param {Array<Object>} tokens - Tokens
+     * @returns {Array<Object>} Expanded tokens
+     */
+    expand(tokens) {
+        const output = [];
+        const work = tokens.slice();
+        let i = 0;
+
+        while (i < work.length) {
+            const token = work[i];
+            const macro = this.macroFor(token);
+            if (!macro || this.expansions > Preprocessor.MAX_EXPANSIONS) {
+                output.push(token);
+                i++;
+                continue;
+            }
+
+            if (macro.name === '__LINE__') {
+                output.push(Object.assign({}, token, { type: 'number', value: String(token.line) }));
+                i++;
+                continue;
+            }
+
+            let replacement;
+            let last = token;
+            if (macro.params === null) {
+                replacement = this.substitute(macro, [], token);
+                i++;
+            } else {
+                if (!work[i + 1] || work[i + 1].value !== '(') {
+                    output.push(token);
+                    i++;
+                    continue;
+                }
+                const call = this.collectArguments(work, i + 1);
+                if (!call) {
+                    output.push(token);
+                    i++;
+                    continue;
+                }
+                last = work[call.end];
+                replacement = this.substitute(macro, call.args, token);
+                i = call.end + 1;
+            }
+
+            this.expansions++;
+            const hidden = new Set(token.hidden || []);
+            hidden.add(macro.name);
+            const placed = replacement.map(piece => Object.assign({}, piece, {
+                line: token.line,
+                column: token.column,
+                start: token.start,
+                end: last.end,
+                endLine: last.endLine,
+                endColumn: last.endColumn,
+                spaceBefore: piece === replacement[0] ? token.spaceBefore : piece.spaceBefore,
+                hidden: new Set([...hidden, ...(piece.hidden || [])])
+            }));
+            work.splice(i, 0, ...placed);
+        }
+
+        return output.map(token => {
+            if (!token.hidden) return token;
+            const copy = Object.assign({}, token);
+            delete copy.hidden;
+            return copy;
+        });
+    }
+
+    macroFor(token) {
+        if (token.type !== 'identifier' && token.type !== 'keyword') return null;
+        if (token.hidden && token.hidden.has(token.value)) return null;
+        if (token.value === '__LINE__') return { name: '__LINE__' };
+        return this.macros.get(token.value) || null;
+    }
+
+    /**
+     * Split the arguments of a function-like macro invocation
+     * @param {Array<Object>} tokens - Tokens
+     * @param {number} open - Index of the opening parenthesis
+     * @returns {Object|null} { args, end } where end is the index of the closing parenthesis
+     */
+    collectArguments(tokens, open) {
+        const args = [[]];
+        let depth = 0;
+        for (let i = open + 1; i < tokens.length; i++) {
+            const value = tokens[i].type === 'punctuator' ? tokens[i].value : null;
+            if (value === '(' || value === '[' || value === '{') depth++;
+            if (value === ')' || value === ']' || value === '}') {
+                if (depth === 0 && value === ')') {
+                    return { args: args.length === 1 && args[0].length === 0 ? [] : args, end: i };
+                }
+                depth--;
+            }
+            if (value === ',' && depth === 0) {
+                args.push([]);
+                continue;
+            }
+            args[args.length - 1].push(tokens[i]);
+        }
+        return null;
+    }
+
+    /**
+     * Build the replacement of one invocation: parameters are replaced by their (expanded)
+     * arguments, `#param` is stringized and `a ## b` pasted
+     */
+    substitute(macro, args, invocation) {
+        const params = macro.params || [];
+        const argumentFor = name => {
+            const index = params.indexOf(name);
+            if (index === -1) return null;
+            if (macro.variadic && index === params.length - 1) {
+                const rest = [];
+                args.slice(index).forEach((arg, n) => {
+                    if (n > 0) rest.push({ type: 'punctuator', value: ',', spaceBefore: false });
+                    rest.push(...arg);
+                });
+                return rest;
+            }
+            return args[index] || [];
+        };
+
+        const body = macro.body;
+        const result = [];
+        let paste = false;
+        for (let i = 0; i < body.length; i++) {
+            const token = body[i];
+            if (token.value === '##') {
+                paste = result.length > 0;
+                continue;
+            }
+
+            let pieces;
+            const nextIsPaste = body[i + 1] && body[i + 1].value === '##';
+            if (token.value === '#' && params.length > 0 && body[i + 1] && argumentFor(body[i + 1].value)) {
+                pieces = [this.stringize(argumentFor(body[i + 1].value), invocation)];
+                i++;
+            } else if ((token.type === 'identifier' || token.type === 'keyword') && argumentFor(token.value)) {
+                // Operands of ## are pasted as written; other arguments are expanded first
+                const arg = argumentFor(token.value);
+                pieces = nextIsPaste || paste ? arg : this.expand(arg);
+            } else {
+                pieces = [token];
+            }
+
+            if (paste && pieces.length > 0) {
+                const left = result.pop();
+                result.push(...this.tokenizeText(left.value + pieces[0].value), ...pieces.slice(1));
+            } else {
+                pieces.forEach((piece, n) => result.push(n === 0 ? Object.assign({}, piece, { spaceBefore: token.spaceBefore }) : piece));
+            }
+            paste = false;
+        }
+        return result;
+    }
+
+    stringize(tokens, invocation) {
+        const text = tokens.map((token, n) => (n > 0 && token.spaceBefore ? ' ' : '') + token.value).join('');
+        return Object.assign({}, invocation, {
+            type: 'string',
+            value: '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"'
+        });
+    }
+
+    /**
+     * Evaluate the expression of an #if or #elif
+     * @param {string} text - Condition text
+     * @param {Object} token - Directive token (for error reporting)
+     * @returns {boolean} Whether the condition holds
+     */
+    evaluateCondition(text, token) {
+        const raw = this.tokenizeText(text);
+
+        // defined(X) and defined X are resolved before expansion
+        const resolved = [];
+        for (let i = 0; i < raw.length; i++) {
+            if (raw[i].value === 'defined') {
+                const parenthesized = raw[i + 1] && raw[i + 1].value === '(';
+                const name = raw[i + (parenthesized ? 2 : 1)];
+                resolved.push({ type: 'number', value: name && this.macros.has(name.value) ? '1' : '0' });
+                i += parenthesized ? 3 : 1;
+                continue;
+            }
+            resolved.push(raw[i]);
+        }
+
+        // Identifiers left after expansion evaluate to 0, as in C (true is 1 in C++)
+        const values = this.expand(resolved).map(item => {
+            if (item.type === 'identifier' || item.type === 'keyword') {
+                return { type: 'number', value: item.value === 'true' ? '1' : '0' };
+            }
+            return item;
+        });
+
+        try {
+            const parser = new ConditionEvaluator(values);
+            return parser.evaluate() !== 0;
+        } catch (error) {
+            debugWarn('Could not evaluate #if condition on line ' + token.line + ':', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Integer expression evaluator for #if conditions
+ */
+class ConditionEvaluator {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    evaluate() {
+        const value = this.conditional();
+        if (this.pos < this.tokens.length) {
+            throw new Error(`Unexpected '${this.tokens[this.pos].value}'`);
+        }
+        return value;
+    }
+
+    peek() {
+        return this.tokens[this.pos] ? this.tokens[this.pos].value : null;
+    }
+
+    conditional() {
+        const test = this.binary(0);
+        if (this.peek() !== '?') return test;
+        this.pos++;
+        const consequent = this.conditional();
+        if (this.peek() !== ':') throw new Error("Expected ':'");
+        this.pos++;
+        const alternate = this.conditional();
+        return test !== 0 ? consequent : alternate;
+    }
+
+    binary(level) {
+        if (level >= ConditionEvaluator.PRECEDENCE.length) return this.unary();
+        let left = this.binary(level + 1);
+        while (ConditionEvaluator.PRECEDENCE[level].includes(this.peek())) {
+            const operator = this.tokens[this.pos++].value;
+            const right = this.binary(level + 1);
+            left = ConditionEvaluator.apply(operator, left, right);
+        }
+        return left;
+    }
+
+    unary() {
+        const operator = this.peek();
+        if (operator === '!' || operator === '~' || operator === '-' || operator === '+') {
+            this.pos++;
+            const value = this.unary();
+            if (operator === '!') return value === 0 ? 1 : 0;
+            if (operator === '~') return ~value;
+            return operator === '-' ? -value : value;
+        }
+        if (operator === '(') {
+            this.pos++;
+            const value = this.conditional();
+            if (this.peek() !== ')') throw new Error("Expected ')'");
+            this.pos++;
+            return value;
+        }
+        const token = this.tokens[this.pos++];
+        if (!token) throw new Error('Unexpected end of condition');
+        if (token.type === 'number') {
+            const value = CParser.parseNumber(token.value);
+            return typeof value === 'number' && !isNaN(value) ? Math.trunc(value) : 0;
+        }
+        if (token.type === 'char') {
+            const text = token.value.replace(/^[LuU8]*'|'$/g, '');
+            return text.length > 0 ? text.charCodeAt(text.length - 1) : 0;
+        }
+        throw new Error(`Unexpected '${token.value}'`);
+    }
+
+    static apply(operator, left, right) {
+        switch (operator) {
+            case '||': return left !== 0 || right !== 0 ? 1 : 0;
+            case '&&': return left !== 0 && right !== 0 ? 1 : 0;
+            case '|': return left | right;
+            case '^': return left ^ right;
+            case '&': return left & right;
+            case '==': return left === right ? 1 : 0;
+            case '!=': return left !== right ? 1 : 0;
+            case '<': return left < right ? 1 : 0;
+            case '>': return left > right ? 1 : 0;
+            case '<=': return left <= right ? 1 : 0;
+            case '>=': return left >= right ? 1 : 0;
+            case '<<': return left << right;
+            case '>>': return left >> right;
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return right === 0 ? 0 : Math.trunc(left / right);
+            case '%': return right === 0 ? 0 : left % right;
+            default: return 0;
+        }
+    }
+}
+
+// Lowest precedence first
+ConditionEvaluator.PRECEDENCE = [
+    ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+];
+
+// Guards against runaway expansion of self-referential or exponential macros
+Preprocessor.MAX_EXPANSIONS = 50000;
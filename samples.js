@@ -24,18 +24,18 @@ int* createArray(int size) {
     // Memory leak: arr is returned but never freed by caller
 }
 
-void unsafeFunction() {
-    char *str = (char*)malloc(50);
-    strcpy(str, "Hello World");
+void unsafeFunction(const char *name) {
+    char *str = (char*)malloc(strlen(name));
+    strcpy(str, name);
     // Memory leak: str is not freed
-    // Also unsafe: strcpy without bounds checking
+    // Also unsafe: no room for the '\\0' strcpy() writes after name (off-by-one)
 }
 
 int main() {
     int *numbers = createArray(10);
     
     processData();
-    unsafeFunction();
+    unsafeFunction("Hello World");
     
     // numbers is never freed
     
@@ -106,6 +106,24 @@ int* createArray(int size) {
     // Memory leak: arr is returned but never deleted by caller
 }
 
+class Buffer {
+public:
+    Buffer(int size) : size(size), data(new int[size]) {}
+    ~Buffer() { delete[] data; }
+    // Rule of three: no copy constructor or copy assignment, copies share data
+private:
+    int size;
+    int *data;
+};
+
+class Logger {
+public:
+    Logger() { prefix = new char[16]; }
+    // Memory leak: no destructor deletes prefix
+private:
+    char *prefix;
+};
+
 void processData() {
     int* ptr = new int(10);
     ptr = new int(20);
@@ -123,6 +141,10 @@ int main() {
     
     // Memory leaks: numbers, x, z are never deleted
     
+    Buffer first(8);
+    Buffer second = first; // Double delete when both are destroyed
+    Logger log;
+    
     processData();
     
     return 0;
@@ -2,6 +2,7 @@
 let memoryChart = null;
 let timelineChart = null;
 let currentAnalysis = null;
+let heapStep = 0; // step of the heap simulation shown in the Heap Simulator tab
 let selectedLanguage = 'c'; // Default language
 let isAnalyzing = false; // Flag to prevent multiple simultaneous analyses
 let analysisTimeout = null; // For debouncing
@@ -71,16 +72,23 @@ function resetDashboard() {
             totalAllocations: document.getElementById('totalAllocations'),
             totalFrees: document.getElementById('totalFrees'),
             memoryLeaks: document.getElementById('memoryLeaks'),
+            resourceLeaks: document.getElementById('resourceLeaks'),
+            memoryLeakClasses: document.getElementById('memoryLeakClasses'),
+            resourceLeakKinds: document.getElementById('resourceLeakKinds'),
             leakedBytes: document.getElementById('leakedBytes'),
             criticalIssues: document.getElementById('criticalIssues'),
             leaksList: document.getElementById('leaksList'),
-            analysisContent: document.getElementById('analysisContent')
+            analysisContent: document.getElementById('analysisContent'),
+            heapContent: document.getElementById('heapContent')
         };
 
         // Update text content safely
         if (elements.totalAllocations) elements.totalAllocations.textContent = '0 calls';
         if (elements.totalFrees) elements.totalFrees.textContent = '0 calls';
         if (elements.memoryLeaks) elements.memoryLeaks.textContent = '0 leaks';
+        if (elements.resourceLeaks) elements.resourceLeaks.textContent = '0';
+        if (elements.memoryLeakClasses) elements.memoryLeakClasses.textContent = 'leaks';
+        if (elements.resourceLeakKinds) elements.resourceLeakKinds.textContent = 'leaks';
         if (elements.leakedBytes) elements.leakedBytes.textContent = '0 B';
         if (elements.criticalIssues) elements.criticalIssues.textContent = '0 issues';
 
@@ -88,6 +96,7 @@ function resetDashboard() {
         const defaultMessage = '<p class="text-gray-500 text-center py-8">No analysis performed yet. Click "Analyze Memory" to start.</p>';
         if (elements.leaksList) elements.leaksList.innerHTML = defaultMessage;
         if (elements.analysisContent) elements.analysisContent.innerHTML = defaultMessage;
+        if (elements.heapContent) elements.heapContent.innerHTML = defaultMessage;
 
         // Destroy charts
         if (memoryChart) {
@@ -108,6 +117,16 @@ function resetDashboard() {
             }
         }
 
+        // Rewind the heap simulator
+        const heapStepSlider = document.getElementById('heapStepSlider');
+        const heapStepLabel = document.getElementById('heapStepLabel');
+        if (heapStepSlider) {
+            heapStepSlider.max = 0;
+            heapStepSlider.value = 0;
+        }
+        if (heapStepLabel) heapStepLabel.textContent = 'Step 0 of 0';
+        heapStep = 0;
+
         currentAnalysis = null;
     } catch (error) {
         debugError('Error resetting dashboard:', error);
@@ -226,6 +245,7 @@ function performAnalysisInternal() {
         updateLeaksTab(analysis);
         updateAnalysisTab(analysis);
         updateTimelineChart(analysis);
+        updateHeapSimulator(analysis);
 
         // Save to history
         if (typeof saveToHistory === 'function') {
@@ -238,10 +258,13 @@ function performAnalysisInternal() {
 
         // Show success message
         const leakCount = analysis.leaks ? analysis.leaks.length : 0;
-        if (leakCount === 0) {
+        const resourceLeakCount = analysis.resourceLeaks ? analysis.resourceLeaks.length : 0;
+        if (leakCount === 0 && resourceLeakCount === 0) {
             notifications.success('Analysis complete! No memory leaks detected. ✓');
-        } else {
+        } else if (resourceLeakCount === 0) {
             notifications.warning(`Analysis complete! Found ${leakCount} memory leak(s).`);
+        } else {
+            notifications.warning(`Analysis complete! Found ${leakCount} memory leak(s) and ${resourceLeakCount} resource leak(s).`);
         }
 
         hideLoading();
@@ -267,16 +290,22 @@ function exportAnalysis() {
         const exportData = {
             timestamp: new Date().toISOString(),
             language: selectedLanguage,
+            dataModel: CONFIG.DATA_MODEL,
             statistics: {
                 totalAllocations: currentAnalysis.allocations ? currentAnalysis.allocations.length : 0,
                 totalFrees: currentAnalysis.frees ? currentAnalysis.frees.length : 0,
                 memoryLeaks: currentAnalysis.leaks ? currentAnalysis.leaks.length : 0,
-                leakedBytes: currentAnalysis.leaks ? currentAnalysis.leaks.reduce((sum, leak) => sum + (leak.size || 0), 0) : 0,
+                leakClasses: Object.fromEntries(groupLeaksByClass(currentAnalysis.leaks).map(group => [group.name, group.leaks.length])),
+                resourceLeaks: currentAnalysis.resourceLeaks ? currentAnalysis.resourceLeaks.length : 0,
+                leakedBytes: sumLeakedBytes(currentAnalysis.leaks),
+                leakedBytesLowerBound: isLowerBound(currentAnalysis.leaks), // some leak sizes are formulas
                 warnings: currentAnalysis.warnings ? currentAnalysis.warnings.length : 0
             },
             allocations: currentAnalysis.allocations || [],
             frees: currentAnalysis.frees || [],
             leaks: currentAnalysis.leaks || [],
+            resources: currentAnalysis.resources || [],
+            resourceLeaks: currentAnalysis.resourceLeaks || [],
             warnings: currentAnalysis.warnings || [],
             timeline: currentAnalysis.timeline || []
         };
@@ -355,6 +384,14 @@ function copyCode() {
  */
 document.addEventListener('DOMContentLoaded', function() {
     try {
+        // Saved allocator rules and data model must be in place before anything is analyzed
+        if (typeof initAllocatorRules === 'function') {
+            initAllocatorRules();
+        }
+        if (typeof initDataModel === 'function') {
+            initDataModel();
+        }
+
         // Set up tab buttons
         const tabButtons = document.querySelectorAll('.tab-btn');
         if (tabButtons.length === 0) {
@@ -499,11 +536,16 @@ function sortLeaks(criteria) {
                 sortedLeaks.sort((a, b) => (a.line || 0) - (b.line || 0));
                 break;
             case 'size':
-                sortedLeaks.sort((a, b) => (b.size || 0) - (a.size || 0));
+                sortedLeaks.sort((a, b) => totalBytes(b) - totalBytes(a));
                 break;
             case 'variable':
                 sortedLeaks.sort((a, b) => (a.var || '').localeCompare(b.var || ''));
                 break;
+            case 'category': {
+                const order = CONFIG.ANALYSIS.LEAK_CLASSES.map(leakClass => leakClass.name);
+                sortedLeaks.sort((a, b) => order.indexOf(a.leakClass) - order.indexOf(b.leakClass) || (a.line || 0) - (b.line || 0));
+                break;
+            }
         }
 
         // Create a new analysis object with sorted leaks instead of modifying the original
@@ -22,10 +22,13 @@ function shareAnalysis(analysis, code) {
                 totalAllocations: analysis.allocations ? analysis.allocations.length : 0,
                 totalFrees: analysis.frees ? analysis.frees.length : 0,
                 memoryLeaks: analysis.leaks ? analysis.leaks.length : 0,
-                leakedBytes: analysis.leaks ? analysis.leaks.reduce((sum, leak) => sum + (leak.size || 0), 0) : 0,
+                resourceLeaks: analysis.resourceLeaks ? analysis.resourceLeaks.length : 0,
+                leakedBytes: sumLeakedBytes(analysis.leaks),
+                leakedBytesLowerBound: isLowerBound(analysis.leaks),
                 warnings: analysis.warnings ? analysis.warnings.length : 0
             },
             leaks: analysis.leaks || [],
+            resourceLeaks: analysis.resourceLeaks || [],
             warnings: analysis.warnings || []
         };
 
@@ -35,7 +38,8 @@ function shareAnalysis(analysis, code) {
         shareText += `Total Allocations: ${shareData.statistics.totalAllocations}\n`;
         shareText += `Total Frees: ${shareData.statistics.totalFrees}\n`;
         shareText += `Memory Leaks: ${shareData.statistics.memoryLeaks}\n`;
-        shareText += `Leaked Bytes: ${formatBytes(shareData.statistics.leakedBytes)}\n`;
+        shareText += `Resource Leaks: ${shareData.statistics.resourceLeaks}\n`;
+        shareText += `Leaked Bytes: ${formatLeakedTotal(shareData.leaks)}\n`;
         shareText += `Warnings: ${shareData.statistics.warnings}\n\n`;
 
         if (shareData.leaks && Array.isArray(shareData.leaks) && shareData.leaks.length > 0) {
@@ -43,11 +47,20 @@ function shareAnalysis(analysis, code) {
             shareText += '-'.repeat(40) + '\n';
             shareData.leaks.forEach((leak, index) => {
                 if (leak) {
-                    shareText += `${index + 1}. ${leak.var || 'unknown'} (Line ${leak.line || 0}) - ${formatBytes(leak.size || 0)}\n`;
+                    shareText += `${index + 1}. ${leak.var || 'unknown'} (Line ${leak.line || 0}) - ${formatLeakSize(leak)}` +
+                        (leak.leakClass ? `, ${leak.leakClass}` : '') + '\n';
                 }
             });
         }
 
+        if (shareData.resourceLeaks.length > 0) {
+            shareText += '\nResource Leaks:\n';
+            shareText += '-'.repeat(40) + '\n';
+            shareData.resourceLeaks.forEach((leak, index) => {
+                shareText += `${index + 1}. ${leak.title || leak.var}\n`;
+            });
+        }
+
         // Try Web Share API first
         if (navigator.share) {
             navigator.share({
@@ -0,0 +1,189 @@
+/**
+ * Size Expressions
+ * Byte counts kept as formulas such as 4·n or strlen(s)+1: a constant plus multiples of the values
+ * that could not be worked out, so an unknown size keeps its meaning instead of becoming a guess
+ */
+class SizeExpression {
+    /**
+     * @param {number} constant - Constant part in bytes
+     * @param {Map<string, number>} [terms] - Symbol text -> coefficient
+     */
+    constructor(constant = 0, terms = null) {
+        this.constant = constant;
+        this.terms = terms || new Map();
+    }
+
+    static symbol(text) {
+        // Keep n % 4 together when it is multiplied: 4·(n % 4) rather than 4·n % 4
+        let depth = 0;
+        let atomic = true;
+        for (const ch of text) {
+            if (ch === '(' || ch === '[') depth++;
+            else if (ch === ')' || ch === ']') depth--;
+            else if (depth === 0 && /\s/.test(ch)) atomic = false;
+        }
+        return new SizeExpression(0, new Map([[atomic ? text : `(${text})`, 1]]));
+    }
+
+    /**
+     * Build the size expression of a syntax node, evaluating what the type layout can resolve
+     * @param {Object} node - Expression node
+     * @param {TypeLayout} layout - Types, constants and variable initializers of the code
+     * @param {number} [depth] - Initializers followed so far
+     * @returns {SizeExpression} Expression, exact when the node is constant
+     */
+    static fromNode(node, layout, depth = 0) {
+        const value = layout.evaluate(node);
+        if (value !== null) return new SizeExpression(value);
+
+        switch (node.type) {
+            case 'CastExpression':
+                return SizeExpression.fromNode(node.argument, layout, depth);
+            case 'BinaryExpression': {
+                if (!['+', '-', '*', '/'].includes(node.operator)) break;
+                const left = SizeExpression.fromNode(node.left, layout, depth);
+                const right = SizeExpression.fromNode(node.right, layout, depth);
+                if (node.operator === '+') return left.add(right);
+                if (node.operator === '-') return left.add(right.scale(-1));
+                if (node.operator === '*') return left.multiply(right);
+                return left.divide(right);
+            }
+            case 'Identifier': {
+                // size_t len = strlen(s) + 1; malloc(len) is sized strlen(s)+1
+                const definition = layout.definitionOf(node);
+                if (definition && depth < SizeExpression.MAX_DEPTH) {
+                    return SizeExpression.fromNode(definition, layout, depth + 1);
+                }
+                break;
+            }
+            case 'CallExpression': {
+                const length = SizeExpression.stringLength(node, layout);
+                if (length !== null) return new SizeExpression(length);
+                break;
+            }
+            default:
+                break;
+        }
+        return SizeExpression.symbol(SizeExpression.text(node));
+    }
+
+    /**
+     * Length of strlen("literal") or strlen(s) where s is initialized from a literal and never changed
+     */
+    static stringLength(node, layout) {
+        if (node.callee.type !== 'Identifier' || node.callee.name !== 'strlen' || node.arguments.length !== 1) return null;
+        let argument = node.arguments[0];
+        if (argument.type === 'Identifier') argument = layout.definitionOf(argument) || argument;
+        return argument.type === 'Literal' && argument.kind === 'string' ? argument.value.length : null;
+    }
+
+    static text(node) {
+        return CParser.print(Object.assign({}, node, { parenthesized: false }));
+    }
+
+    isConstant() {
+        return this.terms.size === 0;
+    }
+
+    add(other) {
+        const terms = new Map(this.terms);
+        other.terms.forEach((coefficient, symbol) => {
+            const sum = (terms.get(symbol) || 0) + coefficient;
+            if (sum === 0) terms.delete(symbol);
+            else terms.set(symbol, sum);
+        });
+        return new SizeExpression(this.constant + other.constant, terms);
+    }
+
+    scale(factor) {
+        if (factor === 0) return new SizeExpression(0);
+        const terms = new Map();
+        this.terms.forEach((coefficient, symbol) => terms.set(symbol, coefficient * factor));
+        return new SizeExpression(this.constant * factor, terms);
+    }
+
+    multiply(other) {
+        if (other.isConstant()) return this.scale(other.constant);
+        if (this.isConstant()) return other.scale(this.constant);
+        // n * m: a single product term, anything else stays a product of the two formulas
+        if (this.constant === 0 && other.constant === 0 && this.terms.size === 1 && other.terms.size === 1) {
+            const [[left, a]] = this.terms;
+            const [[right, b]] = other.terms;
+            return new SizeExpression(0, new Map([[`${left}·${right}`, a * b]]));
+        }
+        return SizeExpression.symbol(`(${this})·(${other})`);
+    }
+
+    divide(other) {
+        if (other.isConstant() && other.constant !== 0) {
+            const divisor = other.constant;
+            const divisible = value => Number.isInteger(value / divisor);
+            if (divisible(this.constant) && Array.from(this.terms.values()).every(divisible)) {
+                return this.scale(1 / divisor);
+            }
+        }
+        const wrap = expression => expression.isConstant() || (expression.terms.size === 1 && expression.constant === 0)
+            ? String(expression) : `(${expression})`;
+        return SizeExpression.symbol(`${wrap(this)}/${wrap(other)}`);
+    }
+
+    /**
+     * Replace symbols, or factors of product terms, with known values
+     * @param {Map<string, SizeExpression>} values - Symbol text -> value
+     * @returns {SizeExpression} Expression with the values filled in
+     */
+    substitute(values) {
+        let result = new SizeExpression(this.constant);
+        this.terms.forEach((coefficient, symbol) => {
+            const factors = SizeExpression.factors(symbol).map(factor => values.get(factor) || SizeExpression.symbol(factor));
+            result = result.add(factors.reduce((product, factor) => product.multiply(factor)).scale(coefficient));
+        });
+        return result;
+    }
+
+    /**
+     * Factors of a product term such as n·m, leaving products inside parentheses whole
+     */
+    static factors(symbol) {
+        const factors = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < symbol.length; i++) {
+            const ch = symbol[i];
+            if (ch === '(' || ch === '[') depth++;
+            else if (ch === ')' || ch === ']') depth--;
+            else if (ch === '·' && depth === 0) {
+                factors.push(symbol.slice(start, i));
+                start = i + 1;
+            }
+        }
+        factors.push(symbol.slice(start));
+        return factors;
+    }
+
+    /**
+     * Smallest value the expression can take, reading every symbol as a count that is at least 0
+     * @returns {number} Bytes
+     */
+    lowerBound() {
+        const decreasing = Array.from(this.terms.values()).some(coefficient => coefficient < 0);
+        return decreasing ? 0 : Math.max(0, this.constant);
+    }
+
+    /**
+     * Formula text, e.g. "4·n", "strlen(s)+1" or "16·n+8"
+     * @returns {string}
+     */
+    toString() {
+        const parts = [];
+        this.terms.forEach((coefficient, symbol) => {
+            if (coefficient === 1) parts.push(symbol);
+            else if (coefficient === -1) parts.push(`-${symbol}`);
+            else parts.push(`${coefficient}·${symbol}`);
+        });
+        if (this.constant !== 0 || parts.length === 0) parts.push(String(this.constant));
+        return parts.reduce((text, part, index) => index === 0 ? part : text + (part.startsWith('-') ? part : '+' + part), '');
+    }
+}
+
+SizeExpression.MAX_DEPTH = 8; // initializers followed through variables such as len = n * 2
@@ -0,0 +1,197 @@
+/**
+ * C++ Smart Pointers
+ * Recognizes the owning pointer templates (std::unique_ptr, std::shared_ptr), the factories that
+ * allocate for them and the containers that hold them, and finds classes that keep each other
+ * alive through std::shared_ptr members
+ */
+class SmartPointers {
+    /**
+     * Kind of smart pointer a type names, e.g. 'unique_ptr' for std::unique_ptr<Node>
+     * @param {Object} specifier - TypeSpecifier node
+     * @returns {string|null} Key of CONFIG.ANALYSIS.SMART_POINTERS.OWNERS or WEAK, or null
+     */
+    static kindOf(specifier) {
+        if (!specifier || !specifier.name || !specifier.templateArgs) return null;
+        const name = SmartPointers.baseName(specifier.name);
+        const config = CONFIG.ANALYSIS.SMART_POINTERS;
+        return config.OWNERS[name] !== undefined || config.WEAK[name] !== undefined ? name : null;
+    }
+
+    static isOwner(kind) {
+        return !!kind && CONFIG.ANALYSIS.SMART_POINTERS.OWNERS[kind] !== undefined;
+    }
+
+    /**
+     * Size and alignment of a smart pointer object (not of what it points to)
+     * @param {string} kind - Smart pointer kind
+     * @returns {Object} { size, align }
+     */
+    static layout(kind) {
+        const config = CONFIG.ANALYSIS.SMART_POINTERS;
+        const pointers = config.OWNERS[kind] !== undefined ? config.OWNERS[kind] : config.WEAK[kind];
+        const pointer = CONFIG.TYPE_SIZES.POINTER;
+        return { size: pointers * pointer, align: (CONFIG.TYPE_ALIGNMENTS || {}).POINTER || pointer };
+    }
+
+    /**
+     * Smart pointer kind a factory such as std::make_unique returns
+     * @param {string} name - Callee name
+     * @returns {string|null} Smart pointer kind, or null if the function is not a factory
+     */
+    static factoryKind(name) {
+        return name ? CONFIG.ANALYSIS.SMART_POINTERS.FACTORIES[SmartPointers.baseName(name)] || null : null;
+    }
+
+    /**
+     * Whether a type is a standard container holding owning smart pointers, e.g. std::vector<std::unique_ptr<T>>
+     */
+    static ownsElements(specifier) {
+        if (!specifier || !specifier.name || !specifier.templateArgs) return false;
+        if (!CONFIG.ANALYSIS.SMART_POINTERS.CONTAINERS.includes(SmartPointers.baseName(specifier.name))) return false;
+        return specifier.templateArgs.some(arg => arg.type === 'TypeName' && arg.pointerDepth === 0 &&
+            SmartPointers.isOwner(SmartPointers.kindOf(arg.specifier)));
+    }
+
+    /**
+     * Element type a factory call allocates, e.g. Node for std::make_shared<Node>()
+     * @param {Object} call - CallExpression node
+     * @returns {Object|null} TypeName node
+     */
+    static elementType(call) {
+        const args = call.callee.templateArgs;
+        return args && args[0] && args[0].type === 'TypeName' ? args[0] : null;
+    }
+
+    /**
+     * Template name without namespace qualification, e.g. shared_ptr for std::shared_ptr
+     */
+    static baseName(name) {
+        return name.slice(name.lastIndexOf(':') + 1);
+    }
+
+    /**
+     * Find classes whose std::shared_ptr members form a cycle. Objects linked that way hold each
+     * other's reference counts above zero, so none of them is ever destroyed.
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {Array<string>} lines - Source lines
+     * @returns {Array<Object>} Warnings, one per cycle
+     */
+    static findCycles(translationUnit, lines) {
+        const edges = new Map(); // class name -> [{ to, member, line, text }]
+        CParser.walk(translationUnit, node => {
+            if (node.type !== 'RecordSpecifier' || !node.name || !node.members) return true;
+            const from = SmartPointers.baseName(node.name);
+            node.members.forEach(member => {
+                if (member.type !== 'Declaration') return;
+                const target = SmartPointers.sharedTarget(member.typeSpec);
+                if (!target) return;
+                member.declarators.forEach(declarator => {
+                    if (!declarator.name || declarator.isFunction || declarator.pointerDepth > 0) return;
+                    if (!edges.has(from)) edges.set(from, []);
+                    edges.get(from).push({
+                        to: target,
+                        member: `${from}::${declarator.name}`,
+                        line: declarator.loc.start.line,
+                        text: member.typeSpec.text
+                    });
+                });
+            });
+            return true;
+        });
+
+        const warnings = [];
+        const reported = new Set();
+        edges.forEach((outgoing, from) => {
+            outgoing.forEach(edge => {
+                const path = edge.to === from ? null : SmartPointers.strongPath(edges, edge.to, from);
+                if (!path) return;
+                const cycle = [edge].concat(path);
+                const key = cycle.map(step => step.member).sort().join('|');
+                if (reported.has(key)) return;
+                reported.add(key);
+
+                // Suggest weakening the last link, the one pointing back at the class the cycle starts from
+                const back = cycle[cycle.length - 1];
+                const links = cycle.map(step => `${step.member} (${step.text})`).join(', ');
+                warnings.push({
+                    type: 'Shared Pointer Cycle',
+                    line: back.line,
+                    message: `${links} keep each other alive: once the objects are linked, their reference counts ` +
+                        `never reach zero and none of them is destroyed. Make the back reference ${back.member} a ` +
+                        `std::weak_ptr (e.g. ${back.text.replace(/shared_ptr/, 'weak_ptr')}).`,
+                    lineText: (lines[back.line - 1] || '').trim(),
+                    related: {
+                        label: 'Cycle starts at',
+                        line: edge.line,
+                        lineText: (lines[edge.line - 1] || '').trim()
+                    }
+                });
+            });
+        });
+
+        // A class pointing at itself twice (next and prev) links neighbours in both directions
+        edges.forEach((outgoing, from) => {
+            const self = outgoing.filter(edge => edge.to === from);
+            if (self.length < 2) return;
+            const back = self[self.length - 1];
+            warnings.push({
+                type: 'Shared Pointer Cycle',
+                line: back.line,
+                message: `${self.map(edge => edge.member).join(' and ')} are both std::shared_ptr<${from}>, so two ` +
+                    `linked ${from} objects own each other and are never destroyed. Make ${back.member} a std::weak_ptr.`,
+                lineText: (lines[back.line - 1] || '').trim(),
+                related: {
+                    label: 'Other link at',
+                    line: self[0].line,
+                    lineText: (lines[self[0].line - 1] || '').trim()
+                }
+            });
+        });
+        return warnings;
+    }
+
+    /**
+     * Class a member keeps alive through std::shared_ptr, directly or as a container element
+     * @param {Object} specifier - TypeSpecifier of the member
+     * @returns {string|null} Class name
+     */
+    static sharedTarget(specifier) {
+        if (!specifier || !specifier.templateArgs) return null;
+        if (SmartPointers.kindOf(specifier) === 'shared_ptr') {
+            const arg = specifier.templateArgs[0];
+            if (!arg || arg.type !== 'TypeName' || arg.pointerDepth > 0) return null;
+            const target = arg.specifier.record ? arg.specifier.record.name : arg.specifier.name;
+            return target ? SmartPointers.baseName(target) : null;
+        }
+        if (CONFIG.ANALYSIS.SMART_POINTERS.CONTAINERS.includes(SmartPointers.baseName(specifier.name || ''))) {
+            for (const arg of specifier.templateArgs) {
+                const target = arg.type === 'TypeName' && arg.pointerDepth === 0 ? SmartPointers.sharedTarget(arg.specifier) : null;
+                if (target) return target;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Shortest chain of shared_ptr members leading from one class to another
+     * @returns {Array<Object>|null} Edges in order, or null if the class is not reachable
+     */
+    static strongPath(edges, from, to) {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === to) {
+                const path = [];
+                for (let edge = previous.get(to); edge; edge = previous.get(edge.from)) path.unshift(edge.step);
+                return path;
+            }
+            (edges.get(current) || []).forEach(step => {
+                if (previous.has(step.to)) return;
+                previous.set(step.to, { from: current, step: step });
+                queue.push(step.to);
+            });
+        }
+        return null;
+    }
+}
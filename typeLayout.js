@@ -0,0 +1,756 @@
+/**
+ * Type Layout
+ * Computes sizeof and alignof for C/C++ types from the struct, union, enum and typedef definitions
+ * of a translation unit, laying out members with the padding of the data model in CONFIG.TYPE_SIZES
+ */
+class TypeLayout {
+    /**
+     * Collect the type definitions and variable declarations of a translation unit
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {boolean} cpp - Use C++ rules: empty classes take one byte, virtual functions add a vtable pointer
+     */
+    constructor(translationUnit, cpp = false) {
+        this.cpp = cpp;
+        this.sizes = CONFIG.TYPE_SIZES;
+        this.alignments = CONFIG.TYPE_ALIGNMENTS || {};
+        this.records = new Map(); // tag or class name -> RecordSpecifier with members
+        this.typedefs = new Map(); // typedef name -> type
+        this.constants = new Map(); // enumerator name -> value
+        this.globals = new Map(); // file-scope variable name -> type
+        this.globalDefinitions = new Map(); // file-scope variable name -> initializer, if never modified
+        this.scopes = []; // { node: FunctionDefinition, variables: Map name -> type, definitions, changes, loops }
+        this.layouts = new Map(); // RecordSpecifier -> layout (null while it is being computed)
+        this.evaluating = new Set(); // initializers being evaluated
+        this.collect(translationUnit);
+    }
+
+    collect(translationUnit) {
+        CParser.walk(translationUnit, node => {
+            if (node.type === 'RecordSpecifier' && node.name && node.members) {
+                this.records.set(TypeLayout.shortName(node.name), node);
+            } else if (node.type === 'EnumSpecifier' && node.enumerators) {
+                let next = 0;
+                node.enumerators.forEach(enumerator => {
+                    const value = enumerator.value ? this.evaluate(enumerator.value) : next;
+                    if (value === null) return;
+                    this.constants.set(enumerator.name, value);
+                    next = value + 1;
+                });
+            } else if (node.type === 'Declaration' && node.storage.includes('typedef')) {
+                node.declarators.forEach(declarator => {
+                    if (declarator.name) {
+                        this.typedefs.set(TypeLayout.shortName(declarator.name),
+                            TypeLayout.declaredType(node.typeSpec, declarator.declarator));
+                    }
+                });
+            }
+            return true;
+        });
+
+        const globalInitializers = new Map();
+        CParser.walk(translationUnit, (node, parent) => {
+            if (node.type === 'FunctionDefinition') {
+                this.scopes.push({
+                    node: node,
+                    variables: this.collectVariables(node),
+                    definitions: TypeLayout.collectDefinitions(node.body,
+                        new Set((node.params || []).map(param => param.name).filter(Boolean))),
+                    changes: TypeLayout.modifications(node.body),
+                    loops: TypeLayout.collectLoops(node.body)
+                });
+                return false;
+            }
+            if (node.type === 'Declaration' && parent && ['TranslationUnit', 'NamespaceDefinition',
+                'LinkageSpecification'].includes(parent.type)) {
+                TypeLayout.addVariables(node, this.globals);
+                TypeLayout.addInitializers(node, globalInitializers);
+            }
+            return true;
+        });
+
+        // A global keeps its initial value unless some function assigns it or takes its address
+        const modified = TypeLayout.modifiedNames(translationUnit);
+        globalInitializers.forEach((init, name) => {
+            if (init && !modified.has(name)) this.globalDefinitions.set(name, init);
+        });
+        this.bindConstantArguments(translationUnit);
+    }
+
+    /**
+     * A parameter that every call passes the same constant or string literal, and that the function
+     * never changes, holds that argument: unsafeFunction("Hello World") gives strlen(name) the value 11.
+     * Functions whose address is taken may be called from anywhere and keep their parameters unknown.
+     */
+    bindConstantArguments(translationUnit) {
+        const scopes = new Map();
+        this.scopes.forEach(scope => {
+            const name = scope.node.name;
+            scopes.set(name, scopes.has(name) ? null : scope); // overloads cannot be told apart by name
+        });
+        const calls = new Map(); // function name -> CallExpression nodes
+        CParser.walk(translationUnit, (node, parent) => {
+            if (node.type !== 'Identifier' || !scopes.get(node.name)) return true;
+            if (parent && parent.type === 'CallExpression' && parent.callee === node) {
+                if (!calls.has(node.name)) calls.set(node.name, []);
+                if (calls.get(node.name)) calls.get(node.name).push(parent);
+            } else {
+                calls.set(node.name, null);
+            }
+            return true;
+        });
+
+        calls.forEach((sites, name) => {
+            if (!sites || sites.length === 0) return;
+            const scope = scopes.get(name);
+            const modified = TypeLayout.modifiedNames(scope.node.body);
+            (scope.node.params || []).forEach((param, index) => {
+                if (!param.name || modified.has(param.name) || scope.definitions.has(param.name)) return;
+                const args = sites.map(call => call.arguments[index]);
+                if (args.some(arg => !arg)) return;
+                const literal = arg => arg.type === 'Literal' && arg.kind === 'string' ? arg.value : null;
+                const value = arg => literal(arg) !== null ? null : this.evaluate(arg);
+                const same = literal(args[0]) !== null
+                    ? args.every(arg => literal(arg) === literal(args[0]))
+                    : value(args[0]) !== null && args.every(arg => value(arg) === value(args[0]));
+                if (same) scope.definitions.set(param.name, args[0]);
+            });
+        });
+    }
+
+    /**
+     * Initializers of the local variables of a function body that are declared once, e.g. n in
+     * `size_t n = 10;`; definitionOf() decides where a later assignment makes them stale
+     * @param {Object} body - CompoundStatement node
+     * @param {Set<string>} params - Parameter names (never constant)
+     * @returns {Map<string, Object>} Variable name -> initializer expression
+     */
+    static collectDefinitions(body, params) {
+        const initializers = new Map();
+        CParser.walk(body, node => {
+            if (node.type === 'Declaration') TypeLayout.addInitializers(node, initializers);
+            return true;
+        });
+        const definitions = new Map();
+        initializers.forEach((init, name) => {
+            if (init && !params.has(name)) definitions.set(name, init);
+        });
+        return definitions;
+    }
+
+    /**
+     * Loop statements of a function body
+     */
+    static collectLoops(body) {
+        const loops = [];
+        CParser.walk(body, node => {
+            if (ASTParser.LOOP_TYPES.includes(node.type)) loops.push(node);
+            return true;
+        });
+        return loops;
+    }
+
+    /**
+     * Record the initializer of each variable a declaration introduces; a name declared twice maps to null
+     */
+    static addInitializers(declaration, initializers) {
+        if (declaration.storage.includes('typedef')) return;
+        declaration.declarators.forEach(declarator => {
+            if (!declarator.name || declarator.isFunction) return;
+            let init = declarator.init;
+            if (init && init.type === 'ConstructorInitializer') init = init.arguments.length === 1 ? init.arguments[0] : null;
+            if (init && init.type === 'InitializerList') init = null;
+            initializers.set(declarator.name, initializers.has(declarator.name) ? null : init);
+        });
+    }
+
+    /**
+     * Names that are assigned, incremented, have their address taken or are bound to a reference
+     */
+    static modifiedNames(root) {
+        return new Set(TypeLayout.modifications(root).keys());
+    }
+
+    /**
+     * Where each variable is assigned, incremented, has its address taken or is bound to a reference
+     * @returns {Map<string, Array<Object>>} Name -> the Identifier nodes naming it there
+     */
+    static modifications(root) {
+        const names = new Map();
+        const target = node => {
+            let inner = node;
+            while (inner && inner.type === 'CastExpression') inner = inner.argument;
+            if (!inner || inner.type !== 'Identifier') return;
+            if (!names.has(inner.name)) names.set(inner.name, []);
+            names.get(inner.name).push(inner);
+        };
+        CParser.walk(root, node => {
+            if (node.type === 'AssignmentExpression') target(node.left);
+            else if (node.type === 'UpdateExpression') target(node.argument);
+            else if (node.type === 'UnaryExpression' && node.operator === '&') target(node.argument);
+            else if (node.type === 'VariableDeclarator' && node.reference) target(node.init);
+            return true;
+        });
+        return names;
+    }
+
+    /**
+     * Expression a variable still holds where it is used: its initializer, as long as no assignment
+     * comes before the use or follows it in a loop that repeats the use but not the declaration
+     * (`int n = 10; int *a = malloc(n * sizeof(int)); n = 0;` allocates 40 B)
+     * @param {Object} node - Identifier node
+     * @returns {Object|null} Initializer expression
+     */
+    definitionOf(node) {
+        const scope = this.scopeAt(node);
+        if (!scope || !scope.variables.has(node.name)) return this.globalDefinitions.get(node.name) || null;
+        const init = scope.definitions.get(node.name);
+        if (!init) return null;
+        const within = (outer, inner) => inner.range && outer.range[0] <= inner.range[0] && inner.range[1] <= outer.range[1];
+        const stale = (scope.changes.get(node.name) || []).some(change => !change.range || !node.range ||
+            change.range[0] < node.range[0] ||
+            scope.loops.some(loop => within(loop, change) && within(loop, node) && !within(loop, init)));
+        return stale ? null : init;
+    }
+
+    /**
+     * Parameters and local variables of a function; array parameters decay to pointers
+     */
+    collectVariables(functionNode) {
+        const variables = new Map();
+        (functionNode.params || []).forEach(param => {
+            if (!param.name) return;
+            const type = TypeLayout.declaredType(param.typeSpec, param.declarator);
+            variables.set(param.name, type.dims.length > 0
+                ? Object.assign({}, type, { pointerDepth: type.pointerDepth + 1, dims: type.dims.slice(1) })
+                : type);
+        });
+        CParser.walk(functionNode.body, node => {
+            if (node.type === 'Declaration') TypeLayout.addVariables(node, variables);
+            return true;
+        });
+        return variables;
+    }
+
+    static addVariables(declaration, variables) {
+        if (declaration.storage.includes('typedef')) return;
+        declaration.declarators.forEach(declarator => {
+            if (declarator.name && !declarator.isFunction) {
+                variables.set(declarator.name, TypeLayout.declaredType(declaration.typeSpec, declarator.declarator));
+            }
+        });
+    }
+
+    /**
+     * Describe the type a declarator gives its name
+     * @param {Object} specifier - TypeSpecifier node
+     * @param {Object|null} declarator - Declarator node
+     * @returns {Object} { specifier, pointerDepth, dims, indirect }: dims are the array dimension
+     *                   expressions; indirect marks pointers to functions and arrays, e.g. int (*fp)(void)
+     */
+    static declaredType(specifier, declarator) {
+        if (!declarator) return { specifier: specifier, pointerDepth: 0, dims: [], indirect: false };
+        const nested = declarator.nested;
+        if (nested && nested.pointerDepth > 0) {
+            return { specifier: specifier, pointerDepth: nested.pointerDepth, dims: nested.arrayDims, indirect: true };
+        }
+        const inner = nested || declarator;
+        return {
+            specifier: specifier,
+            pointerDepth: declarator.pointerDepth + (nested ? nested.pointerDepth : 0),
+            dims: nested ? nested.arrayDims.concat(declarator.arrayDims) : declarator.arrayDims,
+            indirect: !!inner.params
+        };
+    }
+
+    /**
+     * Describe the type named in a cast, sizeof or new expression
+     * @param {Object} typeName - TypeName node
+     * @returns {Object} Type, as returned by declaredType
+     */
+    static namedType(typeName) {
+        if (typeName.declarator) return TypeLayout.declaredType(typeName.specifier, typeName.declarator);
+        return { specifier: typeName.specifier, pointerDepth: typeName.pointerDepth || 0, dims: [], indirect: false };
+    }
+
+    // ---------------------------------------------------------------------
+    // Sizes
+    // ---------------------------------------------------------------------
+
+    /**
+     * Size and alignment of a type
+     * @param {Object} type - Type, as returned by declaredType
+     * @returns {Object|null} { size, align } in bytes, or null when the type or an array bound is unknown
+     */
+    layoutOf(type) {
+        if (!type) return null;
+        let count = 1;
+        for (const dim of type.dims) {
+            // A flexible array member (char data[]) adds no storage
+            const value = dim ? this.evaluate(dim) : 0;
+            if (value === null || value < 0) return null;
+            count *= value;
+        }
+        const element = type.pointerDepth > 0 || type.indirect ? this.scalar('POINTER') : this.specifierLayout(type.specifier);
+        if (!element) return null;
+        return { size: element.size * count, align: element.align };
+    }
+
+    /**
+     * Size and alignment of a type name
+     * @param {Object} typeName - TypeName node
+     * @returns {Object|null} { size, align }
+     */
+    layoutOfTypeName(typeName) {
+        return this.layoutOf(TypeLayout.namedType(typeName));
+    }
+
+    scalar(key) {
+        return { size: this.sizes[key], align: this.alignments[key] || this.sizes[key] };
+    }
+
+    specifierLayout(specifier) {
+        if (!specifier) return null;
+        if (specifier.record) {
+            if (specifier.record.type === 'EnumSpecifier') return this.scalar('INT');
+            const record = specifier.record.members ? specifier.record
+                : this.records.get(TypeLayout.shortName(specifier.record.name || ''));
+            return record ? this.recordLayout(record) : null;
+        }
+        if (specifier.name) {
+            if (specifier.templateArgs) {
+                const smart = SmartPointers.kindOf(specifier);
+                return smart ? SmartPointers.layout(smart) : null;
+            }
+            return this.namedLayout(TypeLayout.shortName(specifier.name));
+        }
+        return this.keywordLayout(specifier.keywords || (specifier.base ? specifier.base.split(' ') : []));
+    }
+
+    /**
+     * Size of a typedef, a class named without its keyword, or a library type such as size_t
+     */
+    namedLayout(name) {
+        if (this.typedefs.has(name)) {
+            const type = this.typedefs.get(name);
+            // typedef struct list list; resolves through the tag, but a typedef naming itself would not end
+            this.typedefs.delete(name);
+            try {
+                return this.layoutOf(type);
+            } finally {
+                this.typedefs.set(name, type);
+            }
+        }
+        if (this.records.has(name)) return this.recordLayout(this.records.get(name));
+        const key = CONFIG.STANDARD_TYPES[name];
+        return key ? this.scalar(key) : null;
+    }
+
+    /**
+     * Size of a built-in type from its keywords, e.g. ['unsigned', 'long', 'long']
+     */
+    keywordLayout(keywords) {
+        const has = word => keywords.includes(word);
+        const longs = keywords.filter(word => word === 'long').length;
+        // GNU C gives void a size of 1 so that sizeof(void) and void * arithmetic work
+        if (has('void')) return { size: 1, align: 1 };
+
+        let key;
+        if (has('char')) key = 'CHAR';
+        else if (has('wchar_t')) key = 'WCHAR';
+        else if (has('_Bool') || has('bool')) key = 'BOOL';
+        else if (has('short')) key = 'SHORT';
+        else if (has('float')) key = 'FLOAT';
+        else if (has('double')) key = longs > 0 ? 'LONG_DOUBLE' : 'DOUBLE';
+        else if (longs >= 2) key = 'LONG_LONG';
+        else if (longs === 1) key = 'LONG';
+        else if (has('int') || has('signed') || has('unsigned')) key = 'INT';
+        else return null;
+
+        const layout = this.scalar(key);
+        return has('_Complex') ? { size: layout.size * 2, align: layout.align } : layout;
+    }
+
+    /**
+     * Lay out a struct, union or class
+     * @param {Object} record - RecordSpecifier node with members
+     * @returns {Object|null} { size, dataSize, align, polymorphic, empty }: dataSize leaves out tail padding
+     */
+    recordLayout(record) {
+        if (this.layouts.has(record)) return this.layouts.get(record);
+        this.layouts.set(record, null); // a struct containing itself has no size
+        const layout = record.kind === 'union' ? this.unionLayout(record) : this.structLayout(record);
+        this.layouts.set(record, layout);
+        return layout;
+    }
+
+    structLayout(record) {
+        let bits = 0;
+        let align = 1;
+        const place = (size, memberAlign) => {
+            bits = TypeLayout.alignUp(bits, memberAlign * 8) + size * 8;
+            align = Math.max(align, memberAlign);
+        };
+
+        // C++: a class with virtual functions starts with a vtable pointer unless a base already has one
+        let polymorphic = false;
+        const bases = [];
+        if (this.cpp) {
+            for (const base of record.bases || []) {
+                const baseRecord = this.records.get(TypeLayout.shortName(base.name));
+                const baseLayout = baseRecord ? this.recordLayout(baseRecord) : null;
+                if (!baseLayout) return null;
+                bases.push(baseLayout);
+            }
+            const inherited = bases.some(base => base.polymorphic);
+            polymorphic = inherited || TypeLayout.declaresVirtual(record);
+            if (polymorphic && !inherited) place(this.sizes.POINTER, this.sizes.POINTER);
+            // Members may reuse the tail padding of a polymorphic (non-POD) base
+            bases.forEach(base => {
+                if (base.empty) align = Math.max(align, base.align);
+                else place(base.polymorphic ? base.dataSize : base.size, base.align);
+            });
+        }
+
+        let members = 0;
+        for (const member of this.dataMembers(record)) {
+            const layout = this.layoutOf(member.type);
+            if (!layout) return null;
+            members++;
+            if (member.bitWidth) {
+                const width = this.evaluate(member.bitWidth);
+                if (width === null) return null;
+                const unit = layout.size * 8;
+                // A bit-field starts a new unit when it would straddle one; a zero width only aligns
+                if (width === 0 || Math.floor(bits / unit) !== Math.floor((bits + width - 1) / unit)) {
+                    bits = TypeLayout.alignUp(bits, unit);
+                }
+                bits += width;
+                align = Math.max(align, layout.align);
+            } else {
+                place(layout.size, layout.align);
+            }
+        }
+
+        const empty = members === 0 && !polymorphic && bases.every(base => base.empty);
+        const dataSize = Math.ceil(bits / 8);
+        const size = empty && this.cpp ? 1 : TypeLayout.alignUp(dataSize, align);
+        return { size: size, dataSize: dataSize, align: align, polymorphic: polymorphic, empty: empty };
+    }
+
+    unionLayout(record) {
+        let size = 0;
+        let align = 1;
+        let members = 0;
+        for (const member of this.dataMembers(record)) {
+            const layout = this.layoutOf(member.type);
+            if (!layout) return null;
+            members++;
+            size = Math.max(size, layout.size);
+            align = Math.max(align, layout.align);
+        }
+        const empty = members === 0;
+        return {
+            size: empty && this.cpp ? 1 : TypeLayout.alignUp(size, align),
+            dataSize: size,
+            align: align,
+            polymorphic: false,
+            empty: empty
+        };
+    }
+
+    /**
+     * Non-static data members of a record, including anonymous structs and unions
+     * @param {Object} record - RecordSpecifier node with members
+     * @returns {Array<Object>} { name, type, bitWidth }; name is null for anonymous members
+     */
+    dataMembers(record) {
+        const members = [];
+        (record.members || []).forEach(member => {
+            if (member.type !== 'Declaration' || member.storage.includes('static') || member.storage.includes('typedef')) return;
+            const nested = member.typeSpec.record;
+            if (member.declarators.length === 0) {
+                if (nested && nested.type === 'RecordSpecifier' && !nested.name && nested.members) {
+                    members.push({ name: null, type: TypeLayout.declaredType(member.typeSpec, null), bitWidth: null });
+                }
+                return;
+            }
+            member.declarators.forEach(declarator => {
+                if (declarator.isFunction) return;
+                members.push({
+                    name: declarator.name,
+                    type: TypeLayout.declaredType(member.typeSpec, declarator.declarator),
+                    bitWidth: declarator.bitWidth || null
+                });
+            });
+        });
+        return members;
+    }
+
+    static declaresVirtual(record) {
+        return (record.members || []).some(member =>
+            (member.type === 'Declaration' || member.type === 'FunctionDefinition') && member.storage.includes('virtual'));
+    }
+
+    /**
+     * Type of a named member, looking through anonymous members and base classes
+     * @param {Object} record - RecordSpecifier node with members
+     * @param {string} name - Member name
+     * @returns {Object|null} Type
+     */
+    memberType(record, name) {
+        for (const member of this.dataMembers(record)) {
+            if (member.name === name) return member.type;
+            if (member.name === null) {
+                const type = this.memberType(member.type.specifier.record, name);
+                if (type) return type;
+            }
+        }
+        for (const base of record.bases || []) {
+            const baseRecord = this.records.get(TypeLayout.shortName(base.name));
+            const type = baseRecord && baseRecord !== record ? this.memberType(baseRecord, name) : null;
+            if (type) return type;
+        }
+        return null;
+    }
+
+    // ---------------------------------------------------------------------
+    // Expressions
+    // ---------------------------------------------------------------------
+
+    /**
+     * Evaluate an integer constant expression, resolving sizeof, alignof, enumerators and
+     * variables whose initializer is never changed
+     * @param {Object} node - Expression node
+     * @returns {number|null} Value, or null when the expression is not constant
+     */
+    evaluate(node) {
+        if (!node) return null;
+        switch (node.type) {
+            case 'Literal':
+                if (node.kind === 'number') return Number.isFinite(node.value) ? node.value : null;
+                if (node.kind === 'boolean') return node.value ? 1 : 0;
+                if (node.kind === 'char') return TypeLayout.charValue(node.raw);
+                return null;
+            case 'Identifier': {
+                if (this.constants.has(node.name)) return this.constants.get(node.name);
+                const definition = this.definitionOf(node);
+                // int n = n + 1; refers to itself
+                if (!definition || this.evaluating.has(definition)) return null;
+                this.evaluating.add(definition);
+                try {
+                    return this.evaluate(definition);
+                } finally {
+                    this.evaluating.delete(definition);
+                }
+            }
+            case 'CastExpression':
+                return this.evaluate(node.argument);
+            case 'SizeofExpression': {
+                const layout = node.typeName
+                    ? this.layoutOfTypeName(node.typeName)
+                    : this.expressionLayout(node.argument, this.scopeAt(node));
+                if (!layout) return null;
+                return node.operator === 'sizeof' ? layout.size : layout.align;
+            }
+            case 'UnaryExpression': {
+                const value = this.evaluate(node.argument);
+                if (value === null) return null;
+                switch (node.operator) {
+                    case '-': return -value;
+                    case '+': return value;
+                    case '~': return ~value;
+                    case '!': return value ? 0 : 1;
+                    default: return null;
+                }
+            }
+            case 'BinaryExpression':
+            case 'LogicalExpression': {
+                const left = this.evaluate(node.left);
+                const right = this.evaluate(node.right);
+                if (left === null || right === null) return null;
+                return TypeLayout.applyOperator(node.operator, left, right);
+            }
+            case 'ConditionalExpression': {
+                const test = this.evaluate(node.test);
+                return test === null ? null : this.evaluate(test ? node.consequent : node.alternate);
+            }
+            default:
+                return null;
+        }
+    }
+
+    static applyOperator(operator, left, right) {
+        const integers = Number.isInteger(left) && Number.isInteger(right);
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return right === 0 ? null : (integers ? Math.trunc(left / right) : left / right);
+            case '%': return right === 0 || !integers ? null : left % right;
+            case '<<': return left * Math.pow(2, right);
+            case '>>': return Math.floor(left / Math.pow(2, right));
+            case '&': return left & right;
+            case '|': return left | right;
+            case '^': return left ^ right;
+            case '<': return left < right ? 1 : 0;
+            case '>': return left > right ? 1 : 0;
+            case '<=': return left <= right ? 1 : 0;
+            case '>=': return left >= right ? 1 : 0;
+            case '==': return left === right ? 1 : 0;
+            case '!=': return left !== right ? 1 : 0;
+            case '&&': return left && right ? 1 : 0;
+            case '||': return left || right ? 1 : 0;
+            default: return null;
+        }
+    }
+
+    /**
+     * Size and alignment of the value of an expression, as in sizeof(*p) or sizeof(buf)
+     * @param {Object} node - Expression node
+     * @param {Object|null} scope - Enclosing function scope
+     * @returns {Object|null} { size, align }
+     */
+    expressionLayout(node, scope) {
+        if (node && node.type === 'Literal' && node.kind === 'string') {
+            const unit = /^L/.test(node.raw) ? this.sizes.WCHAR : 1;
+            return { size: (node.value.length + 1) * unit, align: unit };
+        }
+        return this.layoutOf(this.expressionType(node, scope));
+    }
+
+    /**
+     * Static type of an expression
+     * @param {Object} node - Expression node
+     * @param {Object|null} scope - Enclosing function scope
+     * @returns {Object|null} Type, or null when it cannot be worked out
+     */
+    expressionType(node, scope) {
+        if (!node) return null;
+        switch (node.type) {
+            case 'Identifier':
+                return this.variableType(node.name, scope);
+            case 'Literal':
+                return TypeLayout.literalType(node, this.cpp);
+            case 'CastExpression':
+                return TypeLayout.namedType(node.typeName);
+            case 'SubscriptExpression':
+                return this.pointee(this.expressionType(node.object, scope));
+            case 'UnaryExpression': {
+                const type = this.expressionType(node.argument, scope);
+                if (node.operator === '*') return this.pointee(type);
+                if (node.operator === '&') {
+                    return type && type.dims.length === 0 && !type.indirect
+                        ? Object.assign({}, type, { pointerDepth: type.pointerDepth + 1 })
+                        : { specifier: null, pointerDepth: 1, dims: [], indirect: true };
+                }
+                return null;
+            }
+            case 'MemberExpression': {
+                let type = this.expressionType(node.object, scope);
+                if (node.arrow) type = this.pointee(type);
+                const record = this.recordOf(type);
+                return record ? this.memberType(record, node.property) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    variableType(name, scope) {
+        if (scope && scope.variables.has(name)) return scope.variables.get(name);
+        if (scope && scope.node.className && this.records.has(scope.node.className)) {
+            const type = this.memberType(this.records.get(scope.node.className), name);
+            if (type) return type;
+        }
+        return this.globals.get(name) || null;
+    }
+
+    /**
+     * Innermost function whose body contains a node
+     */
+    scopeAt(node) {
+        if (!node || !node.range) return null;
+        return this.scopes.find(scope => scope.node.range &&
+            scope.node.range[0] <= node.range[0] && node.range[1] <= scope.node.range[1]) || null;
+    }
+
+    /**
+     * Expand typedef names until the type shows its pointers, arrays or record
+     */
+    resolve(type) {
+        let current = type;
+        for (let depth = 0; current && depth < 16; depth++) {
+            const specifier = current.specifier;
+            if (current.indirect || current.pointerDepth > 0 || current.dims.length > 0 || !specifier ||
+                specifier.record || !specifier.name || !this.typedefs.has(TypeLayout.shortName(specifier.name))) {
+                return current;
+            }
+            current = this.typedefs.get(TypeLayout.shortName(specifier.name));
+        }
+        return current;
+    }
+
+    /**
+     * Type an array element or pointer refers to
+     */
+    pointee(type) {
+        const resolved = this.resolve(type);
+        if (!resolved || resolved.indirect) return null;
+        if (resolved.dims.length > 0) return Object.assign({}, resolved, { dims: resolved.dims.slice(1) });
+        if (resolved.pointerDepth > 0) return Object.assign({}, resolved, { pointerDepth: resolved.pointerDepth - 1 });
+        return null;
+    }
+
+    /**
+     * Record a struct or class type refers to
+     */
+    recordOf(type) {
+        const resolved = this.resolve(type);
+        if (!resolved || resolved.indirect || resolved.pointerDepth > 0 || resolved.dims.length > 0) return null;
+        const specifier = resolved.specifier;
+        if (specifier.record && specifier.record.type === 'RecordSpecifier') {
+            return specifier.record.members ? specifier.record
+                : this.records.get(TypeLayout.shortName(specifier.record.name || '')) || null;
+        }
+        return specifier.name ? this.records.get(TypeLayout.shortName(specifier.name)) || null : null;
+    }
+
+    /**
+     * Type of a literal: 10 is int, 10L long, 1.5 double, 1.5f float and 'a' int (char in C++)
+     */
+    static literalType(node, cpp) {
+        let keywords;
+        if (node.kind === 'number') {
+            const raw = String(node.raw);
+            const floating = /^0[xX]/.test(raw) ? /[pP]/.test(raw) : /[.eE]/.test(raw);
+            const longs = (raw.match(/[lL]/g) || []).length;
+            if (floating) {
+                keywords = /[fF]$/.test(raw) ? ['float'] : (longs ? ['long', 'double'] : ['double']);
+            } else {
+                keywords = longs >= 2 ? ['long', 'long'] : (longs === 1 ? ['long'] : ['int']);
+            }
+        } else if (node.kind === 'char') {
+            keywords = cpp ? ['char'] : ['int'];
+        } else if (node.kind === 'boolean') {
+            keywords = ['bool'];
+        } else {
+            return null;
+        }
+        return { specifier: { keywords: keywords, name: null, record: null }, pointerDepth: 0, dims: [], indirect: false };
+    }
+
+    static charValue(raw) {
+        const body = String(raw).replace(/^[LuU]?'/, '').replace(/'$/, '');
+        if (body.length === 1) return body.charCodeAt(0);
+        const escapes = { n: 10, t: 9, r: 13, '0': 0, '\\': 92, '\'': 39, '"': 34, a: 7, b: 8, f: 12, v: 11 };
+        return body.length === 2 && body[0] === '\\' && body[1] in escapes ? escapes[body[1]] : null;
+    }
+
+    static shortName(name) {
+        return String(name).split('::').pop();
+    }
+
+    static alignUp(value, alignment) {
+        return alignment > 0 ? Math.ceil(value / alignment) * alignment : value;
+    }
+}
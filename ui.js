@@ -28,14 +28,18 @@ function updateDashboard(analysis) {
         const totalAlloc = analysis.allocations ? analysis.allocations.length : 0;
         const totalFree = analysis.frees ? analysis.frees.length : 0;
         const leaks = analysis.leaks ? analysis.leaks.length : 0;
-        const leakedBytes = analysis.leaks ? analysis.leaks.reduce((sum, leak) => sum + (leak.size || 0), 0) : 0;
-        const critical = analysis.warnings ? analysis.warnings.filter(w => w.type === 'Missing NULL Check' || w.type === 'Double Free').length : 0;
+        const resourceLeaks = analysis.resourceLeaks || [];
+        const leakedBytes = sumLeakedBytes(analysis.leaks);
+        const critical = analysis.warnings ? analysis.warnings.filter(w => PathAnalyzer.CRITICAL_WARNINGS.includes(w.type)).length : 0;
 
         // Update text content safely
         const elements = {
             totalAllocations: document.getElementById('totalAllocations'),
             totalFrees: document.getElementById('totalFrees'),
             memoryLeaks: document.getElementById('memoryLeaks'),
+            resourceLeaks: document.getElementById('resourceLeaks'),
+            memoryLeakClasses: document.getElementById('memoryLeakClasses'),
+            resourceLeakKinds: document.getElementById('resourceLeakKinds'),
             leakedBytes: document.getElementById('leakedBytes'),
             criticalIssues: document.getElementById('criticalIssues')
         };
@@ -44,14 +48,17 @@ function updateDashboard(analysis) {
         if (elements.totalAllocations) elements.totalAllocations.textContent = totalAlloc;
         if (elements.totalFrees) elements.totalFrees.textContent = totalFree;
         if (elements.memoryLeaks) elements.memoryLeaks.textContent = leaks;
-        if (elements.leakedBytes) elements.leakedBytes.textContent = formatBytes(leakedBytes);
+        if (elements.memoryLeakClasses) elements.memoryLeakClasses.textContent = countLeakClasses(analysis.leaks) || 'leaks';
+        if (elements.resourceLeaks) elements.resourceLeaks.textContent = resourceLeaks.length;
+        if (elements.resourceLeakKinds) elements.resourceLeakKinds.textContent = countResourceKinds(resourceLeaks) || 'leaks';
+        if (elements.leakedBytes) elements.leakedBytes.textContent = formatLeakedTotal(analysis.leaks);
         if (elements.criticalIssues) elements.criticalIssues.textContent = critical;
 
         // Update pie chart
-        const allocated = analysis.allocations ? analysis.allocations.reduce((sum, a) => sum + (a.size || 0), 0) : 0;
+        const allocated = analysis.allocations ? analysis.allocations.reduce((sum, a) => sum + totalBytes(a), 0) : 0;
         const freed = analysis.frees ? analysis.frees.reduce((sum, f) => {
             const alloc = analysis.allocations ? analysis.allocations.find(a => a.allocId === f.freedAllocId) : null;
-            return sum + (alloc ? (alloc.size || 0) : 0);
+            return sum + totalBytes(alloc);
         }, 0) : 0;
         const leaked = leakedBytes;
 
@@ -109,6 +116,95 @@ function updateDashboard(analysis) {
     }
 }
 
+/**
+ * Count resource leaks by kind for the dashboard
+ * @param {Array<Object>} leaks - Resource leak objects
+ * @returns {string} e.g. "file handle: 2, mutex: 1" (empty when there are none)
+ */
+function countResourceKinds(leaks) {
+    const counts = new Map();
+    leaks.forEach(leak => {
+        const resource = ASTParser.resourceKind(leak.resource);
+        const label = resource ? resource.label : leak.resource;
+        counts.set(label, (counts.get(label) || 0) + 1);
+    });
+    return Array.from(counts, ([label, count]) => `${label}: ${count}`).join(', ');
+}
+
+/**
+ * Render the leaking paths of a leak as expandable step-by-step traces
+ * @param {Object} leak - Leak object
+ * @returns {string} HTML
+ */
+function renderLeakPaths(leak) {
+    const paths = Array.isArray(leak.paths) ? leak.paths : [];
+    return paths.map(path =>
+        '<details class="mt-2">' +
+        '<summary class="text-sm text-red-700 cursor-pointer">' + escapeHtml(path.description || '') + '</summary>' +
+        '<ol class="mt-2 ml-4 space-y-1 text-xs text-gray-700">' +
+        (path.trace || []).map(step =>
+            '<li><span class="font-semibold">Line ' + (step.line || 0) + ':</span> ' +
+            '<code class="bg-gray-100 px-1 rounded">' + escapeHtml(step.text || '') + '</code></li>'
+        ).join('') +
+        '</ol>' +
+        '</details>'
+    ).join('');
+}
+
+/**
+ * Build the leak summary at the top of the leaks tab: blocks and bytes per memcheck category
+ * @param {Array<Object>} leaks - Memory leak objects
+ * @returns {string} HTML, empty when the leaks have no categories
+ */
+function renderLeakSummary(leaks) {
+    const groups = groupLeaksByClass(leaks);
+    if (groups.length === 0) return '';
+    const rows = groups.map(group =>
+        '<li><span class="font-semibold">' + escapeHtml(group.name) + ':</span> ' +
+        escapeHtml(formatLeakedTotal(group.leaks)) + ' in ' + group.leaks.length + ' allocation' + (group.leaks.length === 1 ? '' : 's') +
+        ' <span class="text-gray-500">(' + escapeHtml(group.description) + ')</span></li>'
+    ).join('');
+    return '<div class="bg-gray-50 p-4 rounded-lg">' +
+        '<h4 class="font-semibold text-gray-800 mb-2">Leak Summary</h4>' +
+        '<ul class="text-sm text-gray-700 space-y-1">' + rows + '</ul>' +
+        '</div>';
+}
+
+/**
+ * Build the resource leak section of the leaks tab (files, descriptors, sockets, locks)
+ * @param {Array<Object>} leaks - Resource leak objects
+ * @returns {string} HTML, empty when there are no resource leaks
+ */
+function renderResourceLeaks(leaks) {
+    if (!Array.isArray(leaks) || leaks.length === 0) return '';
+    const items = leaks.map(leak => {
+        const line = leak.line || 0;
+        const varName = escapeHtml(leak.var || 'unknown');
+        const title = escapeHtml(leak.title || `${leak.var || 'unknown'} (line ${line})`);
+        const func = escapeHtml(leak.function || 'unknown');
+        const fix = escapeHtml(leak.fix || 'No fix available');
+        const leakData = escapeHtml(JSON.stringify(leak));
+        return '<div class="leak-item bg-amber-50 border-l-4 border-amber-500 p-4 rounded-lg" data-line="' + line + '" data-size="0" data-variable="' + varName + '" data-leak="' + leakData + '">' +
+            '<div class="flex justify-between items-start mb-2">' +
+            '<div class="flex-1">' +
+            '<h4 class="font-semibold text-amber-800">' + title + '</h4>' +
+            '<p class="text-sm text-gray-600 mt-1">Line ' + line + ' | Function: ' + func + '()</p>' +
+            renderLeakPaths(leak) +
+            '</div>' +
+            '<button onclick="copyLeakFromElement(this)" ' +
+            'class="ml-2 bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs" ' +
+            'aria-label="Copy leak details">📋</button>' +
+            '</div>' +
+            '<div class="mt-3 bg-white p-3 rounded border border-amber-200">' +
+            '<p class="text-sm font-semibold text-gray-700 mb-1">Fix/Solution:</p>' +
+            '<p class="text-sm text-gray-800">' + fix + '</p>' +
+            '</div>' +
+            '</div>';
+    }).join('');
+    return '<h4 class="font-semibold text-amber-800 mt-6 mb-3">Resource Leaks (' + leaks.length + ')</h4>' +
+        '<div id="resourceLeaksContainer" class="space-y-4">' + items + '</div>';
+}
+
 /**
  * Update memory leaks tab with analysis results
  * @param {Object} analysis - Analysis results object
@@ -121,8 +217,9 @@ function updateLeaksTab(analysis) {
             return;
         }
 
+        const resourceHTML = renderResourceLeaks(analysis.resourceLeaks);
         if (!analysis.leaks || analysis.leaks.length === 0) {
-            leaksList.innerHTML = '<p class="text-green-600 text-center py-8 font-semibold">✓ No memory leaks detected!</p>';
+            leaksList.innerHTML = '<p class="text-green-600 text-center py-8 font-semibold">✓ No memory leaks detected!</p>' + resourceHTML;
             return;
         }
 
@@ -135,6 +232,7 @@ function updateLeaksTab(analysis) {
                         <option value="line">Line Number</option>
                         <option value="size">Size (Largest First)</option>
                         <option value="variable">Variable Name</option>
+                        <option value="category">Category (Most Severe First)</option>
                     </select>
                     <label class="text-sm font-medium text-gray-700 ml-4">Filter:</label>
                     <input type="text" id="filterLeaks" placeholder="Search leaks..." 
@@ -155,24 +253,33 @@ function updateLeaksTab(analysis) {
         // So we'll escape user content
         const leaksContainer = leaksList.querySelector('#leaksContainer') || leaksList;
         const leaksArray = analysis.leaks && Array.isArray(analysis.leaks) ? analysis.leaks : [];
-        const leaksHTML = leaksArray.map((leak, index) => {
+        const leaksHTML = renderLeakSummary(leaksArray) + leaksArray.map((leak, index) => {
             const varName = escapeHtml(leak.var || 'unknown');
             const line = leak.line || 0;
             const func = escapeHtml(leak.function || 'unknown');
-            const size = formatBytes(leak.size || 0);
+            const size = escapeHtml(formatLeakSize(leak));
             const fix = escapeHtml(leak.fix || 'No fix available');
             const leakData = escapeHtml(JSON.stringify(leak));
-            return '<div class="leak-item bg-red-50 border-l-4 border-red-500 p-4 rounded-lg" data-line="' + line + '" data-size="' + (leak.size || 0) + '" data-variable="' + varName + '" data-leak="' + leakData + '">' +
+            const aliases = escapeHtml(Array.isArray(leak.aliases) ? leak.aliases.join(', ') : '');
+            const pathsHTML = renderLeakPaths(leak);
+            // Memory still reachable at exit is reclaimed by the system: shown as a lesser issue
+            const color = leak.severity === 'low' ? 'yellow' : 'red';
+            const leakClass = leak.leakClass
+                ? ' <span class="text-xs font-medium text-' + color + '-700 bg-' + color + '-100 px-2 py-0.5 rounded ml-1">' + escapeHtml(leak.leakClass) + '</span>'
+                : '';
+            return '<div class="leak-item bg-' + color + '-50 border-l-4 border-' + color + '-500 p-4 rounded-lg" data-line="' + line + '" data-size="' + totalBytes(leak) + '" data-variable="' + varName + '" data-leak="' + leakData + '">' +
                 '<div class="flex justify-between items-start mb-2">' +
                 '<div class="flex-1">' +
-                '<h4 class="font-semibold text-red-800">Variable: <code class="bg-red-100 px-2 py-1 rounded">' + varName + '</code></h4>' +
+                '<h4 class="font-semibold text-' + color + '-800">Variable: <code class="bg-' + color + '-100 px-2 py-1 rounded">' + varName + '</code>' + leakClass + '</h4>' +
                 '<p class="text-sm text-gray-600 mt-1">Line ' + line + ' | Function: ' + func + '() | Size: ' + size + '</p>' +
+                (aliases ? '<p class="text-sm text-gray-600 mt-1">Also referenced by: <code class="bg-red-100 px-1 rounded">' + aliases + '</code></p>' : '') +
+                pathsHTML +
                 '</div>' +
                 '<button onclick="copyLeakFromElement(this)" ' +
                 'class="ml-2 bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs" ' +
                 'aria-label="Copy leak details">📋</button>' +
                 '</div>' +
-                '<div class="mt-3 bg-white p-3 rounded border border-red-200">' +
+                '<div class="mt-3 bg-white p-3 rounded border border-' + color + '-200">' +
                 '<p class="text-sm font-semibold text-gray-700 mb-1">Fix/Solution:</p>' +
                 '<p class="text-sm text-gray-800">' + fix + '</p>' +
                 '</div>' +
@@ -185,6 +292,7 @@ function updateLeaksTab(analysis) {
         } else {
             leaksList.innerHTML = leaksHTML;
         }
+        leaksList.insertAdjacentHTML('beforeend', resourceHTML);
     } catch (error) {
         debugError('Error updating leaks tab:', error);
         notifications.error('Failed to update leaks tab: ' + error.message);
@@ -243,11 +351,18 @@ function updateAnalysisTab(analysis) {
                 const line = warning.line || 0;
                 const message = escapeHtml(warning.message || 'No message');
                 const lineText = escapeHtml(warning.lineText || '');
+                const rating = [warning.severity ? escapeHtml(warning.severity) : '', warning.cwe ? 'CWE-' + Number(warning.cwe) : '']
+                    .filter(Boolean).join(' · ');
                 
                 html += '<div class="bg-white p-3 rounded border border-yellow-200">' +
-                    '<p class="font-semibold text-gray-800">' + type + ' (Line ' + line + ')</p>' +
+                    '<p class="font-semibold text-gray-800">' + type + ' (Line ' + line + ')' +
+                    (rating ? ' <span class="text-xs font-normal text-gray-500">' + rating + '</span>' : '') + '</p>' +
                     '<p class="text-sm text-gray-700 mt-1">' + message + '</p>' +
                     '<code class="text-xs bg-gray-100 px-2 py-1 rounded block mt-2">' + lineText + '</code>' +
+                    (warning.related
+                        ? '<p class="text-xs text-gray-600 mt-2">' + escapeHtml(warning.related.label) + ' line ' + warning.related.line + ':</p>' +
+                          '<code class="text-xs bg-gray-100 px-2 py-1 rounded block mt-1">' + escapeHtml(warning.related.lineText || '') + '</code>'
+                        : '') +
                     '</div>';
             });
             html += '</div>';
@@ -364,6 +479,10 @@ function updateTimelineChart(analysis) {
                                 callbacks: {
                                     label: function(context) {
                                         return 'Memory: ' + formatBytes(context.parsed.y);
+                                    },
+                                    afterLabel: function(context) {
+                                        const point = analysis.timeline[context.dataIndex];
+                                        return point && point.event ? point.event : '';
                                     }
                                 }
                             }
@@ -381,6 +500,131 @@ function updateTimelineChart(analysis) {
     }
 }
 
+/**
+ * Show the heap simulation of a new analysis, starting at its first step
+ * @param {Object} analysis - Analysis results object
+ */
+function updateHeapSimulator(analysis) {
+    try {
+        heapStep = 0;
+        const simulation = analysis ? analysis.heapSimulation : null;
+        const slider = document.getElementById('heapStepSlider');
+        if (slider) {
+            slider.max = simulation ? simulation.steps.length - 1 : 0;
+            slider.value = 0;
+        }
+        if (!simulation || simulation.steps.length === 0) {
+            const content = document.getElementById('heapContent');
+            const label = document.getElementById('heapStepLabel');
+            if (label) label.textContent = 'Step 0 of 0';
+            if (content) {
+                content.innerHTML = '<p class="text-gray-500 text-center py-8">' +
+                    'Nothing to simulate: the heap simulator runs C and C++ programs from their main().</p>';
+            }
+            return;
+        }
+        showHeapStep(0);
+    } catch (error) {
+        debugError('Error updating heap simulator:', error);
+        notifications.error('Failed to update heap simulator: ' + error.message);
+    }
+}
+
+/**
+ * Show the heap after one step of the simulation
+ * @param {number} index - Step to show; clamped to the recorded steps
+ */
+function showHeapStep(index) {
+    try {
+        const simulation = currentAnalysis ? currentAnalysis.heapSimulation : null;
+        const content = document.getElementById('heapContent');
+        if (!simulation || simulation.steps.length === 0 || !content) return;
+
+        heapStep = Math.max(0, Math.min(simulation.steps.length - 1, index));
+        const step = simulation.steps[heapStep];
+        const slider = document.getElementById('heapStepSlider');
+        const label = document.getElementById('heapStepLabel');
+        if (slider) slider.value = heapStep;
+        if (label) label.textContent = `Step ${heapStep + 1} of ${simulation.steps.length}`;
+
+        const eventColors = {
+            allocate: 'blue', realloc: 'blue', free: 'green', alias: 'yellow', note: 'gray',
+            orphan: 'red', leak: 'red', 'double-free': 'red', 'invalid-free': 'red', mismatch: 'red', 'use-after-free': 'red'
+        };
+        const statusColors = { live: 'blue', freed: 'gray', orphaned: 'red' };
+
+        let html = `
+            <div class="space-y-6">
+                <div class="bg-gray-50 p-4 rounded-lg">
+                    <p class="text-sm text-gray-600">Line ${step.line}${step.function ? ' in ' + escapeHtml(step.function) + '()' : ''}</p>
+                    <code class="text-sm bg-white px-2 py-1 rounded block mt-2 border border-gray-200">${escapeHtml(step.code)}</code>
+                    ${step.description ? '<p class="text-sm text-gray-700 mt-2">' + escapeHtml(step.description) + '</p>' : ''}
+                    <p class="text-xs text-gray-500 mt-2">In use: ${formatBytes(step.inUse)}` +
+                    (step.orphaned > 0 ? ` · orphaned: ${formatBytes(step.orphaned)}` : '') + `</p>
+                </div>
+        `;
+
+        if (step.events.length > 0) {
+            html += '<div class="space-y-2">';
+            step.events.forEach(event => {
+                const color = eventColors[event.kind] || 'gray';
+                html += `<div class="bg-${color}-50 border-l-4 border-${color}-500 p-3 rounded text-sm text-gray-800">` +
+                    `<span class="font-semibold">${escapeHtml(event.kind)}</span> ${escapeHtml(event.text)}</div>`;
+            });
+            html += '</div>';
+        }
+
+        html += '<div><h4 class="font-semibold text-gray-800 mb-3">Heap</h4>';
+        if (step.blocks.length === 0) {
+            html += '<p class="text-gray-500 text-sm">Nothing has been allocated yet.</p>';
+        } else {
+            html += '<div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">';
+            step.blocks.forEach(block => {
+                const color = statusColors[block.status] || 'gray';
+                const size = block.size === null ? `${block.sizeText} bytes` : formatBytes(block.size);
+                html += `<div class="bg-white p-3 rounded border-2 border-${color}-300${block.status === 'freed' ? ' opacity-60' : ''}">` +
+                    `<p class="font-semibold text-gray-800">#${block.id} <span class="text-xs font-normal text-${color}-600">${block.status}` +
+                    (block.managed ? ` (std::${escapeHtml(block.managed)})` : '') + '</span></p>' +
+                    `<p class="text-xs text-gray-600 font-mono">${block.address} · ${escapeHtml(size)}</p>` +
+                    `<p class="text-xs text-gray-600">${escapeHtml(PathAnalyzer.describeAllocator(block.allocator))} on line ${block.line}` +
+                    (block.freedAt ? `, freed on line ${block.freedAt}` : '') + '</p>' +
+                    (block.holders.length > 0 ? `<p class="text-xs text-gray-700 mt-1">Pointed to by ${escapeHtml(block.holders.join(', '))}</p>` : '') +
+                    (block.edges.length > 0
+                        ? `<p class="text-xs text-gray-700">Points to ${block.edges.map(edge => escapeHtml(edge.field) + ' → #' + edge.to).join(', ')}</p>`
+                        : '') +
+                    '</div>';
+            });
+            html += '</div>';
+        }
+        html += '</div>';
+
+        html += '<div><h4 class="font-semibold text-gray-800 mb-3">Stack</h4>';
+        if (step.frames.length === 0) {
+            html += '<p class="text-gray-500 text-sm">main() has returned.</p>';
+        } else {
+            html += '<div class="space-y-2">';
+            step.frames.slice().reverse().forEach(frame => {
+                const variables = frame.variables.map(variable =>
+                    `<span class="font-mono">${escapeHtml(variable.name)} = ${escapeHtml(variable.value)}</span>`).join(' · ');
+                html += `<div class="bg-gray-50 p-3 rounded text-sm"><span class="font-semibold">${escapeHtml(frame.function)}()</span> ` +
+                    `<span class="text-xs text-gray-700">${variables}</span></div>`;
+            });
+            html += '</div>';
+        }
+        html += '</div>';
+
+        if (simulation.stopped && heapStep === simulation.steps.length - 1) {
+            html += `<p class="text-xs text-gray-500">${escapeHtml(simulation.stopped)}.</p>`;
+        }
+        html += '</div>';
+
+        content.innerHTML = html;
+    } catch (error) {
+        debugError('Error showing heap step:', error);
+        notifications.error('Failed to show heap step: ' + error.message);
+    }
+}
+
 /**
  * Switch between tabs
  * @param {string} tabName - Name of the tab to switch to
@@ -0,0 +1,473 @@
+/**
+ * Unsafe Library Calls
+ * Checks calls to the C library functions in CONFIG.ANALYSIS.UNSAFE_APIS. Where the destination's size
+ * is known from its array declaration or the allocation it was last given, the bytes a call writes are
+ * compared with it, so a copy that cannot fit is reported as an overflow and one that always fits is
+ * not reported at all
+ */
+class UnsafeCalls {
+    /**
+     * @param {Object} translationUnit - TranslationUnit node from CParser
+     * @param {Object} context - { layout, allocations, lines }: the TypeLayout of the code, the heap
+     *                           allocations as { var, line, function, node, size } and the source lines
+     */
+    constructor(translationUnit, context) {
+        this.translationUnit = translationUnit;
+        this.layout = context.layout;
+        this.allocations = context.allocations;
+        this.lines = context.lines;
+        this.rules = new Map(CONFIG.ANALYSIS.UNSAFE_APIS.map(rule => [rule.name, rule]));
+        this.warnings = [];
+    }
+
+    /**
+     * Check every call to a catalogued function
+     * @returns {Array<Object>} Warnings
+     */
+    run() {
+        const globals = UnsafeCalls.collectFacts(this.translationUnit, false);
+        CParser.collectFunctions(this.translationUnit).forEach(functionNode => {
+            const facts = UnsafeCalls.collectFacts(functionNode.body, true);
+            facts.declarators = facts.declarators.concat(globals.declarators);
+            facts.calls.forEach(call => {
+                try {
+                    this.checkCall(call, facts);
+                } catch (error) {
+                    debugError('Error checking call on line ' + call.loc.start.line + ':', error);
+                }
+            });
+        });
+        return this.warnings;
+    }
+
+    /**
+     * Gather what the checks look up in a function body: variable declarations, catalogued calls,
+     * conditions and assignments that write a terminator into an array
+     * @param {Object} root - Function body, or the translation unit for global declarations
+     * @param {boolean} descend - Whether to look inside function definitions
+     * @returns {Object} { declarators, calls, tests, terminators }
+     */
+    static collectFacts(root, descend) {
+        const facts = { declarators: [], calls: [], tests: [], terminators: [] };
+        CParser.walk(root, node => {
+            if (!descend && node.type === 'FunctionDefinition') return false;
+            switch (node.type) {
+                case 'Declaration':
+                    node.declarators.forEach(declarator => {
+                        if (declarator.name && !declarator.isFunction) {
+                            facts.declarators.push({ declaration: node, declarator: declarator });
+                        }
+                    });
+                    break;
+                case 'CallExpression':
+                    if (node.callee.type === 'Identifier') facts.calls.push(node);
+                    break;
+                case 'IfStatement':
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                case 'ForStatement':
+                case 'ConditionalExpression':
+                    if (node.test) facts.tests.push(node.test);
+                    break;
+                case 'AssignmentExpression':
+                    if (node.operator === '=' && node.left.type === 'SubscriptExpression') facts.terminators.push(node);
+                    break;
+                default:
+                    break;
+            }
+            return true;
+        });
+        return facts;
+    }
+
+    checkCall(call, facts) {
+        const name = SmartPointers.baseName(call.callee.name);
+        const rule = this.rules.get(name);
+        if (!rule) return;
+        const args = call.arguments;
+        const scope = this.layout.scopeAt(call);
+        const dest = rule.dest !== undefined && args[rule.dest] ? this.destination(args[rule.dest], call, scope, facts) : null;
+
+        switch (rule.check) {
+            case 'none':
+                this.report(rule, call, `${name}() cannot limit how much it reads, so any input line longer than ` +
+                    `${UnsafeCalls.describe(args[0], dest)} overflows it. Use ${rule.fix} instead.`, dest);
+                break;
+            case 'source':
+            case 'append': {
+                if (!args[rule.source]) return;
+                const source = args[rule.source];
+                const need = this.stringLength(source).add(new SizeExpression(1));
+                // Appending adds to whatever the destination already holds, so the copy alone is a lower bound
+                const most = rule.check === 'append' ? null : need;
+                if (this.overflows(rule, call, args[rule.dest], dest, need, most)) return;
+                const copy = rule.check === 'append'
+                    ? `appends ${UnsafeCalls.text(source)} to ${UnsafeCalls.describe(args[rule.dest], dest)} without checking the space left in it`
+                    : `copies ${UnsafeCalls.text(source)} (${need} bytes with the terminator) into ` +
+                        `${UnsafeCalls.describe(args[rule.dest], dest)} without checking that it fits`;
+                this.report(rule, call, `${name}() ${copy}. Use ${rule.fix} instead.`, dest);
+                break;
+            }
+            case 'format': {
+                const format = args[rule.format];
+                const output = format ? this.formatLength(format, args.slice(rule.format + 1)) : null;
+                if (output) {
+                    const one = new SizeExpression(1);
+                    const most = output.max ? output.max.add(one) : null;
+                    if (this.overflows(rule, call, args[rule.dest], dest, output.min.add(one), most)) return;
+                }
+                const length = output && output.max ? `up to ${output.max.add(new SizeExpression(1))} bytes`
+                    : 'output of unbounded length';
+                this.report(rule, call, `${name}() writes ${length} into ${UnsafeCalls.describe(args[rule.dest], dest)} ` +
+                    `without a size limit. Use ${rule.fix} instead.`, dest);
+                break;
+            }
+            case 'scan':
+                this.checkScan(rule, call, scope, facts);
+                break;
+            case 'count':
+                this.checkCount(rule, call, dest, facts);
+                break;
+            case 'terminator':
+                if (this.checkCount(rule, call, dest, facts)) return;
+                this.checkTerminator(rule, call, dest, facts);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Report memcpy(), memmove() or strncpy() writing more bytes than the destination holds, or a count
+     * that nothing checks against a destination of known size
+     * @returns {boolean} Whether an overflow was reported
+     */
+    checkCount(rule, call, dest, facts) {
+        const countNode = call.arguments[rule.count];
+        if (!countNode) return false;
+        const count = SizeExpression.fromNode(countNode, this.layout);
+        const result = this.overflows(rule, call, call.arguments[rule.dest], dest, count, count);
+        if (result || rule.check !== 'count' || !dest || this.guarded(countNode, call, facts)) return result === 'overflow';
+        this.report(rule, call, `${SmartPointers.baseName(call.callee.name)}() copies ${count} bytes into ` +
+            `${UnsafeCalls.describe(call.arguments[rule.dest], dest)}, and nothing before the call compares ` +
+            `${UnsafeCalls.text(countNode)} with that size.`, dest);
+        return false;
+    }
+
+    /**
+     * strncpy() leaves the destination without a '\0' when the source is at least as long as the count.
+     * The copy is safe when the source is known to be shorter, when the code writes a terminator after
+     * the call, or when the destination was zero-filled and the count stops short of its last byte.
+     */
+    checkTerminator(rule, call, dest, facts) {
+        const [target, source, countNode] = [call.arguments[rule.dest], call.arguments[rule.source], call.arguments[rule.count]];
+        if (!target || !source || !countNode) return;
+        const count = SizeExpression.fromNode(countNode, this.layout);
+        const sourceLength = this.stringLength(source);
+        if (UnsafeCalls.fits(count, sourceLength.add(new SizeExpression(1)))) return;
+        if (dest && dest.zeroed && UnsafeCalls.fits(dest.size, count.add(new SizeExpression(1)))) return;
+
+        const targetText = UnsafeCalls.text(target);
+        const terminated = facts.terminators.some(assignment => assignment.range[0] > call.range[1] &&
+            UnsafeCalls.text(assignment.left.object) === targetText && this.layout.evaluate(assignment.right) === 0);
+        if (terminated) return;
+        this.report(rule, call, `strncpy() does not write a terminating '\\0' when ${UnsafeCalls.text(source)} is ` +
+            `${count} bytes or longer, and nothing terminates ${targetText} after the copy, so later string ` +
+            `functions read past its end. Add ${targetText}[${dest ? dest.size.add(new SizeExpression(-1)) : 'size - 1'}] = '\\0' after the copy.`);
+    }
+
+    /**
+     * scanf()-family %s and %[ conversions store a whole word: without a field width any input can
+     * overflow the array, and a width must leave room for the '\0'
+     */
+    checkScan(rule, call, scope, facts) {
+        const format = call.arguments[rule.format];
+        if (!format || format.type !== 'Literal' || format.kind !== 'string') return;
+        const name = SmartPointers.baseName(call.callee.name);
+        const pattern = /%(\*)?(\d+)?(?:hh|h|ll|l|j|z|t|L)?(\[\^?\]?[^\]]*\]|[a-zA-Z%])/g;
+        let argIndex = rule.format + 1;
+        let match;
+        while ((match = pattern.exec(format.value)) !== null) {
+            const [conversion, suppressed, width, specifier] = match;
+            if (specifier === '%') continue;
+            const arg = suppressed ? null : call.arguments[argIndex++];
+            if (!arg || (specifier !== 's' && specifier[0] !== '[')) continue;
+
+            const dest = this.destination(arg, call, scope, facts);
+            if (!width) {
+                const suggestion = dest && dest.size.isConstant() && dest.size.constant > 1
+                    ? `%${dest.size.constant - 1}${specifier}` : rule.fix;
+                this.report(rule, call, `${name}() reads ${conversion} into ${UnsafeCalls.describe(arg, dest)} with no ` +
+                    `field width, so a longer input word overflows it. Use ${suggestion} instead.`, dest);
+                continue;
+            }
+            const need = new SizeExpression(Number(width) + 1);
+            this.overflows(rule, call, arg, dest, need, need, `${conversion} stores up to ${width} characters and a '\\0'`);
+        }
+    }
+
+    /**
+     * Compare the bytes a call writes with the size of its destination and report a write that can
+     * never fit. Writes of exactly one byte too many are off-by-one errors.
+     * @param {Object} rule - Catalogue entry of the function
+     * @param {Object} call - CallExpression node
+     * @param {Object} target - Destination argument
+     * @param {Object|null} dest - Destination size, as returned by destination()
+     * @param {SizeExpression} least - Fewest bytes the call writes
+     * @param {SizeExpression|null} most - Most bytes the call writes, or null when unbounded
+     * @param {string} [writes] - How the call writes them, when the byte count alone does not say
+     * @returns {string|null} 'overflow' when reported, 'fits' when the write always fits, null when unknown
+     */
+    overflows(rule, call, target, dest, least, most, writes) {
+        if (!dest) return null;
+        if (most && UnsafeCalls.fits(dest.size, most)) return 'fits';
+        const spare = UnsafeCalls.spare(dest.size, least);
+        if (spare === null || spare >= 0) return null;
+
+        const name = SmartPointers.baseName(call.callee.name);
+        const excess = -spare;
+        const offByOne = excess === 1;
+        const kind = offByOne ? UnsafeCalls.OFF_BY_ONE : UnsafeCalls.OVERFLOW;
+        const bytes = least.toString() === (most || '').toString() ? `${least} bytes` : `at least ${least} bytes`;
+        let message = `${name}() writes ${bytes} into ${UnsafeCalls.text(target)}` +
+            (writes ? ` (${writes})` : '') + `, which holds ${dest.size} bytes, so it overflows by ` +
+            `${excess} byte${excess === 1 ? '' : 's'}.`;
+        // String functions that miss by one byte have forgotten the terminator
+        if (offByOne && rule.check !== 'count' && rule.check !== 'terminator') {
+            message += dest.allocation
+                ? ` The allocation leaves no room for the terminating '\\0': allocate ${dest.size.add(new SizeExpression(1))} bytes.`
+                : ` The terminating '\\0' does not fit.`;
+        }
+        this.report(kind, call, message, dest);
+        return 'overflow';
+    }
+
+    /**
+     * @param {Object} kind - { type, severity, cwe }: a catalogue entry reports an 'Unsafe Function'
+     */
+    report(kind, call, message, dest = null) {
+        const warning = {
+            type: kind.type || 'Unsafe Function',
+            line: call.loc.start.line,
+            message: message,
+            lineText: this.lineText(call.loc.start.line),
+            severity: kind.severity,
+            cwe: kind.cwe
+        };
+        const related = UnsafeCalls.related(dest, this.lines);
+        if (related) warning.related = related;
+        this.warnings.push(warning);
+    }
+
+    lineText(line) {
+        return (this.lines[line - 1] || '').trim();
+    }
+
+    /**
+     * Size of the buffer an argument points to where the call is made
+     * @param {Object} node - Destination argument
+     * @param {Object} call - CallExpression node
+     * @param {Object|null} scope - Function scope from TypeLayout
+     * @param {Object} facts - Declarations of the function and the globals
+     * @returns {Object|null} { size, line, allocation, zeroed }: size is a SizeExpression; allocation
+     *                        marks heap blocks; zeroed marks buffers filled with zeros when created
+     */
+    destination(node, call, scope, facts) {
+        if (node.type === 'Identifier') {
+            const entry = facts.declarators.filter(({ declarator }) => declarator.name === node.name &&
+                declarator.range[0] < call.range[0]).pop();
+            if (entry) {
+                const type = this.layout.resolve(TypeLayout.declaredType(entry.declaration.typeSpec, entry.declarator.declarator));
+                if (type && type.dims.length > 0) return this.arrayDestination(type, entry.declarator);
+            }
+        } else if (node.type === 'MemberExpression') {
+            const type = this.layout.resolve(this.layout.expressionType(node, scope));
+            if (type && type.dims.length > 0) {
+                const layout = type.dims[0] ? this.layout.layoutOf(type) : null;
+                return layout ? { size: new SizeExpression(layout.size), line: null, allocation: false, zeroed: false } : null;
+            }
+        } else {
+            return null;
+        }
+
+        // A pointer: the block most recently allocated into it in this function, if every allocation agrees
+        const text = UnsafeCalls.text(node);
+        const allocations = this.allocations.filter(alloc => alloc.var === text && alloc.size &&
+            alloc.node.range[0] < call.range[0] && this.layout.scopeAt(alloc.node) === scope);
+        if (allocations.length === 0) return null;
+        const last = allocations[allocations.length - 1];
+        if (allocations.some(alloc => alloc.size.toString() !== last.size.toString())) return null;
+        return { size: last.size, line: last.line, allocation: true, zeroed: last.function === 'calloc' };
+    }
+
+    /**
+     * Size of an array variable; char buf[] = "text" takes its size from the initializer
+     */
+    arrayDestination(type, declarator) {
+        const line = declarator.loc.start.line;
+        const init = declarator.init;
+        if (!type.dims[0]) {
+            const element = this.layout.layoutOf(Object.assign({}, type, { dims: type.dims.slice(1) }));
+            if (!element || !init || init.type !== 'Literal' || init.kind !== 'string') return null;
+            return { size: new SizeExpression((init.value.length + 1) * element.size), line: line, allocation: false, zeroed: true };
+        }
+        const layout = this.layout.layoutOf(type);
+        // Partially initialized arrays (char buf[64] = {0} or = "") are zero-filled
+        return layout ? { size: new SizeExpression(layout.size), line: line, allocation: false, zeroed: !!init } : null;
+    }
+
+    /**
+     * Length of a string argument without its terminator: exact for literals and variables initialized
+     * from one, strlen(s) otherwise
+     * @returns {SizeExpression}
+     */
+    stringLength(node) {
+        let value = node;
+        if (value.type === 'Identifier') value = this.layout.definitionOf(value) || value;
+        if (value.type === 'Literal' && value.kind === 'string') return new SizeExpression(value.value.length);
+        return SizeExpression.symbol(`strlen(${UnsafeCalls.text(node)})`);
+    }
+
+    /**
+     * Bounds on the characters a printf-style format produces, without the terminating '\0'
+     * @param {Object} format - Format argument
+     * @param {Array<Object>} args - Arguments after the format
+     * @returns {Object|null} { min, max }: SizeExpressions, max null when unbounded; null when the
+     *                        format is not a literal
+     */
+    formatLength(format, args) {
+        if (format.type !== 'Literal' || format.kind !== 'string') return null;
+        const pattern = /%[-+ #0]*(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|j|z|t|L)?([diouxXeEfFgGaAcspn%])/g;
+        let min = new SizeExpression(0);
+        let max = new SizeExpression(0);
+        let literal = format.value.length;
+        let argIndex = 0;
+        let match;
+        while ((match = pattern.exec(format.value)) !== null) {
+            const [conversion, width, precision, length, specifier] = match;
+            literal -= conversion.length;
+            if (specifier === '%') {
+                min = min.add(new SizeExpression(1));
+                if (max) max = max.add(new SizeExpression(1));
+                continue;
+            }
+            const fieldWidth = width === '*' ? null : Number(width || 0);
+            if (width === '*') argIndex++;
+            const limit = precision === '*' ? (argIndex++, null) : (precision === undefined ? undefined : Number(precision));
+            const arg = args[argIndex++];
+            const bounds = this.conversionLength(specifier, length, limit, arg);
+            if (!bounds) return null;
+
+            // A field width pads short output, so it raises both bounds when they are known numbers
+            let least = bounds.min;
+            let most = bounds.max;
+            if (fieldWidth === null) {
+                most = null;
+            } else if (fieldWidth > 0) {
+                if (least.isConstant()) least = new SizeExpression(Math.max(least.constant, fieldWidth));
+                if (most) most = most.isConstant() ? new SizeExpression(Math.max(most.constant, fieldWidth)) : null;
+            }
+            min = min.add(least);
+            max = max && most ? max.add(most) : null;
+        }
+        min = min.add(new SizeExpression(literal));
+        return { min: min, max: max ? max.add(new SizeExpression(literal)) : null };
+    }
+
+    /**
+     * Characters one conversion produces
+     * @returns {Object|null} { min, max }, or null when the conversion has no argument
+     */
+    conversionLength(specifier, length, precision, arg) {
+        const wide = ['l', 'll', 'j', 'z', 't'].includes(length);
+        const exact = value => ({ min: new SizeExpression(value), max: new SizeExpression(value) });
+        const range = (least, most) => ({ min: new SizeExpression(least), max: most === null ? null : new SizeExpression(most) });
+        if (specifier === 'n') return exact(0);
+        if (!arg) return null;
+
+        const value = this.layout.evaluate(arg);
+        switch (specifier) {
+            case 's': {
+                const text = this.stringLength(arg);
+                if (precision === undefined) return { min: text, max: text };
+                if (precision === null) return range(0, null);
+                return text.isConstant() ? exact(Math.min(text.constant, precision)) : range(0, precision);
+            }
+            case 'c':
+                return exact(1);
+            case 'd':
+            case 'i':
+                return value !== null ? exact(String(Math.trunc(value)).length) : range(1, wide ? 20 : 11);
+            case 'u':
+                return value !== null && value >= 0 ? exact(String(Math.trunc(value)).length) : range(1, wide ? 20 : 10);
+            case 'x':
+            case 'X':
+                return value !== null && value >= 0 ? exact(Math.trunc(value).toString(16).length) : range(1, wide ? 16 : 8);
+            case 'o':
+                return value !== null && value >= 0 ? exact(Math.trunc(value).toString(8).length) : range(1, wide ? 22 : 11);
+            case 'p':
+                return range(3, 18);
+            default:
+                // Floating point: %f of a large double runs to hundreds of digits
+                return range(1, null);
+        }
+    }
+
+    /**
+     * Whether a test before the call mentions a variable the byte count is computed from
+     */
+    guarded(countNode, call, facts) {
+        const names = new Set();
+        CParser.walk(countNode, node => {
+            if (node.type === 'Identifier') names.add(node.name);
+            return node.type !== 'SizeofExpression';
+        });
+        if (names.size === 0) return false;
+        return facts.tests.some(test => {
+            if (test.range[0] > call.range[0]) return false;
+            let mentions = false;
+            CParser.walk(test, node => {
+                if (node.type === 'Identifier' && names.has(node.name)) mentions = true;
+                return !mentions;
+            });
+            return mentions;
+        });
+    }
+
+    /**
+     * Free bytes left in a buffer after a write, when that is a known number
+     * @param {SizeExpression} size - Buffer size
+     * @param {SizeExpression} write - Bytes written
+     * @returns {number|null}
+     */
+    static spare(size, write) {
+        const difference = size.add(write.scale(-1));
+        return difference.isConstant() ? difference.constant : null;
+    }
+
+    static fits(size, write) {
+        const spare = UnsafeCalls.spare(size, write);
+        return spare !== null && spare >= 0;
+    }
+
+    static describe(node, dest) {
+        return dest ? `${UnsafeCalls.text(node)} (${dest.size} bytes)` : UnsafeCalls.text(node);
+    }
+
+    static text(node) {
+        return node ? SizeExpression.text(node) : '';
+    }
+
+    static related(dest, lines) {
+        if (!dest || !dest.line) return null;
+        return {
+            label: dest.allocation ? 'Allocated on' : 'Declared on',
+            line: dest.line,
+            lineText: (lines[dest.line - 1] || '').trim()
+        };
+    }
+}
+
+// Writes shown to run past the end of their destination
+UnsafeCalls.OVERFLOW = { type: 'Buffer Overflow', severity: 'critical', cwe: 787 };
+UnsafeCalls.OFF_BY_ONE = { type: 'Off-by-One Error', severity: 'critical', cwe: 193 };
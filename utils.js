@@ -31,6 +31,8 @@ function performAnalysis(code, language = 'c') {
             allocations: [],
             frees: [],
             leaks: [],
+            resources: [],
+            resourceLeaks: [],
             warnings: [{
                 type: 'Analysis Error',
                 line: 0,
@@ -42,6 +44,86 @@ function performAnalysis(code, language = 'c') {
     }
 }
 
+/**
+ * Bytes an allocation or leak accounts for, scaled by the trip count of the loops around it
+ * @param {Object} record - Allocation or leak object
+ * @returns {number} Bytes
+ */
+function totalBytes(record) {
+    if (!record) return 0;
+    return (record.totalSize !== undefined ? record.totalSize : record.size) || 0;
+}
+
+/**
+ * Total bytes lost by a list of leaks
+ * @param {Array<Object>} leaks - Leak objects
+ * @returns {number} Bytes
+ */
+function sumLeakedBytes(leaks) {
+    return Array.isArray(leaks) ? leaks.reduce((sum, leak) => sum + totalBytes(leak), 0) : 0;
+}
+
+/**
+ * Group leaks by memcheck category, in the order of CONFIG.ANALYSIS.LEAK_CLASSES
+ * @param {Array<Object>} leaks - Leak objects
+ * @returns {Array<Object>} { name, severity, description, leaks } for each category that has leaks
+ */
+function groupLeaksByClass(leaks) {
+    if (!Array.isArray(leaks)) return [];
+    return CONFIG.ANALYSIS.LEAK_CLASSES
+        .map(leakClass => Object.assign({}, leakClass, { leaks: leaks.filter(leak => leak && leak.leakClass === leakClass.name) }))
+        .filter(group => group.leaks.length > 0);
+}
+
+/**
+ * Count leaks by memcheck category
+ * @param {Array<Object>} leaks - Leak objects
+ * @returns {string} e.g. "definitely lost: 2, still reachable: 1" (empty when there are none)
+ */
+function countLeakClasses(leaks) {
+    return groupLeaksByClass(leaks).map(group => `${group.name}: ${group.leaks.length}`).join(', ');
+}
+
+/**
+ * Whether a byte total only bounds the leaked memory from below, because some leak's size or
+ * trip count depends on a value the analysis could not resolve
+ * @param {Array<Object>} leaks - Leak objects
+ * @returns {boolean} True if the real total can be larger
+ */
+function isLowerBound(leaks) {
+    return Array.isArray(leaks) && leaks.some(leak => leak && (leak.sizeExpr || typeof leak.iterations === 'string'));
+}
+
+/**
+ * Format the total bytes lost by a list of leaks, e.g. "1.5 KB" or "≥ 40 B"
+ * @param {Array<Object>} leaks - Leak objects
+ * @returns {string} Formatted total
+ */
+function formatLeakedTotal(leaks) {
+    return (isLowerBound(leaks) ? '≥ ' : '') + formatBytes(sumLeakedBytes(leaks));
+}
+
+/**
+ * Format a size that may be a formula, e.g. "64 B", "4·n B" or "strlen(s)+1 B (≥ 1 B)"
+ * @param {number} bytes - Exact size, or the smallest possible size when formula is set
+ * @param {string|null} formula - Symbolic size
+ * @returns {string} Formatted size
+ */
+function formatSize(bytes, formula) {
+    if (!formula) return formatBytes(bytes);
+    return bytes > 0 ? `${formula} B (≥ ${formatBytes(bytes)})` : `${formula} B`;
+}
+
+/**
+ * Describe the size of a leak, e.g. "100 B × 10000 iterations = 976.56 KB" or "100 B per iteration × n"
+ * @param {Object} leak - Leak object
+ * @returns {string} Formatted size
+ */
+function formatLeakSize(leak) {
+    if (!leak) return formatBytes(0);
+    return leak.sizeText || formatSize(totalBytes(leak), leak.sizeExpr);
+}
+
 /**
  * Format bytes to human-readable string
  * @param {number} bytes - Number of bytes